@@ -1,4 +1,5 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const passport = require('passport');
@@ -18,7 +19,15 @@ const rateLimit = require('express-rate-limit');
 const app = express();
 
 // Temel middleware'ler
-app.use(express.json({ limit: '10mb' }));
+app.use(
+  express.json({
+    limit: '10mb',
+    // Ödeme webhook imzası ham gövde üzerinden doğrulanır
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/transactions/webhook')) req.rawBody = buf;
+    },
+  }),
+);
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -75,24 +84,23 @@ mongoose
     process.exit(1);
   });
 
-// Session yapılandırması
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET || 'super-secret-key-change-in-production',
-    resave: false,
-    saveUninitialized: false,
-    store: MongoStore.create({
-      mongoUrl: process.env.MONGODB_URI,
-      ttl: parseInt(process.env.SESSION_EXPIRE, 10) / 1000 || 86400 * 365, // TTL in seconds
-    }),
-    cookie: {
-      secure: process.env.NODE_ENV === 'production',
-      httpOnly: true,
-      maxAge: parseInt(process.env.SESSION_EXPIRE, 10) || 86400000 * 365, // 365 gün
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-    },
+// Session yapılandırması (socket.io handshake'inde de kullanılır)
+const sessionMiddleware = session({
+  secret: process.env.SESSION_SECRET || 'super-secret-key-change-in-production',
+  resave: false,
+  saveUninitialized: false,
+  store: MongoStore.create({
+    mongoUrl: process.env.MONGODB_URI,
+    ttl: parseInt(process.env.SESSION_EXPIRE, 10) / 1000 || 86400 * 365, // TTL in seconds
   }),
-);
+  cookie: {
+    secure: process.env.NODE_ENV === 'production',
+    httpOnly: true,
+    maxAge: parseInt(process.env.SESSION_EXPIRE, 10) || 86400000 * 365, // 365 gün
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  },
+});
+app.use(sessionMiddleware);
 
 // Passport initialize
 app.use(passport.initialize());
@@ -110,12 +118,80 @@ app.get('/test-route', (req, res) => {
 // Route dosyalarını import et
 const authRoutes = require('./routes/authRoutes');
 const usersRoutes = require('./routes/usersRoutes');
+const twoFactorAuthRoutes = require('./routes/twoFactorAuthRoutes');
+const userSettingsRoutes = require('./routes/userSettingsRoutes');
+const premiumRoutes = require('./routes/premiumRoutes');
 const postRoutes = require('./routes/postRoutes');
+const commentRoutes = require('./routes/commentRoutes');
+const subredditRoutes = require('./routes/subredditRoutes');
+const membershipRoutes = require('./routes/membershipRoutes');
+const feedRoutes = require('./routes/feedRoutes');
+const chatRoutes = require('./routes/chatRoutes');
+const pollRoutes = require('./routes/pollRoutes');
+const pollOptionRoutes = require('./routes/pollOptionRoutes');
+const voteRoutes = require('./routes/voteRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const modLogRoutes = require('./routes/modLogRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const pushRoutes = require('./routes/pushRoutes');
+const awardRoutes = require('./routes/awardRoutes');
+const flairRoutes = require('./routes/flairRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const trendingRoutes = require('./routes/trendingRoutes');
+const statisticsRoutes = require('./routes/statisticsRoutes');
+const transactionRoutes = require('./routes/transactionRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
+const contentFilterRoutes = require('./routes/contentFilterRoutes');
+const archivePolicyRoutes = require('./routes/archivePolicyRoutes');
+const editHistoryRoutes = require('./routes/editHistoryRoutes');
+const seoMetadataRoutes = require('./routes/seoMetadataRoutes');
+const permissionRoutes = require('./routes/permissionRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const wikiRoutes = require('./routes/wikiRoutes');
 
 // Route'ları tanımla
+// Alt yollar (/api/auth/2fa, /api/users/settings, /api/users/premium) üst rotalardan önce gelmeli
+app.use('/api/auth/2fa', twoFactorAuthRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/users/settings', userSettingsRoutes);
+app.use('/api/users/premium', premiumRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/subreddits', subredditRoutes);
+app.use('/api/memberships', membershipRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/chats', chatRoutes);
+app.use('/api/polls', pollRoutes);
+app.use('/api/poll-options', pollOptionRoutes);
+app.use('/api/votes', voteRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/moderation', modLogRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api/awards', awardRoutes);
+app.use('/api/flairs', flairRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/trending', trendingRoutes);
+app.use('/api/statistics', statisticsRoutes);
+app.use('/api/transactions', transactionRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/content-filters', contentFilterRoutes);
+app.use('/api/archive-policies', archivePolicyRoutes);
+app.use('/api/edit-history', editHistoryRoutes);
+app.use('/api/seo-metadata', seoMetadataRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Kısa yol takma adları: /api/chat -> /api/chats, /api/modlog -> /api/moderation,
+// /api/wiki/:subredditId -> /api/subreddits/:subredditId/wiki
+app.use('/api/chat', chatRoutes);
+app.use('/api/modlog', modLogRoutes);
+app.use('/api/wiki/:subredditId', wikiRoutes);
 
 // 404 handler
 app.use((req, res, next) => {
@@ -145,9 +221,89 @@ process.on('unhandledRejection', (err) => {
   console.error(err.stack);
 });
 
-// Server başlatma
+// Süresi dolan site geneli yasak ve susturmaları periyodik olarak kaldır
+const { liftExpiredSanctions } = require('./utils/sanctionHelpers');
+setInterval(
+  () => {
+    liftExpiredSanctions().catch((err) => {
+      console.error('Yaptırım temizleme hatası:', err.message);
+    });
+  },
+  15 * 60 * 1000,
+); // 15 dakikada bir
+
+// Özet modundaki kullanıcılara bekleyen bildirimleri e-postayla gönder
+const { sendEmailDigests } = require('./utils/notificationEmail');
+setInterval(
+  () => {
+    sendEmailDigests().catch((err) => {
+      console.error('Bildirim özeti hatası:', err.message);
+    });
+  },
+  60 * 60 * 1000,
+); // Saatte bir
+
+// Süresi dolmuş veya sürekli başarısız olan push aboneliklerini temizle
+const { pruneExpiredSubscriptions } = require('./utils/webPush');
+setInterval(
+  () => {
+    pruneExpiredSubscriptions().catch((err) => {
+      console.error('Push aboneliği temizleme hatası:', err.message);
+    });
+  },
+  6 * 60 * 60 * 1000,
+); // 6 saatte bir
+
+// Zamanı gelen zamanlanmış ve tekrarlayan gönderileri yayınla
+const { publishDueScheduledPosts } = require('./controllers/scheduledPostController');
+setInterval(() => {
+  publishDueScheduledPosts().catch((err) => {
+    console.error('Zamanlanmış gönderi yayınlama hatası:', err.message);
+  });
+}, 60 * 1000); // Dakikada bir
+
+// Özet modundaki kayıtlı aramaların biriken eşleşmelerini bildir
+const { sendSavedSearchDigests } = require('./utils/savedSearchAlerts');
+setInterval(
+  () => {
+    sendSavedSearchDigests().catch((err) => {
+      console.error('Kayıtlı arama özeti hatası:', err.message);
+    });
+  },
+  60 * 60 * 1000,
+); // Saatte bir
+
+// Sıralama skoru olmayan eski gönderi ve yorumları bir kez doldur
+const { backfillRankings } = require('./utils/ranking');
+mongoose.connection.once('open', () => {
+  backfillRankings([require('./models/Post'), require('./models/Comment')])
+    .then((count) => {
+      if (count > 0) console.log(`${count} doküman için sıralama skorları hesaplandı`);
+    })
+    .catch((err) => {
+      console.error('Sıralama skoru doldurma hatası:', err.message);
+    });
+});
+
+// Arama indeksini hazırla (memory arka ucunda mevcut gönderi ve yorumlardan oluşturulur)
+const { reindexSearch } = require('./utils/searchBackend');
+mongoose.connection.once('open', () => {
+  reindexSearch()
+    .then((counts) => {
+      console.log(`Arama indeksi hazır (gönderi: ${counts.post}, yorum: ${counts.comment})`);
+    })
+    .catch((err) => {
+      console.error('Arama indeksi oluşturma hatası:', err.message);
+    });
+});
+
+// Server başlatma (socket.io aynı HTTP sunucusunu kullanır)
 const PORT = process.env.PORT || 5002;
-app.listen(PORT, () => {
+const server = http.createServer(app);
+const { initSocket } = require('./config/socket');
+initSocket(server, sessionMiddleware);
+
+server.listen(PORT, () => {
   console.log(`Server ${PORT} portunda çalışıyor (${process.env.NODE_ENV || 'development'} modu)`);
 });
 
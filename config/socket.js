@@ -0,0 +1,256 @@
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const passport = require('passport');
+const ChatRoom = require('../models/ChatRoom');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const UserOnlineStatus = require('../models/UserOnlineStatus');
+const { getActiveSanction } = require('../utils/sanctionHelpers');
+
+let io = null;
+
+/**
+ * Kullanıcıya özel socket odasının adını döndür
+ * @param {String|ObjectId} userId - Kullanıcı ID
+ * @returns {String} Oda adı
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Handshake içinden JWT token'ı al (auth.token, Authorization başlığı veya query)
+ * @param {Object} socket - Socket nesnesi
+ * @returns {String|null} Token
+ */
+const extractToken = (socket) => {
+  const { auth = {}, headers = {}, query = {} } = socket.handshake;
+
+  if (auth.token) {
+    return auth.token.replace(/^Bearer\s+/i, '');
+  }
+
+  if (headers.authorization && headers.authorization.startsWith('Bearer ')) {
+    return headers.authorization.split(' ')[1];
+  }
+
+  return query.token || null;
+};
+
+/**
+ * Socket bağlantısını isAuthenticated ile aynı kurallarla doğrula.
+ * Önce JWT, yoksa passport oturumu (session cookie) kullanılır.
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    let user = null;
+    const token = extractToken(socket);
+
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+      user = await User.findById(decoded.id);
+    } else if (socket.request.user) {
+      user = socket.request.user;
+    }
+
+    if (!user || user.accountStatus !== 'active') {
+      return next(new Error('Yetkilendirme başarısız. Lütfen giriş yapın.'));
+    }
+
+    if (await getActiveSanction(user, 'ban')) {
+      return next(new Error('Hesabınız site genelinde yasaklandı'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Yetkilendirme başarısız. Lütfen giriş yapın.'));
+  }
+};
+
+/**
+ * Kullanıcının çevrimiçi durumunu güncelle
+ * @param {Object} socket - Socket nesnesi
+ * @param {Boolean} isOnline - Çevrimiçi mi
+ */
+const updateOnlineStatus = async (socket, isOnline) => {
+  try {
+    await UserOnlineStatus.findOneAndUpdate(
+      { user: socket.user._id },
+      {
+        isOnline,
+        lastActiveAt: new Date(),
+        connectionId: isOnline ? socket.id : undefined,
+        userAgent: socket.handshake.headers['user-agent'],
+        ipAddress: socket.handshake.address,
+        updatedAt: new Date(),
+      },
+      { upsert: true },
+    );
+  } catch (error) {
+    console.error('Çevrimiçi durum güncellenemedi:', error.message);
+  }
+};
+
+/**
+ * Yeni bağlantıyı kullanıcı odasına ve katıldığı tüm sohbet odalarına ekle
+ * @param {Object} socket - Socket nesnesi
+ */
+const handleConnection = async (socket) => {
+  const userId = socket.user._id;
+
+  // Kullanıcının başka açık bağlantısı yoksa çevrimdışı işaretle
+  const markOfflineIfLast = async () => {
+    try {
+      const remaining = await io.in(userRoom(userId)).fetchSockets();
+      if (remaining.length === 0) {
+        await updateOnlineStatus(socket, false);
+      }
+    } catch (error) {
+      console.error('Bağlantı kapatma işlemi başarısız:', error.message);
+    }
+  };
+
+  // Olay dinleyicileri asenkron kurulumdan önce kaydedilir; kurulum sırasında gelen
+  // joinChat ve disconnect olayları kaybolmaz
+
+  // Bağlantı sonrası oluşturulan sohbetler için odaya katılım (üyelik kontrolü ile)
+  socket.on('joinChat', async (chatId, callback) => {
+    const ack = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const isParticipant = await ChatRoom.exists({ _id: chatId, 'participants.user': userId });
+
+      if (!isParticipant) {
+        return ack({ success: false, message: 'Bu sohbet odasına erişim izniniz yok' });
+      }
+
+      socket.join(chatId.toString());
+      ack({ success: true });
+    } catch (error) {
+      ack({ success: false, message: 'Geçersiz sohbet odası ID formatı' });
+    }
+  });
+
+  socket.on('leaveChat', (chatId) => {
+    socket.leave(String(chatId));
+  });
+
+  socket.on('disconnect', markOfflineIfLast);
+
+  socket.join(userRoom(userId));
+
+  const chatRooms = await ChatRoom.find({ 'participants.user': userId }).select('_id');
+  if (socket.disconnected) return;
+  chatRooms.forEach((chatRoom) => socket.join(chatRoom._id.toString()));
+
+  await updateOnlineStatus(socket, true);
+
+  // Çevrimiçi işareti yazılırken bağlantı kapandıysa disconnect işleyicisinin yazdığı
+  // çevrimdışı durumu ezmemek için yeniden kontrol et
+  if (socket.disconnected) {
+    await markOfflineIfLast();
+    return;
+  }
+
+  // Bağlantı kurulunca güncel okunmamış bildirim sayaçlarını gönder
+  socket.emit('notificationCounts', { counts: await Notification.getUnreadCounts(userId) });
+};
+
+/**
+ * Socket.io sunucusunu HTTP sunucusuna bağla
+ * @param {Object} server - HTTP sunucusu
+ * @param {Function} sessionMiddleware - express-session middleware'i (opsiyonel)
+ * @returns {Server} Socket.io sunucusu
+ */
+const initSocket = (server, sessionMiddleware) => {
+  io = new Server(server, {
+    cors: {
+      origin:
+        process.env.NODE_ENV === 'development'
+          ? true
+          : [process.env.FRONTEND_URL || 'http://localhost:3000'],
+      credentials: true,
+    },
+  });
+
+  // Oturum tabanlı girişler için express-session ve passport'u handshake'e uygula
+  if (sessionMiddleware) {
+    io.engine.use(sessionMiddleware);
+    io.engine.use(passport.initialize());
+    io.engine.use(passport.session());
+  }
+
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    handleConnection(socket).catch((error) => {
+      console.error('Socket bağlantı hatası:', error.message);
+      socket.disconnect(true);
+    });
+  });
+
+  return io;
+};
+
+/**
+ * Aktif socket.io sunucusunu döndür (başlatılmadıysa null)
+ * @returns {Server|null}
+ */
+const getIO = () => io;
+
+/**
+ * Bir sohbet odasındaki tüm bağlı üyelere olay gönder
+ * @param {String|ObjectId} chatId - Sohbet odası ID
+ * @param {String} event - Olay adı
+ * @param {Object} payload - Gönderilecek veri
+ */
+const emitToChat = (chatId, event, payload) => {
+  if (!io) return;
+  io.to(chatId.toString()).emit(event, payload);
+};
+
+/**
+ * Belirli bir kullanıcının tüm bağlantılarına olay gönder
+ * @param {String|ObjectId} userId - Kullanıcı ID
+ * @param {String} event - Olay adı
+ * @param {Object} payload - Gönderilecek veri
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io) return;
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+/**
+ * Kullanıcıların açık bağlantılarını sohbet odasına ekle
+ * @param {String|ObjectId} chatId - Sohbet odası ID
+ * @param {Array} userIds - Kullanıcı ID listesi
+ */
+const addUsersToChat = (chatId, userIds) => {
+  if (!io) return;
+  userIds.forEach((userId) => io.in(userRoom(userId)).socketsJoin(chatId.toString()));
+};
+
+/**
+ * Kullanıcıların açık bağlantılarını sohbet odasından çıkar
+ * @param {String|ObjectId} chatId - Sohbet odası ID
+ * @param {Array} userIds - Kullanıcı ID listesi (boşsa odadaki herkes çıkarılır)
+ */
+const removeUsersFromChat = (chatId, userIds = []) => {
+  if (!io) return;
+
+  if (userIds.length === 0) {
+    io.in(chatId.toString()).socketsLeave(chatId.toString());
+    return;
+  }
+
+  userIds.forEach((userId) => io.in(userRoom(userId)).socketsLeave(chatId.toString()));
+};
+
+module.exports = {
+  initSocket,
+  getIO,
+  userRoom,
+  emitToChat,
+  emitToUser,
+  addUsersToChat,
+  removeUsersFromChat,
+};
@@ -9,6 +9,7 @@ const Permission = require('../models/Permission');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 const sendEmail = require('../utils/sendEmail');
+const { isReservedUsername } = require('../utils/automod');
 
 /**
  * @desc    Kullanıcı kaydı oluştur
@@ -24,6 +25,10 @@ const register = asyncHandler(async (req, res, next) => {
   }
 
   // Kullanıcı adı ve email kontrolü
+  if (isReservedUsername(username)) {
+    return next(new ErrorResponse('Bu kullanıcı adı zaten kullanılıyor', 400));
+  }
+
   const usernameExists = await User.findOne({ username });
   if (usernameExists) {
     return next(new ErrorResponse('Bu kullanıcı adı zaten kullanılıyor', 400));
@@ -638,7 +643,8 @@ const generateUniqueUsername = async (baseUsername) => {
 
   while (!isUnique) {
     // Aynı kullanıcı adı var mı kontrol et
-    const existing = await User.findOne({ username: finalUsername });
+    const existing =
+      isReservedUsername(finalUsername) || (await User.findOne({ username: finalUsername }));
 
     if (!existing) {
       isUnique = true;
@@ -4,6 +4,9 @@ const ChatMessage = require('../models/ChatMessage');
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const { emitToChat, emitToUser, addUsersToChat, removeUsersFromChat } = require('../config/socket');
+const { getActiveSanction, getSanctionMessage } = require('../utils/sanctionHelpers');
+const { createMessageNotification } = require('./notificationController');
 
 /**
  * @desc    Kullanıcının sohbet odalarını getir
@@ -177,6 +180,10 @@ const createDirectChat = asyncHandler(async (req, res, next) => {
     success: true,
     data: populatedChatRoom,
   });
+
+  // Katılımcıların açık bağlantılarını sohbet odasına ekle
+  addUsersToChat(chatRoom._id, [userId, recipientId]);
+  emitToUser(recipientId, 'chatRoomCreated', { chatRoom: populatedChatRoom });
 });
 
 /**
@@ -243,6 +250,12 @@ const createGroupChat = asyncHandler(async (req, res, next) => {
     success: true,
     data: populatedGroupChat,
   });
+
+  // Katılımcıların açık bağlantılarını sohbet odasına ekle
+  addUsersToChat(groupChat._id, allParticipantIds);
+  allParticipantIds
+    .filter((id) => id.toString() !== userId.toString())
+    .forEach((id) => emitToUser(id, 'chatRoomCreated', { chatRoom: populatedGroupChat }));
 });
 
 /**
@@ -450,6 +463,12 @@ const sendMessage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Mesaj içeriği veya ek dosya zorunludur', 400));
   }
 
+  // Site geneli susturma kontrolü
+  const mute = await getActiveSanction(req.user, 'mute');
+  if (mute) {
+    return next(new ErrorResponse(getSanctionMessage('mute', mute), 403));
+  }
+
   // Sohbet odasını kontrol et
   const chatRoom = await ChatRoom.findById(chatId);
   if (!chatRoom) {
@@ -519,8 +538,23 @@ const sendMessage = asyncHandler(async (req, res, next) => {
     data: populatedMessage,
   });
 
-  // Burada socket.io ile gerçek zamanlı mesaj bildirimi yapılabilir
-  // Örnek: io.to(chatId).emit('newMessage', { message: populatedMessage });
+  // Sohbet üyelerine gerçek zamanlı mesaj bildirimi
+  emitToChat(chatId, 'newMessage', { message: populatedMessage });
+
+  // Sohbeti sessize almamış diğer üyelere bildirim (push aboneliği varsa cihaza da gönderilir)
+  const recipients = chatRoom.participants.filter(
+    (participant) => !participant.muted && participant.user.toString() !== userId.toString(),
+  );
+  await Promise.all(
+    recipients.map((participant) =>
+      createMessageNotification({
+        _id: message._id,
+        sender: userId,
+        recipient: participant.user,
+        content: message.content || 'Ek dosya gönderdi',
+      }),
+    ),
+  );
 });
 
 /**
@@ -588,8 +622,8 @@ const editMessage = asyncHandler(async (req, res, next) => {
     data: updatedMessage,
   });
 
-  // Burada socket.io ile gerçek zamanlı güncelleme bildirimi yapılabilir
-  // Örnek: io.to(chatId).emit('messageUpdated', { message: updatedMessage });
+  // Sohbet üyelerine gerçek zamanlı güncelleme bildirimi
+  emitToChat(chatId, 'messageUpdated', { message: updatedMessage });
 });
 
 /**
@@ -659,8 +693,8 @@ const deleteMessage = asyncHandler(async (req, res, next) => {
     data: {},
   });
 
-  // Burada socket.io ile gerçek zamanlı silme bildirimi yapılabilir
-  // Örnek: io.to(chatId).emit('messageDeleted', { messageId });
+  // Sohbet üyelerine gerçek zamanlı silme bildirimi
+  emitToChat(chatId, 'messageDeleted', { chatId, messageId });
 });
 
 /**
@@ -745,6 +779,10 @@ const leaveChat = asyncHandler(async (req, res, next) => {
     message: 'Sohbet odasından başarıyla ayrıldınız',
     data: {},
   });
+
+  // Kullanıcının bağlantılarını odadan çıkar ve kalan üyeleri bilgilendir
+  removeUsersFromChat(chatId, [userId]);
+  emitToChat(chatId, 'participantLeft', { chatId, userId });
 });
 
 /**
@@ -840,8 +878,12 @@ const addChatParticipants = asyncHandler(async (req, res, next) => {
     data: updatedChatRoom,
   });
 
-  // Burada socket.io ile gerçek zamanlı katılımcı ekleme bildirimi yapılabilir
-  // Örnek: io.to(chatId).emit('participantsAdded', { chatRoom: updatedChatRoom });
+  // Yeni katılımcıları odaya ekle ve tüm üyeleri bilgilendir
+  addUsersToChat(chatId, newParticipants);
+  emitToChat(chatId, 'participantsAdded', {
+    chatRoom: updatedChatRoom,
+    newParticipants,
+  });
 });
 
 /**
@@ -913,8 +955,13 @@ const removeChatParticipant = asyncHandler(async (req, res, next) => {
     data: updatedChatRoom,
   });
 
-  // Burada socket.io ile gerçek zamanlı katılımcı çıkarma bildirimi yapılabilir
-  // Örnek: io.to(chatId).emit('participantRemoved', { chatRoom: updatedChatRoom, removedParticipant: participantId });
+  // Üyeleri bilgilendir ve çıkarılan kullanıcının bağlantılarını odadan çıkar
+  emitToChat(chatId, 'participantRemoved', {
+    chatRoom: updatedChatRoom,
+    removedParticipant: participantId,
+  });
+  emitToUser(participantId, 'removedFromChat', { chatId });
+  removeUsersFromChat(chatId, [participantId]);
 });
 
 /**
@@ -979,8 +1026,8 @@ const updateChatRoom = asyncHandler(async (req, res, next) => {
     data: updatedChatRoom,
   });
 
-  // Burada socket.io ile gerçek zamanlı güncelleme bildirimi yapılabilir
-  // Örnek: io.to(chatId).emit('chatRoomUpdated', { chatRoom: updatedChatRoom });
+  // Sohbet üyelerine gerçek zamanlı güncelleme bildirimi
+  emitToChat(chatId, 'chatRoomUpdated', { chatRoom: updatedChatRoom });
 });
 
 /**
@@ -1055,8 +1102,8 @@ const addAdminRole = asyncHandler(async (req, res, next) => {
     data: updatedChatRoom,
   });
 
-  // Burada socket.io ile gerçek zamanlı admin ekleme bildirimi yapılabilir
-  // Örnek: io.to(chatId).emit('adminAdded', { chatRoom: updatedChatRoom, newAdmin: participantId });
+  // Sohbet üyelerine gerçek zamanlı admin ekleme bildirimi
+  emitToChat(chatId, 'adminAdded', { chatRoom: updatedChatRoom, newAdmin: participantId });
 });
 
 /**
@@ -1129,8 +1176,8 @@ const removeAdminRole = asyncHandler(async (req, res, next) => {
     data: updatedChatRoom,
   });
 
-  // Burada socket.io ile gerçek zamanlı admin kaldırma bildirimi yapılabilir
-  // Örnek: io.to(chatId).emit('adminRemoved', { chatRoom: updatedChatRoom, removedAdmin: participantId });
+  // Sohbet üyelerine gerçek zamanlı admin kaldırma bildirimi
+  emitToChat(chatId, 'adminRemoved', { chatRoom: updatedChatRoom, removedAdmin: participantId });
 });
 
 /**
@@ -1163,8 +1210,8 @@ const markAsTyping = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu sohbet odasına erişim izniniz yok', 403));
   }
 
-  // Burada socket.io ile yazıyor bildirimi yapılabilir
-  // Örnek: io.to(chatId).emit('userTyping', { chatId, userId, username: req.user.username });
+  // Sohbet üyelerine yazıyor bildirimi
+  emitToChat(chatId, 'userTyping', { chatId, userId, username: req.user.username });
 
   res.status(200).json({
     success: true,
@@ -1202,8 +1249,8 @@ const stopTyping = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu sohbet odasına erişim izniniz yok', 403));
   }
 
-  // Burada socket.io ile yazıyor durdu bildirimi yapılabilir
-  // Örnek: io.to(chatId).emit('userStoppedTyping', { chatId, userId });
+  // Sohbet üyelerine yazıyor durdu bildirimi
+  emitToChat(chatId, 'userStoppedTyping', { chatId, userId });
 
   res.status(200).json({
     success: true,
@@ -1283,8 +1330,9 @@ const deleteChatRoom = asyncHandler(async (req, res, next) => {
     data: {},
   });
 
-  // Burada socket.io ile gerçek zamanlı sohbet silindi bildirimi yapılabilir
-  // Örnek: io.to(chatId).emit('chatRoomDeleted', { chatId });
+  // Sohbet üyelerini bilgilendir ve odayı boşalt
+  emitToChat(chatId, 'chatRoomDeleted', { chatId });
+  removeUsersFromChat(chatId);
 });
 
 /**
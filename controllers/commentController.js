@@ -1,5 +1,8 @@
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
+const Subreddit = require('../models/Subreddit');
+const SubredditSettings = require('../models/SubredditSettings');
+const UserSettings = require('../models/UserSettings');
 const User = require('../models/User');
 const Vote = require('../models/Vote');
 const Notification = require('../models/Notification');
@@ -9,6 +12,15 @@ const EditHistory = require('../models/EditHistory');
 const mongoose = require('mongoose');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const { getActiveSanction, getSanctionMessage } = require('../utils/sanctionHelpers');
+const { runAutomod } = require('../utils/automod');
+const { getSubredditBan, hasRoleInSubreddit } = require('../utils/roleHelpers');
+const { refreshRankings } = require('../utils/ranking');
+const { enforceContentFilters } = require('./contentFilterController');
+const {
+  createCommentNotifications,
+  createUpvoteNotification,
+} = require('./notificationController');
 
 /**
  * @desc    Yorumu ID'ye göre getir
@@ -90,6 +102,12 @@ const createComment = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('İçerik ve gönderi ID zorunludur', 400));
   }
 
+  // Site geneli susturma kontrolü
+  const mute = await getActiveSanction(req.user, 'mute');
+  if (mute) {
+    return next(new ErrorResponse(getSanctionMessage('mute', mute), 403));
+  }
+
   // Post kontrolü
   const post = await Post.findById(postId);
   if (!post) {
@@ -101,6 +119,11 @@ const createComment = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu gönderi kilitlenmiş, yorum yapamazsınız', 403));
   }
 
+  // Subreddit banı kontrolü
+  if (await getSubredditBan(userId, post.subreddit)) {
+    return next(new ErrorResponse("Bu subreddit'ten banlandınız, yorum yapamazsınız", 403));
+  }
+
   // Parent comment kontrolü ve derinlik hesaplaması
   let depth = 0;
   let parentComment = null;
@@ -149,24 +172,19 @@ const createComment = asyncHandler(async (req, res, next) => {
     $inc: { commentCount: 1 },
   });
 
-  // Bildirim gönder (kendi yorumuna yanıt vermiyorsa)
-  if (parentComment && !parentComment.author.equals(userId)) {
-    await Notification.create({
-      recipient: parentComment.author,
-      sender: userId,
-      type: 'comment_reply',
-      comment: comment._id,
-      post: postId,
-    });
-  } else if (!parentComment && !post.author.equals(userId)) {
-    // Post'a yorum yapılmışsa ve kendi postu değilse bildirim oluştur
-    await Notification.create({
-      recipient: post.author,
-      sender: userId,
-      type: 'post_comment',
-      comment: comment._id,
-      post: postId,
-    });
+  // Site ve subreddit içerik filtrelerini, ardından automod kurallarını uygula
+  await enforceContentFilters(comment, {
+    kind: 'comment',
+    subredditId: post.subreddit,
+    text: content,
+  });
+  const automod = await runAutomod(comment, { kind: 'comment', post });
+  const isVisible = !automod.removed && !automod.filtered;
+
+  // Gönderi sahibine, üst yorum sahibine (gruplanmış) ve etiketlenenlere bildirim gönder
+  // (automod kaldırmadıysa veya bekletmediyse)
+  if (isVisible) {
+    await createCommentNotifications(comment);
   }
 
   // Yanıt için verilen yorumu popüle et
@@ -285,6 +303,12 @@ const replyToComment = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('İçerik zorunludur', 400));
   }
 
+  // Site geneli susturma kontrolü
+  const mute = await getActiveSanction(req.user, 'mute');
+  if (mute) {
+    return next(new ErrorResponse(getSanctionMessage('mute', mute), 403));
+  }
+
   const parentComment = await Comment.findById(commentId);
 
   if (!parentComment) {
@@ -311,6 +335,11 @@ const replyToComment = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu gönderi kilitlenmiş, yorum yapamazsınız', 403));
   }
 
+  // Subreddit banı kontrolü
+  if (await getSubredditBan(userId, post.subreddit)) {
+    return next(new ErrorResponse("Bu subreddit'ten banlandınız, yorum yapamazsınız", 403));
+  }
+
   // Yanıt oluştur
   const reply = await Comment.create({
     content,
@@ -330,15 +359,17 @@ const replyToComment = asyncHandler(async (req, res, next) => {
     $inc: { commentCount: 1 },
   });
 
-  // Bildirim oluştur (kendi yorumuna yanıt vermiyorsa)
-  if (!parentComment.author.equals(userId)) {
-    await Notification.create({
-      recipient: parentComment.author,
-      sender: userId,
-      type: 'comment_reply',
-      comment: reply._id,
-      post: parentComment.post,
-    });
+  // Site ve subreddit içerik filtrelerini, ardından automod kurallarını uygula
+  await enforceContentFilters(reply, {
+    kind: 'comment',
+    subredditId: post.subreddit,
+    text: content,
+  });
+  const automod = await runAutomod(reply, { kind: 'comment', post });
+
+  // Bildirim oluştur (automod kaldırmadıysa veya bekletmediyse; aynı yoruma gelen yanıtlar gruplanır)
+  if (!automod.removed && !automod.filtered) {
+    await createCommentNotifications(reply);
   }
 
   // Yanıt için verilen yorumu popüle et
@@ -361,7 +392,7 @@ const getCommentReplies = asyncHandler(async (req, res, next) => {
   const { commentId } = req.params;
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
-  const sortBy = req.query.sort || 'best'; // 'best', 'new', 'old', 'controversial'
+  const sortBy = req.query.sort || 'best'; // 'best', 'top', 'new', 'old', 'controversial'
   const skip = (page - 1) * limit;
 
   if (!mongoose.Types.ObjectId.isValid(commentId)) {
@@ -381,12 +412,15 @@ const getCommentReplies = asyncHandler(async (req, res, next) => {
     case 'old':
       sortOption = { createdAt: 1 };
       break;
+    case 'top':
+      sortOption = { voteScore: -1, createdAt: -1 };
+      break;
     case 'controversial':
-      sortOption = { voteScore: 1, upvotes: -1 };
+      sortOption = { controversyScore: -1, createdAt: -1 };
       break;
     case 'best':
     default:
-      sortOption = { voteScore: -1, createdAt: -1 };
+      sortOption = { bestScore: -1, createdAt: -1 };
   }
 
   const replies = await Comment.find({
@@ -446,6 +480,397 @@ const getCommentReplies = asyncHandler(async (req, res, next) => {
   });
 });
 
+// ============= YORUM AĞACI =============
+
+const COMMENT_SORTS = ['best', 'top', 'new', 'controversial', 'old', 'qa'];
+const TREE_LIMITS = {
+  depth: { default: 5, max: 10 },
+  limit: { default: 50, max: 200 },
+  replyLimit: { default: 10, max: 50 },
+};
+
+// Sıralama tipi -> MongoDB sıralaması; _id eşit skorlarda sayfalar arası sırayı sabitler.
+// qa: gönderi sahibinin yanıt verdiği başlıklar (opThread) önce
+const COMMENT_SORT_SPECS = {
+  best: { bestScore: -1, createdAt: -1, _id: -1 },
+  top: { voteScore: -1, createdAt: -1, _id: -1 },
+  new: { createdAt: -1, _id: -1 },
+  old: { createdAt: 1, _id: 1 },
+  controversial: { controversyScore: -1, createdAt: -1, _id: -1 },
+  qa: { opThread: -1, bestScore: -1, createdAt: -1, _id: -1 },
+};
+const TREE_COMMENT_FIELDS =
+  'content author parent depth upvotes downvotes voteScore bestScore controversyScore replyCount isDeleted isLocked createdAt editedAt';
+
+/**
+ * Devam token'ı oluştur ("daha fazla yanıt yükle" için)
+ * @param {String|null} parent - Üst yorum ID (null ise üst seviye)
+ * @param {Number} offset - Kardeş yorumlar içindeki başlangıç
+ * @param {String} sort - Token'ın üretildiği sıralama (devam sayfası aynı sırayla yüklenir)
+ * @returns {String} Opak token
+ */
+const encodeContinuation = (parent, offset, sort) =>
+  Buffer.from(JSON.stringify({ p: parent, o: offset, s: sort })).toString('base64url');
+
+/**
+ * Devam token'ını çözümle
+ * @param {String} token - Opak token
+ * @returns {Object|null} { parent, offset, sort } veya geçersizse null
+ */
+const decodeContinuation = (token) => {
+  try {
+    const { p, o, s } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+
+    if (
+      (p !== null && !mongoose.Types.ObjectId.isValid(p)) ||
+      !Number.isInteger(o) ||
+      o < 0 ||
+      !COMMENT_SORTS.includes(s)
+    ) {
+      return null;
+    }
+
+    return { parent: p, offset: o, sort: s };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Ağaçtan çıkarılacak silinmiş yorumları bul: alt ağacında görünür (silinmemiş, onaylı) yorum
+ * kalmayanlar. Yalnızca silinmiş yorumların ID ve üst bilgisi belleğe alınır.
+ * @param {String} postId - Gönderi ID
+ * @returns {Promise<Array>} Çıkarılacak yorum ID'leri
+ */
+const getPrunedCommentIds = async (postId) => {
+  const deleted = await Comment.find({ post: postId, isDeleted: true }).select('_id parent').lean();
+  if (deleted.length === 0) return [];
+
+  const parentOf = new Map(
+    deleted.map((comment) => [comment._id.toString(), comment.parent && comment.parent.toString()]),
+  );
+  const withVisibleChild = await Comment.distinct('parent', {
+    post: postId,
+    parent: { $in: deleted.map((comment) => comment._id) },
+    isDeleted: false,
+    isFiltered: { $ne: true },
+  });
+
+  // Görünür alt yorumu olan silinmiş yorumlar ve silinmiş ataları ağaçta kalır
+  const kept = new Set();
+  withVisibleChild.forEach((id) => {
+    let key = id.toString();
+    while (key && parentOf.has(key) && !kept.has(key)) {
+      kept.add(key);
+      key = parentOf.get(key);
+    }
+  });
+
+  return deleted.map((comment) => comment._id).filter((id) => !kept.has(id.toString()));
+};
+
+/**
+ * Q&A sıralaması için gönderi sahibinin yorumlarını ve bunların atalarını bul
+ * @param {String} postId - Gönderi ID
+ * @param {ObjectId} opAuthorId - Gönderi sahibi
+ * @returns {Promise<Array>} Yorum ID'leri
+ */
+const getOpThreadIds = async (postId, opAuthorId) => {
+  const ids = new Map();
+  let level = await Comment.find({ post: postId, author: opAuthorId, isDeleted: false })
+    .select('_id parent')
+    .lean();
+
+  // Her turda bir üst seviyeye çıkılır (derinlik şemada sınırlı)
+  while (level.length > 0) {
+    level.forEach((comment) => ids.set(comment._id.toString(), comment._id));
+    const parents = level
+      .map((comment) => comment.parent)
+      .filter((parent) => parent && !ids.has(parent.toString()));
+    if (parents.length === 0) break;
+    level = await Comment.find({ _id: { $in: parents } })
+      .select('_id parent')
+      .lean();
+  }
+
+  return [...ids.values()];
+};
+
+/**
+ * Üst yorumların alt yorumlarını veritabanında sıralayıp sayfala
+ * @param {String} postId - Gönderi ID
+ * @param {Array} parentIds - Üst yorum ID'leri (null: üst seviye)
+ * @param {Object} options - { sort, offset, limit (null ise yalnızca sayılar), prunedIds, opThreadIds }
+ * @returns {Promise<Map>} parent ('root' veya ID) -> { count, ids }
+ */
+const fetchChildComments = async (
+  postId,
+  parentIds,
+  { sort, offset = 0, limit = null, prunedIds, opThreadIds },
+) => {
+  const pipeline = [
+    {
+      $match: {
+        post: new mongoose.Types.ObjectId(postId),
+        parent: { $in: parentIds },
+        isFiltered: { $ne: true },
+        _id: { $nin: prunedIds },
+      },
+    },
+  ];
+
+  if (limit) {
+    if (sort === 'qa') {
+      pipeline.push({ $addFields: { opThread: { $in: ['$_id', opThreadIds] } } });
+    }
+    pipeline.push(
+      { $sort: COMMENT_SORT_SPECS[sort] },
+      { $group: { _id: '$parent', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $project: { count: 1, ids: { $slice: ['$ids', offset, limit] } } },
+    );
+  } else {
+    pipeline.push({ $group: { _id: '$parent', count: { $sum: 1 } } });
+  }
+
+  const groups = await Comment.aggregate(pipeline).allowDiskUse(true);
+
+  return new Map(
+    groups.map((group) => [
+      group._id ? group._id.toString() : 'root',
+      { count: group.count, ids: group.ids || [] },
+    ]),
+  );
+};
+
+/**
+ * Sorgu parametresini sınırlar içinde sayıya çevir
+ * @param {String} value - Sorgu değeri
+ * @param {Object} bounds - { default, max }
+ * @returns {Number} Değer
+ */
+const parseTreeLimit = (value, bounds) => {
+  const parsed = parseInt(value, 10);
+  if (!parsed || parsed < 1) return bounds.default;
+  return Math.min(parsed, bounds.max);
+};
+
+/**
+ * Kullanılacak yorum sıralamasını belirle:
+ * sorgu > subreddit önerisi > kullanıcı varsayılanı > best
+ * @param {Object} req - İstek nesnesi
+ * @param {Object} post - Gönderi
+ * @returns {Promise<String>} Sıralama tipi
+ */
+const resolveCommentSort = async (req, post) => {
+  if (req.query.sort) return req.query.sort;
+
+  const settings = await SubredditSettings.findOne({ subreddit: post.subreddit }).select(
+    'communityOptions.suggestedSortOption',
+  );
+  const suggested = settings && settings.communityOptions.suggestedSortOption;
+
+  // Subreddit varsayılan dışında bir öneri belirlediyse kullanıcı tercihini geçersiz kılar
+  if (suggested && suggested !== 'best') return suggested;
+
+  if (req.user) {
+    const userSettings = await UserSettings.findOne({ user: req.user._id }).select(
+      'contentPreferences.defaultCommentSort',
+    );
+
+    if (userSettings && userSettings.contentPreferences.defaultCommentSort) {
+      return userSettings.contentPreferences.defaultCommentSort;
+    }
+  }
+
+  return 'best';
+};
+
+/**
+ * @desc    Gönderinin yorumlarını iç içe ağaç olarak getir
+ * @route   GET /api/posts/:id/comments
+ * @access  Public
+ * @query   sort, depth, limit, replyLimit, continue (devam token'ı)
+ */
+const getPostComments = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ErrorResponse('Geçersiz gönderi ID formatı', 400));
+  }
+
+  const post = await Post.findById(id).select('author subreddit commentCount');
+  if (!post) {
+    return next(new ErrorResponse('Gönderi bulunamadı', 404));
+  }
+
+  // Özel subreddit erişim kontrolü
+  const subreddit = await Subreddit.findById(post.subreddit).select('type');
+  if (subreddit && subreddit.type === 'private') {
+    if (!req.user) {
+      return next(new ErrorResponse('Bu yorumları görüntülemek için giriş yapmalısınız', 401));
+    }
+
+    const isMember = await hasRoleInSubreddit(req.user._id, post.subreddit, [
+      'member',
+      'moderator',
+      'admin',
+    ]);
+
+    if (!isMember) {
+      return next(new ErrorResponse('Bu yorumları görüntüleme izniniz yok', 403));
+    }
+  }
+
+  const sort = await resolveCommentSort(req, post);
+  if (!COMMENT_SORTS.includes(sort)) {
+    return next(
+      new ErrorResponse(`Geçersiz sıralama. Geçerli değerler: ${COMMENT_SORTS.join(', ')}`, 400),
+    );
+  }
+
+  const maxDepth = parseTreeLimit(req.query.depth, TREE_LIMITS.depth);
+  const limit = parseTreeLimit(req.query.limit, TREE_LIMITS.limit);
+  const replyLimit = parseTreeLimit(req.query.replyLimit, TREE_LIMITS.replyLimit);
+
+  let continuation = { parent: null, offset: 0, sort };
+  if (req.query.continue) {
+    continuation = decodeContinuation(req.query.continue);
+    if (!continuation) {
+      return next(new ErrorResponse('Geçersiz devam token formatı', 400));
+    }
+    if (continuation.parent && !(await Comment.exists({ _id: continuation.parent, post: id }))) {
+      return next(new ErrorResponse("Devam token'ı bu gönderiye ait değil", 400));
+    }
+  }
+
+  // Devam sayfaları token'ın üretildiği sıralamayla yüklenir
+  const treeSort = continuation.sort;
+  const opAuthorId = post.author.toString();
+  const [prunedIds, opThreadIds] = await Promise.all([
+    getPrunedCommentIds(id),
+    treeSort === 'qa' ? getOpThreadIds(id, post.author) : [],
+  ]);
+  const fetchOptions = { sort: treeSort, prunedIds, opThreadIds };
+  const returnedIds = [];
+
+  /**
+   * Bir seviyedeki yorumları üst düğümlerin replies/more alanlarına yerleştir; seviye başına
+   * bir sayfalama ve bir doküman sorgusu yapılır
+   * @param {Array} parents - [{ key: 'root' | ID, node: üst düğüm }]
+   * @param {Number} relativeDepth - Devam noktasına göre derinlik
+   * @param {Number} offset - Kardeş yorumlar içindeki başlangıç
+   * @param {Number} breadth - Üst düğüm başına en fazla yorum
+   * @returns {Promise<void>}
+   */
+  const buildLevel = async (parents, relativeDepth, offset, breadth) => {
+    const parentIds = parents.map(({ key }) =>
+      key === 'root' ? null : new mongoose.Types.ObjectId(key),
+    );
+
+    // Derinlik sınırında yalnızca yanıt sayıları alınır: "bu başlığa devam et"
+    if (relativeDepth >= maxDepth) {
+      const counts = await fetchChildComments(id, parentIds, fetchOptions);
+      parents.forEach(({ key, node }) => {
+        const group = counts.get(key);
+        if (group) node.more = { count: group.count, token: encodeContinuation(key, 0, treeSort) };
+      });
+      return;
+    }
+
+    const groups = await fetchChildComments(id, parentIds, {
+      ...fetchOptions,
+      offset,
+      limit: breadth,
+    });
+    const pageIds = [...groups.values()].flatMap((group) => group.ids);
+    const docs = await Comment.find({ _id: { $in: pageIds } })
+      .select(TREE_COMMENT_FIELDS)
+      .populate('author', 'username profilePicture')
+      .lean();
+    const docsById = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+
+    const levelNodes = [];
+
+    parents.forEach(({ key, node: parentNode }) => {
+      const group = groups.get(key);
+      if (!group) return;
+
+      const nodes = group.ids
+        .map((commentId) => docsById.get(commentId.toString()))
+        .filter(Boolean)
+        .map((comment) => {
+          returnedIds.push(comment._id);
+          const node = {
+            ...comment,
+            content: comment.isDeleted ? '[silindi]' : comment.content,
+            author: comment.isDeleted ? null : comment.author,
+            isOp: !!comment.author && comment.author._id.toString() === opAuthorId,
+            replies: [],
+            more: null,
+          };
+          levelNodes.push({ key: comment._id.toString(), node });
+          return node;
+        });
+
+      const remaining = group.count - offset - group.ids.length;
+      const more =
+        remaining > 0
+          ? {
+              count: remaining,
+              token: encodeContinuation(
+                key === 'root' ? null : key,
+                offset + group.ids.length,
+                treeSort,
+              ),
+            }
+          : null;
+
+      parentNode.replies = nodes;
+      parentNode.more = more;
+    });
+
+    if (levelNodes.length > 0) {
+      await buildLevel(levelNodes, relativeDepth + 1, 0, replyLimit);
+    }
+  };
+
+  // Devam noktası (üst seviye veya bir yorum) için yer tutucu düğüm
+  const start = { replies: [], more: null };
+  await buildLevel(
+    [{ key: continuation.parent || 'root', node: start }],
+    0,
+    continuation.offset,
+    continuation.parent ? replyLimit : limit,
+  );
+  const tree = { nodes: start.replies, more: start.more };
+
+  // Giriş yapmış kullanıcının oylarını toplu olarak ekle
+  if (req.user && returnedIds.length > 0) {
+    const votes = await Vote.find({ user: req.user._id, comment: { $in: returnedIds } }).select(
+      'comment value',
+    );
+    const voteMap = new Map(votes.map((vote) => [vote.comment.toString(), vote.value]));
+
+    const applyVotes = (nodes) =>
+      nodes.forEach((node) => {
+        node.userVote = voteMap.get(node._id.toString()) || 0;
+        applyVotes(node.replies);
+      });
+
+    applyVotes(tree.nodes);
+  }
+
+  res.status(200).json({
+    success: true,
+    sort: treeSort,
+    count: returnedIds.length,
+    totalComments: post.commentCount,
+    parent: continuation.parent,
+    data: tree.nodes,
+    more: tree.more,
+  });
+});
+
 /**
  * @desc    Yorumu oyla
  * @route   POST /api/comments/:commentId/vote
@@ -527,18 +952,17 @@ const voteComment = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Sıralama skorlarını yeniden hesapla
+  await refreshRankings(Comment, commentId);
+
   // Güncellenmiş yorumu getir
-  const updatedComment = await Comment.findById(commentId).select('upvotes downvotes voteScore');
+  const updatedComment = await Comment.findById(commentId).select(
+    'upvotes downvotes voteScore bestScore controversyScore',
+  );
 
-  // Kullanıcının bir başkasının yorumunu ilk kez olumlu oyladıysa bildirim gönder
-  if (value === 1 && oldValue !== 1 && !comment.author.equals(userId)) {
-    await Notification.create({
-      recipient: comment.author,
-      sender: userId,
-      type: 'comment_upvote',
-      comment: commentId,
-      post: comment.post,
-    });
+  // Olumlu oy bir eşiğe ulaştırdıysa yorum sahibine gruplanmış bildirim gönder
+  if (value === 1 && oldValue !== 1) {
+    await createUpvoteNotification('comment', { comment: commentId, user: userId });
   }
 
   res.status(200).json({
@@ -735,6 +1159,7 @@ module.exports = {
   deleteComment,
   replyToComment,
   getCommentReplies,
+  getPostComments,
   voteComment,
   saveComment,
   unsaveComment,
@@ -4,6 +4,7 @@ const SubredditMembership = require('../models/SubredditMembership');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const ModLog = require('../models/ModLog');
+const Report = require('../models/Report');
 const mongoose = require('mongoose');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
@@ -702,6 +703,139 @@ const applyContentFilters = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Yeni gönderi veya yoruma içerik filtrelerini uygula (internal kullanım)
+ * @param   {Object} item - Gönderi veya yorum dokümanı
+ * @param   {Object} options - { kind: 'post'|'comment', subredditId, text }
+ * @returns {Object} { action, matches, removed, filtered, reported, banned }
+ * @access  Private
+ */
+const enforceContentFilters = async (item, { kind, subredditId, text }) => {
+  const result = {
+    action: null,
+    matches: [],
+    removed: false,
+    filtered: false,
+    reported: false,
+    banned: false,
+  };
+
+  try {
+    const filterResult = await filterContent(text || '', subredditId, item.author);
+
+    if (!filterResult.hasMatches) {
+      return result;
+    }
+
+    const { recommendedAction } = filterResult;
+    const decisive = filterResult.matches.find((match) => match.action === recommendedAction);
+    const { filter } = decisive;
+    const reason = filter.reason || `İçerik filtresi (${filter.type}: ${filter.pattern})`;
+    const Model = kind === 'post' ? Post : Comment;
+    const target =
+      kind === 'post'
+        ? { targetType: 'post', targetPost: item._id }
+        : { targetType: 'comment', targetComment: item._id };
+
+    result.action = recommendedAction;
+    result.matches = filterResult.matches.map((match) => ({
+      filterId: match.filter._id,
+      type: match.filter.type,
+      scope: match.filter.scope,
+      action: match.action,
+    }));
+
+    // save() düzenleme zamanını (editedAt) güncelleyeceği için doğrudan güncellenir
+    const update = async (fields) => {
+      await Model.updateOne({ _id: item._id }, { $set: fields });
+      Object.assign(item, fields);
+    };
+
+    const log = (action, details, extraTarget = target) =>
+      ModLog.create({
+        subreddit: subredditId,
+        moderator: filter.createdBy,
+        action,
+        ...extraTarget,
+        details,
+        reason: reason.slice(0, 500),
+        isPublic: filter.scope === 'subreddit',
+      });
+
+    switch (recommendedAction) {
+      case 'ban': {
+        // Kullanıcıyı subreddit'ten banla
+        const membership = await SubredditMembership.findOne({
+          user: item.author,
+          subreddit: subredditId,
+        });
+        const wasMember = membership && membership.status === 'member';
+
+        await SubredditMembership.findOneAndUpdate(
+          { user: item.author, subreddit: subredditId },
+          {
+            status: 'banned',
+            banReason: reason,
+            banExpiration: null,
+            bannedBy: filter.createdBy,
+            bannedAt: Date.now(),
+          },
+          { upsert: true, new: true, setDefaultsOnInsert: true },
+        );
+
+        if (wasMember) {
+          await Subreddit.updateOne(
+            { _id: subredditId, memberCount: { $gt: 0 } },
+            { $inc: { memberCount: -1 } },
+          );
+        }
+
+        await log('ban_user', "İçerik filtresi nedeniyle subreddit'ten banlandı", {
+          targetType: 'user',
+          targetUser: item.author,
+        });
+        result.banned = true;
+
+        // Banlanan kullanıcının içeriği de kaldırılır
+        await update({ isDeleted: true, deletedAt: Date.now(), deletedBy: filter.createdBy });
+        await log(`${kind}_remove`, 'İçerik filtresi tarafından kaldırıldı');
+        result.removed = true;
+        break;
+      }
+      case 'remove':
+        await update({ isDeleted: true, deletedAt: Date.now(), deletedBy: filter.createdBy });
+        await log(`${kind}_remove`, 'İçerik filtresi tarafından kaldırıldı');
+        result.removed = true;
+        break;
+      case 'require_approval':
+        await update({
+          isFiltered: true,
+          filteredAt: Date.now(),
+          filterReason: reason,
+          filterSource: 'content_filter',
+        });
+        await log(`${kind}_filter`, 'İçerik filtresi nedeniyle moderatör onayına alındı');
+        result.filtered = true;
+        break;
+      case 'flag':
+        await Report.create({
+          reporter: filter.createdBy,
+          contentType: kind,
+          [kind]: item._id,
+          subreddit: subredditId,
+          reason,
+        });
+        await log(`${kind}_report`, 'İçerik filtresi tarafından raporlandı');
+        result.reported = true;
+        break;
+    }
+  } catch (error) {
+    console.error('İçerik filtreleri uygulanamadı:', error.message);
+  }
+
+  return result;
+};
+
 module.exports = {
   createContentFilter,
   getContentFilters,
@@ -711,4 +845,5 @@ module.exports = {
   testContentFilter,
   applyContentFilters,
   filterContent, // İç kullanım için export ediyoruz
+  enforceContentFilters,
 };
@@ -6,6 +6,9 @@ const Subreddit = require('../models/Subreddit');
 const SubredditMembership = require('../models/SubredditMembership');
 const User = require('../models/User');
 const Vote = require('../models/Vote');
+const { getFollowedUserIds } = require('./followController');
+const { getPostSortOption } = require('../utils/ranking');
+const { buildSearchFilter } = require('../utils/searchQuery');
 
 /**
  * @desc    Ana feed'i getir (All)
@@ -61,27 +64,13 @@ const getMainFeed = asyncHandler(async (req, res, next) => {
     case 'top':
       sortOption = { voteScore: -1, createdAt: -1 };
       break;
+    case 'best':
     case 'controversial':
-      // Controversial için özel sıralama: yüksek toplam oy + düşük skor farkı
-      sortOption = {
-        $expr: {
-          $divide: [
-            { $abs: { $subtract: ['$upvotes', '$downvotes'] } },
-            { $add: ['$upvotes', '$downvotes', 1] }, // 0'a bölünmeyi önlemek için +1
-          ],
-        },
-        createdAt: -1,
-      };
+      sortOption = getPostSortOption(sort);
       break;
     case 'hot':
     default:
-      // Hot için özel sıralama: Wilson score confidence + zaman faktörü
-      // Basitleştirilmiş versiyon: yüksek skor + yeni içerik
-      sortOption = {
-        voteScore: -1,
-        commentCount: -1,
-        createdAt: -1,
-      };
+      sortOption = getPostSortOption('hot');
   }
 
   // Kullanıcı kimliği varsa, kişiselleştirme uygula
@@ -154,7 +143,7 @@ const getMainFeed = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Kullanıcının kişisel feed'ini getir (aboneliklere göre)
+ * @desc    Kullanıcının kişisel feed'ini getir (aboneliklere ve takip edilen kullanıcılara göre)
  * @route   GET /api/feed/home
  * @access  Private
  */
@@ -178,20 +167,35 @@ const getHomeFeed = asyncHandler(async (req, res, next) => {
   // Kullanıcının üye olduğu subreddit'leri getir
   const memberships = await SubredditMembership.find({
     user: userId,
-    type: 'member',
+    status: 'member',
   }).select('subreddit');
 
   const subscribedSubreddits = memberships.map((m) => m.subreddit);
 
-  // Eğer kullanıcı hiçbir subreddit'e üye değilse, popüler feed'i göster
-  if (subscribedSubreddits.length === 0) {
+  // Kullanıcının takip ettiği kullanıcılar
+  const followedUsers = await getFollowedUserIds(userId);
+
+  // Eğer kullanıcı hiçbir subreddit'e üye değilse ve kimseyi takip etmiyorsa, popüler feed'i göster
+  if (subscribedSubreddits.length === 0 && followedUsers.length === 0) {
     return getPopularFeed(req, res, next);
   }
 
+  // Abone olunan subreddit gönderileri + takip edilen kullanıcıların gönderileri
+  // (takip edilenlerin özel subreddit gönderileri sadece üyelik varsa gösterilir)
+  const sources = [{ subreddit: { $in: subscribedSubreddits } }];
+
+  if (followedUsers.length > 0) {
+    const privateSubreddits = await Subreddit.find({ type: 'private' }).select('_id');
+    sources.push({
+      author: { $in: followedUsers },
+      subreddit: { $nin: privateSubreddits.map((s) => s._id) },
+    });
+  }
+
   // Query oluşturma
   let query = {
     isDeleted: false,
-    subreddit: { $in: subscribedSubreddits },
+    $or: sources,
   };
 
   // NSFW içerikleri filtrele
@@ -222,24 +226,13 @@ const getHomeFeed = asyncHandler(async (req, res, next) => {
     case 'top':
       sortOption = { voteScore: -1, createdAt: -1 };
       break;
+    case 'best':
     case 'controversial':
-      sortOption = {
-        $expr: {
-          $divide: [
-            { $abs: { $subtract: ['$upvotes', '$downvotes'] } },
-            { $add: ['$upvotes', '$downvotes', 1] },
-          ],
-        },
-        createdAt: -1,
-      };
+      sortOption = getPostSortOption(sort);
       break;
     case 'hot':
     default:
-      sortOption = {
-        voteScore: -1,
-        commentCount: -1,
-        createdAt: -1,
-      };
+      sortOption = getPostSortOption('hot');
   }
 
   // Kullanıcının oylarını getir
@@ -491,25 +484,13 @@ const getSubredditFeed = asyncHandler(async (req, res, next) => {
     case 'top':
       sortOption = { voteScore: -1, createdAt: -1 };
       break;
+    case 'best':
     case 'controversial':
-      sortOption = {
-        $expr: {
-          $divide: [
-            { $abs: { $subtract: ['$upvotes', '$downvotes'] } },
-            { $add: ['$upvotes', '$downvotes', 1] },
-          ],
-        },
-        createdAt: -1,
-      };
+      sortOption = getPostSortOption(sort);
       break;
     case 'hot':
     default:
-      sortOption = {
-        isPinned: -1, // Pinned posts first
-        voteScore: -1,
-        commentCount: -1,
-        createdAt: -1,
-      };
+      sortOption = { isPinned: -1, ...getPostSortOption('hot') }; // Pinned posts first
   }
 
   // Post'ları getir
@@ -912,16 +893,9 @@ const getUserFeed = asyncHandler(async (req, res, next) => {
     case 'top':
       sortOption = { voteScore: -1, createdAt: -1 };
       break;
+    case 'best':
     case 'controversial':
-      sortOption = {
-        $expr: {
-          $divide: [
-            { $abs: { $subtract: ['$upvotes', '$downvotes'] } },
-            { $add: ['$upvotes', '$downvotes', 1] },
-          ],
-        },
-        createdAt: -1,
-      };
+      sortOption = getPostSortOption(sort);
       break;
     case 'new':
     default:
@@ -1025,10 +999,11 @@ const getSearchFeed = asyncHandler(async (req, res, next) => {
   const typeFilter = req.query.type;
   const includeNSFW = req.query.includeNSFW === 'true';
 
-  // Temel sorgu hazırla
+  // Temel sorgu hazırla (sorgu dili desteklenir; düz terimler $text ile aranır)
+  const { filter: searchFilter, isTextSearch } = await buildSearchFilter(q, 'post');
   let query = {
     isDeleted: false,
-    $text: { $search: q },
+    ...searchFilter,
   };
 
   // NSFW içerikleri filtrele
@@ -1091,13 +1066,15 @@ const getSearchFeed = asyncHandler(async (req, res, next) => {
       break;
     case 'relevance':
     default:
-      sortOption = { score: { $meta: 'textScore' }, voteScore: -1, createdAt: -1 };
+      sortOption = isTextSearch
+        ? { score: { $meta: 'textScore' }, voteScore: -1, createdAt: -1 }
+        : { voteScore: -1, createdAt: -1 };
       break;
   }
 
   // Post'ları getir
   let posts = await Post.find(query)
-    .select(sort === 'relevance' ? { score: { $meta: 'textScore' } } : '')
+    .select(isTextSearch && sort === 'relevance' ? { score: { $meta: 'textScore' } } : '')
     .sort(sortOption)
     .skip(skip)
     .limit(limit)
@@ -1242,11 +1219,7 @@ const getTagFeed = asyncHandler(async (req, res, next) => {
       break;
     case 'hot':
     default:
-      sortOption = {
-        voteScore: -1,
-        commentCount: -1,
-        createdAt: -1,
-      };
+      sortOption = getPostSortOption('hot');
   }
 
   // Post'ları getir
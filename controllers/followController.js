@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const UserSettings = require('../models/UserSettings');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+
+/**
+ * Kullanıcının takipçi ve takip edilen sayılarını getir
+ * @param {String|ObjectId} userId - Kullanıcı ID
+ * @returns {Object} { followerCount, followingCount }
+ */
+const getFollowCounts = async (userId) => {
+  const [followerCount, followingCount] = await Promise.all([
+    Follow.countDocuments({ following: userId }),
+    Follow.countDocuments({ follower: userId }),
+  ]);
+
+  return { followerCount, followingCount };
+};
+
+/**
+ * Kullanıcının takip ettiği kullanıcıların ID listesini getir
+ * @param {String|ObjectId} userId - Kullanıcı ID
+ * @returns {Array} Takip edilen kullanıcı ID'leri
+ */
+const getFollowedUserIds = async (userId) => {
+  const follows = await Follow.find({ follower: userId }).select('following');
+  return follows.map((follow) => follow.following);
+};
+
+/**
+ * Takip listelerini görüntüleme izni kontrolü (gizli profiller için)
+ * @param {Object} req - İstek nesnesi
+ * @param {String} userId - Listesi istenen kullanıcı
+ * @returns {Boolean} Görüntüleyebilir mi
+ */
+const canViewFollowLists = async (req, userId) => {
+  if (req.user && (req.user._id.toString() === userId || req.user.role === 'admin')) {
+    return true;
+  }
+
+  const settings = await UserSettings.findOne({ user: userId }).select('privacySettings');
+  return !settings || settings.privacySettings.profileVisibility !== 'private';
+};
+
+/**
+ * @desc    Kullanıcıyı takip et
+ * @route   POST /api/users/:id/follow
+ * @access  Private
+ */
+const followUser = asyncHandler(async (req, res, next) => {
+  const targetId = req.params.id;
+  const userId = req.user._id;
+
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return next(new ErrorResponse('Geçersiz kullanıcı ID formatı', 400));
+  }
+
+  if (targetId === userId.toString()) {
+    return next(new ErrorResponse('Kendinizi takip edemezsiniz', 400));
+  }
+
+  const targetUser = await User.findById(targetId);
+
+  if (!targetUser || targetUser.accountStatus !== 'active') {
+    return next(new ErrorResponse('Kullanıcı bulunamadı', 404));
+  }
+
+  // Kullanıcı takipçi kabul ediyor mu kontrol et
+  const targetSettings = await UserSettings.findOne({ user: targetId }).select('privacySettings');
+
+  if (targetSettings && targetSettings.privacySettings.allowFollowers === false) {
+    return next(new ErrorResponse('Bu kullanıcı takipçi kabul etmiyor', 403));
+  }
+
+  const existingFollow = await Follow.findOne({ follower: userId, following: targetId });
+
+  if (existingFollow) {
+    return next(new ErrorResponse('Bu kullanıcıyı zaten takip ediyorsunuz', 400));
+  }
+
+  const follow = await Follow.create({
+    follower: userId,
+    following: targetId,
+    notifyOnPost: req.body.notifyOnPost !== false,
+  });
+
+  const counts = await getFollowCounts(targetId);
+
+  res.status(201).json({
+    success: true,
+    message: `u/${targetUser.username} takip edilmeye başlandı`,
+    data: {
+      follow,
+      ...counts,
+    },
+  });
+});
+
+/**
+ * @desc    Kullanıcıyı takipten çık
+ * @route   DELETE /api/users/:id/follow
+ * @access  Private
+ */
+const unfollowUser = asyncHandler(async (req, res, next) => {
+  const targetId = req.params.id;
+  const userId = req.user._id;
+
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return next(new ErrorResponse('Geçersiz kullanıcı ID formatı', 400));
+  }
+
+  const follow = await Follow.findOneAndDelete({ follower: userId, following: targetId });
+
+  if (!follow) {
+    return next(new ErrorResponse('Bu kullanıcıyı takip etmiyorsunuz', 400));
+  }
+
+  const counts = await getFollowCounts(targetId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Kullanıcı takipten çıkarıldı',
+    data: counts,
+  });
+});
+
+/**
+ * @desc    Kullanıcının takipçilerini getir
+ * @route   GET /api/users/:id/followers
+ * @access  Public (gizli profillerde sadece kullanıcının kendisi veya admin)
+ */
+const getFollowers = asyncHandler(async (req, res, next) => {
+  const userId = req.params.id;
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 25;
+  const skip = (page - 1) * limit;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return next(new ErrorResponse('Geçersiz kullanıcı ID formatı', 400));
+  }
+
+  if (!(await canViewFollowLists(req, userId))) {
+    return next(new ErrorResponse('Bu kullanıcının takipçi listesi gizli', 403));
+  }
+
+  const total = await Follow.countDocuments({ following: userId });
+  const follows = await Follow.find({ following: userId })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('follower', 'username profilePicture karma');
+
+  res.status(200).json({
+    success: true,
+    count: follows.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    },
+    data: follows
+      .filter((follow) => follow.follower)
+      .map((follow) => ({ user: follow.follower, followedAt: follow.createdAt })),
+  });
+});
+
+/**
+ * @desc    Kullanıcının takip ettiği kullanıcıları getir
+ * @route   GET /api/users/:id/following
+ * @access  Public (gizli profillerde sadece kullanıcının kendisi veya admin)
+ */
+const getFollowing = asyncHandler(async (req, res, next) => {
+  const userId = req.params.id;
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 25;
+  const skip = (page - 1) * limit;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return next(new ErrorResponse('Geçersiz kullanıcı ID formatı', 400));
+  }
+
+  if (!(await canViewFollowLists(req, userId))) {
+    return next(new ErrorResponse('Bu kullanıcının takip listesi gizli', 403));
+  }
+
+  const total = await Follow.countDocuments({ follower: userId });
+  const follows = await Follow.find({ follower: userId })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('following', 'username profilePicture karma');
+
+  res.status(200).json({
+    success: true,
+    count: follows.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    },
+    data: follows
+      .filter((follow) => follow.following)
+      .map((follow) => ({ user: follow.following, followedAt: follow.createdAt })),
+  });
+});
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  // Yardımcı fonksiyonlar diğer kontrolcüler tarafından kullanılabilir
+  getFollowCounts,
+  getFollowedUserIds,
+};
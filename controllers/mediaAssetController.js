@@ -17,7 +17,15 @@ const storage = new Storage({
   projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
 });
 
-const bucket = storage.bucket(process.env.GOOGLE_CLOUD_BUCKET);
+// Bucket ilk kullanımda alınır; yapılandırılmamışsa uygulama açılır, sadece medya işlemleri başarısız olur
+let bucket = null;
+const getBucket = () => {
+  if (!process.env.GOOGLE_CLOUD_BUCKET) {
+    throw new ErrorResponse('Medya depolama alanı yapılandırılmamış', 503);
+  }
+  if (!bucket) bucket = storage.bucket(process.env.GOOGLE_CLOUD_BUCKET);
+  return bucket;
+};
 
 // Geçici dosya işlemleri için yardımcı fonksiyonlar
 const writeFileAsync = promisify(fs.writeFile);
@@ -103,7 +111,7 @@ const uploadMedia = asyncHandler(async (req, res, next) => {
           .toFile(thumbnailPath);
 
         // Thumbnail'ı yükle
-        const thumbnailFile = bucket.file(`thumbnails/${thumbnailFilename}`);
+        const thumbnailFile = getBucket().file(`thumbnails/${thumbnailFilename}`);
         await thumbnailFile.save(fs.readFileSync(thumbnailPath), {
           contentType: 'image/jpeg',
           metadata: {
@@ -162,7 +170,7 @@ const uploadMedia = asyncHandler(async (req, res, next) => {
 
       // Thumbnail'ı yükle
       if (fs.existsSync(thumbnailPath)) {
-        const thumbnailFile = bucket.file(`thumbnails/${thumbnailFilename}`);
+        const thumbnailFile = getBucket().file(`thumbnails/${thumbnailFilename}`);
         await thumbnailFile.save(fs.readFileSync(thumbnailPath), {
           contentType: 'image/jpeg',
           metadata: {
@@ -183,7 +191,7 @@ const uploadMedia = asyncHandler(async (req, res, next) => {
 
     // Google Cloud Storage'a dosyayı yükle
     const destFilename = `uploads/${fileType}s/${finalFilename}`;
-    const cloudFile = bucket.file(destFilename);
+    const cloudFile = getBucket().file(destFilename);
 
     await cloudFile.save(fs.readFileSync(tempFilePath), {
       contentType: file.mimetype,
@@ -401,7 +409,7 @@ const deleteMediaAsset = asyncHandler(async (req, res, next) => {
     const fileType = mediaAsset.type;
     const filePath = `uploads/${fileType}s/${fileName}`;
 
-    await bucket.file(filePath).delete();
+    await getBucket().file(filePath).delete();
 
     // Thumbnail varsa onu da sil
     if (mediaAsset.thumbnailUrl) {
@@ -409,7 +417,7 @@ const deleteMediaAsset = asyncHandler(async (req, res, next) => {
       const thumbnailName = thumbnailUrlParts[thumbnailUrlParts.length - 1];
       const thumbnailPath = `thumbnails/${thumbnailName}`;
 
-      await bucket.file(thumbnailPath).delete();
+      await getBucket().file(thumbnailPath).delete();
     }
 
     // DB'den medya kaydını sil
@@ -624,7 +632,7 @@ const cleanupUnusedMedia = asyncHandler(async () => {
       const fileType = media.type;
       const filePath = `uploads/${fileType}s/${fileName}`;
 
-      await bucket.file(filePath).delete();
+      await getBucket().file(filePath).delete();
 
       // Thumbnail varsa onu da sil
       if (media.thumbnailUrl) {
@@ -632,7 +640,7 @@ const cleanupUnusedMedia = asyncHandler(async () => {
         const thumbnailName = thumbnailUrlParts[thumbnailUrlParts.length - 1];
         const thumbnailPath = `thumbnails/${thumbnailName}`;
 
-        await bucket.file(thumbnailPath).delete();
+        await getBucket().file(thumbnailPath).delete();
       }
 
       // DB'den medya kaydını sil
@@ -0,0 +1,504 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const Subreddit = require('../models/Subreddit');
+const ModLog = require('../models/ModLog');
+const mongoose = require('mongoose');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { isModeratorOf, getModeratedSubredditIds } = require('../utils/roleHelpers');
+const { createFollowedUserPostNotifications } = require('./notificationController');
+const { notifySavedSearchMatches } = require('../utils/savedSearchAlerts');
+
+const QUEUE_REASONS = ['reported', 'filtered', 'unapproved'];
+const QUEUE_ACTIONS = ['approve', 'remove', 'ignore'];
+const MAX_BULK_ITEMS = 100;
+
+/**
+ * Gönderi veya yorumun kuyruktaki bekleme sebebini belirle
+ * @param {Object} item - Gönderi veya yorum
+ * @returns {String} 'filtered' veya 'unapproved'
+ */
+const getHoldReason = (item) =>
+  item.filterSource === 'manual_approval' ? 'unapproved' : 'filtered';
+
+/**
+ * Verilen subredditler için raporlanan, filtrelenen ve onay bekleyen içerikleri birleştir
+ * @param {Array|null} subredditIds - Subreddit ID'leri (null ise tüm site)
+ * @param {Object} filters - { type: 'post'|'comment', reason }
+ * @returns {Promise<Array>} Kuyruk öğeleri (en yeni önce)
+ */
+const buildModQueue = async (subredditIds, { type, reason } = {}) => {
+  const subredditMatch = subredditIds ? { $in: subredditIds } : { $exists: true };
+  const queue = new Map();
+
+  const addEntry = (itemType, item, subreddit, entryReason, queuedAt) => {
+    const key = `${itemType}:${item._id}`;
+
+    if (!queue.has(key)) {
+      queue.set(key, {
+        itemType,
+        item,
+        subreddit,
+        reasons: [],
+        reports: [],
+        queuedAt,
+      });
+    }
+
+    const entry = queue.get(key);
+    if (!entry.reasons.includes(entryReason)) entry.reasons.push(entryReason);
+    if (queuedAt > entry.queuedAt) entry.queuedAt = queuedAt;
+
+    return entry;
+  };
+
+  // Bekleyen raporlar
+  if (!reason || reason === 'reported') {
+    const reportQuery = {
+      status: 'pending',
+      subreddit: subredditMatch,
+      contentType: type ? type : { $in: ['post', 'comment'] },
+    };
+
+    const reports = await Report.find(reportQuery)
+      .sort({ createdAt: -1 })
+      .populate('reporter', 'username')
+      .populate('subredditRule', 'title');
+
+    // Onay bekleyen gönderiler de raporlanabilir; isFiltered koşulu açıkça verilir
+    const [posts, comments] = await Promise.all([
+      Post.find({
+        _id: { $in: reports.map((report) => report.post).filter(Boolean) },
+        isFiltered: { $in: [true, false, null] },
+      })
+        .select(
+          'title type author subreddit voteScore commentCount isLocked isFiltered filterReason filterSource createdAt',
+        )
+        .populate('author', 'username'),
+      Comment.find({
+        _id: { $in: reports.map((report) => report.comment).filter(Boolean) },
+        isFiltered: { $in: [true, false, null] },
+      })
+        .select(
+          'content author post isLocked isDeleted isFiltered filterReason filterSource createdAt',
+        )
+        .populate('author', 'username'),
+    ]);
+
+    const items = new Map([...posts, ...comments].map((item) => [item._id.toString(), item]));
+
+    reports.forEach((report) => {
+      const item = items.get(String(report[report.contentType]));
+
+      // Silinmiş içeriklerin raporları kuyrukta gösterilmez
+      if (!item || item.isDeleted) return;
+
+      const entry = addEntry(
+        report.contentType,
+        item,
+        report.subreddit,
+        'reported',
+        report.createdAt,
+      );
+
+      entry.reports.push({
+        _id: report._id,
+        reason: report.reason,
+        rule: report.subredditRule,
+        reporter: report.reporter,
+        createdAt: report.createdAt,
+      });
+    });
+  }
+
+  // Filtre veya manuel onay nedeniyle bekletilen gönderiler
+  if (reason !== 'reported' && type !== 'comment') {
+    const posts = await Post.find({
+      subreddit: subredditMatch,
+      isFiltered: true,
+      isDeleted: false,
+    })
+      .sort({ filteredAt: -1 })
+      .populate('author', 'username');
+
+    posts.forEach((post) => {
+      const holdReason = getHoldReason(post);
+      if (reason && reason !== holdReason) return;
+      addEntry('post', post, post.subreddit, holdReason, post.filteredAt || post.createdAt);
+    });
+  }
+
+  // Filtre nedeniyle bekletilen yorumlar; yorumda subreddit alanı olmadığından sorgu
+  // moderatörün subredditlerindeki gönderilerle sınırlanır
+  if ((!reason || reason === 'filtered') && type !== 'post') {
+    const commentQuery = { isFiltered: true, isDeleted: false };
+    if (subredditIds) {
+      commentQuery.post = { $in: await Post.distinct('_id', { subreddit: { $in: subredditIds } }) };
+    }
+
+    const comments = await Comment.find(commentQuery)
+      .sort({ filteredAt: -1 })
+      .populate('author', 'username')
+      .populate('post', 'title subreddit');
+
+    comments
+      .filter((comment) => comment.post)
+      .forEach((comment) => {
+        addEntry(
+          'comment',
+          comment,
+          comment.post.subreddit,
+          'filtered',
+          comment.filteredAt || comment.createdAt,
+        );
+      });
+  }
+
+  return [...queue.values()]
+    .map((entry) => ({
+      ...entry,
+      reportCount: entry.reports.length,
+      filterReason: entry.item.filterReason,
+      filterSource: entry.item.filterSource,
+    }))
+    .sort((a, b) => b.queuedAt - a.queuedAt);
+};
+
+/**
+ * Kuyruk sorgusunun filtre parametrelerini doğrula
+ * @param {Object} query - İstek sorgusu
+ * @returns {Object|String} Filtreler veya hata mesajı
+ */
+const parseQueueFilters = (query) => {
+  const { type, reason } = query;
+
+  if (type && !['post', 'comment'].includes(type)) {
+    return 'Geçersiz içerik türü. "post" veya "comment" olmalıdır';
+  }
+
+  if (reason && !QUEUE_REASONS.includes(reason)) {
+    return `Geçersiz kuyruk sebebi. Geçerli değerler: ${QUEUE_REASONS.join(', ')}`;
+  }
+
+  return { type, reason };
+};
+
+/**
+ * Kuyruğu sayfalayarak yanıt döndür
+ * @param {Object} req - İstek nesnesi
+ * @param {Object} res - Yanıt nesnesi
+ * @param {Array} queue - Kuyruk öğeleri
+ * @param {Object} extra - Yanıta eklenecek ek alanlar
+ */
+const sendPaginatedQueue = (req, res, queue, extra = {}) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+  const startIndex = (page - 1) * limit;
+  const total = queue.length;
+
+  const pagination = {
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalDocs: total,
+  };
+
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: Math.max(0, Math.min(limit, total - startIndex)),
+    pagination,
+    ...extra,
+    data: queue.slice(startIndex, startIndex + limit),
+  });
+};
+
+/**
+ * @desc    Subreddit moderasyon kuyruğunu getir (raporlar, filtrelenen ve onay bekleyen içerikler)
+ * @route   GET /api/subreddits/:subredditId/modqueue
+ * @access  Private (Moderatör/Admin)
+ */
+const getSubredditModQueue = asyncHandler(async (req, res, next) => {
+  const { subredditId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(subredditId)) {
+    return next(new ErrorResponse('Geçersiz subreddit ID formatı', 400));
+  }
+
+  const subreddit = await Subreddit.findById(subredditId).select('name');
+  if (!subreddit) {
+    return next(new ErrorResponse('Subreddit bulunamadı', 404));
+  }
+
+  if (!(await isModeratorOf(req.user._id, subredditId))) {
+    return next(new ErrorResponse('Bu subreddit mod kuyruğunu görüntüleme yetkiniz yok', 403));
+  }
+
+  const filters = parseQueueFilters(req.query);
+  if (typeof filters === 'string') {
+    return next(new ErrorResponse(filters, 400));
+  }
+
+  const queue = await buildModQueue([subreddit._id], filters);
+
+  sendPaginatedQueue(req, res, queue);
+});
+
+/**
+ * @desc    Moderatörü olunan tüm (veya seçilen) subredditlerin birleşik mod kuyruğunu getir
+ * @route   GET /api/moderation/queue
+ * @access  Private (Moderatör/Admin)
+ */
+const getMultiModQueue = asyncHandler(async (req, res, next) => {
+  const isAdmin = req.user.role === 'admin';
+  const requested = req.query.subreddits
+    ? req.query.subreddits.split(',').map((id) => id.trim())
+    : [];
+
+  if (requested.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return next(new ErrorResponse('Geçersiz subreddit ID formatı', 400));
+  }
+
+  const filters = parseQueueFilters(req.query);
+  if (typeof filters === 'string') {
+    return next(new ErrorResponse(filters, 400));
+  }
+
+  let subredditIds;
+
+  if (isAdmin) {
+    // Admin belirli subredditler seçmediyse tüm site kuyruğunu görür
+    subredditIds = requested.length > 0 ? requested : null;
+  } else {
+    const moderated = (await getModeratedSubredditIds(req.user._id)).map((id) => id.toString());
+
+    if (moderated.length === 0) {
+      return next(new ErrorResponse('Moderatörü olduğunuz bir subreddit bulunmuyor', 403));
+    }
+
+    if (requested.some((id) => !moderated.includes(id))) {
+      return next(
+        new ErrorResponse('Bazı subredditlerin mod kuyruğunu görüntüleme yetkiniz yok', 403),
+      );
+    }
+
+    subredditIds = requested.length > 0 ? requested : moderated;
+  }
+
+  const queue = await buildModQueue(
+    subredditIds && subredditIds.map((id) => new mongoose.Types.ObjectId(id)),
+    filters,
+  );
+
+  // Subreddit bazında özet sayılar
+  const summary = {};
+  queue.forEach((entry) => {
+    const key = entry.subreddit.toString();
+    summary[key] = (summary[key] || 0) + 1;
+  });
+
+  const subreddits = await Subreddit.find({ _id: { $in: Object.keys(summary) } }).select(
+    'name icon',
+  );
+
+  sendPaginatedQueue(req, res, queue, {
+    subreddits: subreddits.map((subreddit) => ({
+      _id: subreddit._id,
+      name: subreddit.name,
+      icon: subreddit.icon,
+      queueCount: summary[subreddit._id.toString()],
+    })),
+  });
+});
+
+/**
+ * Kuyruk öğesine ait içeriği ve subreddit'ini getir
+ * @param {Object} target - { type, id }
+ * @returns {Promise<Object|null>} { item, subredditId, Model }
+ */
+const loadQueueItem = async ({ type, id }) => {
+  if (type === 'post') {
+    const post = await Post.findById(id);
+    return post && { item: post, subredditId: post.subreddit, Model: Post };
+  }
+
+  const comment = await Comment.findById(id);
+  if (!comment) return null;
+
+  const post = await Post.findById(comment.post).select('subreddit');
+  return post && { item: comment, subredditId: post.subreddit, Model: Comment };
+};
+
+/**
+ * @desc    Mod kuyruğundaki öğeler için toplu onayla/kaldır/yoksay işlemi
+ * @route   POST /api/moderation/queue/actions
+ * @route   POST /api/subreddits/:subredditId/modqueue/actions
+ * @access  Private (Moderatör/Admin)
+ */
+const bulkModQueueAction = asyncHandler(async (req, res, next) => {
+  const { items, action, reason } = req.body;
+  const { subredditId } = req.params;
+  const moderatorId = req.user._id;
+
+  if (!QUEUE_ACTIONS.includes(action)) {
+    return next(
+      new ErrorResponse(`Geçersiz işlem. Geçerli değerler: ${QUEUE_ACTIONS.join(', ')}`, 400),
+    );
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return next(new ErrorResponse('En az bir kuyruk öğesi gereklidir', 400));
+  }
+
+  if (items.length > MAX_BULK_ITEMS) {
+    return next(new ErrorResponse(`Tek seferde en fazla ${MAX_BULK_ITEMS} öğe işlenebilir`, 400));
+  }
+
+  const invalid = items.some(
+    (target) =>
+      !target ||
+      !['post', 'comment'].includes(target.type) ||
+      !mongoose.Types.ObjectId.isValid(target.id),
+  );
+
+  if (invalid) {
+    return next(
+      new ErrorResponse('Her öğe geçerli bir "type" (post/comment) ve "id" içermelidir', 400),
+    );
+  }
+
+  if (subredditId && !mongoose.Types.ObjectId.isValid(subredditId)) {
+    return next(new ErrorResponse('Geçersiz subreddit ID formatı', 400));
+  }
+
+  // Öğeleri yükle ve her subreddit için yetkiyi bir kez kontrol et
+  const permissionCache = new Map();
+  const loaded = [];
+
+  for (const target of items) {
+    const queueItem = await loadQueueItem(target);
+
+    if (!queueItem) {
+      return next(new ErrorResponse(`${target.type} bulunamadı: ${target.id}`, 404));
+    }
+
+    const key = queueItem.subredditId.toString();
+
+    if (subredditId && key !== subredditId) {
+      return next(new ErrorResponse(`${target.id} bu subreddit'e ait değil`, 400));
+    }
+
+    if (!permissionCache.has(key)) {
+      permissionCache.set(key, await isModeratorOf(moderatorId, queueItem.subredditId));
+    }
+
+    if (!permissionCache.get(key)) {
+      return next(new ErrorResponse('Bazı öğeler için moderasyon yetkiniz yok', 403));
+    }
+
+    loaded.push({ ...queueItem, type: target.type });
+  }
+
+  const results = [];
+
+  for (const { item, subredditId: itemSubredditId, Model, type } of loaded) {
+    const wasHeld = item.isFiltered;
+    const heldBy = item.filterSource;
+    const updates = {};
+
+    if (action === 'approve') {
+      updates.$set = { isFiltered: false };
+      updates.$unset = { filteredAt: '', filterReason: '', filterSource: '' };
+    } else if (action === 'remove') {
+      updates.$set = {
+        isDeleted: true,
+        deletedAt: Date.now(),
+        deletedBy: moderatorId,
+        isFiltered: false,
+      };
+    }
+
+    // save() düzenleme zamanını (editedAt) güncelleyeceği için doğrudan güncellenir
+    if (updates.$set) {
+      await Model.updateOne({ _id: item._id }, updates);
+    }
+
+    // Orijinalin crosspost sayısı yalnızca görünür crosspost'ları kapsar
+    if (type === 'post' && item.crosspostParent) {
+      if (action === 'approve' && wasHeld) {
+        await Post.updateOne({ _id: item.crosspostParent }, { $inc: { crosspostCount: 1 } });
+      } else if (action === 'remove' && !wasHeld) {
+        await Post.updateOne(
+          { _id: item.crosspostParent, crosspostCount: { $gt: 0 } },
+          { $inc: { crosspostCount: -1 } },
+        );
+      }
+    }
+
+    // Bağlı bekleyen raporları kapat
+    const reportUpdate = await Report.updateMany(
+      { [type]: item._id, status: 'pending' },
+      {
+        status: action === 'remove' ? 'approved' : 'rejected',
+        actionTaken: action === 'remove' ? 'removed' : 'none',
+        actionDetails: reason || undefined,
+        handledBy: moderatorId,
+        handledAt: Date.now(),
+      },
+    );
+
+    const logAction = {
+      approve: `${type}_approve`,
+      remove: `${type}_remove`,
+      ignore: 'other',
+    }[action];
+
+    await ModLog.create({
+      subreddit: itemSubredditId,
+      moderator: moderatorId,
+      action: logAction,
+      targetType: type,
+      [type === 'post' ? 'targetPost' : 'targetComment']: item._id,
+      details:
+        action === 'ignore'
+          ? `Mod kuyruğu: ${reportUpdate.modifiedCount} rapor yok sayıldı`
+          : `Mod kuyruğu: içerik ${action === 'approve' ? 'onaylandı' : 'kaldırıldı'}, ${reportUpdate.modifiedCount} rapor kapatıldı`,
+      reason: reason || undefined,
+    });
+
+    // Onaylanan bekletilmiş gönderiler için takipçilere ve eşleşen kayıtlı aramalara bildirim gönder
+    if (action === 'approve' && type === 'post' && wasHeld) {
+      await createFollowedUserPostNotifications(item);
+      await notifySavedSearchMatches(item);
+    }
+
+    results.push({
+      type,
+      id: item._id,
+      action,
+      wasHeld,
+      heldBy,
+      reportsClosed: reportUpdate.modifiedCount,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${results.length} öğe işlendi`,
+    data: results,
+  });
+});
+
+module.exports = {
+  getSubredditModQueue,
+  getMultiModQueue,
+  bulkModQueueAction,
+};
@@ -4,9 +4,32 @@ const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const Subreddit = require('../models/Subreddit');
 const ChatMessage = require('../models/ChatMessage');
+const Follow = require('../models/Follow');
+const SubredditMembership = require('../models/SubredditMembership');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const mongoose = require('mongoose');
+const UserSettings = require('../models/UserSettings');
+const {
+  verifyUnsubscribeToken,
+  getUnsubscribeUpdate,
+  renderUnsubscribePage,
+} = require('../utils/notificationEmail');
+const { sendPushNotifications } = require('../utils/webPush');
+const { publishNotifications, publishUnreadCounts } = require('../utils/notificationStream');
+
+// Olumlu oy bildirimleri yalnızca bu eşiklere ulaşıldığında oluşturulur
+const UPVOTE_MILESTONES = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000];
+
+// Alıcı başına saatlik yeni bildirim sınırı (mevcut gruba ekleme sınıra dahil değildir)
+const HOURLY_NOTIFICATION_CAPS = {
+  post_upvote: 20,
+  comment_upvote: 20,
+  comment_reply: 30,
+};
+
+// Gruplanan bildirimde saklanan son kullanıcı sayısı
+const MAX_GROUP_ACTORS = 5;
 
 /**
  * @desc    Kullanıcı bildirimlerini getir
@@ -42,6 +65,8 @@ const getUserNotifications = asyncHandler(async (req, res, next) => {
       'subreddit_ban',
       'subreddit_invite',
       'message',
+      'followed_user_post',
+      'saved_search',
       'system',
     ].includes(type)
   ) {
@@ -242,6 +267,9 @@ const markAsRead = asyncHandler(async (req, res, next) => {
   notification.readAt = Date.now();
   await notification.save();
 
+  // Kullanıcının diğer açık oturumlarındaki sayaçları güncelle
+  publishUnreadCounts(userId, 'notificationRead', { notificationId: notification._id });
+
   res.status(200).json({
     success: true,
     message: 'Bildirim okundu olarak işaretlendi',
@@ -278,6 +306,8 @@ const markAllAsRead = asyncHandler(async (req, res, next) => {
       'subreddit_ban',
       'subreddit_invite',
       'message',
+      'followed_user_post',
+      'saved_search',
       'system',
     ].includes(type)
   ) {
@@ -292,10 +322,15 @@ const markAllAsRead = asyncHandler(async (req, res, next) => {
     },
   });
 
+  publishUnreadCounts(userId, 'notificationsReadAll', {
+    type: query.type || null,
+    count: result.modifiedCount,
+  });
+
   res.status(200).json({
     success: true,
-    message: `${result.nModified} bildirim okundu olarak işaretlendi`,
-    count: result.nModified,
+    message: `${result.modifiedCount} bildirim okundu olarak işaretlendi`,
+    count: result.modifiedCount,
   });
 });
 
@@ -326,7 +361,11 @@ const deleteNotification = asyncHandler(async (req, res, next) => {
   }
 
   // Bildirimi sil
-  await notification.remove();
+  await notification.deleteOne();
+
+  if (!notification.read) {
+    publishUnreadCounts(notification.recipient);
+  }
 
   res.status(200).json({
     success: true,
@@ -361,6 +400,8 @@ const deleteAllNotifications = asyncHandler(async (req, res, next) => {
       'subreddit_ban',
       'subreddit_invite',
       'message',
+      'followed_user_post',
+      'saved_search',
       'system',
     ].includes(type)
   ) {
@@ -375,6 +416,8 @@ const deleteAllNotifications = asyncHandler(async (req, res, next) => {
   // Tüm bildirimleri sil
   const result = await Notification.deleteMany(query);
 
+  publishUnreadCounts(userId);
+
   res.status(200).json({
     success: true,
     message: `${result.deletedCount} bildirim başarıyla silindi`,
@@ -383,47 +426,132 @@ const deleteAllNotifications = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Bildirim sayılarını getir
+ * @desc    Bildirim sayılarını getir (canlı güncellemeler socket üzerinden gelir)
  * @route   GET /api/notifications/counts
  * @access  Private
  */
 const getNotificationCounts = asyncHandler(async (req, res, next) => {
-  const userId = req.user._id;
+  // Toplam ve tip bazında okunmamış bildirim sayıları (canlı akışla aynı format)
+  const counts = await Notification.getUnreadCounts(req.user._id);
 
-  // Okunmamış bildirim sayısı
-  const unreadCount = await Notification.countDocuments({
-    recipient: userId,
-    read: false,
+  res.status(200).json({
+    success: true,
+    data: counts,
   });
+});
 
-  // Tip bazında okunmamış bildirim sayıları
-  const typeCounts = await Notification.aggregate([
-    {
-      $match: { recipient: mongoose.Types.ObjectId(userId), read: false },
-    },
-    {
-      $group: {
-        _id: '$type',
-        count: { $sum: 1 },
-      },
-    },
-  ]);
+/**
+ * @desc    E-posta aboneliğinden çıkma onay sayfasını göster (durum değiştirmez)
+ * @route   GET /api/notifications/email/unsubscribe
+ * @access  Public
+ */
+const confirmUnsubscribeEmail = asyncHandler(async (req, res, next) => {
+  const { token } = req.query;
+  const payload = verifyUnsubscribeToken(token);
 
-  // Sonuçları formatlı şekilde hazırla
-  const formattedTypeCounts = {};
-  typeCounts.forEach((item) => {
-    formattedTypeCounts[item._id] = item.count;
-  });
+  if (!payload || !mongoose.Types.ObjectId.isValid(payload.userId)) {
+    return next(new ErrorResponse('Geçersiz veya bozuk abonelik iptal bağlantısı', 400));
+  }
+
+  res.status(200).type('html').send(renderUnsubscribePage(token, payload.category));
+});
+
+/**
+ * @desc    İmzalı bağlantı ile bir e-posta bildirim kategorisinden (veya tümünden) çık
+ * @route   POST /api/notifications/email/unsubscribe
+ * @access  Public
+ */
+const unsubscribeEmail = asyncHandler(async (req, res, next) => {
+  const token = req.query.token || (req.body && req.body.token);
+  const payload = verifyUnsubscribeToken(token);
+
+  if (!payload || !mongoose.Types.ObjectId.isValid(payload.userId)) {
+    return next(new ErrorResponse('Geçersiz veya bozuk abonelik iptal bağlantısı', 400));
+  }
+
+  await UserSettings.findOneAndUpdate(
+    { user: payload.userId },
+    { $set: getUnsubscribeUpdate(payload.category) },
+    { upsert: true, setDefaultsOnInsert: true },
+  );
 
   res.status(200).json({
     success: true,
-    data: {
-      total: unreadCount,
-      byType: formattedTypeCounts,
-    },
+    data: { category: payload.category },
+    message: 'E-posta bildirimlerinden çıkıldı',
   });
 });
 
+/**
+ * Oy sayısının ulaştığı en yüksek eşiği döndür
+ * @param   {Number} count Olumlu oy sayısı
+ * @returns {Number} Eşik (hiçbirine ulaşılmadıysa 0)
+ * @private
+ */
+const getReachedMilestone = (count) =>
+  UPVOTE_MILESTONES.reduce((reached, milestone) => (count >= milestone ? milestone : reached), 0);
+
+/**
+ * Alıcı son bir saatte bu tipte sınır kadar bildirim aldı mı
+ * @param   {ObjectId} recipient Alıcı
+ * @param   {String} type Bildirim tipi
+ * @returns {Promise<Boolean>}
+ * @private
+ */
+const isOverHourlyCap = async (recipient, type) => {
+  const cap = HOURLY_NOTIFICATION_CAPS[type];
+  if (!cap) return false;
+
+  const count = await Notification.countDocuments({
+    recipient,
+    type,
+    createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) },
+  });
+
+  return count >= cap;
+};
+
+/**
+ * Aynı hedefe ait okunmamış bildirime ekle veya yeni gruplanmış bildirim oluştur.
+ * Güncellenen grup listede en üste çıkar ve canlı akışa yeniden gönderilir.
+ * @param   {String} groupKey Grup anahtarı (tip:hedefId)
+ * @param   {Object} fields Bildirim alanları; title sayıyı alan bir fonksiyondur
+ * @returns {Promise<Object|null>} { notification, created } veya sınır aşıldıysa null
+ * @private
+ */
+const upsertGroupedNotification = async (groupKey, { title, ...fields }) => {
+  const grouped = await Notification.findOneAndUpdate(
+    { recipient: fields.recipient, groupKey, read: false },
+    {
+      $inc: { aggregateCount: 1 },
+      $push: { actors: { $each: [fields.sender], $slice: -MAX_GROUP_ACTORS } },
+    },
+    { new: true },
+  );
+
+  if (grouped) {
+    grouped.set({ ...fields, title: title(grouped.aggregateCount), createdAt: Date.now() });
+    await grouped.save();
+    publishNotifications([grouped]);
+
+    return { notification: grouped, created: false };
+  }
+
+  if (await isOverHourlyCap(fields.recipient, fields.type)) {
+    return null;
+  }
+
+  const notification = await Notification.create({
+    ...fields,
+    title: title(1),
+    groupKey,
+    aggregateCount: 1,
+    actors: [fields.sender],
+  });
+
+  return { notification, created: true };
+};
+
 /**
  * @desc    Sistem bildirimleri oluştur (yardımcı fonksiyon)
  * @param   {Object} options Bildirim oluşturma seçenekleri
@@ -501,6 +629,9 @@ const createMentionNotifications = async (text, options) => {
     notifications.push(notification);
   }
 
+  // Kayıtlı cihazlara push gönder (yanıtı bekletmez)
+  sendPushNotifications(notifications);
+
   return notifications;
 };
 
@@ -539,20 +670,28 @@ const createCommentNotifications = async (comment) => {
         parentComment.author &&
         parentComment.author._id.toString() !== comment.author.toString()
       ) {
-        const notification = await Notification.create({
+        // Aynı yoruma gelen yanıtlar tek bildirimde toplanır ("12 yeni yanıt")
+        const result = await upsertGroupedNotification(`comment_reply:${parentComment._id}`, {
           recipient: parentComment.author._id,
           sender: comment.author,
           type: 'comment_reply',
-          title: `Yorumunuza yanıt geldi`,
+          title: (count) =>
+            count > 1 ? `Yorumunuza ${count} yeni yanıt geldi` : 'Yorumunuza yanıt geldi',
           content: comment.content.substring(0, 100) + (comment.content.length > 100 ? '...' : ''),
           relatedPost: post._id,
           relatedComment: comment._id,
         });
 
-        notifications.push(notification);
+        // Push yalnızca grubun ilk bildiriminde gönderilir
+        if (result && result.created) {
+          notifications.push(result.notification);
+        }
       }
     }
 
+    // Yanıt bildirimlerini push ile ilet (mention'lar kendi push'unu gönderir)
+    sendPushNotifications([...notifications]);
+
     // 3. Yorum içindeki mention'lar için bildirimler
     const mentionNotifications = await createMentionNotifications(comment.content, {
       sender: comment.author,
@@ -573,49 +712,68 @@ const createCommentNotifications = async (comment) => {
 };
 
 /**
- * @desc    Upvote bildirimleri oluştur (yardımcı fonksiyon)
+ * @desc    Upvote bildirimleri oluştur (yardımcı fonksiyon). Her oy için değil, oy sayısı
+ *          bir eşiğe ulaştığında gönderi/yorum başına tek gruplanmış bildirim üretilir.
  * @param   {String} type Upvote tipi ('post' veya 'comment')
  * @param   {Object} data Upvote verileri
  * @private
  */
 const createUpvoteNotification = async (type, data) => {
   try {
-    // Post upvote bildirimi
-    if (type === 'post' && data.post) {
-      const post = await Post.findById(data.post).populate('author', 'username');
+    let target, fields;
 
-      // Kendi gönderisini upvote'layanları atla
-      if (post && post.author && post.author._id.toString() !== data.user.toString()) {
-        return await Notification.create({
-          recipient: post.author._id,
-          sender: data.user,
-          type: 'post_upvote',
-          title: `Gönderiniz beğenildi`,
-          content: `"${post.title.substring(0, 50) + (post.title.length > 50 ? '...' : '')}" başlıklı gönderiniz beğenildi`,
-          relatedPost: post._id,
-        });
-      }
+    if (type === 'post' && data.post) {
+      target = await Post.findById(data.post).select('title author subreddit upvotes');
+      fields = target && {
+        type: 'post_upvote',
+        title: (milestone) =>
+          milestone > 1 ? `Gönderiniz ${milestone} olumlu oya ulaştı` : 'Gönderiniz beğenildi',
+        content: `"${target.title.substring(0, 50) + (target.title.length > 50 ? '...' : '')}" başlıklı gönderiniz`,
+        relatedPost: target._id,
+        relatedSubreddit: target.subreddit,
+      };
     }
 
-    // Comment upvote bildirimi
     if (type === 'comment' && data.comment) {
-      const comment = await Comment.findById(data.comment).populate('author', 'username');
+      target = await Comment.findById(data.comment).select('content author post upvotes');
+      fields = target && {
+        type: 'comment_upvote',
+        title: (milestone) =>
+          milestone > 1 ? `Yorumunuz ${milestone} olumlu oya ulaştı` : 'Yorumunuz beğenildi',
+        content: target.content.substring(0, 50) + (target.content.length > 50 ? '...' : ''),
+        relatedComment: target._id,
+        relatedPost: target.post,
+      };
+    }
 
-      // Kendi yorumunu upvote'layanları atla
-      if (comment && comment.author && comment.author._id.toString() !== data.user.toString()) {
-        return await Notification.create({
-          recipient: comment.author._id,
-          sender: data.user,
-          type: 'comment_upvote',
-          title: `Yorumunuz beğenildi`,
-          content: comment.content.substring(0, 50) + (comment.content.length > 50 ? '...' : ''),
-          relatedComment: comment._id,
-          relatedPost: comment.post,
-        });
-      }
+    // Hedef yoksa veya kendi içeriğini upvote'ladıysa atla
+    if (!target || !target.author || target.author.toString() === data.user.toString()) {
+      return null;
     }
 
-    return null;
+    const milestone = getReachedMilestone(target.upvotes);
+    if (!milestone) return null;
+
+    // Bu eşik (veya daha yükseği) için daha önce bildirim gönderildiyse tekrar gönderme
+    const groupKey = `${fields.type}:${target._id}`;
+    const notified = await Notification.findOne({
+      recipient: target.author,
+      groupKey,
+      milestone: { $gte: milestone },
+    }).select('_id');
+
+    if (notified) return null;
+
+    const { title, ...rest } = fields;
+    const result = await upsertGroupedNotification(groupKey, {
+      ...rest,
+      recipient: target.author,
+      sender: data.user,
+      milestone,
+      title: () => title(milestone),
+    });
+
+    return result ? result.notification : null;
   } catch (error) {
     console.error('Upvote bildirimi oluşturma hatası:', error);
     return null;
@@ -805,7 +963,7 @@ const createMessageNotification = async (message) => {
 
     const sender = await User.findById(message.sender);
 
-    return await Notification.create({
+    const notification = await Notification.create({
       recipient: message.recipient,
       sender: message.sender,
       type: 'message',
@@ -813,12 +971,64 @@ const createMessageNotification = async (message) => {
       content: message.content.substring(0, 100) + (message.content.length > 100 ? '...' : ''),
       relatedMessage: message._id,
     });
+
+    sendPushNotifications(notification);
+
+    return notification;
   } catch (error) {
     console.error('Mesaj bildirimi oluşturma hatası:', error);
     return null;
   }
 };
 
+/**
+ * @desc    Takip edilen kullanıcının yeni gönderisi için takipçilere bildirim oluştur (yardımcı fonksiyon)
+ * @param   {Object} post Gönderi objesi
+ * @private
+ */
+const createFollowedUserPostNotifications = async (post) => {
+  try {
+    const follows = await Follow.find({ following: post.author, notifyOnPost: true }).select(
+      'follower',
+    );
+
+    if (follows.length === 0) {
+      return [];
+    }
+
+    let followerIds = follows.map((follow) => follow.follower);
+
+    // Özel subreddit gönderileri sadece üye olan takipçilere bildirilir
+    const subreddit = await Subreddit.findById(post.subreddit).select('name type');
+    if (subreddit && subreddit.type === 'private') {
+      const memberships = await SubredditMembership.find({
+        subreddit: subreddit._id,
+        user: { $in: followerIds },
+        status: 'member',
+      }).select('user');
+      followerIds = memberships.map((membership) => membership.user);
+    }
+
+    const author = await User.findById(post.author).select('username');
+    const authorName = author ? author.username : 'Takip ettiğiniz bir kullanıcı';
+
+    return await Notification.insertMany(
+      followerIds.map((followerId) => ({
+        recipient: followerId,
+        sender: post.author,
+        type: 'followed_user_post',
+        title: `u/${authorName} yeni bir gönderi paylaştı`.substring(0, 100),
+        content: post.title.substring(0, 100) + (post.title.length > 100 ? '...' : ''),
+        relatedPost: post._id,
+        relatedSubreddit: post.subreddit,
+      })),
+    );
+  } catch (error) {
+    console.error('Takip bildirimi oluşturma hatası:', error);
+    return [];
+  }
+};
+
 module.exports = {
   getUserNotifications,
   getNotification,
@@ -828,6 +1038,8 @@ module.exports = {
   deleteNotification,
   deleteAllNotifications,
   getNotificationCounts,
+  confirmUnsubscribeEmail,
+  unsubscribeEmail,
   // Yardımcı fonksiyonlar diğer kontrolcüler tarafından kullanılabilir
   createSystemNotification,
   createCommentNotifications,
@@ -837,4 +1049,5 @@ module.exports = {
   createModActionNotification,
   createSubredditInviteNotification,
   createMessageNotification,
+  createFollowedUserPostNotifications,
 };
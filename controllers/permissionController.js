@@ -1248,5 +1248,4 @@ module.exports = {
   setupDefaultPermissions,
   getUserPermissions,
   getSubredditPermissions,
-  checkPermission,
 };
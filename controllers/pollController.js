@@ -3,9 +3,16 @@ const PollOption = require('../models/PollOption');
 const PollVote = require('../models/PollVote');
 const Post = require('../models/Post');
 const User = require('../models/User');
+const SubredditMembership = require('../models/SubredditMembership');
+const Flair = require('../models/Flair');
+const AdminLog = require('../models/AdminLog');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const mongoose = require('mongoose');
+const { BALLOT_METHODS, tallyPoll, isPollResultsHidden } = require('../utils/pollTally');
+const { checkPollEligibility, analyzeVoterQuality } = require('../utils/pollIntegrity');
+
+const VOTING_METHODS = ['standard', ...BALLOT_METHODS];
 
 /**
  * @desc    Anket oluştur
@@ -14,7 +21,16 @@ const mongoose = require('mongoose');
  */
 const createPoll = asyncHandler(async (req, res, next) => {
   const { postId } = req.params;
-  const { options, endDate, allowMultipleVotes = false, maxSelections = 1 } = req.body;
+  const {
+    options,
+    endDate,
+    allowMultipleVotes = false,
+    maxSelections = 1,
+    votingMethod = 'standard',
+    scoreMax = 5,
+    hideResultsUntilClosed = false,
+    eligibility,
+  } = req.body;
 
   // ID formatı kontrolü
   if (!mongoose.Types.ObjectId.isValid(postId)) {
@@ -86,17 +102,44 @@ const createPoll = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Maksimum seçim sayısı, seçenek sayısından fazla olamaz', 400));
   }
 
+  // Oylama yöntemini doğrula
+  if (!VOTING_METHODS.includes(votingMethod)) {
+    return next(
+      new ErrorResponse(
+        `Geçersiz oylama yöntemi. Geçerli değerler: ${VOTING_METHODS.join(', ')}`,
+        400,
+      ),
+    );
+  }
+
+  if (votingMethod === 'score' && (!Number.isInteger(scoreMax) || scoreMax < 1 || scoreMax > 10)) {
+    return next(new ErrorResponse('Maksimum puan 1-10 arasında bir tam sayı olmalıdır', 400));
+  }
+
+  // Oy pusulalı anketlerde çoklu seçim ayarları kullanılmaz
+  const isBallotPoll = BALLOT_METHODS.includes(votingMethod);
+
+  // Oy hakkı kurallarını doğrula
+  const eligibilityResult = await parseEligibility(eligibility, post.subreddit);
+  if (eligibilityResult.error) {
+    return next(new ErrorResponse(eligibilityResult.error, 400));
+  }
+
   // Transaction başlat
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
+    // Seçenekler ankete bağlı olduğundan anket ID'si önceden üretilir
+    const pollId = new mongoose.Types.ObjectId();
+
     // Seçenekleri oluştur
     const pollOptions = await PollOption.create(
-      options.map((text) => ({
+      options.map((text, index) => ({
+        poll: pollId,
         text,
-        votes: 0,
-        addedBy: req.user._id,
+        voteCount: 0,
+        position: index + 1,
       })),
       { session },
     );
@@ -105,12 +148,17 @@ const createPoll = asyncHandler(async (req, res, next) => {
     const poll = await Poll.create(
       [
         {
+          _id: pollId,
           post: postId,
           options: pollOptions.map((option) => option._id),
           totalVotes: 0,
           endDate: parsedEndDate,
-          allowMultipleVotes,
-          maxSelections,
+          allowMultipleVotes: isBallotPoll ? false : allowMultipleVotes,
+          maxSelections: isBallotPoll ? 1 : maxSelections,
+          votingMethod,
+          scoreRange: votingMethod === 'score' ? { min: 0, max: scoreMax } : undefined,
+          hideResultsUntilClosed: hideResultsUntilClosed === true,
+          eligibility: eligibilityResult.eligibility,
         },
       ],
       { session },
@@ -169,25 +217,21 @@ const getPoll = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Anket bulunamadı', 404));
   }
 
-  // Kullanıcının oyları
-  let userVotes = [];
+  // Kullanıcının oyları (oy pusulalı anketlerde sıra/puan bilgisiyle)
+  let userBallot = [];
 
   if (req.user) {
-    userVotes = await PollVote.find({
+    userBallot = await PollVote.find({
       poll: id,
       user: req.user._id,
-    }).distinct('option');
+    }).select('option rank score');
   }
 
-  // Anket sonuçlarını belirli durumlarda gizle
-  let hideResults = false;
+  const userVotes = userBallot.map((vote) => vote.option.toString());
 
-  if (poll.hideResultsUntilClosed && poll.isActive) {
-    // Kullanıcı oy vermedi ve admin/moderatör değilse sonuçları gizle
-    if (userVotes.length === 0 && (!req.user || req.user.role !== 'admin')) {
-      hideResults = true;
-    }
-  }
+  // Anket sonuçlarını belirli durumlarda gizle
+  const hideResults = isPollResultsHidden(poll, req.user, userVotes.length > 0);
+  const results = await buildPollResults(poll, hideResults);
 
   // Sonuçları hazırla
   const preparedPoll = {
@@ -196,17 +240,19 @@ const getPoll = asyncHandler(async (req, res, next) => {
     options: poll.options.map((option) => {
       const optionObj = option.toObject();
 
-      if (hideResults && !userVotes.includes(option._id.toString())) {
-        optionObj.votes = 0;
+      if (hideResults) {
+        optionObj.voteCount = 0;
         optionObj.percentage = 0;
       } else {
         optionObj.percentage =
-          poll.totalVotes > 0 ? Math.round((option.votes / poll.totalVotes) * 100) : 0;
-        optionObj.userVoted = userVotes.includes(option._id.toString());
+          poll.totalVotes > 0 ? Math.round((option.voteCount / poll.totalVotes) * 100) : 0;
       }
+      optionObj.userVoted = userVotes.includes(option._id.toString());
 
       return optionObj;
     }),
+    userBallot: BALLOT_METHODS.includes(poll.votingMethod) ? userBallot : undefined,
+    results,
     hideResults,
   };
 
@@ -252,25 +298,21 @@ const getPostPoll = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu post için anket bulunamadı', 404));
   }
 
-  // Kullanıcının oyları
-  let userVotes = [];
+  // Kullanıcının oyları (oy pusulalı anketlerde sıra/puan bilgisiyle)
+  let userBallot = [];
 
   if (req.user) {
-    userVotes = await PollVote.find({
+    userBallot = await PollVote.find({
       poll: poll._id,
       user: req.user._id,
-    }).distinct('option');
+    }).select('option rank score');
   }
 
-  // Anket sonuçlarını belirli durumlarda gizle
-  let hideResults = false;
+  const userVotes = userBallot.map((vote) => vote.option.toString());
 
-  if (poll.hideResultsUntilClosed && poll.isActive) {
-    // Kullanıcı oy vermedi ve admin/moderatör değilse sonuçları gizle
-    if (userVotes.length === 0 && (!req.user || req.user.role !== 'admin')) {
-      hideResults = true;
-    }
-  }
+  // Anket sonuçlarını belirli durumlarda gizle
+  const hideResults = isPollResultsHidden(poll, req.user, userVotes.length > 0);
+  const results = await buildPollResults(poll, hideResults);
 
   // Sonuçları hazırla
   const preparedPoll = {
@@ -284,17 +326,19 @@ const getPostPoll = asyncHandler(async (req, res, next) => {
     options: poll.options.map((option) => {
       const optionObj = option.toObject();
 
-      if (hideResults && !userVotes.includes(option._id.toString())) {
-        optionObj.votes = 0;
+      if (hideResults) {
+        optionObj.voteCount = 0;
         optionObj.percentage = 0;
       } else {
         optionObj.percentage =
-          poll.totalVotes > 0 ? Math.round((option.votes / poll.totalVotes) * 100) : 0;
-        optionObj.userVoted = userVotes.includes(option._id.toString());
+          poll.totalVotes > 0 ? Math.round((option.voteCount / poll.totalVotes) * 100) : 0;
       }
+      optionObj.userVoted = userVotes.includes(option._id.toString());
 
       return optionObj;
     }),
+    userBallot: BALLOT_METHODS.includes(poll.votingMethod) ? userBallot : undefined,
+    results,
     hideResults,
   };
 
@@ -318,11 +362,6 @@ const votePoll = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Geçersiz anket ID formatı', 400));
   }
 
-  // Seçenekleri doğrula
-  if (!optionIds || !Array.isArray(optionIds) || optionIds.length === 0) {
-    return next(new ErrorResponse('En az bir seçenek belirtilmelidir', 400));
-  }
-
   // Anketi bul
   const poll = await Poll.findById(id).populate('options');
 
@@ -335,6 +374,23 @@ const votePoll = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu anket sona ermiş, artık oy verilemez', 400));
   }
 
+  // Oy hakkı kurallarını kontrol et
+  const pollPost = await Post.findById(poll.post).select('subreddit');
+  const { eligible, reason } = await checkPollEligibility(poll, req.user, pollPost?.subreddit);
+  if (!eligible) {
+    return next(new ErrorResponse(reason, 403));
+  }
+
+  // Sıralı, puanlı ve onaylı anketlerde oy pusulası kaydedilir
+  if (BALLOT_METHODS.includes(poll.votingMethod)) {
+    return castBallot(req, res, next, poll);
+  }
+
+  // Seçenekleri doğrula
+  if (!optionIds || !Array.isArray(optionIds) || optionIds.length === 0) {
+    return next(new ErrorResponse('En az bir seçenek belirtilmelidir', 400));
+  }
+
   // Kullanıcının daha önce oy verip vermediğini kontrol et
   const existingVotes = await PollVote.find({
     poll: id,
@@ -368,7 +424,7 @@ const votePoll = asyncHandler(async (req, res, next) => {
     if (existingVotes.length > 0) {
       // Önceki oyların seçeneklerindeki oy sayılarını azalt
       for (const vote of existingVotes) {
-        await PollOption.findByIdAndUpdate(vote.option, { $inc: { votes: -1 } }, { session });
+        await PollOption.findByIdAndUpdate(vote.option, { $inc: { voteCount: -1 } }, { session });
 
         // Toplam oy sayısını azalt
         await Poll.findByIdAndUpdate(id, { $inc: { totalVotes: -1 } }, { session });
@@ -392,7 +448,7 @@ const votePoll = asyncHandler(async (req, res, next) => {
       votes.push(vote);
 
       // Seçeneğin oy sayısını artır
-      await PollOption.findByIdAndUpdate(optionId, { $inc: { votes: 1 } }, { session });
+      await PollOption.findByIdAndUpdate(optionId, { $inc: { voteCount: 1 } }, { session });
     }
 
     // Oyları kaydet
@@ -425,7 +481,7 @@ const votePoll = asyncHandler(async (req, res, next) => {
         const optionObj = option.toObject();
         optionObj.percentage =
           updatedPoll.totalVotes > 0
-            ? Math.round((option.votes / updatedPoll.totalVotes) * 100)
+            ? Math.round((option.voteCount / updatedPoll.totalVotes) * 100)
             : 0;
         optionObj.userVoted = userVotes.some(
           (vote) => vote.option.toString() === option._id.toString(),
@@ -522,7 +578,7 @@ const addPollOption = asyncHandler(async (req, res, next) => {
   // Yeni seçeneği oluştur
   const newOption = await PollOption.create({
     text: text.trim(),
-    votes: 0,
+    voteCount: 0,
     addedBy: req.user._id,
   });
 
@@ -605,7 +661,7 @@ const removePollOption = asyncHandler(async (req, res, next) => {
   }
 
   // Seçeneğe ait oyları kontrol et
-  if (option.votes > 0) {
+  if (option.voteCount > 0) {
     return next(new ErrorResponse('Oy alan bir seçenek silinemez', 400));
   }
 
@@ -793,7 +849,9 @@ const closePoll = asyncHandler(async (req, res, next) => {
     options: updatedPoll.options.map((option) => {
       const optionObj = option.toObject();
       optionObj.percentage =
-        updatedPoll.totalVotes > 0 ? Math.round((option.votes / updatedPoll.totalVotes) * 100) : 0;
+        updatedPoll.totalVotes > 0
+          ? Math.round((option.voteCount / updatedPoll.totalVotes) * 100)
+          : 0;
       optionObj.userVoted = userVotes.includes(option._id.toString());
       return optionObj;
     }),
@@ -813,7 +871,7 @@ const closePoll = asyncHandler(async (req, res, next) => {
  */
 const updatePollSettings = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const { allowMultipleVotes, maxSelections, hideResultsUntilClosed } = req.body;
+  const { allowMultipleVotes, maxSelections, hideResultsUntilClosed, eligibility } = req.body;
 
   // ID formatı kontrolü
   if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -859,6 +917,14 @@ const updatePollSettings = asyncHandler(async (req, res, next) => {
     }
   }
 
+  // Oy pusulalı anketlerde çoklu seçim ayarları kullanılmaz
+  if (
+    BALLOT_METHODS.includes(poll.votingMethod) &&
+    (allowMultipleVotes !== undefined || maxSelections !== undefined)
+  ) {
+    return next(new ErrorResponse('Bu oylama yönteminde çoklu seçim ayarları değiştirilemez', 400));
+  }
+
   // Ayarları doğrula
   if (maxSelections !== undefined) {
     if (maxSelections < 1 || maxSelections > 6) {
@@ -885,6 +951,15 @@ const updatePollSettings = asyncHandler(async (req, res, next) => {
     updates.hideResultsUntilClosed = hideResultsUntilClosed;
   }
 
+  // Oy hakkı kuralları yalnızca sonraki oyları etkiler
+  if (eligibility !== undefined) {
+    const eligibilityResult = await parseEligibility(eligibility, post.subreddit);
+    if (eligibilityResult.error) {
+      return next(new ErrorResponse(eligibilityResult.error, 400));
+    }
+    updates.eligibility = eligibilityResult.eligibility;
+  }
+
   const updatedPoll = await Poll.findByIdAndUpdate(id, { $set: updates }, { new: true }).populate(
     'options',
   );
@@ -917,12 +992,12 @@ const updatePollSettings = asyncHandler(async (req, res, next) => {
         new Date() < updatedPoll.endDate &&
         !userVotes.includes(option._id.toString())
       ) {
-        optionObj.votes = 0;
+        optionObj.voteCount = 0;
         optionObj.percentage = 0;
       } else {
         optionObj.percentage =
           updatedPoll.totalVotes > 0
-            ? Math.round((option.votes / updatedPoll.totalVotes) * 100)
+            ? Math.round((option.voteCount / updatedPoll.totalVotes) * 100)
             : 0;
       }
 
@@ -1017,18 +1092,17 @@ const getPopularPolls = asyncHandler(async (req, res, next) => {
         : 0;
 
     // Sonuçları gizle
-    const hideResults =
-      poll.hideResultsUntilClosed && pollObj.isActive && userPollVotes.length === 0;
+    const hideResults = isPollResultsHidden(poll, req.user, userPollVotes.length > 0);
 
     pollObj.options = poll.options.map((option) => {
       const optionObj = option.toObject();
 
       if (hideResults) {
-        optionObj.votes = 0;
+        optionObj.voteCount = 0;
         optionObj.percentage = 0;
       } else {
         optionObj.percentage =
-          poll.totalVotes > 0 ? Math.round((option.votes / poll.totalVotes) * 100) : 0;
+          poll.totalVotes > 0 ? Math.round((option.voteCount / poll.totalVotes) * 100) : 0;
       }
 
       optionObj.userVoted = userPollVotes.includes(option._id.toString());
@@ -1100,7 +1174,7 @@ const getUserVotedPolls = asyncHandler(async (req, res, next) => {
     pollObj.options = poll.options.map((option) => {
       const optionObj = option.toObject();
       optionObj.percentage =
-        poll.totalVotes > 0 ? Math.round((option.votes / poll.totalVotes) * 100) : 0;
+        poll.totalVotes > 0 ? Math.round((option.voteCount / poll.totalVotes) * 100) : 0;
       optionObj.userVoted = userVotes.includes(option._id.toString());
       return optionObj;
     });
@@ -1171,15 +1245,24 @@ const getPollStats = asyncHandler(async (req, res, next) => {
     }
   }
 
+  // Oy pusulalı anketlerde sonuçlar gizliyse (anket bitene kadar) tur tur sayımlar da gösterilmez
+  const hideResults =
+    BALLOT_METHODS.includes(poll.votingMethod) && isPollResultsHidden(poll, req.user);
+  const results = await buildPollResults(poll, hideResults);
+
   // Oy istatistiklerini getir
   const voteStats = await PollVote.aggregate([
-    { $match: { poll: mongoose.Types.ObjectId(id) } },
+    { $match: { poll: new mongoose.Types.ObjectId(id) } },
     { $group: { _id: '$option', count: { $sum: 1 } } },
   ]);
 
+  // Oy verenlerin hesap yaşı/karma/üyelik dağılımı ve yeni hesaplardan ani oy artışları
+  const pollVotes = await PollVote.find({ poll: id }).select('user createdAt');
+  const voterQuality = await analyzeVoterQuality(pollVotes, poll.post.subreddit._id);
+
   // Oylama zamanı dağılımı
   const hourlyVotes = await PollVote.aggregate([
-    { $match: { poll: mongoose.Types.ObjectId(id) } },
+    { $match: { poll: new mongoose.Types.ObjectId(id) } },
     {
       $group: {
         _id: {
@@ -1231,8 +1314,14 @@ const getPollStats = asyncHandler(async (req, res, next) => {
       new Date() < poll.endDate
         ? Math.floor((poll.endDate - new Date()) / 1000) // kalan süre (saniye)
         : 0,
+    votingMethod: poll.votingMethod,
     totalVotes: poll.totalVotes,
-    options: optionStats,
+    options: hideResults ? [] : optionStats,
+    // Sıralı tercih anketlerinde results.rounds tur tur eleme sayımlarını içerir
+    results,
+    hideResults,
+    eligibility: poll.eligibility,
+    voterQuality,
     voteTimeline,
   };
 
@@ -1364,7 +1453,7 @@ const clearPollVotes = asyncHandler(async (req, res, next) => {
 
     // Seçenek oy sayılarını sıfırla
     for (const option of poll.options) {
-      await PollOption.findByIdAndUpdate(option._id, { votes: 0 }, { session });
+      await PollOption.findByIdAndUpdate(option._id, { voteCount: 0 }, { session });
     }
 
     // Toplam oy sayısını sıfırla
@@ -1483,6 +1572,192 @@ const deletePoll = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Yardımcı fonksiyonlar
+
+/**
+ * Anket sonuçlarını oylama yöntemine göre hesapla (sonuçlar gizliyse null)
+ */
+const buildPollResults = async (poll, hideResults) => {
+  if (hideResults) return null;
+
+  const votes = await PollVote.find({ poll: poll._id }).select('user option rank score');
+  return tallyPoll(poll, votes);
+};
+
+/**
+ * İstekteki oy hakkı kurallarını doğrula; flair'ler anketin subreddit'ine ait kullanıcı flair'i olmalı
+ * @returns {Object} { eligibility } veya { error }
+ */
+const parseEligibility = async (eligibility, subredditId) => {
+  // Kural verilmemişse (veya null ile sıfırlanıyorsa) herkes oy verebilir
+  const {
+    membersOnly = false,
+    minAccountAgeDays = 0,
+    minKarma = 0,
+    requiredFlairs = [],
+  } = eligibility || {};
+
+  if (!Number.isInteger(minAccountAgeDays) || minAccountAgeDays < 0 || minAccountAgeDays > 3650) {
+    return { error: 'Minimum hesap yaşı 0-3650 gün arasında olmalıdır' };
+  }
+
+  if (!Number.isInteger(minKarma) || minKarma < 0) {
+    return { error: 'Minimum karma sıfır veya pozitif bir tam sayı olmalıdır' };
+  }
+
+  if (!Array.isArray(requiredFlairs) || requiredFlairs.length > 20) {
+    return { error: 'En fazla 20 flair belirtilebilir' };
+  }
+
+  if (requiredFlairs.some((flairId) => !mongoose.Types.ObjectId.isValid(flairId))) {
+    return { error: 'Geçersiz flair ID formatı' };
+  }
+
+  if (requiredFlairs.length > 0) {
+    const flairCount = await Flair.countDocuments({
+      _id: { $in: requiredFlairs },
+      subreddit: subredditId,
+      type: 'user',
+    });
+
+    if (flairCount !== new Set(requiredFlairs.map(String)).size) {
+      return { error: "Flair'ler bu subreddit'e ait kullanıcı flair'leri olmalıdır" };
+    }
+  }
+
+  return {
+    eligibility: {
+      membersOnly: membersOnly === true,
+      minAccountAgeDays,
+      minKarma,
+      requiredFlairs,
+    },
+  };
+};
+
+/**
+ * İstekteki oy pusulasını anket türüne göre doğrula
+ * @returns {Object} { entries: [{ option, rank?, score? }] } veya { error }
+ */
+const parseBallot = (poll, body) => {
+  const validOptionIds = poll.options.map((option) => option._id.toString());
+  const isValidOption = (optionId) => validOptionIds.includes(String(optionId));
+
+  if (poll.votingMethod === 'ranked') {
+    // Tercih sırasına göre seçenek ID'leri; tüm seçeneklerin sıralanması gerekmez
+    const rankings = body.rankings || body.optionIds;
+    if (!Array.isArray(rankings) || rankings.length === 0) {
+      return { error: 'En az bir seçenek sıralanmalıdır (rankings)' };
+    }
+    if (new Set(rankings.map(String)).size !== rankings.length) {
+      return { error: 'Bir seçenek birden fazla kez sıralanamaz' };
+    }
+    if (!rankings.every(isValidOption)) {
+      return { error: 'Oy pusulasında geçersiz seçenek var' };
+    }
+
+    return {
+      entries: rankings.map((optionId, index) => ({ option: String(optionId), rank: index + 1 })),
+    };
+  }
+
+  if (poll.votingMethod === 'score') {
+    // { optionId: puan } biçiminde; puan verilmeyen seçenekler oy pusulasına dahil edilmez
+    const scores = body.scores;
+    if (!scores || typeof scores !== 'object' || Object.keys(scores).length === 0) {
+      return { error: 'En az bir seçeneğe puan verilmelidir (scores)' };
+    }
+
+    const { min, max } = poll.scoreRange;
+    const entries = [];
+    for (const [optionId, score] of Object.entries(scores)) {
+      if (!isValidOption(optionId)) {
+        return { error: 'Oy pusulasında geçersiz seçenek var' };
+      }
+      if (!Number.isInteger(score) || score < min || score > max) {
+        return { error: `Puanlar ${min}-${max} arasında tam sayı olmalıdır` };
+      }
+      entries.push({ option: optionId, score });
+    }
+
+    return { entries };
+  }
+
+  // approval: onaylanan seçenekler, sayı sınırı yok
+  const optionIds = body.optionIds;
+  if (!Array.isArray(optionIds) || optionIds.length === 0) {
+    return { error: 'En az bir seçenek onaylanmalıdır' };
+  }
+  if (new Set(optionIds.map(String)).size !== optionIds.length) {
+    return { error: 'Bir seçenek birden fazla kez onaylanamaz' };
+  }
+  if (!optionIds.every(isValidOption)) {
+    return { error: 'Oy pusulasında geçersiz seçenek var' };
+  }
+
+  return { entries: optionIds.map((optionId) => ({ option: String(optionId) })) };
+};
+
+/**
+ * Oy pusulasını kaydet; kullanıcının önceki oy pusulası varsa yenisiyle değiştirilir
+ */
+const castBallot = async (req, res, next, poll) => {
+  const { entries, error } = parseBallot(poll, req.body);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const existingVotes = await PollVote.find({ poll: poll._id, user: req.user._id });
+
+  // Transaction başlat
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (existingVotes.length > 0) {
+      for (const vote of existingVotes) {
+        await PollOption.findByIdAndUpdate(vote.option, { $inc: { voteCount: -1 } }, { session });
+      }
+      await PollVote.deleteMany({ poll: poll._id, user: req.user._id }, { session });
+    }
+
+    await PollVote.insertMany(
+      entries.map((entry) => ({ ...entry, poll: poll._id, user: req.user._id })),
+      { session },
+    );
+
+    for (const entry of entries) {
+      await PollOption.findByIdAndUpdate(entry.option, { $inc: { voteCount: 1 } }, { session });
+    }
+
+    // totalVotes oy pusulası (oy veren kullanıcı) sayısıdır
+    if (existingVotes.length === 0) {
+      await Poll.findByIdAndUpdate(poll._id, { $inc: { totalVotes: 1 } }, { session });
+    }
+
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    return next(new ErrorResponse('Oy verilirken bir hata oluştu', 500));
+  } finally {
+    session.endSession();
+  }
+
+  const hideResults = isPollResultsHidden(poll, req.user, true);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      _id: poll._id,
+      votingMethod: poll.votingMethod,
+      userBallot: entries,
+      results: await buildPollResults(poll, hideResults),
+      hideResults,
+    },
+    message: existingVotes.length > 0 ? 'Oy pusulanız güncellendi' : 'Oyunuz başarıyla kaydedildi',
+  });
+};
+
 module.exports = {
   createPoll,
   getPoll,
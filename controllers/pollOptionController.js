@@ -7,6 +7,8 @@ const SubredditMembership = require('../models/SubredditMembership');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const mongoose = require('mongoose');
+const { BALLOT_METHODS } = require('../utils/pollTally');
+const { checkPollEligibility } = require('../utils/pollIntegrity');
 
 /**
  * @desc    Anket seçeneği oluştur
@@ -531,6 +533,20 @@ const voteForOption = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu anket sona ermiş, artık oy verilemez', 400));
   }
 
+  // Sıralı, puanlı ve onaylı anketlerde oylar tek seferde oy pusulası olarak verilir
+  if (BALLOT_METHODS.includes(poll.votingMethod)) {
+    return next(
+      new ErrorResponse('Bu ankette oy pusulası POST /api/polls/:id/vote ile gönderilmelidir', 400),
+    );
+  }
+
+  // Oy hakkı kurallarını kontrol et
+  const pollPost = await Post.findById(poll.post).select('subreddit');
+  const { eligible, reason } = await checkPollEligibility(poll, req.user, pollPost?.subreddit);
+  if (!eligible) {
+    return next(new ErrorResponse(reason, 403));
+  }
+
   // Önceki oyu kontrol et
   const existingVote = await PollVote.findOne({
     poll: poll._id,
@@ -652,6 +668,16 @@ const removeVoteFromOption = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu anket sona ermiş, artık oy değiştirilemez', 400));
   }
 
+  // Oy pusulasından tek seçenek çıkarılamaz, pusula yeniden gönderilmelidir
+  if (BALLOT_METHODS.includes(poll.votingMethod)) {
+    return next(
+      new ErrorResponse(
+        'Bu ankette oy pusulası POST /api/polls/:id/vote ile güncellenmelidir',
+        400,
+      ),
+    );
+  }
+
   // Kullanıcının oyunu bul
   const vote = await PollVote.findOne({
     poll: poll._id,
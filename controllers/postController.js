@@ -7,10 +7,25 @@ const Comment = require('../models/Comment');
 const SavedItem = require('../models/SavedItem');
 const PostView = require('../models/PostView');
 const ModLog = require('../models/ModLog');
+const SubredditSettings = require('../models/SubredditSettings');
 const mongoose = require('mongoose');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
-const { isModeratorOf, hasRoleInSubreddit, isSiteAdmin } = require('../utils/roleHelpers');
+const {
+  isModeratorOf,
+  hasRoleInSubreddit,
+  isSiteAdmin,
+  getSubredditBan,
+} = require('../utils/roleHelpers');
+const {
+  createFollowedUserPostNotifications,
+  createUpvoteNotification,
+} = require('./notificationController');
+const { getActiveSanction, getSanctionMessage } = require('../utils/sanctionHelpers');
+const { runAutomod } = require('../utils/automod');
+const { refreshRankings, getPostSortOption } = require('../utils/ranking');
+const { enforceContentFilters } = require('./contentFilterController');
+const { notifySavedSearchMatches } = require('../utils/savedSearchAlerts');
 
 /**
  * @desc    Yeni bir gönderi oluştur
@@ -20,6 +35,12 @@ const { isModeratorOf, hasRoleInSubreddit, isSiteAdmin } = require('../utils/rol
 const createPost = asyncHandler(async (req, res, next) => {
   const { title, content, type, url, mediaUrl, subredditId, isNSFW, isSpoiler, flair } = req.body;
 
+  // Site geneli susturma kontrolü
+  const mute = await getActiveSanction(req.user, 'mute');
+  if (mute) {
+    return next(new ErrorResponse(getSanctionMessage('mute', mute), 403));
+  }
+
   // Subreddit kontrolü
   if (!mongoose.Types.ObjectId.isValid(subredditId)) {
     return next(new ErrorResponse('Geçersiz subreddit ID formatı', 400));
@@ -41,6 +62,12 @@ const createPost = asyncHandler(async (req, res, next) => {
   if (subreddit.type === 'private' && !isMember) {
     return next(new ErrorResponse("Bu subreddit'e gönderi yapma izniniz yok", 403));
   }
+
+  // Subreddit banı kontrolü
+  if (await getSubredditBan(req.user._id, subredditId)) {
+    return next(new ErrorResponse("Bu subreddit'ten banlandınız, gönderi yapamazsınız", 403));
+  }
+
   // Gönderinin türüne göre gerekli alanları kontrol et
   if (type === 'link' && !url) {
     return next(new ErrorResponse('Link tipi gönderiler için URL gereklidir', 400));
@@ -50,6 +77,15 @@ const createPost = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`${type} tipi gönderiler için medya URL'si gereklidir`, 400));
   }
 
+  // Manuel onay gerektiren subredditlerde moderatör olmayanların gönderileri mod kuyruğuna alınır
+  const settings = await SubredditSettings.findOne({ subreddit: subredditId }).select(
+    'communityOptions',
+  );
+  const requiresApproval =
+    !!settings &&
+    settings.communityOptions.approvePostsManually &&
+    !(await isModeratorOf(req.user._id, subredditId));
+
   // Yeni gönderi oluştur
   const newPost = await Post.create({
     title,
@@ -62,21 +98,46 @@ const createPost = asyncHandler(async (req, res, next) => {
     isNSFW: isNSFW || false,
     isSpoiler: isSpoiler || false,
     flair: flair || undefined,
+    ...(requiresApproval && {
+      isFiltered: true,
+      filteredAt: Date.now(),
+      filterReason: 'Subreddit gönderileri moderatör onayı gerektiriyor',
+      filterSource: 'manual_approval',
+    }),
   });
 
   // Poll tipi gönderiyse Poll oluşturulacak (Ayrı controller'da ele alınmalı)
 
+  // Site ve subreddit içerik filtrelerini, ardından automod kurallarını uygula; yanıt
+  // gönderinin son durumunu (kaldırıldı/bekletildi) yansıtsın diye önce çalışır
+  await enforceContentFilters(newPost, {
+    kind: 'post',
+    subredditId,
+    text: [title, content, url].filter(Boolean).join('\n'),
+  });
+  const automod = await runAutomod(newPost, { kind: 'submission' });
+
   // Popüle edilmiş gönderiyi dön
   const populatedPost = await Post.findById(newPost._id)
     .populate('author', 'username profilePicture')
     .populate('subreddit', 'name title icon bannerImage')
     .populate('flair', 'text backgroundColor textColor');
 
+  let message = 'Gönderi başarıyla oluşturuldu';
+  if (automod.removed) message = 'Gönderi topluluk kuralları nedeniyle kaldırıldı';
+  else if (automod.filtered) message = 'Gönderi oluşturuldu ve moderatör onayına gönderildi';
+
   res.status(201).json({
     success: true,
     data: populatedPost,
-    message: 'Gönderi başarıyla oluşturuldu',
+    message,
   });
+
+  // Takipçilere ve eşleşen kayıtlı aramalara bildirim gönder (automod kaldırmadıysa veya bekletmediyse)
+  if (!automod.removed && !automod.filtered) {
+    await createFollowedUserPostNotifications(newPost);
+    await notifySavedSearchMatches(newPost);
+  }
 });
 
 /**
@@ -130,15 +191,13 @@ const getPosts = asyncHandler(async (req, res, next) => {
       sortOption = { createdAt: -1 };
       break;
     case 'hot':
-      sortOption = { voteScore: -1, commentCount: -1, createdAt: -1 };
+    case 'best':
+    case 'controversial':
+      sortOption = getPostSortOption(sort);
       break;
     case 'top':
       sortOption = { voteScore: -1, createdAt: -1 };
       break;
-    case 'controversial':
-      // Controversial sıralaması için upvotes ve downvotes değerleri yakın olan
-      sortOption = { commentCount: -1, createdAt: -1 };
-      break;
     default:
       sortOption = { createdAt: -1 };
   }
@@ -292,14 +351,13 @@ const getSubredditPosts = asyncHandler(async (req, res, next) => {
       sortOption = { createdAt: -1 };
       break;
     case 'hot':
-      sortOption = { voteScore: -1, commentCount: -1, createdAt: -1 };
+    case 'best':
+    case 'controversial':
+      sortOption = getPostSortOption(sort);
       break;
     case 'top':
       sortOption = { voteScore: -1, createdAt: -1 };
       break;
-    case 'controversial':
-      sortOption = { commentCount: -1, createdAt: -1 };
-      break;
     default:
       sortOption = { createdAt: -1 };
   }
@@ -429,14 +487,13 @@ const getUserPosts = asyncHandler(async (req, res, next) => {
       sortOption = { createdAt: -1 };
       break;
     case 'hot':
-      sortOption = { voteScore: -1, commentCount: -1, createdAt: -1 };
+    case 'best':
+    case 'controversial':
+      sortOption = getPostSortOption(sort);
       break;
     case 'top':
       sortOption = { voteScore: -1, createdAt: -1 };
       break;
-    case 'controversial':
-      sortOption = { commentCount: -1, createdAt: -1 };
-      break;
     default:
       sortOption = { createdAt: -1 };
   }
@@ -516,6 +573,14 @@ const getPostById = asyncHandler(async (req, res, next) => {
     .populate('author', 'username profilePicture createdAt karma')
     .populate('subreddit', 'name title icon bannerImage description rules type')
     .populate('flair', 'text backgroundColor textColor')
+    .populate({
+      path: 'crosspostParent',
+      select: 'title content type url mediaUrl author subreddit voteScore commentCount createdAt',
+      populate: [
+        { path: 'author', select: 'username profilePicture' },
+        { path: 'subreddit', select: 'name title icon type' },
+      ],
+    })
     .populate({
       path: 'poll',
       populate: {
@@ -528,6 +593,18 @@ const getPostById = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Gönderi bulunamadı', 404));
   }
 
+  // Mod kuyruğunda bekleyen gönderiyi yalnızca yazarı ve subreddit moderatörleri görebilir
+  if (post.isFiltered) {
+    const canViewHeld =
+      !!req.user &&
+      ((post.author && post.author._id.equals(req.user._id)) ||
+        (await isModeratorOf(req.user._id, post.subreddit._id)));
+
+    if (!canViewHeld) {
+      return next(new ErrorResponse('Gönderi bulunamadı', 404));
+    }
+  }
+
   // Eğer gönderi özel bir subreddit'e aitse ve kullanıcı üye değilse erişimi engelleyelim
   if (post.subreddit.type === 'private') {
     if (!req.user) {
@@ -718,6 +795,14 @@ const deletePost = asyncHandler(async (req, res, next) => {
     deletedBy: req.user._id,
   });
 
+  // Crosspost silindiyse orijinalin crosspost sayısını azalt (onay bekleyenler hiç sayılmadı)
+  if (post.crosspostParent && !post.isFiltered) {
+    await Post.updateOne(
+      { _id: post.crosspostParent, crosspostCount: { $gt: 0 } },
+      { $inc: { crosspostCount: -1 } },
+    );
+  }
+
   // Silme işlemiyle ilgili log kaydı tutulabilir
 
   res.status(200).json({
@@ -820,11 +905,19 @@ const votePost = asyncHandler(async (req, res, next) => {
       }
     }
 
+    // Sıralama skorlarını yeniden hesapla
+    await refreshRankings(Post, id, session);
+
     await session.commitTransaction();
 
     // Güncellenmiş gönderiyi getir
     const updatedPost = await Post.findById(id);
 
+    // Olumlu oy bir eşiğe ulaştırdıysa gönderi sahibine gruplanmış bildirim gönder
+    if (value === 1) {
+      await createUpvoteNotification('post', { post: id, user: userId });
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -874,7 +967,7 @@ const togglePinPost = asyncHandler(async (req, res, next) => {
   }
 
   // Gönderiyi güncelle
-  const updatedPost = await Post.findByIdAndUpdate(id, { isPinned }, { new: true });
+  const updatedPost = await setPostPinned(id, isPinned);
 
   res.status(200).json({
     success: true,
@@ -885,6 +978,15 @@ const togglePinPost = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Gönderinin sabitlenme durumunu değiştir (zamanlanmış gönderiler de kullanır)
+ * @param {String|ObjectId} postId - Gönderi ID
+ * @param {Boolean} isPinned - Sabitlensin mi
+ * @returns {Promise<Object>} Güncellenmiş gönderi
+ */
+const setPostPinned = (postId, isPinned) =>
+  Post.findByIdAndUpdate(postId, { isPinned }, { new: true });
+
 /**
  * @desc    Gönderiyi kilitle/kilidini aç
  * @route   PUT /api/posts/:id/lock
@@ -1127,14 +1229,13 @@ const searchPosts = asyncHandler(async (req, res, next) => {
       sortOption = { createdAt: -1 };
       break;
     case 'hot':
-      sortOption = { voteScore: -1, commentCount: -1, createdAt: -1 };
+    case 'best':
+    case 'controversial':
+      sortOption = getPostSortOption(sort);
       break;
     case 'top':
       sortOption = { voteScore: -1, createdAt: -1 };
       break;
-    case 'controversial':
-      sortOption = { commentCount: -1, createdAt: -1 };
-      break;
     case 'relevance':
       if (q) {
         sortOption = { score: { $meta: 'textScore' } };
@@ -1574,6 +1675,234 @@ const toggleArchivePost = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Crosspost edilebilen gönderi tipleri (anket ve wiki tartışmaları orijinaline bağlıdır)
+const CROSSPOSTABLE_TYPES = ['text', 'link', 'image', 'video'];
+
+/**
+ * @desc    Mevcut bir gönderiyi başka bir subreddit'e crosspost et
+ * @route   POST /api/posts/:id/crosspost
+ * @access  Private
+ */
+const createCrosspost = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { subredditId, title, isNSFW, isSpoiler, flair } = req.body;
+
+  // Site geneli susturma kontrolü
+  const mute = await getActiveSanction(req.user, 'mute');
+  if (mute) {
+    return next(new ErrorResponse(getSanctionMessage('mute', mute), 403));
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ErrorResponse('Geçersiz gönderi ID formatı', 400));
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(subredditId)) {
+    return next(new ErrorResponse('Geçersiz subreddit ID formatı', 400));
+  }
+
+  const source = await Post.findById(id).populate('subreddit', 'name type');
+  if (!source) {
+    return next(new ErrorResponse('Gönderi bulunamadı', 404));
+  }
+
+  // Mod kuyruğunda onay bekleyen içerik başka topluluklara taşınamaz
+  if (source.isFiltered) {
+    return next(new ErrorResponse('Onay bekleyen gönderiler crosspost edilemez', 403));
+  }
+
+  // Crosspost'un crosspost'u her zaman ilk orijinal gönderiye bağlanır
+  const originalId = source.crosspostParent || source._id;
+
+  if (source.subreddit.type === 'private') {
+    return next(new ErrorResponse("Özel subreddit'lerdeki gönderiler crosspost edilemez", 403));
+  }
+
+  if (!CROSSPOSTABLE_TYPES.includes(source.type)) {
+    return next(new ErrorResponse(`${source.type} tipi gönderiler crosspost edilemez`, 400));
+  }
+
+  if (source.subreddit._id.toString() === subredditId.toString()) {
+    return next(new ErrorResponse("Gönderi aynı subreddit'e crosspost edilemez", 400));
+  }
+
+  const subreddit = await Subreddit.findById(subredditId);
+  if (!subreddit) {
+    return next(new ErrorResponse('Subreddit bulunamadı', 404));
+  }
+
+  const isMember = await hasRoleInSubreddit(req.user._id, subredditId, [
+    'member',
+    'moderator',
+    'admin',
+  ]);
+
+  if (subreddit.type === 'private' && !isMember) {
+    return next(new ErrorResponse("Bu subreddit'e gönderi yapma izniniz yok", 403));
+  }
+
+  if (await getSubredditBan(req.user._id, subredditId)) {
+    return next(new ErrorResponse("Bu subreddit'ten banlandınız, gönderi yapamazsınız", 403));
+  }
+
+  // Hedef topluluğun crosspost ve gönderi tipi ayarları
+  const settings = await SubredditSettings.findOne({ subreddit: subredditId }).select(
+    'allowPostTypes contentOptions communityOptions',
+  );
+
+  if (settings && settings.contentOptions && settings.contentOptions.allowCrossposting === false) {
+    return next(new ErrorResponse("Bu subreddit crosspost'lara izin vermiyor", 403));
+  }
+
+  if (settings && settings.allowPostTypes && settings.allowPostTypes[source.type] === false) {
+    return next(
+      new ErrorResponse(`Bu subreddit ${source.type} tipi gönderilere izin vermiyor`, 400),
+    );
+  }
+
+  const requiresApproval =
+    !!settings &&
+    settings.communityOptions.approvePostsManually &&
+    !(await isModeratorOf(req.user._id, subredditId));
+
+  // Crosspost kendi oylarına ve yorumlarına sahip ayrı bir gönderidir
+  const crosspost = await Post.create({
+    title: title || source.title,
+    content: source.content,
+    type: source.type,
+    url: source.url,
+    mediaUrl: source.mediaUrl,
+    author: req.user._id,
+    subreddit: subredditId,
+    crosspostParent: originalId,
+    isNSFW: source.isNSFW || isNSFW || false,
+    isSpoiler: source.isSpoiler || isSpoiler || false,
+    flair: flair || undefined,
+    ...(requiresApproval && {
+      isFiltered: true,
+      filteredAt: Date.now(),
+      filterReason: 'Subreddit gönderileri moderatör onayı gerektiriyor',
+      filterSource: 'manual_approval',
+    }),
+  });
+
+  // Hedef subreddit'in içerik filtreleri ve automod kuralları crosspost'a da uygulanır
+  await enforceContentFilters(crosspost, {
+    kind: 'post',
+    subredditId,
+    text: [crosspost.title, crosspost.content, crosspost.url].filter(Boolean).join('\n'),
+  });
+  const automod = await runAutomod(crosspost, { kind: 'submission' });
+  const isHeld = automod.removed || automod.filtered;
+
+  // Bekletilen crosspost'lar mod kuyruğundan onaylandığında sayılır
+  if (!isHeld) {
+    await Post.updateOne({ _id: originalId }, { $inc: { crosspostCount: 1 } });
+  }
+
+  const populatedPost = await Post.findById(crosspost._id)
+    .populate('author', 'username profilePicture')
+    .populate('subreddit', 'name title icon bannerImage')
+    .populate('flair', 'text backgroundColor textColor')
+    .populate({
+      path: 'crosspostParent',
+      select: 'title author subreddit voteScore commentCount createdAt',
+      populate: [
+        { path: 'author', select: 'username' },
+        { path: 'subreddit', select: 'name' },
+      ],
+    });
+
+  res.status(201).json({
+    success: true,
+    data: populatedPost,
+    message: isHeld
+      ? 'Crosspost oluşturuldu ve moderatör onayına gönderildi'
+      : 'Crosspost başarıyla oluşturuldu',
+  });
+
+  if (!isHeld) {
+    await createFollowedUserPostNotifications(crosspost);
+    await notifySavedSearchMatches(crosspost);
+  }
+});
+
+/**
+ * @desc    Bir gönderinin crosspost'larını listele
+ * @route   GET /api/posts/:id/crossposts
+ * @access  Public
+ */
+const getCrossposts = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ErrorResponse('Geçersiz gönderi ID formatı', 400));
+  }
+
+  const post = await Post.findById(id).select('crosspostParent crosspostCount');
+  if (!post) {
+    return next(new ErrorResponse('Gönderi bulunamadı', 404));
+  }
+
+  // Crosspost üzerinden istenirse orijinalin tüm crosspost'ları listelenir
+  const originalId = post.crosspostParent || post._id;
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+  const startIndex = (page - 1) * limit;
+
+  // Özel subreddit'lerdeki crosspost'lar listelenmez
+  const privateSubreddits = await Subreddit.find({ type: 'private' }).distinct('_id');
+  const query = {
+    crosspostParent: originalId,
+    subreddit: { $nin: privateSubreddits },
+  };
+
+  const total = await Post.countDocuments({
+    ...query,
+    isDeleted: false,
+    isFiltered: { $ne: true },
+  });
+
+  const crossposts = await Post.find(query)
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit)
+    .select('title author subreddit voteScore commentCount isNSFW isSpoiler createdAt')
+    .populate('author', 'username profilePicture')
+    .populate('subreddit', 'name title icon');
+
+  const pagination = {
+    page,
+    limit,
+    totalDocs: total,
+    totalPages: Math.ceil(total / limit),
+  };
+
+  if (startIndex + limit < total) {
+    pagination.next = {
+      page: page + 1,
+      limit,
+    };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit,
+    };
+  }
+
+  res.status(200).json({
+    success: true,
+    original: originalId,
+    crosspostCount: total,
+    count: crossposts.length,
+    pagination,
+    data: crossposts,
+  });
+});
+
 module.exports = {
   createPost,
   getPosts,
@@ -1584,6 +1913,7 @@ module.exports = {
   deletePost,
   votePost,
   togglePinPost,
+  setPostPinned,
   toggleLockPost,
   toggleNSFWPost,
   toggleSpoilerPost,
@@ -1592,4 +1922,6 @@ module.exports = {
   toggleSavePost,
   getPostAnalytics,
   toggleArchivePost,
+  createCrosspost,
+  getCrossposts,
 };
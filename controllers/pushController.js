@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const PushSubscription = require('../models/PushSubscription');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const mongoose = require('mongoose');
+const { getVapidKeys, decryptPayload, deliverToSubscription } = require('../utils/webPush');
+
+// Bir kullanıcının kaydedebileceği en fazla cihaz sayısı
+const MAX_SUBSCRIPTIONS_PER_USER = 20;
+
+// Tarayıcıların kullandığı push servisleri; sunucu yalnızca bu adreslere istek gönderir.
+// Ek servisler PUSH_ALLOWED_HOSTS ile (virgülle ayrılmış) tanımlanabilir
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  'updates.push.services.mozilla.com',
+  'web.push.apple.com',
+];
+const PUSH_SERVICE_HOST_SUFFIXES = ['.notify.windows.com', '.push.apple.com'];
+
+// Yerel test endpoint'i: stubId -> { ecdh, auth, messages }
+const stubEndpoints = new Map();
+const STUB_MESSAGE_LIMIT = 50;
+
+/**
+ * Sahte push endpoint'i yalnızca geliştirme ve test ortamında açıktır
+ * @returns {Boolean} Açık mı
+ */
+const isStubEnabled = () => ['development', 'test'].includes(process.env.NODE_ENV);
+
+/**
+ * Sahte endpoint'lerin kök adresi. İstemcinin gönderdiği Host başlığına güvenilmez;
+ * API_URL yapılandırılmamışsa yalnızca loopback kullanılır
+ * @returns {URL} Kök adres
+ */
+const getStubBaseUrl = () =>
+  new URL(process.env.API_URL || `http://localhost:${process.env.PORT || 5002}`);
+
+/**
+ * Push endpoint URL'sini doğrula. Sunucu bu adrese istek göndereceğinden (SSRF) yalnızca
+ * bilinen push servisleri kabul edilir; geliştirmede bu sunucudaki sahte endpoint de geçerlidir
+ * @param {String} endpoint - Endpoint URL
+ * @returns {Boolean} Geçerli mi
+ */
+const isValidEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+
+  if (
+    isStubEnabled() &&
+    url.origin === getStubBaseUrl().origin &&
+    url.pathname.startsWith('/api/push/stub/')
+  ) {
+    return true;
+  }
+
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+
+  const host = url.hostname.toLowerCase();
+  const extraHosts = (process.env.PUSH_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+  return (
+    PUSH_SERVICE_HOSTS.includes(host) ||
+    extraHosts.includes(host) ||
+    PUSH_SERVICE_HOST_SUFFIXES.some((suffix) => host.endsWith(suffix))
+  );
+};
+
+/**
+ * İstek gövdesini ham olarak oku (body-parser aes128gcm kodlamasını reddeder)
+ * @param {Object} req - Express isteği
+ * @param {Number} limit - En fazla bayt
+ * @returns {Promise<Buffer>} Gövde
+ */
+const readRawBody = (req, limit = 8 * 1024) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new ErrorResponse('Push içeriği çok büyük', 413));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+
+/**
+ * @desc    VAPID public key'i getir (tarayıcıda abonelik oluşturmak için)
+ * @route   GET /api/push/vapid-public-key
+ * @access  Public
+ */
+const getVapidPublicKey = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: { publicKey: getVapidKeys().publicKey },
+  });
+});
+
+/**
+ * @desc    Cihaz için push aboneliği kaydet
+ * @route   POST /api/push/subscriptions
+ * @access  Private
+ */
+const subscribe = asyncHandler(async (req, res, next) => {
+  const { endpoint, expirationTime, keys, deviceName } = req.body;
+
+  if (!endpoint || typeof endpoint !== 'string' || !isValidEndpoint(endpoint)) {
+    return next(new ErrorResponse("Geçerli bir push endpoint URL'si gereklidir", 400));
+  }
+
+  if (!keys || !keys.p256dh || !keys.auth) {
+    return next(new ErrorResponse('Abonelik anahtarları (p256dh, auth) gereklidir', 400));
+  }
+
+  if (
+    Buffer.from(keys.p256dh, 'base64url').length !== 65 ||
+    Buffer.from(keys.auth, 'base64url').length !== 16
+  ) {
+    return next(new ErrorResponse('Geçersiz abonelik anahtarları', 400));
+  }
+
+  const existing = await PushSubscription.findOne({ endpoint });
+
+  // Başka bir hesaba ait endpoint devralınamaz (önce o hesaptan abonelik silinmeli)
+  if (existing && existing.user.toString() !== req.user._id.toString()) {
+    return next(new ErrorResponse("Bu push endpoint'i başka bir hesaba kayıtlı", 409));
+  }
+
+  if (!existing) {
+    const count = await PushSubscription.countDocuments({ user: req.user._id });
+    if (count >= MAX_SUBSCRIPTIONS_PER_USER) {
+      return next(
+        new ErrorResponse(`En fazla ${MAX_SUBSCRIPTIONS_PER_USER} cihaz kaydedebilirsiniz`, 400),
+      );
+    }
+  }
+
+  // Kullanıcı aynı endpoint'i yeniden kaydederse (ör. anahtarlar yenilendi) güncellenir
+  let subscription;
+  try {
+    subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint, user: req.user._id },
+      {
+        $set: {
+          keys: { p256dh: keys.p256dh, auth: keys.auth },
+          expirationTime: expirationTime ? new Date(expirationTime) : undefined,
+          deviceName,
+          userAgent: req.headers['user-agent'],
+          failureCount: 0,
+        },
+        $setOnInsert: { createdAt: Date.now() },
+      },
+      { new: true, upsert: true, runValidators: true },
+    );
+  } catch (error) {
+    // Eş zamanlı kayıtta endpoint başka bir hesap tarafından alındıysa
+    if (error.code === 11000) {
+      return next(new ErrorResponse("Bu push endpoint'i başka bir hesaba kayıtlı", 409));
+    }
+    throw error;
+  }
+
+  res.status(existing ? 200 : 201).json({
+    success: true,
+    data: subscription,
+    message: 'Push aboneliği kaydedildi',
+  });
+});
+
+/**
+ * @desc    Kullanıcının kayıtlı cihazlarını listele
+ * @route   GET /api/push/subscriptions
+ * @access  Private
+ */
+const getSubscriptions = asyncHandler(async (req, res, next) => {
+  const subscriptions = await PushSubscription.find({ user: req.user._id })
+    .select('endpoint deviceName userAgent expirationTime lastSuccessAt createdAt')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: subscriptions.length,
+    data: subscriptions,
+  });
+});
+
+/**
+ * @desc    Cihaz push aboneliğini sil
+ * @route   DELETE /api/push/subscriptions/:id
+ * @access  Private
+ */
+const deleteSubscription = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ErrorResponse('Geçersiz abonelik ID formatı', 400));
+  }
+
+  const subscription = await PushSubscription.findOneAndDelete({ _id: id, user: req.user._id });
+  if (!subscription) {
+    return next(new ErrorResponse('Abonelik bulunamadı', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {},
+    message: 'Push aboneliği silindi',
+  });
+});
+
+/**
+ * @desc    Kullanıcının tüm cihazlarına test bildirimi gönder
+ * @route   POST /api/push/test
+ * @access  Private
+ */
+const sendTestPush = asyncHandler(async (req, res, next) => {
+  const subscriptions = await PushSubscription.find({ user: req.user._id });
+
+  if (subscriptions.length === 0) {
+    return next(new ErrorResponse('Kayıtlı push aboneliğiniz yok', 404));
+  }
+
+  let delivered = 0;
+  for (const subscription of subscriptions) {
+    const ok = await deliverToSubscription(subscription, {
+      type: 'system',
+      title: 'Test bildirimi',
+      body: 'Push bildirimleri bu cihazda çalışıyor.',
+      createdAt: new Date(),
+    });
+    if (ok) delivered++;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { total: subscriptions.length, delivered },
+  });
+});
+
+/**
+ * @desc    Yerel test için sahte push endpoint'i ve anahtarları oluştur
+ * @route   POST /api/push/stub
+ * @access  Public (yalnızca geliştirme)
+ */
+const createStubEndpoint = asyncHandler(async (req, res, next) => {
+  const stubId = crypto.randomBytes(12).toString('hex');
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const auth = crypto.randomBytes(16);
+
+  stubEndpoints.set(stubId, { ecdh, auth, messages: [] });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      endpoint: new URL(`/api/push/stub/${stubId}`, getStubBaseUrl()).href,
+      keys: {
+        p256dh: ecdh.getPublicKey().toString('base64url'),
+        auth: auth.toString('base64url'),
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Sahte endpoint'e gelen push'u çöz ve sakla (push servisi gibi davranır)
+ * @route   POST /api/push/stub/:stubId
+ * @access  Public (yalnızca geliştirme)
+ */
+const receiveStubPush = asyncHandler(async (req, res, next) => {
+  const stub = stubEndpoints.get(req.params.stubId);
+
+  // Silinmiş endpoint gerçek push servisleri gibi 410 döner
+  if (!stub) {
+    return res.status(410).json({ success: false, error: 'Abonelik süresi dolmuş' });
+  }
+
+  if (!/^vapid t=[^,]+, k=/.test(req.headers.authorization || '')) {
+    return next(new ErrorResponse('VAPID yetkilendirmesi eksik', 401));
+  }
+
+  if (req.headers['content-encoding'] !== 'aes128gcm') {
+    return next(new ErrorResponse('Desteklenmeyen içerik kodlaması', 415));
+  }
+
+  const body = await readRawBody(req);
+
+  let payload;
+  try {
+    payload = JSON.parse(decryptPayload(body, stub));
+  } catch (error) {
+    return next(new ErrorResponse('Push içeriği çözülemedi', 400));
+  }
+
+  stub.messages.unshift({ payload, ttl: Number(req.headers.ttl), receivedAt: new Date() });
+  stub.messages.length = Math.min(stub.messages.length, STUB_MESSAGE_LIMIT);
+
+  res.status(201).end();
+});
+
+/**
+ * @desc    Sahte endpoint'e ulaşan push'ları listele
+ * @route   GET /api/push/stub/:stubId
+ * @access  Public (yalnızca geliştirme)
+ */
+const getStubMessages = asyncHandler(async (req, res, next) => {
+  const stub = stubEndpoints.get(req.params.stubId);
+  if (!stub) {
+    return next(new ErrorResponse("Test endpoint'i bulunamadı", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    count: stub.messages.length,
+    data: stub.messages,
+  });
+});
+
+/**
+ * @desc    Sahte endpoint'i sil (sonraki gönderimler 410 alır ve abonelik temizlenir)
+ * @route   DELETE /api/push/stub/:stubId
+ * @access  Public (yalnızca geliştirme)
+ */
+const deleteStubEndpoint = asyncHandler(async (req, res, next) => {
+  stubEndpoints.delete(req.params.stubId);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+module.exports = {
+  isStubEnabled,
+  getVapidPublicKey,
+  subscribe,
+  getSubscriptions,
+  deleteSubscription,
+  sendTestPush,
+  createStubEndpoint,
+  receiveStubPush,
+  getStubMessages,
+  deleteStubEndpoint,
+};
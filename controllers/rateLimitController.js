@@ -1,5 +1,6 @@
 const RateLimit = require('../models/RateLimit');
 const User = require('../models/User');
+const AdminLog = require('../models/AdminLog');
 const mongoose = require('mongoose');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
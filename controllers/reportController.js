@@ -6,6 +6,7 @@ const Subreddit = require('../models/Subreddit');
 const SubredditRule = require('../models/SubredditRule');
 const SubredditMembership = require('../models/SubredditMembership');
 const ModLog = require('../models/ModLog');
+const AdminLog = require('../models/AdminLog');
 const mongoose = require('mongoose');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
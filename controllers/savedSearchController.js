@@ -0,0 +1,384 @@
+const SavedSearch = require('../models/SavedSearch');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Subreddit = require('../models/Subreddit');
+const mongoose = require('mongoose');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { parseSearchQuery } = require('../utils/searchQuery');
+const {
+  buildSavedSearchFilter,
+  buildVisibleSubredditFilter,
+} = require('../utils/savedSearchAlerts');
+
+// Kullanıcı başına en fazla kayıtlı arama
+const MAX_SAVED_SEARCHES = 25;
+const MAX_KEYWORDS = 20;
+const MAX_KEYWORD_LENGTH = 100;
+const MAX_FLAIRS = 20;
+const POST_TYPES = ['text', 'link', 'image', 'video', 'poll'];
+const ALERT_MODES = ['none', 'instant', 'digest'];
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+const escapeRegex = (text) => text.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+
+/**
+ * @desc    Kullanıcının kayıtlı aramalarını listele
+ * @route   GET /api/search/saved
+ * @access  Private
+ */
+const getSavedSearches = asyncHandler(async (req, res, next) => {
+  const savedSearches = await SavedSearch.find({ user: req.user._id })
+    .select('-pendingMatches')
+    .sort({ createdAt: -1 })
+    .populate('criteria.author', 'username')
+    .populate('criteria.subreddit', 'name title');
+
+  res.status(200).json({
+    success: true,
+    count: savedSearches.length,
+    data: savedSearches,
+  });
+});
+
+/**
+ * @desc    Kayıtlı arama detayını getir
+ * @route   GET /api/search/saved/:id
+ * @access  Private
+ */
+const getSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req, next);
+  if (!savedSearch) return;
+
+  await savedSearch.populate([
+    { path: 'criteria.author', select: 'username' },
+    { path: 'criteria.subreddit', select: 'name title' },
+    { path: 'criteria.flairs', select: 'text backgroundColor textColor' },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: savedSearch,
+  });
+});
+
+/**
+ * @desc    Aramayı kaydet (gelişmiş arama kriterleri ve uyarı tercihiyle)
+ * @route   POST /api/search/saved
+ * @access  Private
+ */
+const createSavedSearch = asyncHandler(async (req, res, next) => {
+  const count = await SavedSearch.countDocuments({ user: req.user._id });
+  if (count >= MAX_SAVED_SEARCHES) {
+    return next(new ErrorResponse(`En fazla ${MAX_SAVED_SEARCHES} arama kaydedebilirsiniz`, 400));
+  }
+
+  const { fields, error } = await parseSavedSearchInput(req.body);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const savedSearch = await SavedSearch.create({
+    ...fields,
+    user: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: savedSearch,
+  });
+});
+
+/**
+ * @desc    Kayıtlı aramayı güncelle (ad, kriterler veya uyarı tercihi)
+ * @route   PUT /api/search/saved/:id
+ * @access  Private
+ */
+const updateSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req, next);
+  if (!savedSearch) return;
+
+  const { fields, error } = await parseSavedSearchInput(req.body, savedSearch);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  // Uyarılar kapatılınca veya özetten çıkılınca biriken eşleşmeler atılır
+  if (fields.alertMode !== 'digest') {
+    savedSearch.pendingMatches = [];
+  } else if (savedSearch.alertMode !== 'digest') {
+    savedSearch.lastDigestAt = Date.now();
+  }
+
+  savedSearch.set(fields);
+  await savedSearch.save();
+
+  res.status(200).json({
+    success: true,
+    data: savedSearch,
+  });
+});
+
+/**
+ * @desc    Kayıtlı aramayı sil
+ * @route   DELETE /api/search/saved/:id
+ * @access  Private
+ */
+const deleteSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req, next);
+  if (!savedSearch) return;
+
+  await savedSearch.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+/**
+ * @desc    Kayıtlı aramayı çalıştır (uyarılarla aynı kriterlerle, sort=new|top|comments)
+ * @route   GET /api/search/saved/:id/results
+ * @access  Private
+ */
+const runSavedSearch = asyncHandler(async (req, res, next) => {
+  const savedSearch = await findOwnSavedSearch(req, next);
+  if (!savedSearch) return;
+
+  // Sayfalama için
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+  const startIndex = (page - 1) * limit;
+
+  const sortOptions = {
+    new: { createdAt: -1 },
+    top: { voteScore: -1 },
+    comments: { commentCount: -1 },
+  };
+  const sortBy = sortOptions[req.query.sort] || sortOptions.new;
+
+  // Üyesi olunmayan özel subreddit gönderileri uyarılarda olduğu gibi sonuçlara girmez
+  const filter = {
+    $and: [
+      await buildSavedSearchFilter(savedSearch.criteria),
+      await buildVisibleSubredditFilter(req.user._id),
+    ],
+  };
+
+  const [posts, total] = await Promise.all([
+    Post.find(filter)
+      .select(
+        'title content type author subreddit createdAt upvotes downvotes voteScore commentCount isNSFW flair',
+      )
+      .sort(sortBy)
+      .skip(startIndex)
+      .limit(limit)
+      .populate('author', 'username profilePicture')
+      .populate('subreddit', 'name title')
+      .populate('flair', 'text backgroundColor textColor'),
+    Post.countDocuments({ ...filter, isDeleted: false, isFiltered: { $ne: true } }),
+  ]);
+
+  savedSearch.lastRunAt = Date.now();
+  await savedSearch.save();
+
+  // Sayfalama bilgisi
+  const pagination = {
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalResults: total,
+  };
+
+  if (startIndex + limit < total) {
+    pagination.nextPage = page + 1;
+  }
+
+  if (startIndex > 0) {
+    pagination.prevPage = page - 1;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: posts,
+    pagination,
+    savedSearch: {
+      _id: savedSearch._id,
+      name: savedSearch.name,
+    },
+  });
+});
+
+// Yardımcı fonksiyonlar
+
+/**
+ * İstekteki ID'ye ait, kullanıcının kendi kayıtlı aramasını bul; yoksa hata ile devam et
+ * @param {Object} req - Express isteği
+ * @param {Function} next - Express next
+ * @returns {Promise<Object|null>} SavedSearch dokümanı
+ */
+const findOwnSavedSearch = async (req, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    next(new ErrorResponse('Geçersiz kayıtlı arama ID formatı', 400));
+    return null;
+  }
+
+  const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+  if (!savedSearch) {
+    next(new ErrorResponse('Kayıtlı arama bulunamadı', 404));
+    return null;
+  }
+
+  return savedSearch;
+};
+
+/**
+ * Anahtar kelime listesini doğrula
+ * @param {*} keywords - İstekten gelen değer
+ * @param {String} label - Hata mesajında kullanılacak ad
+ * @returns {Object} { keywords } veya { error }
+ */
+const parseKeywords = (keywords, label) => {
+  if (!Array.isArray(keywords) || keywords.length > MAX_KEYWORDS) {
+    return { error: `${label} en fazla ${MAX_KEYWORDS} elemanlı bir dizi olmalıdır` };
+  }
+
+  const cleaned = keywords.map((keyword) => String(keyword).trim()).filter(Boolean);
+  if (cleaned.some((keyword) => keyword.length > MAX_KEYWORD_LENGTH)) {
+    return { error: `${label} en fazla ${MAX_KEYWORD_LENGTH} karakter olabilir` };
+  }
+
+  return { keywords: cleaned };
+};
+
+/**
+ * Kayıtlı arama girdisini doğrula; yazar ve subreddit adlarını ID'ye çevir
+ * @param {Object} body - İstek gövdesi
+ * @param {Object} current - Güncellenen kayıt (oluşturmada yok)
+ * @returns {Promise<Object>} { fields } veya { error }
+ */
+const parseSavedSearchInput = async (body, current) => {
+  const existing = current ? current.toObject().criteria || {} : {};
+  const criteria = {
+    query: existing.query,
+    includeKeywords: existing.includeKeywords || [],
+    excludeKeywords: existing.excludeKeywords || [],
+    author: existing.author || null,
+    subreddit: existing.subreddit || null,
+    flairs: existing.flairs || [],
+    postTypes: existing.postTypes || [],
+    nsfw: existing.nsfw,
+  };
+
+  const name = body.name !== undefined ? String(body.name).trim() : current && current.name;
+  if (!name) {
+    return { error: 'Kayıtlı arama için bir ad belirtilmelidir' };
+  }
+  if (name.length > 100) {
+    return { error: 'Kayıtlı arama adı en fazla 100 karakter olabilir' };
+  }
+
+  if (body.query !== undefined) {
+    criteria.query = body.query ? String(body.query).trim() : undefined;
+    // Sorgu dili hataları SearchSyntaxError (400) olarak döner
+    if (criteria.query) parseSearchQuery(criteria.query);
+  }
+
+  for (const key of ['includeKeywords', 'excludeKeywords']) {
+    if (body[key] !== undefined) {
+      const parsed = parseKeywords(body[key] || [], key);
+      if (parsed.error) return { error: parsed.error };
+      criteria[key] = parsed.keywords;
+    }
+  }
+
+  if (body.author !== undefined) {
+    if (!body.author) {
+      criteria.author = null;
+    } else {
+      const author = mongoose.Types.ObjectId.isValid(body.author)
+        ? await User.findById(body.author).select('_id')
+        : await User.findOne({ username: body.author }).select('_id');
+      if (!author) return { error: 'Belirtilen yazar bulunamadı' };
+      criteria.author = author._id;
+    }
+  }
+
+  if (body.subreddit !== undefined) {
+    if (!body.subreddit) {
+      criteria.subreddit = null;
+    } else {
+      const subreddit = mongoose.Types.ObjectId.isValid(body.subreddit)
+        ? await Subreddit.findById(body.subreddit).select('_id')
+        : await Subreddit.findOne({
+            name: new RegExp(`^${escapeRegex(String(body.subreddit))}$`, 'i'),
+          }).select('_id');
+      if (!subreddit) return { error: 'Belirtilen subreddit bulunamadı' };
+      criteria.subreddit = subreddit._id;
+    }
+  }
+
+  if (body.flairs !== undefined) {
+    const flairs = body.flairs || [];
+    if (
+      !Array.isArray(flairs) ||
+      flairs.length > MAX_FLAIRS ||
+      !flairs.every((id) => mongoose.Types.ObjectId.isValid(id))
+    ) {
+      return { error: `flairs en fazla ${MAX_FLAIRS} geçerli flair ID'si içerebilir` };
+    }
+    criteria.flairs = flairs;
+  }
+
+  if (body.postTypes !== undefined) {
+    const postTypes = body.postTypes || [];
+    if (!Array.isArray(postTypes) || !postTypes.every((type) => POST_TYPES.includes(type))) {
+      return { error: `postTypes şunlardan oluşmalıdır: ${POST_TYPES.join(', ')}` };
+    }
+    criteria.postTypes = postTypes;
+  }
+
+  if (body.nsfw !== undefined) {
+    criteria.nsfw = body.nsfw === true || body.nsfw === 'true';
+  }
+
+  if (
+    !criteria.query &&
+    criteria.includeKeywords.length === 0 &&
+    !criteria.author &&
+    !criteria.subreddit
+  ) {
+    return { error: 'En az bir arama kriteri belirtilmelidir' };
+  }
+
+  const alertMode = body.alertMode !== undefined ? body.alertMode : current && current.alertMode;
+  if (alertMode !== undefined && !ALERT_MODES.includes(alertMode)) {
+    return { error: `alertMode şunlardan biri olmalıdır: ${ALERT_MODES.join(', ')}` };
+  }
+
+  const digestFrequency =
+    body.digestFrequency !== undefined ? body.digestFrequency : current && current.digestFrequency;
+  if (digestFrequency !== undefined && !DIGEST_FREQUENCIES.includes(digestFrequency)) {
+    return {
+      error: `digestFrequency şunlardan biri olmalıdır: ${DIGEST_FREQUENCIES.join(', ')}`,
+    };
+  }
+
+  return {
+    fields: {
+      name,
+      criteria,
+      ...(alertMode !== undefined && { alertMode }),
+      ...(digestFrequency !== undefined && { digestFrequency }),
+    },
+  };
+};
+
+module.exports = {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  runSavedSearch,
+};
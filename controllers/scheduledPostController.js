@@ -0,0 +1,554 @@
+const ScheduledPost = require('../models/ScheduledPost');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Subreddit = require('../models/Subreddit');
+const Flair = require('../models/Flair');
+const mongoose = require('mongoose');
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { isModeratorOf } = require('../utils/roleHelpers');
+const { getActiveSanction } = require('../utils/sanctionHelpers');
+const { runAutomod } = require('../utils/automod');
+const { setPostPinned } = require('./postController');
+const { enforceContentFilters } = require('./contentFilterController');
+const { createFollowedUserPostNotifications } = require('./notificationController');
+const { notifySavedSearchMatches } = require('../utils/savedSearchAlerts');
+
+const SCHEDULED_POST_TYPES = ['text', 'link', 'image', 'video'];
+const RECURRENCE_FREQUENCIES = ['none', 'daily', 'weekly'];
+const SCHEDULED_POST_FIELDS = [
+  'title',
+  'content',
+  'type',
+  'url',
+  'mediaUrl',
+  'isNSFW',
+  'isSpoiler',
+  'flair',
+  'scheduledFor',
+  'recurrence',
+  'autoPin',
+  'unpinPrevious',
+];
+// Gönderiler en fazla bu kadar ileri bir tarihe zamanlanabilir
+const MAX_SCHEDULE_AHEAD_DAYS = 365;
+// Bu kadar art arda başarısız denemeden sonra zamanlama durdurulur
+const MAX_PUBLISH_FAILURES = 3;
+// Worker'ın bir kaydı yayınlarken tuttuğu kilit süresi
+const PUBLISH_LOCK_MS = 5 * 60 * 1000;
+// Bir çalışmada yayınlanacak en fazla gönderi
+const PUBLISH_BATCH_SIZE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @desc    Gönderi zamanla (tek seferlik veya tekrarlayan)
+ * @route   POST /api/subreddits/:subredditId/scheduled-posts
+ * @access  Private (Moderatör/Admin)
+ */
+const createScheduledPost = asyncHandler(async (req, res, next) => {
+  const { subredditId } = req.params;
+
+  const subreddit = await getModeratedSubreddit(req, next, subredditId);
+  if (!subreddit) return;
+
+  const { fields, error } = await buildScheduledPostFields(req.body, {}, subredditId);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const scheduledPost = await ScheduledPost.create({
+    ...fields,
+    subreddit: subredditId,
+    author: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: scheduledPost,
+    message: 'Gönderi zamanlandı',
+  });
+});
+
+/**
+ * @desc    Subreddit'in zamanlanmış gönderilerini listele
+ * @route   GET /api/subreddits/:subredditId/scheduled-posts
+ * @access  Private (Moderatör/Admin)
+ */
+const getScheduledPosts = asyncHandler(async (req, res, next) => {
+  const { subredditId } = req.params;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+
+  const subreddit = await getModeratedSubreddit(req, next, subredditId);
+  if (!subreddit) return;
+
+  const query = { subreddit: subredditId, status: req.query.status || 'scheduled' };
+
+  if (query.status === 'all') {
+    delete query.status;
+  }
+
+  if (req.query.recurring !== undefined) {
+    query['recurrence.frequency'] = req.query.recurring === 'true' ? { $ne: 'none' } : 'none';
+  }
+
+  const [scheduledPosts, total] = await Promise.all([
+    ScheduledPost.find(query)
+      .populate('author', 'username profilePicture')
+      .populate('flair', 'text backgroundColor textColor')
+      .populate('lastPost', 'title slug isPinned createdAt')
+      .sort({ scheduledFor: 1 })
+      .skip(skip)
+      .limit(limit),
+    ScheduledPost.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: scheduledPosts.length,
+    data: scheduledPosts,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * @desc    Zamanlanmış gönderiyi getir
+ * @route   GET /api/subreddits/:subredditId/scheduled-posts/:id
+ * @access  Private (Moderatör/Admin)
+ */
+const getScheduledPost = asyncHandler(async (req, res, next) => {
+  const scheduledPost = await getScheduledPostForModerator(req, next);
+  if (!scheduledPost) return;
+
+  await scheduledPost.populate([
+    { path: 'author', select: 'username profilePicture' },
+    { path: 'flair', select: 'text backgroundColor textColor' },
+    { path: 'lastPost', select: 'title slug isPinned createdAt' },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: scheduledPost,
+  });
+});
+
+/**
+ * @desc    Zamanlanmış gönderiyi düzenle
+ * @route   PUT /api/subreddits/:subredditId/scheduled-posts/:id
+ * @access  Private (Moderatör/Admin)
+ */
+const updateScheduledPost = asyncHandler(async (req, res, next) => {
+  const scheduledPost = await getScheduledPostForModerator(req, next);
+  if (!scheduledPost) return;
+
+  // Başarısız olanlar düzenlenerek yeniden zamanlanabilir
+  if (!['scheduled', 'failed'].includes(scheduledPost.status)) {
+    return next(
+      new ErrorResponse(
+        'Sadece bekleyen veya başarısız zamanlanmış gönderiler düzenlenebilir',
+        400,
+      ),
+    );
+  }
+
+  if (scheduledPost.lockedUntil && scheduledPost.lockedUntil > new Date()) {
+    return next(new ErrorResponse('Gönderi şu anda yayınlanıyor, lütfen tekrar deneyin', 409));
+  }
+
+  const { fields, error } = await buildScheduledPostFields(
+    req.body,
+    scheduledPost.toObject(),
+    scheduledPost.subreddit,
+  );
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  scheduledPost.set(fields);
+  // Düzenleme sonrası yeniden denensin
+  scheduledPost.status = 'scheduled';
+  scheduledPost.failureCount = 0;
+  scheduledPost.lastError = undefined;
+  await scheduledPost.save();
+
+  res.status(200).json({
+    success: true,
+    data: scheduledPost,
+    message: 'Zamanlanmış gönderi güncellendi',
+  });
+});
+
+/**
+ * @desc    Zamanlanmış gönderiyi iptal et (tekrarlayan gönderilerde sonraki tüm örnekler)
+ * @route   DELETE /api/subreddits/:subredditId/scheduled-posts/:id
+ * @access  Private (Moderatör/Admin)
+ */
+const cancelScheduledPost = asyncHandler(async (req, res, next) => {
+  const scheduledPost = await getScheduledPostForModerator(req, next);
+  if (!scheduledPost) return;
+
+  if (!['scheduled', 'failed'].includes(scheduledPost.status)) {
+    return next(
+      new ErrorResponse('Bu zamanlanmış gönderi zaten tamamlanmış veya iptal edilmiş', 400),
+    );
+  }
+
+  if (scheduledPost.lockedUntil && scheduledPost.lockedUntil > new Date()) {
+    return next(new ErrorResponse('Gönderi şu anda yayınlanıyor, lütfen tekrar deneyin', 409));
+  }
+
+  // Kontrolden sonra worker kilidi almış olabilir; iptal yalnızca kilit yoksa uygulanır
+  const now = new Date();
+  const cancelled = await ScheduledPost.findOneAndUpdate(
+    {
+      _id: scheduledPost._id,
+      status: { $in: ['scheduled', 'failed'] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { status: 'cancelled', cancelledBy: req.user._id, cancelledAt: now } },
+    { new: true },
+  );
+
+  if (!cancelled) {
+    return next(new ErrorResponse('Gönderi şu anda yayınlanıyor, lütfen tekrar deneyin', 409));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: cancelled,
+    message: 'Zamanlanmış gönderi iptal edildi',
+  });
+});
+
+/**
+ * Zamanı gelen gönderileri yayınla (arka plan worker'ı tarafından periyodik çağrılır)
+ * @returns {Promise<Number>} Yayınlanan gönderi sayısı
+ */
+const publishDueScheduledPosts = async () => {
+  const now = new Date();
+  const due = await ScheduledPost.find({
+    status: 'scheduled',
+    scheduledFor: { $lte: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  })
+    .sort({ scheduledFor: 1 })
+    .limit(PUBLISH_BATCH_SIZE)
+    .select('_id');
+
+  let published = 0;
+
+  for (const { _id } of due) {
+    // Kaydı kilitle; başka bir worker aldıysa atla
+    const scheduledPost = await ScheduledPost.findOneAndUpdate(
+      {
+        _id,
+        status: 'scheduled',
+        scheduledFor: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      { lockedUntil: new Date(Date.now() + PUBLISH_LOCK_MS) },
+      { new: true },
+    );
+    if (!scheduledPost) continue;
+
+    try {
+      await publishScheduledPost(scheduledPost);
+      published++;
+    } catch (err) {
+      console.error(`Zamanlanmış gönderi yayınlanamadı (${scheduledPost._id}):`, err.message);
+
+      scheduledPost.failureCount += 1;
+      scheduledPost.lastError = err.message;
+      scheduledPost.lockedUntil = null;
+      // Gönderi oluşmuş ama kayıt ilerletilememişse yeniden denemek kopya gönderi yayınlar
+      if (err.postCreated || scheduledPost.failureCount >= MAX_PUBLISH_FAILURES) {
+        scheduledPost.status = 'failed';
+      }
+      await scheduledPost.save();
+    }
+  }
+
+  return published;
+};
+
+// Yardımcı fonksiyonlar
+
+/**
+ * Subreddit'i getir ve kullanıcının moderatör olduğunu doğrula; hata durumunda next'e iletir
+ * @returns {Promise<Object|null>} Subreddit veya null
+ */
+const getModeratedSubreddit = async (req, next, subredditId) => {
+  if (!mongoose.Types.ObjectId.isValid(subredditId)) {
+    next(new ErrorResponse('Geçersiz subreddit ID formatı', 400));
+    return null;
+  }
+
+  const subreddit = await Subreddit.findById(subredditId);
+  if (!subreddit) {
+    next(new ErrorResponse('Subreddit bulunamadı', 404));
+    return null;
+  }
+
+  if (!(await isModeratorOf(req.user._id, subredditId))) {
+    next(new ErrorResponse('Bu işlem için moderatör yetkileri gerekiyor', 403));
+    return null;
+  }
+
+  return subreddit;
+};
+
+/**
+ * İstekteki zamanlanmış gönderiyi getir ve moderatör yetkisini doğrula
+ * @returns {Promise<Object|null>} ScheduledPost veya null
+ */
+const getScheduledPostForModerator = async (req, next) => {
+  const { subredditId, id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    next(new ErrorResponse('Geçersiz zamanlanmış gönderi ID formatı', 400));
+    return null;
+  }
+
+  const subreddit = await getModeratedSubreddit(req, next, subredditId);
+  if (!subreddit) return null;
+
+  const scheduledPost = await ScheduledPost.findOne({ _id: id, subreddit: subredditId });
+  if (!scheduledPost) {
+    next(new ErrorResponse('Zamanlanmış gönderi bulunamadı', 404));
+    return null;
+  }
+
+  return scheduledPost;
+};
+
+/**
+ * İstek gövdesini mevcut değerlerle birleştirip doğrula
+ * @param {Object} body - İstek gövdesi
+ * @param {Object} current - Mevcut değerler (oluşturmada boş)
+ * @param {String|ObjectId} subredditId - Subreddit ID
+ * @returns {Promise<Object>} { fields } veya { error }
+ */
+const buildScheduledPostFields = async (body, current, subredditId) => {
+  const fields = {};
+  SCHEDULED_POST_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    else if (current[field] !== undefined) fields[field] = current[field];
+  });
+
+  const title = typeof fields.title === 'string' ? fields.title.trim() : '';
+  if (!title) {
+    return { error: 'Başlık gereklidir' };
+  }
+  if (title.length > 300) {
+    return { error: 'Başlık 300 karakterden uzun olamaz' };
+  }
+
+  const type = fields.type || 'text';
+  if (!SCHEDULED_POST_TYPES.includes(type)) {
+    return { error: `Geçersiz gönderi tipi. Geçerli tipler: ${SCHEDULED_POST_TYPES.join(', ')}` };
+  }
+  if (type === 'link' && !fields.url) {
+    return { error: 'Link tipi gönderiler için URL gereklidir' };
+  }
+  if (['image', 'video'].includes(type) && !fields.mediaUrl) {
+    return { error: `${type} tipi gönderiler için medya URL'si gereklidir` };
+  }
+
+  const scheduledFor = new Date(fields.scheduledFor);
+  if (!fields.scheduledFor || Number.isNaN(scheduledFor.getTime())) {
+    return { error: 'Geçerli bir yayın zamanı (scheduledFor) gereklidir' };
+  }
+  // Yalnızca yeni verilen zaman geçmişte olamaz; tekrarlayan kayıtlarda mevcut zaman korunabilir
+  if (body.scheduledFor !== undefined && scheduledFor <= new Date()) {
+    return { error: 'Yayın zamanı gelecekte olmalıdır' };
+  }
+  if (scheduledFor > new Date(Date.now() + MAX_SCHEDULE_AHEAD_DAYS * DAY_MS)) {
+    return { error: `Gönderiler en fazla ${MAX_SCHEDULE_AHEAD_DAYS} gün sonrasına zamanlanabilir` };
+  }
+
+  // Tekrar ayarları kısmi güncellenebilir
+  const recurrence = { ...(current.recurrence || {}), ...(body.recurrence || {}) };
+  const frequency = recurrence.frequency || 'none';
+  const interval = recurrence.interval === undefined ? 1 : recurrence.interval;
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return {
+      error: `Geçersiz tekrar sıklığı. Geçerli değerler: ${RECURRENCE_FREQUENCIES.join(', ')}`,
+    };
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    return { error: 'Tekrar aralığı 1-52 arasında bir tam sayı olmalıdır' };
+  }
+
+  let endsAt;
+  if (frequency !== 'none' && recurrence.endsAt) {
+    endsAt = new Date(recurrence.endsAt);
+    if (Number.isNaN(endsAt.getTime()) || endsAt <= scheduledFor) {
+      return { error: 'Tekrar bitiş tarihi ilk yayın zamanından sonra olmalıdır' };
+    }
+  }
+
+  let flair;
+  if (fields.flair) {
+    if (!mongoose.Types.ObjectId.isValid(fields.flair)) {
+      return { error: 'Geçersiz flair ID formatı' };
+    }
+    const flairExists = await Flair.exists({
+      _id: fields.flair,
+      subreddit: subredditId,
+      type: 'post',
+    });
+    if (!flairExists) {
+      return { error: "Flair bu subreddit'e ait bir gönderi flair'i olmalıdır" };
+    }
+    flair = fields.flair;
+  }
+
+  return {
+    fields: {
+      title,
+      content: fields.content,
+      type,
+      url: type === 'link' ? fields.url : undefined,
+      mediaUrl: ['image', 'video'].includes(type) ? fields.mediaUrl : undefined,
+      isNSFW: fields.isNSFW === true,
+      isSpoiler: fields.isSpoiler === true,
+      flair,
+      scheduledFor,
+      recurrence: { frequency, interval, endsAt },
+      autoPin: fields.autoPin === true,
+      unpinPrevious: fields.unpinPrevious !== false,
+    },
+  };
+};
+
+/**
+ * Tekrarlayan gönderinin bir sonraki yayın zamanını hesapla; kaçırılan örnekler atlanır
+ * @param {Object} scheduledPost - ScheduledPost dokümanı
+ * @param {Date} now - Şu anki zaman
+ * @returns {Date|null} Sonraki zaman veya tekrar yoksa/bittiyse null
+ */
+const getNextOccurrence = (scheduledPost, now) => {
+  const { frequency, interval, endsAt } = scheduledPost.recurrence || {};
+  if (!frequency || frequency === 'none') return null;
+
+  const step = (frequency === 'weekly' ? 7 : 1) * (interval || 1) * DAY_MS;
+  let next = scheduledPost.scheduledFor.getTime() + step;
+  while (next <= now.getTime()) next += step;
+
+  if (endsAt && next > endsAt.getTime()) return null;
+  return new Date(next);
+};
+
+/**
+ * Zamanlanmış gönderinin bir örneğini yayınla, sabitlemeleri güncelle ve sonraki zamanı ayarla
+ * @param {Object} scheduledPost - Kilitlenmiş ScheduledPost dokümanı
+ * @returns {Promise<Object>} Oluşturulan gönderi
+ */
+const publishScheduledPost = async (scheduledPost) => {
+  const { subreddit: subredditId } = scheduledPost;
+
+  const [subreddit, author] = await Promise.all([
+    Subreddit.findById(subredditId).select('_id'),
+    User.findById(scheduledPost.author),
+  ]);
+
+  if (!subreddit) {
+    throw new Error('Subreddit bulunamadı');
+  }
+  if (!author || !(await isModeratorOf(author._id, subredditId))) {
+    throw new Error("Gönderiyi zamanlayan kullanıcı artık bu subreddit'in moderatörü değil");
+  }
+  if ((await getActiveSanction(author, 'ban')) || (await getActiveSanction(author, 'mute'))) {
+    throw new Error('Gönderiyi zamanlayan kullanıcının hesabı kısıtlanmış');
+  }
+
+  const publishedAt = new Date();
+  const title = scheduledPost.title
+    .replace(/\{date\}/g, publishedAt.toISOString().slice(0, 10))
+    .slice(0, 300);
+
+  const post = await Post.create({
+    title,
+    content: scheduledPost.content,
+    type: scheduledPost.type,
+    url: scheduledPost.url,
+    mediaUrl: scheduledPost.mediaUrl,
+    author: author._id,
+    subreddit: subredditId,
+    isNSFW: scheduledPost.isNSFW,
+    isSpoiler: scheduledPost.isSpoiler,
+    flair: scheduledPost.flair || undefined,
+  });
+
+  // Gönderi oluştuğu anda kayıt ilerletilir; sonraki adımlardaki hatalar aynı örneği
+  // yeniden yayınlatmamalı
+  const previousPost = scheduledPost.lastPost;
+  const nextOccurrence = getNextOccurrence(scheduledPost, publishedAt);
+
+  scheduledPost.lastPost = post._id;
+  scheduledPost.lastPublishedAt = publishedAt;
+  scheduledPost.publishCount += 1;
+  scheduledPost.failureCount = 0;
+  scheduledPost.lastError = undefined;
+  scheduledPost.lockedUntil = null;
+  if (nextOccurrence) {
+    scheduledPost.scheduledFor = nextOccurrence;
+  } else {
+    scheduledPost.status = 'published';
+  }
+
+  try {
+    await scheduledPost.save();
+  } catch (err) {
+    err.postCreated = true;
+    throw err;
+  }
+
+  // Gönderi yayınlandığı için buradan sonraki hatalar yeniden denemeye yol açmamalı
+
+  // Önceki örneğin sabitlemesini kaldır, yenisini sabitle
+  try {
+    if (scheduledPost.unpinPrevious && previousPost) {
+      await setPostPinned(previousPost, false);
+    }
+    if (scheduledPost.autoPin) {
+      await setPostPinned(post._id, true);
+    }
+  } catch (err) {
+    console.error(`Zamanlanmış gönderi sabitlenemedi (${post._id}):`, err.message);
+  }
+
+  // createPost ile aynı şekilde içerik filtreleri, automod ve takipçi bildirimleri
+  try {
+    await enforceContentFilters(post, {
+      kind: 'post',
+      subredditId,
+      text: [post.title, post.content, post.url].filter(Boolean).join('\n'),
+    });
+    const automod = await runAutomod(post, { kind: 'submission' });
+
+    if (!automod.removed && !automod.filtered) {
+      await createFollowedUserPostNotifications(post);
+      await notifySavedSearchMatches(post);
+    }
+  } catch (err) {
+    console.error(`Zamanlanmış gönderi sonrası işlemler başarısız (${post._id}):`, err.message);
+  }
+
+  return post;
+};
+
+module.exports = {
+  createScheduledPost,
+  getScheduledPosts,
+  getScheduledPost,
+  updateScheduledPost,
+  cancelScheduledPost,
+  publishDueScheduledPosts,
+};
@@ -3,9 +3,26 @@ const Comment = require('../models/Comment');
 const Subreddit = require('../models/Subreddit');
 const User = require('../models/User');
 const Tag = require('../models/Tag');
+const SearchQuery = require('../models/SearchQuery');
 const mongoose = require('mongoose');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
+const {
+  TRENDING_WINDOWS,
+  MAX_TRENDING_RESULTS,
+  recordSearch,
+  getTrendingSearchTerms,
+} = require('../utils/searchAnalytics');
+const { buildSearchFilter } = require('../utils/searchQuery');
+const {
+  MAX_SEARCH_HITS,
+  SEARCH_KINDS,
+  getSearchBackend,
+  reindexSearch,
+} = require('../utils/searchBackend');
+
+// Arama arka ucu eşleşmelerine MongoDB filtreleri uygulanırken tek sorguda gönderilen ID sayısı
+const SEARCH_FILTER_BATCH_SIZE = 1000;
 
 /**
  * @desc    Genel arama fonksiyonu (tüm içerik tipleri)
@@ -91,8 +108,46 @@ const searchAll = asyncHandler(async (req, res, next) => {
 
   const sortBy = sortOptions[sort] || sortOptions.relevance;
 
+  // Gönderi ve yorumlarda sorgu dili (alan operatörleri, AND/OR/NOT) kullanılabilir
+  const postSearch = ['all', 'post'].includes(searchType)
+    ? await buildSearchFilter(query, 'post')
+    : null;
+  const commentSearch = ['all', 'comment'].includes(searchType)
+    ? await buildSearchFilter(query, 'comment')
+    : null;
+
+  // $text kullanılmayan sorgularda alaka skoru yoktur, en yüksek puanlılar önce gelir
+  const getContentSort = ({ isTextSearch }) =>
+    isTextSearch || (sort && sort !== 'relevance' && sortOptions[sort])
+      ? sortBy
+      : { voteScore: -1, createdAt: -1 };
+  const getContentProjection = ({ isTextSearch }) =>
+    isTextSearch ? { score: { $meta: 'textScore' } } : {};
+  // Düz metin aramaları hazırsa arama arka ucu ile yapılır (null sıralama = alaka)
+  const backendSort = sortBy === sortOptions.relevance ? null : sortBy;
+  const postSelect =
+    'title content type author subreddit createdAt upvotes downvotes voteScore commentCount isNSFW';
+  const postPopulate = [
+    { path: 'author', select: 'username profilePicture' },
+    { path: 'subreddit', select: 'name title' },
+  ];
+  const commentSelect = 'content author post createdAt upvotes downvotes voteScore';
+  const commentPopulate = [
+    { path: 'author', select: 'username profilePicture' },
+    {
+      path: 'post',
+      select: 'title subreddit',
+      populate: {
+        path: 'subreddit',
+        select: 'name title',
+      },
+    },
+  ];
+
   // Toplam sonuç sayısı
   let total = 0;
+  let postTotal = null;
+  let commentTotal = null;
 
   // İçerik tipine göre farklı aramalar gerçekleştir
   const results = {
@@ -105,58 +160,77 @@ const searchAll = asyncHandler(async (req, res, next) => {
 
   // Arama işlemlerini paralel olarak yap
   if (searchType === 'all' || searchType === 'post') {
-    const postQuery = {
-      $text: { $search: query },
+    const postFilter = {
       isDeleted: false,
       ...timeFilter,
       ...nsfwFilter,
       ...subredditFilter,
     };
 
-    const posts = await Post.find(postQuery, { score: { $meta: 'textScore' } })
-      .select(
-        'title content type author subreddit createdAt upvotes downvotes voteScore commentCount isNSFW',
-      )
-      .sort(sortBy)
-      .skip(searchType === 'post' ? startIndex : 0)
-      .limit(searchType === 'post' ? limit : 5)
-      .populate('author', 'username profilePicture')
-      .populate('subreddit', 'name title');
+    if (postSearch.isTextSearch && useSearchBackend('post')) {
+      const found = await searchWithBackend('post', query, postFilter, {
+        sort: backendSort,
+        skip: searchType === 'post' ? startIndex : 0,
+        limit: searchType === 'post' ? limit : 5,
+        select: postSelect,
+        populate: postPopulate,
+      });
+      results.posts = found.results;
+      postTotal = found.total;
+    } else {
+      const postQuery = { ...postSearch.filter, ...postFilter };
 
-    results.posts = posts;
+      results.posts = await Post.find(postQuery, getContentProjection(postSearch))
+        .select(postSelect)
+        .sort(getContentSort(postSearch))
+        .skip(searchType === 'post' ? startIndex : 0)
+        .limit(searchType === 'post' ? limit : 5)
+        .populate(postPopulate);
+
+      if (searchType === 'post') {
+        postTotal = await Post.countDocuments(postQuery);
+      }
+    }
 
     if (searchType === 'post') {
-      total = await Post.countDocuments(postQuery);
+      total = postTotal;
     }
   }
 
   if (searchType === 'all' || searchType === 'comment') {
-    const commentQuery = {
-      $text: { $search: query },
+    const commentFilter = {
       isDeleted: false,
       ...timeFilter,
       ...subredditFilter,
     };
 
-    const comments = await Comment.find(commentQuery, { score: { $meta: 'textScore' } })
-      .select('content author post createdAt upvotes downvotes voteScore')
-      .sort(sortBy)
-      .skip(searchType === 'comment' ? startIndex : 0)
-      .limit(searchType === 'comment' ? limit : 5)
-      .populate('author', 'username profilePicture')
-      .populate({
-        path: 'post',
-        select: 'title subreddit',
-        populate: {
-          path: 'subreddit',
-          select: 'name title',
-        },
+    if (commentSearch.isTextSearch && useSearchBackend('comment')) {
+      const found = await searchWithBackend('comment', query, commentFilter, {
+        sort: backendSort,
+        skip: searchType === 'comment' ? startIndex : 0,
+        limit: searchType === 'comment' ? limit : 5,
+        select: commentSelect,
+        populate: commentPopulate,
       });
+      results.comments = found.results;
+      commentTotal = found.total;
+    } else {
+      const commentQuery = { ...commentSearch.filter, ...commentFilter };
 
-    results.comments = comments;
+      results.comments = await Comment.find(commentQuery, getContentProjection(commentSearch))
+        .select(commentSelect)
+        .sort(getContentSort(commentSearch))
+        .skip(searchType === 'comment' ? startIndex : 0)
+        .limit(searchType === 'comment' ? limit : 5)
+        .populate(commentPopulate);
+
+      if (searchType === 'comment') {
+        commentTotal = await Comment.countDocuments(commentQuery);
+      }
+    }
 
     if (searchType === 'comment') {
-      total = await Comment.countDocuments(commentQuery);
+      total = commentTotal;
     }
   }
 
@@ -225,13 +299,15 @@ const searchAll = asyncHandler(async (req, res, next) => {
   // Tüm içerik tiplerinde arama yapılıyorsa, toplam sonuç sayısını hesapla
   if (searchType === 'all') {
     const counts = await Promise.all([
-      Post.countDocuments({
-        $text: { $search: query },
-        isDeleted: false,
-        ...nsfwFilter,
-        ...subredditFilter,
-      }),
-      Comment.countDocuments({ $text: { $search: query }, isDeleted: false, ...subredditFilter }),
+      postTotal ??
+        Post.countDocuments({
+          ...postSearch.filter,
+          isDeleted: false,
+          ...nsfwFilter,
+          ...subredditFilter,
+        }),
+      commentTotal ??
+        Comment.countDocuments({ ...commentSearch.filter, isDeleted: false, ...subredditFilter }),
       Subreddit.countDocuments({ $text: { $search: query }, isDeleted: false, ...nsfwFilter }),
       User.countDocuments({
         $or: [{ $text: { $search: query } }, { username: { $regex: query, $options: 'i' } }],
@@ -247,11 +323,6 @@ const searchAll = asyncHandler(async (req, res, next) => {
     total = counts.reduce((acc, count) => acc + count, 0);
   }
 
-  // Arama sorgusu loglaması (opsiyonel)
-  if (req.user) {
-    // Kullanıcı arama geçmişi kaydedilebilir (ayrı bir model olarak oluşturulabilir)
-  }
-
   // Sayfalama bilgisi
   const pagination = {
     page,
@@ -275,6 +346,16 @@ const searchAll = asyncHandler(async (req, res, next) => {
     query,
     type: searchType,
   });
+
+  // Arama geçmişi ve trend analizi için kaydet
+  await recordSearch(req, {
+    query,
+    source: req.searchSource || 'search',
+    type: searchType,
+    subreddit: subredditFilter.subreddit,
+    resultCount: total,
+    isNSFW: nsfwFilter.isNSFW === true || req.searchInNSFWSubreddit === true,
+  });
 });
 
 /**
@@ -438,6 +519,8 @@ const searchInSubreddit = asyncHandler(async (req, res, next) => {
 
   // Subreddit filtresi ekle
   req.query.subreddit = subredditId;
+  req.searchSource = 'subreddit';
+  req.searchInNSFWSubreddit = subreddit.nsfw;
 
   // Aranan içerik tipini kontrol et
   if (!req.query.type || req.query.type === 'subreddit') {
@@ -483,10 +566,19 @@ const advancedSearch = asyncHandler(async (req, res, next) => {
   let postQuery = { isDeleted: false };
   let commentQuery = { isDeleted: false };
 
-  // Ana arama sorgusu
+  // Ana arama sorgusu (sorgu dili desteklenir; düz terimler arama arka ucu veya $text ile aranır)
+  let isTextSearch = false;
+  let useBackend = false;
   if (query) {
-    postQuery.$text = { $search: query };
-    commentQuery.$text = { $search: query };
+    const postSearch = await buildSearchFilter(query, 'post');
+    const commentSearch = await buildSearchFilter(query, 'comment');
+    isTextSearch = postSearch.isTextSearch;
+    useBackend = isTextSearch && SEARCH_KINDS.every(useSearchBackend);
+
+    if (!useBackend) {
+      Object.assign(postQuery, postSearch.filter);
+      Object.assign(commentQuery, commentSearch.filter);
+    }
   }
 
   // Dahil edilecek anahtar kelimeler
@@ -637,7 +729,10 @@ const advancedSearch = asyncHandler(async (req, res, next) => {
     comments: { commentCount: -1 },
   };
 
-  const sortBy = sort ? sortOptions[sort] : sortOptions.relevance;
+  // Alaka sıralaması yalnızca $text aramasında kullanılabilir
+  const sortBy =
+    (sort !== 'relevance' && sortOptions[sort]) ||
+    (isTextSearch ? sortOptions.relevance : sortOptions.top);
 
   // İçerik tipine göre arama sonuçlarını getir
   const results = {};
@@ -646,27 +741,46 @@ const advancedSearch = asyncHandler(async (req, res, next) => {
   // Aranacak içerik tiplerini belirle
   const searchTypes = contentTypes || ['post', 'comment'];
 
+  // Arama arka ucunda alaka sıralaması arka ucun sırasıdır
+  const backendSort = sortBy === sortOptions.relevance ? null : sortBy;
+
   // Post araması
   if (searchTypes.includes('post')) {
-    const projection = query ? { score: { $meta: 'textScore' } } : {};
+    const select =
+      'title content type author subreddit createdAt upvotes downvotes voteScore commentCount isNSFW flair';
+    const populate = [
+      { path: 'author', select: 'username profilePicture' },
+      { path: 'subreddit', select: 'name title' },
+      { path: 'flair', select: 'name color' },
+    ];
+
+    if (useBackend) {
+      const found = await searchWithBackend('post', query, postQuery, {
+        sort: backendSort,
+        skip: startIndex,
+        limit,
+        select,
+        populate,
+      });
+      results.posts = found.results;
+      total += found.total;
+    } else {
+      const projection = isTextSearch ? { score: { $meta: 'textScore' } } : {};
 
-    results.posts = await Post.find(postQuery, projection)
-      .select(
-        'title content type author subreddit createdAt upvotes downvotes voteScore commentCount isNSFW flair',
-      )
-      .sort(sortBy)
-      .skip(startIndex)
-      .limit(limit)
-      .populate('author', 'username profilePicture')
-      .populate('subreddit', 'name title')
-      .populate('flair', 'name color');
+      results.posts = await Post.find(postQuery, projection)
+        .select(select)
+        .sort(sortBy)
+        .skip(startIndex)
+        .limit(limit)
+        .populate(populate);
 
-    total += await Post.countDocuments(postQuery);
+      total += await Post.countDocuments(postQuery);
+    }
   }
 
   // Yorum araması
   if (searchTypes.includes('comment')) {
-    const projection = query ? { score: { $meta: 'textScore' } } : {};
+    const projection = isTextSearch ? { score: { $meta: 'textScore' } } : {};
 
     // Subreddit filtresi varsa, yorumların bağlı olduğu postları filtrelememiz gerekiyor
     if (subreddit) {
@@ -680,22 +794,39 @@ const advancedSearch = asyncHandler(async (req, res, next) => {
       commentQuery.post = { $in: postIds };
     }
 
-    results.comments = await Comment.find(commentQuery, projection)
-      .select('content author post createdAt upvotes downvotes voteScore')
-      .sort(sortBy)
-      .skip(startIndex)
-      .limit(limit)
-      .populate('author', 'username profilePicture')
-      .populate({
+    const select = 'content author post createdAt upvotes downvotes voteScore';
+    const populate = [
+      { path: 'author', select: 'username profilePicture' },
+      {
         path: 'post',
         select: 'title subreddit',
         populate: {
           path: 'subreddit',
           select: 'name title',
         },
+      },
+    ];
+
+    if (useBackend) {
+      const found = await searchWithBackend('comment', query, commentQuery, {
+        sort: backendSort,
+        skip: startIndex,
+        limit,
+        select,
+        populate,
       });
-
-    total += await Comment.countDocuments(commentQuery);
+      results.comments = found.results;
+      total += found.total;
+    } else {
+      results.comments = await Comment.find(commentQuery, projection)
+        .select(select)
+        .sort(sortBy)
+        .skip(startIndex)
+        .limit(limit)
+        .populate(populate);
+
+      total += await Comment.countDocuments(commentQuery);
+    }
   }
 
   // Sayfalama bilgisi
@@ -733,35 +864,42 @@ const advancedSearch = asyncHandler(async (req, res, next) => {
       sort,
     },
   });
+
+  // Arama geçmişi ve trend analizi için kaydet
+  await recordSearch(req, {
+    query: query || (includeKeywords || []).join(' '),
+    source: 'advanced',
+    type: searchTypes.join(','),
+    subreddit: postQuery.subreddit,
+    resultCount: total,
+    isNSFW: nsfw === true,
+  });
 });
 
 /**
- * @desc    Popüler arama terimlerini getir
+ * @desc    Popüler arama terimlerini getir (window=hour|day|week)
  * @route   GET /api/search/trending
  * @access  Public
  */
 const getTrendingSearches = asyncHandler(async (req, res, next) => {
-  // Not: Bu fonksiyon için ayrı bir model oluşturulabilir (SearchAnalytics)
-  // Burada örnek olarak sabit bir liste dönüyoruz
-
-  // Gerçek bir uygulamada, son aramaların istatistiklerini tutmak için
-  // bir koleksiyon oluşturulabilir ve bu veriler düzenli olarak güncellenebilir
-
-  const trending = [
-    { term: 'yeni başlayanlar', count: 258 },
-    { term: 'en iyi oyunlar', count: 187 },
-    { term: 'güncel haberler', count: 153 },
-    { term: 'resim paylaşımı', count: 129 },
-    { term: 'podcast önerileri', count: 112 },
-    { term: 'yemek tarifleri', count: 98 },
-    { term: 'programlama', count: 87 },
-    { term: 'film önerileri', count: 76 },
-    { term: 'spor haberleri', count: 71 },
-    { term: 'müzik listeleri', count: 65 },
-  ];
+  const window = req.query.window || 'day';
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, MAX_TRENDING_RESULTS);
+
+  if (!TRENDING_WINDOWS[window]) {
+    return next(
+      new ErrorResponse(
+        `Geçersiz zaman penceresi. Geçerli değerler: ${Object.keys(TRENDING_WINDOWS).join(', ')}`,
+        400,
+      ),
+    );
+  }
+
+  const trending = await getTrendingSearchTerms({ window, limit });
 
   res.status(200).json({
     success: true,
+    window,
+    count: trending.length,
     data: trending,
   });
 });
@@ -772,28 +910,60 @@ const getTrendingSearches = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 const getSearchHistory = asyncHandler(async (req, res, next) => {
-  // Not: Bu fonksiyon için ayrı bir model oluşturulabilir (UserSearchHistory)
-
   // Eğer kullanıcı oturum açmamışsa
   if (!req.user) {
     return next(new ErrorResponse('Bu işlem için oturum açmanız gerekiyor', 401));
   }
 
-  // Örnek olarak sabit bir liste dönüyoruz
-  // Gerçek bir uygulamada, kullanıcı aramalarını kaydetmek için
-  // bir koleksiyon oluşturulabilir (örneğin UserSearchHistory)
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const startIndex = (page - 1) * limit;
 
-  // Temsili kullanıcı arama geçmişi
-  const history = [
-    { query: 'programlama dilleri', timestamp: new Date(Date.now() - 86400000 * 2), type: 'all' },
-    { query: 'javascript', timestamp: new Date(Date.now() - 86400000), type: 'post' },
-    { query: 'react hooks', timestamp: new Date(Date.now() - 3600000 * 5), type: 'post' },
-    { query: 'node.js', timestamp: new Date(Date.now() - 1800000), type: 'subreddit' },
-  ];
+  const [history, total] = await Promise.all([
+    SearchQuery.find({ user: req.user._id })
+      .select('query source type subreddit resultCount createdAt')
+      .populate('subreddit', 'name title')
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit),
+    SearchQuery.countDocuments({ user: req.user._id }),
+  ]);
 
   res.status(200).json({
     success: true,
+    count: history.length,
     data: history,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalResults: total,
+    },
+  });
+});
+
+/**
+ * @desc    Arama geçmişinden tek bir aramayı sil
+ * @route   DELETE /api/search/history/:id
+ * @access  Private
+ */
+const deleteSearchHistoryItem = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ErrorResponse('Geçersiz arama ID formatı', 400));
+  }
+
+  // Kayıt tamamen silinir; trend istatistiklerinden de düşer
+  const result = await SearchQuery.deleteOne({ _id: id, user: req.user._id });
+
+  if (result.deletedCount === 0) {
+    return next(new ErrorResponse('Arama geçmişi kaydı bulunamadı', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Arama geçmişinizden silindi',
   });
 });
 
@@ -808,11 +978,12 @@ const clearSearchHistory = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu işlem için oturum açmanız gerekiyor', 401));
   }
 
-  // Gerçek bir uygulamada, kullanıcının arama geçmişini temizler
-  // Örnek: await UserSearchHistory.deleteMany({ user: req.user._id });
+  // Kayıtlar tamamen silinir; trend istatistiklerinden de düşer
+  const result = await SearchQuery.deleteMany({ user: req.user._id });
 
   res.status(200).json({
     success: true,
+    count: result.deletedCount,
     message: 'Arama geçmişiniz başarıyla temizlendi',
   });
 });
@@ -1054,6 +1225,143 @@ const searchUserContent = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Arama indeksinin durumunu getir
+ * @route   GET /api/admin/search/index
+ * @access  Private (Admin)
+ */
+const getSearchIndexStatus = asyncHandler(async (req, res, next) => {
+  const backend = getSearchBackend();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      backend: backend.name,
+      indexes: backend.getStats(),
+    },
+  });
+});
+
+/**
+ * @desc    Arama indeksini mevcut verilerden yeniden oluştur (kinds=post,comment)
+ * @route   POST /api/admin/search/reindex
+ * @access  Private (Admin)
+ */
+const reindexSearchIndex = asyncHandler(async (req, res, next) => {
+  const requested = req.body.kinds || SEARCH_KINDS;
+  const kinds = Array.isArray(requested) ? requested : String(requested).split(',');
+
+  const invalid = kinds.filter((kind) => !SEARCH_KINDS.includes(kind));
+  if (invalid.length > 0) {
+    return next(
+      new ErrorResponse(
+        `Geçersiz indeks türü: ${invalid.join(', ')}. Geçerli türler: ${SEARCH_KINDS.join(', ')}`,
+        400,
+      ),
+    );
+  }
+
+  const backend = getSearchBackend();
+  const stats = backend.getStats();
+  if (kinds.some((kind) => stats[kind] && stats[kind].rebuilding)) {
+    return next(new ErrorResponse('Arama indeksi zaten yeniden oluşturuluyor', 409));
+  }
+
+  const startedAt = Date.now();
+  const counts = await reindexSearch(kinds);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      backend: backend.name,
+      indexed: counts,
+      durationMs: Date.now() - startedAt,
+    },
+  });
+});
+
+// Yardımcı fonksiyonlar
+
+/**
+ * Düz metin araması bellek içi arama arka ucunda mı yapılacak (nativeTextSearch arka uçlarında
+ * filtreler $text sorgusuyla birlikte MongoDB'de uygulanır)
+ * @param {String} kind - post | comment
+ * @returns {Boolean}
+ */
+const useSearchBackend = (kind) => {
+  const backend = getSearchBackend();
+  return !backend.nativeTextSearch && backend.isReady(kind);
+};
+
+/**
+ * Tek alanlı MongoDB sıralamasını bellekteki dokümanlara uygula
+ * @param {Object} sort - Örn. { createdAt: -1 }
+ * @returns {Function} Karşılaştırma fonksiyonu
+ */
+const compareBySort = (sort) => (a, b) => {
+  for (const [field, direction] of Object.entries(sort)) {
+    const left = a[field] ?? 0;
+    const right = b[field] ?? 0;
+    if (left < right) return -direction;
+    if (left > right) return direction;
+  }
+  return a.rank - b.rank;
+};
+
+/**
+ * Düz metin sorguyu arama arka ucunda çalıştır; eşleşmeleri MongoDB filtreleriyle daraltıp sayfala.
+ * Filtreler arka ucun döndürdüğü tüm eşleşmelere gruplar halinde uygulanır, böylece dar bir
+ * filtre (örn. tek subreddit) yaygın bir terimde de sonuçsuz kalmaz.
+ * @param {String} kind - post | comment
+ * @param {String} query - Arama sorgusu
+ * @param {Object} filter - Ek MongoDB filtreleri ($text içermemeli)
+ * @param {Object} options - { sort (null ise alaka sırası), skip, limit, select, populate }
+ * @returns {Promise<Object>} { results: skor ve vurgulu parçalar eklenmiş dokümanlar, total }
+ */
+const searchWithBackend = async (kind, query, filter, { sort, skip, limit, select, populate }) => {
+  const Model = kind === 'post' ? Post : Comment;
+  const backend = getSearchBackend();
+
+  const hits = await backend.search(kind, query, { limit: MAX_SEARCH_HITS });
+  const hitsById = new Map(hits.map((hit, rank) => [hit.id, { ...hit, rank }]));
+  const sortFields = sort ? Object.keys(sort).join(' ') : '';
+
+  // Filtreye uyan eşleşmeler, alaka sırasıyla
+  const matching = [];
+  for (let start = 0; start < hits.length; start += SEARCH_FILTER_BATCH_SIZE) {
+    const batchIds = hits.slice(start, start + SEARCH_FILTER_BATCH_SIZE).map((hit) => hit.id);
+    const docs = await Model.find({ ...filter, _id: { $in: batchIds } })
+      .select(`_id ${sortFields}`)
+      .lean();
+    docs.forEach((doc) => {
+      const id = doc._id.toString();
+      matching.push({ ...doc, id, rank: hitsById.get(id).rank });
+    });
+  }
+  matching.sort(sort ? compareBySort(sort) : (a, b) => a.rank - b.rank);
+
+  const pageIds = matching.slice(skip, skip + limit).map((doc) => doc.id);
+  const total = matching.length;
+
+  const docs = await Model.find({ _id: { $in: pageIds } })
+    .select(select)
+    .populate(populate);
+  const docsById = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+
+  const results = pageIds
+    .filter((id) => docsById.has(id))
+    .map((id) => {
+      const hit = hitsById.get(id);
+      return {
+        ...docsById.get(id).toJSON(),
+        score: hit.score,
+        highlights: backend.highlight(kind, hit),
+      };
+    });
+
+  return { results, total };
+};
+
 module.exports = {
   searchAll,
   searchPosts,
@@ -1066,7 +1374,10 @@ module.exports = {
   advancedSearch,
   getTrendingSearches,
   getSearchHistory,
+  deleteSearchHistoryItem,
   clearSearchHistory,
   getSearchFilters,
   searchUserContent,
+  getSearchIndexStatus,
+  reindexSearchIndex,
 };
@@ -4,7 +4,6 @@ const Subreddit = require('../models/Subreddit');
 const mongoose = require('mongoose');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
-statisticsController.js;
 /**
  * @desc    SEO metadatasını getir
  * @route   GET /api/seo-metadata/:id
@@ -4,6 +4,7 @@ const SubredditMembership = require('../models/SubredditMembership'); // Assumin
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const mongoose = require('mongoose');
+const { parseAutomodConfig } = require('../utils/automod');
 
 /**
  * @desc    Subreddit ayarlarını getir
@@ -399,9 +400,24 @@ const updateAutomod = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Automod konfigürasyonu için admin yetkisi gerekiyor', 403));
   }
 
-  // Automod konfigürasyon formatını doğrula
-  if (config && !isValidAutomodConfig(config)) {
-    return next(new ErrorResponse('Geçersiz automod konfigürasyon formatı', 400));
+  // Automod konfigürasyonunu ayrıştır ve satır numaralı hataları döndür
+  let ruleCount = 0;
+  if (config) {
+    if (typeof config !== 'string') {
+      return next(new ErrorResponse('Automod konfigürasyonu metin olmalı', 400));
+    }
+
+    const { rules, errors } = parseAutomodConfig(config);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Geçersiz automod konfigürasyonu',
+        errors,
+      });
+    }
+
+    ruleCount = rules.length;
   }
 
   // Ayarları bul ve güncelle
@@ -425,6 +441,7 @@ const updateAutomod = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: settings.automod,
+    ruleCount,
   });
 });
 
@@ -781,36 +798,12 @@ const sanitizeCSS = (css) => {
  * @returns {Boolean} Geçerli ise true
  */
 const isValidAutomodConfig = (config) => {
-  // Gerçek uygulamada automod konfigürasyonunun sözdizimi kontrolü yapılmalı
-  // Burada basit bir boyut ve format kontrolü yapıyoruz
-
   // Boş olabilir
   if (!config) return true;
 
-  // Maksimum boyut kontrolü (50kb)
-  const MAX_SIZE = 50 * 1024;
-  if (config.length > MAX_SIZE) {
-    return false;
-  }
-
-  try {
-    // YAML formatında olmalı, ancak burada sadece genel bir yapı kontrolü yapıyoruz
-    // Her bir satırın "---" ile başlaması veya belirli bir yapıda olması gerekebilir
-    const lines = config.split('\n');
-    let hasValidStructure = false;
-
-    // En az 1 geçerli kural bloğu olmalı
-    for (const line of lines) {
-      if (line.trim().startsWith('type:') || line.trim().startsWith('---')) {
-        hasValidStructure = true;
-        break;
-      }
-    }
+  if (typeof config !== 'string') return false;
 
-    return hasValidStructure;
-  } catch (error) {
-    return false;
-  }
+  return parseAutomodConfig(config).errors.length === 0;
 };
 
 /**
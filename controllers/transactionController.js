@@ -2,9 +2,11 @@ const Transaction = require('../models/Transaction');
 const User = require('../models/User');
 const AwardInstance = require('../models/AwardInstance'); // Varsayımsal model
 const UserPremium = require('../models/UserPremium'); // Varsayımsal model
+const PaymentEvent = require('../models/PaymentEvent');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const mongoose = require('mongoose');
+const { getPaymentProvider, isPaymentProviderAvailable } = require('../utils/paymentProviders');
 
 /**
  * @desc    Kullanıcının işlemlerini getir
@@ -209,14 +211,14 @@ const purchaseCoins = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse('Geçersiz paket ID', 400));
   }
 
-  // Ödeme işlemini başlat (varsayımsal)
-  // Gerçek uygulamada burada Stripe, PayPal vb. entegrasyonu olacaktır
-  const paymentResponse = await processPayment({
-    userId,
+  // Sağlayıcıda ödeme başlat; sonuç webhook ile bildirilir
+  const provider = getPaymentProvider();
+  const paymentResponse = await provider.createCheckout({
     amount,
     currency,
     paymentMethod,
     description,
+    metadata: { userId: userId.toString(), type: 'purchase', packageId },
   });
 
   // İşlemi oluştur
@@ -229,6 +231,7 @@ const purchaseCoins = asyncHandler(async (req, res, next) => {
     status: 'pending',
     paymentMethod,
     paymentReference: paymentResponse.paymentId,
+    paymentProvider: provider.name,
     metadata: {
       coinAmount,
       packageId,
@@ -339,14 +342,15 @@ const purchasePremium = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Geçerli bir ödeme yöntemi gerekli', 400));
   }
 
-  // Ödeme işlemini başlat (varsayımsal)
+  // Sağlayıcıda ödeme başlat; sonuç webhook ile bildirilir
   const description = `${planType.charAt(0).toUpperCase() + planType.slice(1)} Premium Üyelik - ${duration === 'month' ? 'Aylık' : 'Yıllık'}`;
-  const paymentResponse = await processPayment({
-    userId,
+  const provider = getPaymentProvider();
+  const paymentResponse = await provider.createCheckout({
     amount,
     currency,
     paymentMethod,
     description,
+    metadata: { userId: userId.toString(), type: 'premium_purchase', planType, duration },
   });
 
   // Premium üyelik oluştur (ödeme tamamlandığında aktifleşecek)
@@ -367,6 +371,7 @@ const purchasePremium = asyncHandler(async (req, res, next) => {
     status: 'pending',
     paymentMethod,
     paymentReference: paymentResponse.paymentId,
+    paymentProvider: provider.name,
     relatedPremium: premiumMembership._id,
     metadata: {
       planType,
@@ -683,13 +688,20 @@ const giftPremium = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse('Geçerli bir ödeme yöntemi gerekli', 400));
     }
 
-    // Ödeme işlemini başlat (varsayımsal)
-    const paymentResponse = await processPayment({
-      userId,
+    // Sağlayıcıda ödeme başlat; sonuç webhook ile bildirilir
+    const provider = getPaymentProvider();
+    const paymentResponse = await provider.createCheckout({
       amount,
       currency,
       paymentMethod,
       description: giftDescription,
+      metadata: {
+        userId: userId.toString(),
+        type: 'premium_gift',
+        recipientId: recipientId.toString(),
+        planType,
+        duration,
+      },
     });
 
     // Premium üyelik oluştur (ödeme tamamlandığında aktifleşecek)
@@ -710,6 +722,7 @@ const giftPremium = asyncHandler(async (req, res, next) => {
       status: 'pending',
       paymentMethod,
       paymentReference: paymentResponse.paymentId,
+      paymentProvider: provider.name,
       relatedPremium: premiumMembership._id,
       metadata: {
         recipientId,
@@ -770,27 +783,54 @@ const initiateRefund = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu işlem zaten iade edilmiş', 400));
   }
 
+  if (!['purchase', 'premium_purchase', 'premium_gift', 'award_given'].includes(transaction.type)) {
+    return next(new ErrorResponse(`${transaction.type} türündeki işlemler iade edilemez`, 400));
+  }
+
+  // İşlemi sağlayıcıya gitmeden önce sahiplen: eşzamanlı iade istekleri ve arada gelen
+  // payment.refunded webhook'u (status: 'completed' koşulu) aynı işlemi ikinci kez iade edemez
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: id, status: 'completed' },
+    { $set: { status: 'refunded', updatedAt: Date.now() } },
+  );
+  if (!claimed) {
+    return next(new ErrorResponse('Bu işlem zaten iade ediliyor veya iade edilmiş', 409));
+  }
+
+  // Ödeme sağlayıcısının iade sonucu (para ile yapılan işlemler için)
+  let providerRefund = null;
+
   // İşlem tipine göre iade işlemi yap
   switch (transaction.type) {
     case 'purchase':
     case 'premium_purchase':
     case 'premium_gift':
-      // Gerçek para ile yapılan işlemler için ödeme sistemine iade talebi (varsayımsal)
+      // Gerçek para ile yapılan işlemler için ödemeyi alan sağlayıcıdan iade talep et.
+      // Sağlayıcı reddederse sahiplenme geri alınır ve yerel değişiklik yapılmadan durulur
       if (transaction.currency !== 'coins' && transaction.paymentReference) {
-        await processRefund(transaction.paymentReference, transaction.amount);
+        try {
+          providerRefund = await getPaymentProvider(transaction.paymentProvider).refundPayment(
+            transaction.paymentReference,
+            { amount: transaction.amount, reason },
+          );
+        } catch (error) {
+          await Transaction.updateOne(
+            { _id: id, status: 'refunded' },
+            { $set: { status: 'completed', updatedAt: Date.now() } },
+          );
+          throw error;
+        }
       }
 
       // İşlem sonucu kullanıcıya coinler verildiyse, coinleri geri al
       if (transaction.metadata && transaction.metadata.coinAmount) {
-        // Kullanıcının mevcut coin bakiyesini kontrol et
+        // Kullanıcının mevcut coin bakiyesini kontrol et (ödeme iade edildiğinden hesap
+        // silinmiş olsa da iade kaydı oluşturulur)
         const user = await User.findById(transaction.user);
-        if (!user) {
-          return next(new ErrorResponse('Kullanıcı bulunamadı', 404));
-        }
 
         // Verilen coinlerden daha az coin varsa kısmi iade yap
         const coinAmount = transaction.metadata.coinAmount;
-        const refundableCoins = Math.min(user.coins || 0, coinAmount);
+        const refundableCoins = Math.min((user && user.coins) || 0, coinAmount);
 
         if (refundableCoins > 0) {
           await User.findByIdAndUpdate(transaction.user, {
@@ -849,9 +889,6 @@ const initiateRefund = asyncHandler(async (req, res, next) => {
         }
       }
       break;
-
-    default:
-      return next(new ErrorResponse(`${transaction.type} türündeki işlemler iade edilemez`, 400));
   }
 
   // İade işlemi oluştur
@@ -863,9 +900,12 @@ const initiateRefund = asyncHandler(async (req, res, next) => {
     description: `İade: ${transaction.description}`,
     status: 'completed',
     paymentMethod: transaction.paymentMethod,
-    paymentReference: transaction.paymentReference
-      ? `refund_${transaction.paymentReference}`
-      : null,
+    paymentReference: providerRefund
+      ? providerRefund.refundId
+      : transaction.paymentReference
+        ? `refund_${transaction.paymentReference}`
+        : null,
+    paymentProvider: transaction.paymentProvider,
     relatedTransaction: transaction._id,
     relatedAward: transaction.relatedAward,
     relatedPremium: transaction.relatedPremium,
@@ -873,14 +913,10 @@ const initiateRefund = asyncHandler(async (req, res, next) => {
       originalTransactionType: transaction.type,
       reason: reason || 'Admin tarafından başlatıldı',
       initiatedBy: adminId,
+      ...(providerRefund && { providerRefundStatus: providerRefund.status }),
     },
   });
 
-  // Orijinal işlemi iade edilmiş olarak işaretle
-  await Transaction.findByIdAndUpdate(id, {
-    status: 'refunded',
-  });
-
   res.status(200).json({
     success: true,
     message: 'İade işlemi başarıyla tamamlandı',
@@ -1065,121 +1101,57 @@ const getCoinSummary = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Ödeme webhook işleyici
- * @route   POST /api/transactions/webhook
- * @access  Public (with secret validation)
+ * @desc    Ödeme webhook işleyici (imza ham gövde üzerinden HMAC ile doğrulanır)
+ * @route   POST /api/transactions/webhook/:provider?
+ * @access  Public (with signature validation)
  */
 const handlePaymentWebhook = asyncHandler(async (req, res, next) => {
-  // Webhook'un geçerliliğini doğrula
-  const isValidWebhook = validatePaymentWebhook(req);
-
-  if (!isValidWebhook) {
-    return res.status(403).json({
-      success: false,
-      message: 'Geçersiz webhook imzası',
-    });
+  if (req.params.provider && !isPaymentProviderAvailable(req.params.provider)) {
+    return next(new ErrorResponse('Ödeme sağlayıcısı bulunamadı', 404));
   }
 
-  const { event_type, payment_id, status, metadata } = req.body;
+  const provider = getPaymentProvider(req.params.provider);
 
-  // İlgili işlemi bul
-  const transaction = await Transaction.findOne({
-    paymentReference: payment_id,
-    status: { $in: ['pending', 'processing'] },
-  });
+  // İmza veya zaman damgası geçersizse PaymentProviderError (403) fırlatılır
+  const event = provider.constructWebhookEvent(req.rawBody || Buffer.alloc(0), req.headers);
 
-  if (!transaction) {
+  // Sağlayıcılar aynı olayı birden fazla kez gönderebilir; her olay ID'si bir kez işlenir
+  const paymentEvent = await claimPaymentEvent(provider.name, event);
+  if (!paymentEvent) {
     return res.status(200).json({
-      success: false,
-      message: 'İlgili işlem bulunamadı',
+      success: true,
+      message: 'Olay daha önce işlendi',
+      duplicate: true,
     });
   }
 
-  // Webhook türüne göre işlem yap
-  switch (event_type) {
-    case 'payment.succeeded':
-      // İşlemi tamamlandı olarak işaretle
-      await Transaction.findByIdAndUpdate(transaction._id, {
-        status: 'completed',
-        metadata: { ...transaction.metadata, webhookData: req.body },
-      });
-
-      // İşlem türüne göre ek işlemler yap
-      if (
-        transaction.type === 'purchase' &&
-        transaction.metadata &&
-        transaction.metadata.coinAmount
-      ) {
-        // Coin satın alma - kullanıcının bakiyesini güncelle
-        await User.findByIdAndUpdate(transaction.user, {
-          $inc: { coins: transaction.metadata.coinAmount },
-        });
-      } else if (transaction.type === 'premium_purchase' || transaction.type === 'premium_gift') {
-        // Premium satın alma - premium üyeliği aktifleştir
-        if (transaction.relatedPremium) {
-          await UserPremium.findByIdAndUpdate(transaction.relatedPremium, {
-            status: 'active',
-          });
-        }
-      }
-      break;
-
-    case 'payment.failed':
-      // İşlemi başarısız olarak işaretle
-      await Transaction.findByIdAndUpdate(transaction._id, {
-        status: 'failed',
-        metadata: {
-          ...transaction.metadata,
-          webhookData: req.body,
-          failureReason: req.body.failure_reason || 'Ödeme başarısız oldu',
-        },
-      });
-
-      // İlgili premium üyelik varsa iptal et
-      if (
-        (transaction.type === 'premium_purchase' || transaction.type === 'premium_gift') &&
-        transaction.relatedPremium
-      ) {
-        await UserPremium.findByIdAndUpdate(transaction.relatedPremium, {
-          status: 'cancelled',
-        });
-      }
-      break;
-
-    case 'payment.refunded':
-      // İşlemi iade edildi olarak işaretle
-      await Transaction.findByIdAndUpdate(transaction._id, {
-        status: 'refunded',
-        metadata: { ...transaction.metadata, webhookData: req.body },
-      });
+  // Olay yalnızca aynı sağlayıcı üzerinden oluşturulmuş işlemi etkileyebilir
+  const transaction = await Transaction.findOne({
+    paymentReference: event.paymentId,
+    paymentProvider: provider.name,
+  });
 
-      // İade işlemi oluştur
-      await Transaction.create({
-        user: transaction.user,
-        type: 'refund',
-        amount: transaction.amount,
-        currency: transaction.currency,
-        description: `Otomatik İade: ${transaction.description}`,
-        status: 'completed',
-        paymentMethod: transaction.paymentMethod,
-        paymentReference: `refund_${payment_id}`,
-        relatedTransaction: transaction._id,
-        metadata: {
-          webhookData: req.body,
-          reason: 'Ödeme sistemi tarafından iade edildi',
-        },
-      });
-      break;
+  try {
+    const applied = transaction ? await applyPaymentEvent(provider, transaction, event) : false;
 
-    default:
-      // Diğer event türlerini log'la ama işlem yapma
-      console.log(`Bilinmeyen ödeme webhook eventi: ${event_type}`);
+    await PaymentEvent.findByIdAndUpdate(paymentEvent._id, {
+      status: applied ? 'processed' : 'ignored',
+      transaction: transaction ? transaction._id : undefined,
+      processedAt: Date.now(),
+    });
+  } catch (error) {
+    // Başarısız olaylar sağlayıcının yeniden gönderiminde tekrar işlenebilir
+    await PaymentEvent.findByIdAndUpdate(paymentEvent._id, {
+      status: 'failed',
+      error: error.message,
+    });
+    throw error;
   }
 
   // Webhook'u başarıyla aldığımızı bildir
   res.status(200).json({
     success: true,
-    message: 'Webhook başarıyla işlendi',
+    message: transaction ? 'Webhook başarıyla işlendi' : 'İlgili işlem bulunamadı',
   });
 });
 
@@ -1428,56 +1400,178 @@ const getAdminTransactionStats = asyncHandler(async (req, res, next) => {
 
 // ==================== YARDIMCI FONKSİYONLAR ====================
 
+// İşlenmesi yarım kalmış (ör. sunucu yeniden başlatıldı) olayların tekrar alınabileceği süre
+const STALE_PAYMENT_EVENT_MS = 10 * 60 * 1000;
+
 /**
- * Ödeme işlemini gerçekleştir (varsayımsal)
- * @param {Object} paymentDetails - Ödeme detayları
- * @returns {Promise<Object>} Ödeme sonucu
+ * Webhook olayını işlemek için sahiplen
+ * @param {String} providerName - Sağlayıcı adı
+ * @param {Object} event - constructWebhookEvent sonucu
+ * @returns {Promise<Object|null>} PaymentEvent; daha önce işlenmişse null
  */
-const processPayment = async (paymentDetails) => {
-  // Burada gerçek ödeme işlemcisi entegrasyonu olacaktır
-  // Örneğin: Stripe, PayPal, vs.
+const claimPaymentEvent = async (providerName, event) => {
+  try {
+    return await PaymentEvent.create({
+      provider: providerName,
+      eventId: event.id,
+      type: event.type,
+      paymentId: event.paymentId,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
 
-  // Simülasyon amaçlı
-  return {
-    success: true,
-    paymentId: `PAY_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    status: 'pending',
-    details: {
-      processingTime: new Date(),
-      paymentMethod: paymentDetails.paymentMethod,
-      amount: paymentDetails.amount,
-      currency: paymentDetails.currency,
-    },
-    clientResponse: {
-      // Müşteri tarafında gösterilecek bilgiler
-      redirectUrl: '/payment/processing',
-      transactionReference: `REF_${Date.now()}`,
-      expectedCompletionTime: new Date(Date.now() + 60000), // 1 dakika sonra
-    },
-  };
+    // Başarısız veya yarım kalmış olaylar yeniden denenebilir
+    return PaymentEvent.findOneAndUpdate(
+      {
+        provider: providerName,
+        eventId: event.id,
+        $or: [
+          { status: 'failed' },
+          {
+            status: 'processing',
+            receivedAt: { $lt: new Date(Date.now() - STALE_PAYMENT_EVENT_MS) },
+          },
+        ],
+      },
+      {
+        $set: { status: 'processing', error: null, receivedAt: Date.now() },
+        $inc: { attempts: 1 },
+      },
+      { new: true },
+    );
+  }
 };
 
 /**
- * İade işlemini gerçekleştir (varsayımsal)
- * @param {String} paymentId - Ödeme ID
- * @param {Number} amount - İade miktarı
- * @returns {Promise<Object>} İade sonucu
+ * Webhook olayını işleme uygula. Durum geçişleri koşullu güncellemelerle yapılır, böylece
+ * farklı olaylar aynı işlemi iki kez tamamlayamaz veya iade edemez.
+ * @param {Object} provider - Sağlayıcı adaptörü
+ * @param {Object} transaction - İlgili işlem
+ * @param {Object} event - constructWebhookEvent sonucu
+ * @returns {Promise<Boolean>} Olay işlemde bir değişikliğe yol açtı mı
  */
-const processRefund = async (paymentId, amount) => {
-  // Burada gerçek ödeme işlemcisi entegrasyonu olacaktır
-  // Örneğin: Stripe, PayPal, vs.
+const applyPaymentEvent = async (provider, transaction, event) => {
+  switch (event.type) {
+    case 'payment.authorized': {
+      if (transaction.status !== 'pending') return false;
 
-  // Simülasyon amaçlı
-  return {
-    success: true,
-    refundId: `REF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    status: 'completed',
-    details: {
-      processingTime: new Date(),
-      originalPayment: paymentId,
-      refundedAmount: amount,
+      // Onaylanan ödeme tahsil edilir; sağlayıcı hemen sonuçlandırmazsa payment.succeeded beklenir
+      const capture = await provider.capturePayment(event.paymentId, {
+        amount: transaction.amount,
+      });
+      if (capture.status !== 'succeeded') return true;
+
+      return completePaymentTransaction(transaction, event);
+    }
+
+    case 'payment.succeeded':
+      return completePaymentTransaction(transaction, event);
+
+    case 'payment.failed': {
+      // İşlemi başarısız olarak işaretle
+      const failed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: 'pending' },
+        {
+          $set: {
+            status: 'failed',
+            updatedAt: Date.now(),
+            'metadata.webhookEvent': event.id,
+            'metadata.failureReason': event.data.failure_reason || 'Ödeme başarısız oldu',
+          },
+        },
+      );
+      if (!failed) return false;
+
+      // İlgili premium üyelik varsa iptal et
+      if (
+        (transaction.type === 'premium_purchase' || transaction.type === 'premium_gift') &&
+        transaction.relatedPremium
+      ) {
+        await UserPremium.findByIdAndUpdate(transaction.relatedPremium, {
+          status: 'cancelled',
+        });
+      }
+      return true;
+    }
+
+    case 'payment.refunded': {
+      // Sağlayıcı tarafında başlatılan iadeler (initiateRefund ile yapılanlar zaten iade edilmiştir)
+      const refunded = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: 'completed' },
+        {
+          $set: {
+            status: 'refunded',
+            updatedAt: Date.now(),
+            'metadata.webhookEvent': event.id,
+          },
+        },
+      );
+      if (!refunded) return false;
+
+      // İade işlemi oluştur
+      await Transaction.create({
+        user: transaction.user,
+        type: 'refund',
+        amount: transaction.amount,
+        currency: transaction.currency,
+        description: `Otomatik İade: ${transaction.description}`.substring(0, 200),
+        status: 'completed',
+        paymentMethod: transaction.paymentMethod,
+        paymentReference: event.data.refund_id || `refund_${event.paymentId}`,
+        paymentProvider: provider.name,
+        relatedTransaction: transaction._id,
+        metadata: {
+          webhookEvent: event.id,
+          reason: 'Ödeme sistemi tarafından iade edildi',
+        },
+      });
+      return true;
+    }
+
+    default:
+      // Diğer event türlerini log'la ama işlem yapma
+      console.log(`Bilinmeyen ödeme webhook eventi: ${event.type}`);
+      return false;
+  }
+};
+
+/**
+ * Bekleyen işlemi tamamla ve karşılığını (coin veya premium) ver
+ * @param {Object} transaction - İlgili işlem
+ * @param {Object} event - Webhook olayı
+ * @returns {Promise<Boolean>} İşlem bu çağrıda tamamlandı mı
+ */
+const completePaymentTransaction = async (transaction, event) => {
+  const completed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    {
+      $set: {
+        status: 'completed',
+        updatedAt: Date.now(),
+        'metadata.webhookEvent': event.id,
+      },
     },
-  };
+  );
+  if (!completed) return false;
+
+  // İşlem türüne göre ek işlemler yap
+  const coinAmount = transaction.get('metadata.coinAmount');
+  if (transaction.type === 'purchase' && coinAmount) {
+    // Coin satın alma - kullanıcının bakiyesini güncelle
+    await User.findByIdAndUpdate(transaction.user, {
+      $inc: { coins: coinAmount },
+    });
+  } else if (
+    (transaction.type === 'premium_purchase' || transaction.type === 'premium_gift') &&
+    transaction.relatedPremium
+  ) {
+    // Premium satın alma - premium üyeliği aktifleştir
+    await UserPremium.findByIdAndUpdate(transaction.relatedPremium, {
+      status: 'active',
+    });
+  }
+
+  return true;
 };
 
 /**
@@ -1606,40 +1700,6 @@ const calculatePremiumPrice = (planType, duration) => {
   };
 };
 
-/**
- * Ödeme webhook'unu doğrula
- * @param {Object} req - Request objesi
- * @returns {Boolean} Webhook'un geçerli olup olmadığı
- */
-const validatePaymentWebhook = (req) => {
-  // Gerçek uygulamada, ödeme sağlayıcısından gelen webhook'un
-  // imzasını doğrulama işlemi burada yapılır
-  // Örnek: Stripe'ın imza doğrulama mekanizması
-
-  const signature = req.headers['x-payment-signature'];
-  if (!signature) {
-    return false;
-  }
-
-  // Burada gerçek bir imza doğrulama algoritması kullanılmalıdır
-  // Geliştirme için basit bir kontrol
-  const webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || 'test_webhook_secret';
-
-  // Simülasyon amaçlı basit doğrulama
-  if (process.env.NODE_ENV === 'development') {
-    return true;
-  }
-
-  try {
-    // Gerçek bir uygulamada burada imza doğrulaması yapılır
-    // Örnek: Stripe veya PayPal'ın imza doğrulama mekanizması
-    return true;
-  } catch (error) {
-    console.error('Webhook imza doğrulama hatası:', error);
-    return false;
-  }
-};
-
 /**
  * Fatura PDF oluştur
  * @param {Object} invoiceData - Fatura verileri
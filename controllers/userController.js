@@ -1,7 +1,15 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const SubredditMembership = require('../models/SubredditMembership');
+const Follow = require('../models/Follow');
+const ModLog = require('../models/ModLog');
+const { getFollowCounts } = require('./followController');
+const { userHasRole } = require('../middleware/auth');
+const { getActiveSanction, liftSanction } = require('../utils/sanctionHelpers');
+const { isReservedUsername } = require('../utils/automod');
+const { getIO, userRoom } = require('../config/socket');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const crypto = require('crypto');
@@ -41,6 +49,19 @@ const getUser = asyncHandler(async (req, res, next) => {
     delete filteredUser.authProvider;
   }
 
+  // Takipçi ve takip edilen sayıları
+  const { followerCount, followingCount } = await getFollowCounts(user._id);
+  filteredUser.followerCount = followerCount;
+  filteredUser.followingCount = followingCount;
+
+  // Oturum açmış kullanıcı bu profili takip ediyor mu
+  if (req.user && req.user.id !== user._id.toString()) {
+    filteredUser.isFollowing = !!(await Follow.exists({
+      follower: req.user._id,
+      following: user._id,
+    }));
+  }
+
   res.status(200).json({
     success: true,
     data: filteredUser,
@@ -308,6 +329,10 @@ const updateUsername = asyncHandler(async (req, res, next) => {
   }
 
   // Kullanıcı adının kullanılabilir olduğunu kontrol et
+  if (isReservedUsername(username)) {
+    return next(new ErrorResponse('Bu kullanıcı adı zaten kullanılıyor', 400));
+  }
+
   const existingUser = await User.findOne({ username });
   if (existingUser && existingUser._id.toString() !== req.user.id) {
     return next(new ErrorResponse('Bu kullanıcı adı zaten kullanılıyor', 400));
@@ -1264,6 +1289,223 @@ const getUserPermissions = asyncHandler(async (req, res, next) => {
 });
 
 // Module exports kısmına da bu fonksiyonları ekleyin
+/**
+ * Yaptırım bitiş tarihini istek gövdesinden hesapla
+ * durationHours veya expiresAt verilmezse yaptırım kalıcıdır
+ * @param {Object} body - İstek gövdesi
+ * @returns {Object} { expiresAt, error }
+ */
+const resolveSanctionExpiry = (body) => {
+  const { durationHours, expiresAt, permanent } = body;
+
+  if (permanent === true || (durationHours === undefined && expiresAt === undefined)) {
+    return { expiresAt: null };
+  }
+
+  if (durationHours !== undefined) {
+    const hours = Number(durationHours);
+    if (!Number.isFinite(hours) || hours <= 0) {
+      return { error: 'Süre pozitif bir saat değeri olmalıdır' };
+    }
+    return { expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000) };
+  }
+
+  const date = new Date(expiresAt);
+  if (isNaN(date.getTime()) || date <= new Date()) {
+    return { error: 'Bitiş tarihi gelecekte geçerli bir tarih olmalıdır' };
+  }
+
+  return { expiresAt: date };
+};
+
+/**
+ * Site geneli yaptırım uygulanacak hedef kullanıcıyı doğrula
+ * @param {Object} req - İstek nesnesi
+ * @returns {Promise<Object>} { user, error, statusCode }
+ */
+const getSanctionTarget = async (req) => {
+  const targetId = req.params.id;
+
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return { error: 'Geçersiz kullanıcı ID formatı', statusCode: 400 };
+  }
+
+  if (targetId === req.user._id.toString()) {
+    return { error: 'Kendinize yaptırım uygulayamazsınız', statusCode: 400 };
+  }
+
+  const user = await User.findById(targetId);
+  if (!user) {
+    return { error: `${targetId} ID'sine sahip kullanıcı bulunamadı`, statusCode: 404 };
+  }
+
+  if (await userHasRole(user._id, 'admin')) {
+    return { error: 'Site yöneticilerine yaptırım uygulanamaz', statusCode: 403 };
+  }
+
+  return { user };
+};
+
+/**
+ * @desc    Kullanıcıyı site genelinde yasakla (süreli veya kalıcı)
+ * @route   PUT /api/users/:id/ban
+ * @access  Private (banUser izni)
+ */
+const banUser = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const { user, error, statusCode } = await getSanctionTarget(req);
+  if (error) {
+    return next(new ErrorResponse(error, statusCode));
+  }
+
+  const expiry = resolveSanctionExpiry(req.body);
+  if (expiry.error) {
+    return next(new ErrorResponse(expiry.error, 400));
+  }
+
+  user.siteBan = {
+    isActive: true,
+    reason,
+    issuedBy: req.user._id,
+    issuedAt: new Date(),
+    expiresAt: expiry.expiresAt || undefined,
+  };
+  await user.save();
+
+  await ModLog.create({
+    isSiteWide: true,
+    moderator: req.user._id,
+    action: 'ban_user',
+    targetType: 'user',
+    targetUser: user._id,
+    reason,
+    details: expiry.expiresAt
+      ? `Site geneli yasak, bitiş: ${expiry.expiresAt.toISOString()}`
+      : 'Kalıcı site geneli yasak',
+    isPublic: false,
+  });
+
+  // Kullanıcının açık gerçek zamanlı bağlantılarını kapat
+  const io = getIO();
+  if (io) {
+    io.in(userRoom(user._id)).disconnectSockets(true);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: expiry.expiresAt
+      ? 'Kullanıcı süreli olarak yasaklandı'
+      : 'Kullanıcı kalıcı olarak yasaklandı',
+    data: {
+      user: user._id,
+      siteBan: user.siteBan,
+      isPermanent: !expiry.expiresAt,
+    },
+  });
+});
+
+/**
+ * @desc    Kullanıcının site geneli yasağını kaldır
+ * @route   DELETE /api/users/:id/ban
+ * @access  Private (banUser izni)
+ */
+const unbanUser = asyncHandler(async (req, res, next) => {
+  const { user, error, statusCode } = await getSanctionTarget(req);
+  if (error) {
+    return next(new ErrorResponse(error, statusCode));
+  }
+
+  if (!(await getActiveSanction(user, 'ban'))) {
+    return next(new ErrorResponse('Kullanıcının aktif bir site yasağı bulunmuyor', 400));
+  }
+
+  await liftSanction(user, 'ban', req.user._id, req.body.reason);
+
+  res.status(200).json({
+    success: true,
+    message: 'Kullanıcının site yasağı kaldırıldı',
+    data: {},
+  });
+});
+
+/**
+ * @desc    Kullanıcıyı site genelinde sustur (süreli veya kalıcı)
+ * @route   PUT /api/users/:id/mute
+ * @access  Private (muteUser izni)
+ */
+const muteUser = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const { user, error, statusCode } = await getSanctionTarget(req);
+  if (error) {
+    return next(new ErrorResponse(error, statusCode));
+  }
+
+  const expiry = resolveSanctionExpiry(req.body);
+  if (expiry.error) {
+    return next(new ErrorResponse(expiry.error, 400));
+  }
+
+  user.siteMute = {
+    isActive: true,
+    reason,
+    issuedBy: req.user._id,
+    issuedAt: new Date(),
+    expiresAt: expiry.expiresAt || undefined,
+  };
+  await user.save();
+
+  await ModLog.create({
+    isSiteWide: true,
+    moderator: req.user._id,
+    action: 'mute_user',
+    targetType: 'user',
+    targetUser: user._id,
+    reason,
+    details: expiry.expiresAt
+      ? `Site geneli susturma, bitiş: ${expiry.expiresAt.toISOString()}`
+      : 'Kalıcı site geneli susturma',
+    isPublic: false,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: expiry.expiresAt
+      ? 'Kullanıcı süreli olarak susturuldu'
+      : 'Kullanıcı kalıcı olarak susturuldu',
+    data: {
+      user: user._id,
+      siteMute: user.siteMute,
+      isPermanent: !expiry.expiresAt,
+    },
+  });
+});
+
+/**
+ * @desc    Kullanıcının site geneli susturmasını kaldır
+ * @route   DELETE /api/users/:id/mute
+ * @access  Private (muteUser izni)
+ */
+const unmuteUser = asyncHandler(async (req, res, next) => {
+  const { user, error, statusCode } = await getSanctionTarget(req);
+  if (error) {
+    return next(new ErrorResponse(error, statusCode));
+  }
+
+  if (!(await getActiveSanction(user, 'mute'))) {
+    return next(new ErrorResponse('Kullanıcının aktif bir site susturması bulunmuyor', 400));
+  }
+
+  await liftSanction(user, 'mute', req.user._id, req.body.reason);
+
+  res.status(200).json({
+    success: true,
+    message: 'Kullanıcının site susturması kaldırıldı',
+    data: {},
+  });
+});
+
 module.exports = {
   getUsers,
   getUser,
@@ -1290,4 +1532,8 @@ module.exports = {
   assignRoleToUser,
   removeRoleFromUser,
   getUserPermissions,
+  banUser,
+  unbanUser,
+  muteUser,
+  unmuteUser,
 };
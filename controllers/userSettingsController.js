@@ -3,6 +3,7 @@ const User = require('../models/User');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const mongoose = require('mongoose');
+const { EMAIL_FREQUENCIES } = require('../utils/notificationEmail');
 
 /**
  * @desc    Kullanıcı ayarlarını getir
@@ -185,8 +186,18 @@ const updateEmailNotifications = asyncHandler(async (req, res, next) => {
     upvotesOnPosts,
     upvotesOnComments,
     newsletterAndUpdates,
+    frequency,
   } = req.body;
 
+  if (frequency !== undefined && !EMAIL_FREQUENCIES.includes(frequency)) {
+    return next(
+      new ErrorResponse(
+        `Geçersiz email sıklığı. Geçerli değerler: ${EMAIL_FREQUENCIES.join(', ')}`,
+        400,
+      ),
+    );
+  }
+
   // Ayarları al veya oluştur
   let userSettings = await UserSettings.findOne({ user: userId });
   if (!userSettings) {
@@ -204,6 +215,7 @@ const updateEmailNotifications = asyncHandler(async (req, res, next) => {
     userSettings.emailNotifications.upvotesOnComments = upvotesOnComments;
   if (newsletterAndUpdates !== undefined)
     userSettings.emailNotifications.newsletterAndUpdates = newsletterAndUpdates;
+  if (frequency !== undefined) userSettings.emailNotifications.frequency = frequency;
 
   await userSettings.save();
 
@@ -398,6 +410,7 @@ const resetSettings = asyncHandler(async (req, res, next) => {
           upvotesOnPosts: false,
           upvotesOnComments: false,
           newsletterAndUpdates: false,
+          frequency: 'immediate',
         };
         break;
       case 'pushNotifications':
@@ -5,6 +5,7 @@ const User = require('../models/User');
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const mongoose = require('mongoose');
+const { createUpvoteNotification } = require('./notificationController');
 
 /**
  * @desc    Post için oy ver (upvote/downvote)
@@ -77,7 +78,7 @@ const votePost = asyncHandler(async (req, res, next) => {
       post.downvotes += 1;
     }
 
-    // Post'un toplam skorunu güncelle
+    // Post'un toplam skorunu güncelle (voteScore ve hot/best/controversial skorları pre-save kancasında)
     post.score = post.upvotes - post.downvotes;
     await post.save({ session });
 
@@ -120,6 +121,11 @@ const votePost = asyncHandler(async (req, res, next) => {
     // İşlemi tamamla
     await session.commitTransaction();
 
+    // Olumlu oy bir eşiğe ulaştırdıysa sahibine gruplanmış bildirim gönder
+    if (Number(value) === 1) {
+      await createUpvoteNotification('post', { post: post._id, user: userId });
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -217,7 +223,7 @@ const voteComment = asyncHandler(async (req, res, next) => {
       comment.downvotes += 1;
     }
 
-    // Yorum'un toplam skorunu güncelle
+    // Yorum'un toplam skorunu güncelle (voteScore ve best/controversial skorları pre-save kancasında)
     comment.score = comment.upvotes - comment.downvotes;
     await comment.save({ session });
 
@@ -260,6 +266,11 @@ const voteComment = asyncHandler(async (req, res, next) => {
     // İşlemi tamamla
     await session.commitTransaction();
 
+    // Olumlu oy bir eşiğe ulaştırdıysa sahibine gruplanmış bildirim gönder
+    if (Number(value) === 1) {
+      await createUpvoteNotification('comment', { comment: comment._id, user: userId });
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -10,6 +10,22 @@ const marked = require('marked');
 const { sanitizeHtml } = require('../utils/sanitizeHtml');
 const diff = require('diff');
 const dayjs = require('dayjs');
+const {
+  normalizeWikiPageName,
+  extractWikiLinks,
+  replaceWikiLinks,
+  applyTableOfContents,
+} = require('../utils/wikiMarkup');
+const { mergeThreeWay } = require('../utils/threeWayMerge');
+const { createTarGz, extractTarGz } = require('../utils/tarArchive');
+
+// Sayfa başına erişim seviyeleri
+const WIKI_VIEW_LEVELS = ['public', 'members', 'contributors', 'mods'];
+const WIKI_EDIT_LEVELS = ['public', 'members', 'contributors', 'mods', 'admins'];
+
+// Wiki arşiv biçimi
+const WIKI_EXPORT_FORMAT = 'reddit-wiki-export';
+const WIKI_EXPORT_VERSION = 1;
 
 /**
  * @desc    Wiki sayfası oluştur
@@ -33,6 +49,12 @@ const createWikiPage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu subreddit wikisini düzenleme yetkiniz yok', 403));
   }
 
+  // Erişim seviyelerini doğrula (sadece moderatörler belirleyebilir)
+  const permissionError = await validateWikiPermissions(subredditId, userId, permissions);
+  if (permissionError) {
+    return next(permissionError);
+  }
+
   // Sayfa adının benzersiz olduğunu kontrol et
   const existingPage = await WikiPage.findOne({
     subreddit: subredditId,
@@ -43,8 +65,8 @@ const createWikiPage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Bu isimde bir wiki sayfası zaten var', 400));
   }
 
-  // Markdown içeriğini HTML'e dönüştür
-  const contentHtml = sanitizeHtml(marked.parse(content || ''));
+  // Markdown içeriğini HTML'e dönüştür ([[bağlantılar]] ve içindekiler dahil)
+  const { contentHtml, tableOfContents, linkedPages } = renderWikiContent(content, subreddit.name);
 
   // MongoDB transaction başlat
   const session = await mongoose.startSession();
@@ -60,6 +82,8 @@ const createWikiPage = asyncHandler(async (req, res, next) => {
           title,
           content: content || '',
           contentHtml,
+          tableOfContents,
+          linkedPages,
           category: category || null,
           permissions: {
             view: permissions?.view || 'public',
@@ -123,7 +147,8 @@ const createWikiPage = asyncHandler(async (req, res, next) => {
  */
 const updateWikiPage = asyncHandler(async (req, res, next) => {
   const { subredditId, pageId } = req.params;
-  const { title, content, category, permissions, isIndex, reason } = req.body;
+  const { title, category, permissions, isIndex, reason, baseRevision } = req.body;
+  let { content } = req.body;
   const userId = req.user.id;
 
   // Wiki sayfasını kontrol et
@@ -136,12 +161,23 @@ const updateWikiPage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Wiki sayfası bulunamadı', 404));
   }
 
+  // Yönlendirme sayfalarının içeriği yoktur, hedef sayfa düzenlenmelidir
+  if (wikiPage.redirectTo) {
+    return next(new ErrorResponse('Yönlendirme sayfaları düzenlenemez', 400));
+  }
+
   // Kullanıcının düzenleme yetkisini kontrol et
   const canEdit = await checkWikiEditPermission(subredditId, userId, wikiPage);
   if (!canEdit) {
     return next(new ErrorResponse('Bu wiki sayfasını düzenleme yetkiniz yok', 403));
   }
 
+  // Erişim seviyelerini doğrula (sadece moderatörler değiştirebilir)
+  const permissionError = await validateWikiPermissions(subredditId, userId, permissions);
+  if (permissionError) {
+    return next(permissionError);
+  }
+
   // Eğer sayfa kilitliyse ve kullanıcı moderatör değilse düzenlemeyi engelle
   if (wikiPage.locked) {
     const isModerator = await checkIsModeratorOrAdmin(subredditId, userId);
@@ -155,14 +191,71 @@ const updateWikiPage = asyncHandler(async (req, res, next) => {
     }
   }
 
+  // Eşzamanlı düzenleme kontrolü: istemci düzenlemeye başladığı revizyon numarasını gönderir
+  const currentRevisionNumber = wikiPage.currentRevision?.revisionNumber || 0;
+  let mergedFromRevision = null;
+
+  if (content !== undefined && baseRevision !== undefined && baseRevision !== null) {
+    const baseRevisionNumber = parseInt(baseRevision, 10);
+    if (
+      Number.isNaN(baseRevisionNumber) ||
+      baseRevisionNumber < 1 ||
+      baseRevisionNumber > currentRevisionNumber
+    ) {
+      return next(new ErrorResponse('Geçersiz temel revizyon numarası', 400));
+    }
+
+    // Temel revizyondan sonra başka düzenlemeler kaydedilmişse üç yönlü birleştir
+    if (baseRevisionNumber < currentRevisionNumber) {
+      const baseRevisionDoc = await WikiRevision.findOne({
+        page: pageId,
+        revisionNumber: baseRevisionNumber,
+      });
+
+      if (!baseRevisionDoc) {
+        return next(new ErrorResponse('Temel revizyon bulunamadı', 404));
+      }
+
+      const mergeResult = mergeThreeWay(baseRevisionDoc.content, wikiPage.content, content || '');
+
+      if (!mergeResult.clean) {
+        const interveningRevisions = await WikiRevision.find({
+          page: pageId,
+          revisionNumber: { $gt: baseRevisionNumber },
+        })
+          .select('revisionNumber reason createdBy createdAt')
+          .sort({ revisionNumber: 1 })
+          .populate('createdBy', 'username profilePicture');
+
+        return res.status(409).json({
+          success: false,
+          error: 'Düzenleme çakışması: sayfa siz düzenlerken başka biri tarafından değiştirildi',
+          data: {
+            baseRevision: baseRevisionNumber,
+            currentRevision: currentRevisionNumber,
+            interveningRevisions,
+            conflicts: mergeResult.hunks,
+            mergedContent: mergeResult.content,
+            currentContent: wikiPage.content,
+          },
+        });
+      }
+
+      content = mergeResult.content;
+      mergedFromRevision = baseRevisionNumber;
+    }
+  }
+
   // İçerik değişikliği var mı kontrol et
   const contentChanged = content !== undefined && content !== wikiPage.content;
 
   // Markdown içeriğini HTML'e dönüştür (eğer içerik değiştiyse)
-  let contentHtml = wikiPage.contentHtml;
+  let rendered = null;
   if (contentChanged) {
-    contentHtml = sanitizeHtml(marked.parse(content || ''));
+    const subreddit = await Subreddit.findById(subredditId).select('name');
+    rendered = renderWikiContent(content, subreddit.name);
   }
+  const contentHtml = rendered ? rendered.contentHtml : wikiPage.contentHtml;
 
   // Değişiklik farklarını hesapla (eğer içerik değiştiyse)
   let diffResult = null;
@@ -182,6 +275,17 @@ const updateWikiPage = asyncHandler(async (req, res, next) => {
         .sort({ revisionNumber: -1 })
         .session(session);
 
+      // Kontrolden sonra araya başka bir kayıt girdiyse tekrar denenmeli
+      if ((lastRevision?.revisionNumber || 0) !== currentRevisionNumber) {
+        await session.abortTransaction();
+        return next(
+          new ErrorResponse(
+            'Sayfa bu sırada başka biri tarafından düzenlendi, lütfen tekrar deneyin',
+            409,
+          ),
+        );
+      }
+
       const revisionNumber = lastRevision ? lastRevision.revisionNumber + 1 : 1;
 
       newRevision = await WikiRevision.create(
@@ -195,6 +299,9 @@ const updateWikiPage = asyncHandler(async (req, res, next) => {
             revisionNumber,
             previousRevision: wikiPage.currentRevision?._id || null,
             createdBy: userId,
+            metadata: mergedFromRevision
+              ? { baseRevision: mergedFromRevision, autoMerged: true }
+              : undefined,
           },
         ],
         { session },
@@ -204,6 +311,8 @@ const updateWikiPage = asyncHandler(async (req, res, next) => {
       wikiPage.currentRevision = newRevision[0]._id;
       wikiPage.content = content || '';
       wikiPage.contentHtml = contentHtml;
+      wikiPage.tableOfContents = rendered.tableOfContents;
+      wikiPage.linkedPages = rendered.linkedPages;
     }
 
     // Diğer alanları güncelle
@@ -236,6 +345,7 @@ const updateWikiPage = asyncHandler(async (req, res, next) => {
       success: true,
       data: wikiPage,
       revisionCreated: contentChanged,
+      merged: mergedFromRevision !== null,
     });
   } catch (error) {
     await session.abortTransaction();
@@ -262,7 +372,7 @@ const getWikiPage = asyncHandler(async (req, res, next) => {
   }
 
   // Wiki sayfasını bul
-  const wikiPage = await WikiPage.findOne({
+  let wikiPage = await WikiPage.findOne({
     subreddit: subredditId,
     name: pageName.toLowerCase().trim(),
   }).populate('currentRevision');
@@ -271,6 +381,20 @@ const getWikiPage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Wiki sayfası bulunamadı', 404));
   }
 
+  // Yönlendirme sayfasıysa hedef sayfayı getir (?redirect=no ile yönlendirme sayfasının kendisi)
+  let redirectedFrom = null;
+  if (wikiPage.redirectTo && req.query.redirect !== 'no') {
+    redirectedFrom = wikiPage.name;
+    wikiPage = await WikiPage.findOne({
+      _id: wikiPage.redirectTo,
+      subreddit: subredditId,
+    }).populate('currentRevision');
+
+    if (!wikiPage) {
+      return next(new ErrorResponse('Yönlendirilen wiki sayfası bulunamadı', 404));
+    }
+  }
+
   // Kullanıcının görüntüleme yetkisini kontrol et
   const canView = await checkWikiViewPermission(subredditId, userId, wikiPage);
   if (!canView) {
@@ -295,6 +419,7 @@ const getWikiPage = asyncHandler(async (req, res, next) => {
         content: revisionDoc.content,
         contentHtml: revisionDoc.contentHtml,
         revision: revisionDoc,
+        redirectedFrom,
       },
     });
   }
@@ -308,12 +433,21 @@ const getWikiPage = asyncHandler(async (req, res, next) => {
   // Kullanıcının düzenleme yetkisini kontrol et (UI için)
   const canEdit = await checkWikiEditPermission(subredditId, userId, wikiPage);
 
+  // [[bağlantı]] hedeflerinin var olup olmadığını çöz
+  const existingNames = await getExistingWikiPageNames(subredditId, wikiPage.linkedPages);
+  const links = wikiPage.linkedPages.map((name) => ({ name, exists: existingNames.has(name) }));
+
   res.status(200).json({
     success: true,
     data: {
       ...wikiPage.toObject(),
       lastRevisions,
+      redirectedFrom,
+      links,
+      brokenLinks: links.filter((link) => !link.exists).map((link) => link.name),
       permissions: {
+        view: wikiPage.permissions.view,
+        edit: wikiPage.permissions.edit,
         canView: true,
         canEdit,
       },
@@ -389,8 +523,8 @@ const getAllWikiPages = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Sorgu oluştur
-  let query = { subreddit: subredditId, isDeleted: false };
+  // Sorgu oluştur (yönlendirme sayfaları listelenmez)
+  let query = { subreddit: subredditId, isDeleted: false, redirectTo: null };
 
   // Kategori filtreleme
   if (category) {
@@ -444,6 +578,55 @@ const getAllWikiPages = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Wiki'deki kırık [[bağlantı]] raporunu getir
+ * @route   GET /api/subreddits/:subredditId/wiki/broken-links
+ * @access  Public/Private (izinlere bağlı)
+ */
+const getWikiBrokenLinks = asyncHandler(async (req, res, next) => {
+  const { subredditId } = req.params;
+  const userId = req.user ? req.user.id : null;
+
+  const subreddit = await Subreddit.findById(subredditId);
+  if (!subreddit) {
+    return next(new ErrorResponse('Subreddit bulunamadı', 404));
+  }
+
+  const pages = await WikiPage.find({
+    subreddit: subredditId,
+    redirectTo: null,
+    'linkedPages.0': { $exists: true },
+  })
+    .select('name title linkedPages permissions isPublished')
+    .sort({ name: 1 });
+
+  const existingNames = await getExistingWikiPageNames(
+    subredditId,
+    pages.flatMap((page) => page.linkedPages),
+  );
+
+  // Sadece kullanıcının görebildiği sayfalar raporlanır
+  const report = [];
+  for (const page of pages) {
+    const brokenLinks = page.linkedPages.filter((name) => !existingNames.has(name));
+    if (brokenLinks.length === 0) continue;
+
+    const canView = await checkWikiViewPermission(subredditId, userId, page);
+    if (canView) {
+      report.push({
+        page: { _id: page._id, name: page.name, title: page.title },
+        brokenLinks,
+      });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    count: report.length,
+    data: report,
+  });
+});
+
 /**
  * @desc    Wiki revizyon geçmişini getir
  * @route   GET /api/subreddits/:subredditId/wiki/:pageId/history
@@ -610,6 +793,10 @@ const revertWikiPage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Wiki sayfası bulunamadı', 404));
   }
 
+  if (wikiPage.redirectTo) {
+    return next(new ErrorResponse('Yönlendirme sayfaları düzenlenemez', 400));
+  }
+
   // Kullanıcının düzenleme yetkisini kontrol et
   const canEdit = await checkWikiEditPermission(subredditId, userId, wikiPage);
   if (!canEdit) {
@@ -633,6 +820,13 @@ const revertWikiPage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('En son revizyona geri alma yapılamaz', 400));
   }
 
+  // HTML, içindekiler ve bağlantılar geri alınan içerikten yeniden üretilir
+  const subreddit = await Subreddit.findById(subredditId).select('name');
+  const { contentHtml, tableOfContents, linkedPages } = renderWikiContent(
+    revision.content,
+    subreddit.name,
+  );
+
   // MongoDB transaction başlat
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -644,7 +838,7 @@ const revertWikiPage = asyncHandler(async (req, res, next) => {
         {
           page: pageId,
           content: revision.content,
-          contentHtml: revision.contentHtml,
+          contentHtml,
           reason: reason || `Revizyon ${revision.revisionNumber}'e geri alındı`,
           revisionNumber: lastRevision.revisionNumber + 1,
           previousRevision: wikiPage.currentRevision,
@@ -660,7 +854,9 @@ const revertWikiPage = asyncHandler(async (req, res, next) => {
 
     // Wiki sayfasını güncelle
     wikiPage.content = revision.content;
-    wikiPage.contentHtml = revision.contentHtml;
+    wikiPage.contentHtml = contentHtml;
+    wikiPage.tableOfContents = tableOfContents;
+    wikiPage.linkedPages = linkedPages;
     wikiPage.currentRevision = newRevision[0]._id;
     wikiPage.updatedBy = userId;
     wikiPage.updatedAt = Date.now();
@@ -686,6 +882,141 @@ const revertWikiPage = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * @desc    Wiki sayfasını yeniden adlandır (eski ad için yönlendirme sayfası bırakılır)
+ * @route   PUT /api/subreddits/:subredditId/wiki/:pageId/rename
+ * @access  Private/Moderator
+ */
+const renameWikiPage = asyncHandler(async (req, res, next) => {
+  const { subredditId, pageId } = req.params;
+  const { name, reason, leaveRedirect = true } = req.body;
+  const userId = req.user.id;
+
+  const wikiPage = await WikiPage.findOne({
+    _id: pageId,
+    subreddit: subredditId,
+  });
+
+  if (!wikiPage) {
+    return next(new ErrorResponse('Wiki sayfası bulunamadı', 404));
+  }
+
+  if (wikiPage.redirectTo) {
+    return next(new ErrorResponse('Yönlendirme sayfaları yeniden adlandırılamaz', 400));
+  }
+
+  const newName = normalizeWikiPageName(name);
+  if (!newName) {
+    return next(new ErrorResponse('Geçerli bir sayfa adı gereklidir', 400));
+  }
+
+  const oldName = wikiPage.name;
+  if (newName === oldName) {
+    return next(new ErrorResponse('Yeni sayfa adı mevcut adla aynı', 400));
+  }
+
+  // Hedef ad bu sayfaya yönlendiren eski bir ad olabilir; o durumda yönlendirme kaldırılır
+  const conflictingPage = await WikiPage.findOne({ subreddit: subredditId, name: newName });
+  const isOwnRedirect =
+    conflictingPage &&
+    conflictingPage.redirectTo &&
+    conflictingPage.redirectTo.toString() === wikiPage._id.toString();
+
+  if (conflictingPage && !isOwnRedirect) {
+    return next(new ErrorResponse('Bu isimde bir wiki sayfası zaten var', 400));
+  }
+
+  // Eşsiz index silinmiş sayfaları da kapsar
+  const deletedWithName = await WikiPage.countDocuments({
+    subreddit: subredditId,
+    name: newName,
+    isDeleted: true,
+  });
+  if (deletedWithName > 0) {
+    return next(
+      new ErrorResponse('Bu isim silinmiş bir wiki sayfası tarafından kullanılıyor', 400),
+    );
+  }
+
+  // MongoDB transaction başlat
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (isOwnRedirect) {
+      await WikiPage.deleteOne({ _id: conflictingPage._id }, { session });
+    }
+
+    const lastRevision = await WikiRevision.findOne({ page: pageId })
+      .sort({ revisionNumber: -1 })
+      .session(session);
+
+    // Yeniden adlandırma geçmişte görünsün diye içerik değişmeden revizyon oluşturulur
+    const newRevision = await WikiRevision.create(
+      [
+        {
+          page: pageId,
+          content: wikiPage.content || '',
+          contentHtml: wikiPage.contentHtml || '',
+          reason: reason || `Sayfa yeniden adlandırıldı: ${oldName} → ${newName}`,
+          revisionNumber: lastRevision ? lastRevision.revisionNumber + 1 : 1,
+          previousRevision: wikiPage.currentRevision,
+          createdBy: userId,
+          metadata: {
+            renamedFrom: oldName,
+            renamedTo: newName,
+          },
+        },
+      ],
+      { session },
+    );
+
+    wikiPage.name = newName;
+    wikiPage.currentRevision = newRevision[0]._id;
+    wikiPage.updatedBy = userId;
+    await wikiPage.save({ session });
+
+    // Eski ad için yönlendirme sayfası (mevcut bağlantılar kırılmasın)
+    let redirectPage = null;
+    if (leaveRedirect !== false) {
+      [redirectPage] = await WikiPage.create(
+        [
+          {
+            subreddit: subredditId,
+            name: oldName,
+            title: wikiPage.title,
+            redirectTo: wikiPage._id,
+            permissions: {
+              view: wikiPage.permissions.view,
+              edit: 'mods',
+            },
+            createdBy: userId,
+            updatedBy: userId,
+          },
+        ],
+        { session },
+      );
+    }
+
+    // İşlemi tamamla
+    await session.commitTransaction();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        page: wikiPage,
+        redirect: redirectPage,
+      },
+      message: `Wiki sayfası "${newName}" olarak yeniden adlandırıldı`,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    return next(new ErrorResponse(`Wiki sayfası yeniden adlandırılamadı: ${error.message}`, 500));
+  } finally {
+    session.endSession();
+  }
+});
+
 /**
  * @desc    Wiki sayfasını kilitle/kilidini aç (sadece moderatörler)
  * @route   PUT /api/subreddits/:subredditId/wiki/:pageId/lock
@@ -1130,6 +1461,424 @@ const updateWikiPageOrder = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * @desc    Subreddit wikisini (revizyonlar ve ayarlar dahil) Markdown arşivi olarak dışa aktar
+ * @route   GET /api/subreddits/:subredditId/wiki/export
+ * @access  Private/Moderator
+ */
+const exportWiki = asyncHandler(async (req, res, next) => {
+  const { subredditId } = req.params;
+
+  const subreddit = await Subreddit.findById(subredditId);
+  if (!subreddit) {
+    return next(new ErrorResponse('Subreddit bulunamadı', 404));
+  }
+
+  const wikiSettings = await getOrCreateWikiSettings(subredditId);
+
+  const pages = await WikiPage.find({ subreddit: subredditId })
+    .sort({ name: 1 })
+    .populate('createdBy', 'username')
+    .populate('updatedBy', 'username');
+
+  const revisions = await WikiRevision.find({ page: { $in: pages.map((page) => page._id) } })
+    .sort({ revisionNumber: 1 })
+    .populate('createdBy', 'username');
+
+  const editors = await User.find({
+    _id: { $in: [...wikiSettings.approvedEditors, ...wikiSettings.bannedEditors] },
+  }).select('username');
+  const editorNames = new Map(editors.map((user) => [user._id.toString(), user.username]));
+  const toUsernames = (ids) =>
+    ids.map((id) => editorNames.get(id.toString())).filter((username) => username);
+
+  const root = `${subreddit.name}-wiki`;
+  const pageNames = new Map(pages.map((page) => [page._id.toString(), page.name]));
+  const files = [];
+
+  const manifestPages = pages.map((page) => {
+    const pageRevisions = revisions.filter((rev) => rev.page.toString() === page._id.toString());
+
+    const file = page.redirectTo ? null : `pages/${page.name}.md`;
+    if (file) {
+      files.push({ path: `${root}/${file}`, content: page.content, mtime: page.updatedAt });
+    }
+
+    return {
+      name: page.name,
+      title: page.title,
+      category: page.category,
+      order: page.order,
+      isIndex: page.isIndex,
+      isPublished: page.isPublished,
+      locked: page.locked,
+      discussionEnabled: page.discussionEnabled,
+      permissions: {
+        view: page.permissions.view,
+        edit: page.permissions.edit,
+      },
+      redirectTo: page.redirectTo ? pageNames.get(page.redirectTo.toString()) || null : null,
+      createdBy: page.createdBy?.username || page.importedAuthors?.createdBy || null,
+      updatedBy: page.updatedBy?.username || page.importedAuthors?.updatedBy || null,
+      createdAt: page.createdAt,
+      updatedAt: page.updatedAt,
+      file,
+      revisions: pageRevisions.map((rev) => {
+        const revisionFile = `revisions/${page.name}/${String(rev.revisionNumber).padStart(4, '0')}.md`;
+        files.push({ path: `${root}/${revisionFile}`, content: rev.content, mtime: rev.createdAt });
+
+        return {
+          revisionNumber: rev.revisionNumber,
+          reason: rev.reason,
+          isReverted: rev.isReverted,
+          createdBy: rev.createdBy?.username || rev.metadata?.get('originalAuthor') || null,
+          createdAt: rev.createdAt,
+          metadata: rev.metadata ? Object.fromEntries(rev.metadata) : undefined,
+          file: revisionFile,
+        };
+      }),
+    };
+  });
+
+  const manifest = {
+    format: WIKI_EXPORT_FORMAT,
+    version: WIKI_EXPORT_VERSION,
+    exportedAt: new Date(),
+    subreddit: { name: subreddit.name },
+    settings: {
+      enabled: wikiSettings.enabled,
+      defaultViewPermission: wikiSettings.defaultViewPermission,
+      defaultEditPermission: wikiSettings.defaultEditPermission,
+      accountAgeDaysRequired: wikiSettings.accountAgeDaysRequired,
+      minKarmaRequired: wikiSettings.minKarmaRequired,
+      showRevisionHistory: wikiSettings.showRevisionHistory,
+      approvalSystem: wikiSettings.approvalSystem,
+      approvedEditors: toUsernames(wikiSettings.approvedEditors),
+      bannedEditors: toUsernames(wikiSettings.bannedEditors),
+    },
+    pages: manifestPages,
+  };
+
+  files.unshift({ path: `${root}/manifest.json`, content: JSON.stringify(manifest, null, 2) });
+
+  res.set({
+    'Content-Type': 'application/gzip',
+    'Content-Disposition': `attachment; filename="${root}-${dayjs().format('YYYY-MM-DD')}.tar.gz"`,
+  });
+  res.status(200).send(createTarGz(files));
+});
+
+/**
+ * @desc    Dışa aktarılmış wiki arşivini subreddit'e içe aktar
+ * @route   POST /api/subreddits/:subredditId/wiki/import
+ * @access  Private/Moderator
+ */
+const importWiki = asyncHandler(async (req, res, next) => {
+  const { subredditId } = req.params;
+  // onConflict: "skip" (mevcut sayfaları atla) veya "fail" (çakışma varsa hiçbir şey aktarma)
+  const onConflict = req.query.onConflict || 'skip';
+  const importSettings = req.query.settings === 'true';
+  const userId = req.user.id;
+
+  if (!['skip', 'fail'].includes(onConflict)) {
+    return next(new ErrorResponse('Geçersiz onConflict değeri. Geçerli değerler: skip, fail', 400));
+  }
+
+  const subreddit = await Subreddit.findById(subredditId);
+  if (!subreddit) {
+    return next(new ErrorResponse('Subreddit bulunamadı', 404));
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return next(new ErrorResponse('Wiki arşivi (.tar.gz) istek gövdesinde gönderilmelidir', 400));
+  }
+
+  // Arşivi aç ve manifest'i bul (arşiv kök dizin içerebilir)
+  let entries;
+  try {
+    entries = extractTarGz(req.body);
+  } catch (error) {
+    return next(new ErrorResponse(`Wiki arşivi okunamadı: ${error.message}`, 400));
+  }
+
+  const manifestEntry = entries
+    .filter((entry) => entry.path.split('/').pop() === 'manifest.json')
+    .sort((a, b) => a.path.length - b.path.length)[0];
+
+  if (!manifestEntry) {
+    return next(new ErrorResponse('Arşivde manifest.json bulunamadı', 400));
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestEntry.content.toString('utf8'));
+  } catch (error) {
+    return next(new ErrorResponse('manifest.json geçerli bir JSON değil', 400));
+  }
+
+  if (
+    manifest.format !== WIKI_EXPORT_FORMAT ||
+    manifest.version !== WIKI_EXPORT_VERSION ||
+    !Array.isArray(manifest.pages)
+  ) {
+    return next(new ErrorResponse('Desteklenmeyen wiki arşivi biçimi', 400));
+  }
+
+  const root = manifestEntry.path.slice(0, -'manifest.json'.length);
+  const files = new Map(entries.map((entry) => [entry.path, entry.content]));
+  const readFile = (file) => {
+    const content = file ? files.get(`${root}${file}`) : null;
+    return content ? content.toString('utf8') : null;
+  };
+
+  // Geçersiz adlı sayfalar ve mevcut sayfalarla çakışanlar ayıklanır
+  const skipped = [];
+  const candidates = [];
+  for (const page of manifest.pages) {
+    if (!page || !page.name || normalizeWikiPageName(page.name) !== page.name || !page.title) {
+      skipped.push({ name: page?.name || null, reason: 'Geçersiz sayfa adı veya başlığı' });
+    } else {
+      candidates.push(page);
+    }
+  }
+
+  // Eşsiz index silinmiş sayfaları da kapsadığından distinct kullanılır (find hook'u uygulanmaz)
+  const existingNames = new Set(
+    await WikiPage.distinct('name', {
+      subreddit: subredditId,
+      name: { $in: candidates.map((page) => page.name) },
+    }),
+  );
+
+  if (existingNames.size > 0 && onConflict === 'fail') {
+    return next(
+      new ErrorResponse(
+        `Bu isimlerde wiki sayfaları zaten var: ${[...existingNames].join(', ')}`,
+        409,
+      ),
+    );
+  }
+
+  const pagesToImport = candidates.filter((page) => {
+    if (!existingNames.has(page.name)) return true;
+    skipped.push({ name: page.name, reason: 'Bu isimde bir wiki sayfası zaten var' });
+    return false;
+  });
+
+  // Yazarları kullanıcı adıyla eşle; bulunamayanlar null yazarla ve arşivdeki adlarıyla kaydedilir.
+  // (Paylaşılan bir "yer tutucu" hesap, aynı adı veya e-postayı önceden alan birine devredilebilirdi)
+  const usernames = new Set();
+  pagesToImport.forEach((page) => {
+    [page.createdBy, page.updatedBy, ...(page.revisions || []).map((rev) => rev.createdBy)]
+      .filter(Boolean)
+      .forEach((username) => usernames.add(username));
+  });
+  if (importSettings && manifest.settings) {
+    [...(manifest.settings.approvedEditors || []), ...(manifest.settings.bannedEditors || [])]
+      .filter(Boolean)
+      .forEach((username) => usernames.add(username));
+  }
+
+  const users = await User.find({ username: { $in: [...usernames] } }).select('username');
+  const userIds = new Map(users.map((user) => [user.username, user._id]));
+  const missingAuthors = new Set();
+
+  const resolveAuthor = (username) => {
+    if (username && userIds.has(username)) return userIds.get(username);
+
+    missingAuthors.add(username || null);
+    return null;
+  };
+
+  // Karşılığı olmayan yazarların arşivdeki adları (createdBy/updatedBy null olduğunda)
+  const unmatchedAuthors = (fields) => {
+    const names = {};
+    Object.entries(fields).forEach(([field, username]) => {
+      if (!username || !userIds.has(username)) names[field] = username || null;
+    });
+    return Object.keys(names).length > 0 ? names : undefined;
+  };
+
+  const hasIndexPage = await WikiPage.exists({ subreddit: subredditId, isIndex: true });
+
+  // MongoDB transaction başlat
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const importedPages = new Map();
+    let revisionCount = 0;
+
+    for (const page of pagesToImport.filter((item) => !item.redirectTo)) {
+      // Dosyası olmayan revizyonlar atlanır; hiç revizyon yoksa sayfa dosyası tek revizyon olur
+      let pageRevisions = (page.revisions || [])
+        .map((rev) => ({ ...rev, content: readFile(rev.file) }))
+        .filter((rev) => rev.content !== null)
+        .sort((a, b) => a.revisionNumber - b.revisionNumber);
+
+      if (pageRevisions.length === 0) {
+        pageRevisions = [
+          {
+            content: readFile(page.file) || '',
+            reason: 'İçe aktarıldı',
+            createdBy: page.createdBy,
+          },
+        ];
+      }
+
+      const finalContent = pageRevisions[pageRevisions.length - 1].content;
+      const rendered = renderWikiContent(finalContent, subreddit.name);
+
+      const [wikiPage] = await WikiPage.create(
+        [
+          {
+            subreddit: subredditId,
+            name: page.name,
+            title: page.title,
+            content: finalContent,
+            contentHtml: rendered.contentHtml,
+            tableOfContents: rendered.tableOfContents,
+            linkedPages: rendered.linkedPages,
+            category: page.category || null,
+            order: Number(page.order) || 0,
+            isIndex: page.isIndex === true && !hasIndexPage,
+            isPublished: page.isPublished !== false,
+            locked: page.locked === true,
+            discussionEnabled: page.discussionEnabled !== false,
+            permissions: {
+              view: WIKI_VIEW_LEVELS.includes(page.permissions?.view)
+                ? page.permissions.view
+                : 'public',
+              edit: WIKI_EDIT_LEVELS.includes(page.permissions?.edit)
+                ? page.permissions.edit
+                : 'mods',
+            },
+            createdAt: page.createdAt ? new Date(page.createdAt) : Date.now(),
+            createdBy: resolveAuthor(page.createdBy),
+            updatedBy: resolveAuthor(page.updatedBy),
+            importedAuthors: unmatchedAuthors({
+              createdBy: page.createdBy,
+              updatedBy: page.updatedBy,
+            }),
+          },
+        ],
+        { session },
+      );
+
+      let previousRevision = null;
+      for (const [index, rev] of pageRevisions.entries()) {
+        const createdBy = resolveAuthor(rev.createdBy);
+        const metadata = { ...(rev.metadata || {}), importedFrom: manifest.subreddit?.name };
+        if (!userIds.has(rev.createdBy)) metadata.originalAuthor = rev.createdBy || null;
+
+        [previousRevision] = await WikiRevision.create(
+          [
+            {
+              page: wikiPage._id,
+              content: rev.content,
+              contentHtml: renderWikiContent(rev.content, subreddit.name).contentHtml,
+              reason: rev.reason,
+              diff: previousRevision
+                ? diff.createPatch('wiki', previousRevision.content, rev.content, 'önceki', 'yeni')
+                : undefined,
+              revisionNumber: index + 1,
+              previousRevision: previousRevision?._id,
+              isReverted: rev.isReverted === true,
+              createdAt: rev.createdAt ? new Date(rev.createdAt) : Date.now(),
+              createdBy,
+              metadata,
+            },
+          ],
+          { session },
+        );
+        revisionCount++;
+      }
+
+      wikiPage.currentRevision = previousRevision._id;
+      await wikiPage.save({ session });
+      importedPages.set(wikiPage.name, wikiPage);
+    }
+
+    // Yönlendirme sayfaları: hedef içe aktarılan veya zaten var olan bir sayfa olmalı
+    let redirectCount = 0;
+    for (const page of pagesToImport.filter((item) => item.redirectTo)) {
+      const target =
+        importedPages.get(page.redirectTo) ||
+        (await WikiPage.findOne({ subreddit: subredditId, name: page.redirectTo }).session(
+          session,
+        ));
+
+      if (!target || target.redirectTo) {
+        skipped.push({ name: page.name, reason: 'Yönlendirme hedefi bulunamadı' });
+        continue;
+      }
+
+      await WikiPage.create(
+        [
+          {
+            subreddit: subredditId,
+            name: page.name,
+            title: page.title,
+            redirectTo: target._id,
+            permissions: { view: target.permissions.view, edit: 'mods' },
+            createdBy: resolveAuthor(page.createdBy),
+            updatedBy: userId,
+            importedAuthors: unmatchedAuthors({ createdBy: page.createdBy }),
+          },
+        ],
+        { session },
+      );
+      redirectCount++;
+    }
+
+    // İsteğe bağlı: wiki ayarları (düzenleyici listelerinde yalnızca var olan kullanıcılar)
+    if (importSettings && manifest.settings) {
+      const wikiSettings = await getOrCreateWikiSettings(subredditId);
+      const settings = manifest.settings;
+      const toUserIds = (names) =>
+        (names || []).filter((name) => userIds.has(name)).map((name) => userIds.get(name));
+
+      [
+        'enabled',
+        'defaultViewPermission',
+        'defaultEditPermission',
+        'accountAgeDaysRequired',
+        'minKarmaRequired',
+        'showRevisionHistory',
+        'approvalSystem',
+      ].forEach((field) => {
+        if (settings[field] !== undefined) wikiSettings[field] = settings[field];
+      });
+      wikiSettings.approvedEditors = toUserIds(settings.approvedEditors);
+      wikiSettings.bannedEditors = toUserIds(settings.bannedEditors);
+      wikiSettings.lastModifiedBy = userId;
+
+      await wikiSettings.save({ session });
+    }
+
+    // İşlemi tamamla
+    await session.commitTransaction();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        imported: importedPages.size,
+        redirects: redirectCount,
+        revisions: revisionCount,
+        skipped,
+        unmatchedAuthors: [...missingAuthors],
+        settingsImported: importSettings && !!manifest.settings,
+      },
+      message: `${importedPages.size} wiki sayfası içe aktarıldı`,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    return next(new ErrorResponse(`Wiki içe aktarılamadı: ${error.message}`, 500));
+  } finally {
+    session.endSession();
+  }
+});
+
 // Yardımcı fonksiyonlar
 
 /**
@@ -1150,6 +1899,70 @@ const getOrCreateWikiSettings = async (subredditId) => {
   return wikiSettings;
 };
 
+/**
+ * Markdown içeriği HTML'e dönüştür, [[bağlantıları]] çöz ve içindekiler tablosunu üret
+ */
+const renderWikiContent = (content, subredditName) => {
+  const markdown = replaceWikiLinks(content || '', subredditName);
+  const { html, tableOfContents } = applyTableOfContents(sanitizeHtml(marked.parse(markdown)));
+
+  return {
+    contentHtml: html,
+    tableOfContents,
+    linkedPages: extractWikiLinks(content || ''),
+  };
+};
+
+/**
+ * Verilen adlardan subreddit wikisinde var olanları getir (yönlendirme sayfaları dahil)
+ */
+const getExistingWikiPageNames = async (subredditId, names) => {
+  if (!names || names.length === 0) return new Set();
+
+  const pages = await WikiPage.find({
+    subreddit: subredditId,
+    name: { $in: [...new Set(names)] },
+  }).select('name');
+
+  return new Set(pages.map((page) => page.name));
+};
+
+/**
+ * İstekteki sayfa erişim seviyelerini doğrula (sadece moderatörler değiştirebilir)
+ */
+const validateWikiPermissions = async (subredditId, userId, permissions) => {
+  if (!permissions || (permissions.view === undefined && permissions.edit === undefined)) {
+    return null;
+  }
+
+  if (permissions.view !== undefined && !WIKI_VIEW_LEVELS.includes(permissions.view)) {
+    return new ErrorResponse(
+      `Geçersiz görüntüleme izni. Geçerli değerler: ${WIKI_VIEW_LEVELS.join(', ')}`,
+      400,
+    );
+  }
+
+  if (permissions.edit !== undefined && !WIKI_EDIT_LEVELS.includes(permissions.edit)) {
+    return new ErrorResponse(
+      `Geçersiz düzenleme izni. Geçerli değerler: ${WIKI_EDIT_LEVELS.join(', ')}`,
+      400,
+    );
+  }
+
+  const isModerator = await checkIsModeratorOrAdmin(subredditId, userId);
+  if (!isModerator) {
+    return new ErrorResponse('Sayfa erişim seviyelerini sadece moderatörler değiştirebilir', 403);
+  }
+
+  return null;
+};
+
+/**
+ * Kullanıcının onaylı wiki katkıcısı olduğunu kontrol et
+ */
+const isApprovedWikiContributor = (wikiSettings, userId) =>
+  wikiSettings.approvedEditors.some((id) => id.toString() === userId.toString());
+
 /**
  * Wiki görüntüleme iznini kontrol et
  */
@@ -1182,6 +1995,15 @@ const checkWikiViewPermission = async (subredditId, userId, wikiPage) => {
     return !!membership;
   }
 
+  // contributors ise, onaylı katkıcılar ve moderatörler görüntüleyebilir
+  if (viewPermission === 'contributors') {
+    const wikiSettings = await getOrCreateWikiSettings(subredditId);
+    if (isApprovedWikiContributor(wikiSettings, userId)) {
+      return true;
+    }
+    return await checkIsModeratorOrAdmin(subredditId, userId);
+  }
+
   // mods ise, kullanıcının moderatör olup olmadığını kontrol et
   if (viewPermission === 'mods') {
     return await checkIsModeratorOrAdmin(subredditId, userId);
@@ -1231,6 +2053,14 @@ const checkWikiEditPermission = async (subredditId, userId, wikiPage = null) =>
       return await checkIsModeratorOrAdmin(subredditId, userId);
     }
 
+    // contributors ise, onaylı katkıcılar ve moderatörler düzenleyebilir
+    if (editPermission === 'contributors') {
+      if (isApprovedWikiContributor(wikiSettings, userId)) {
+        return true;
+      }
+      return await checkIsModeratorOrAdmin(subredditId, userId);
+    }
+
     // members ise, kullanıcının üye olup olmadığını kontrol et
     if (editPermission === 'members') {
       const membership = await SubredditMembership.findOne({
@@ -1268,10 +2098,7 @@ const checkWikiEditPermission = async (subredditId, userId, wikiPage = null) =>
     }
 
     // Onay sistemi aktifse, kullanıcı onaylı düzenleyicilerde mi kontrol et
-    if (
-      wikiSettings.approvalSystem &&
-      !wikiSettings.approvedEditors.some((id) => id.toString() === userId.toString())
-    ) {
+    if (wikiSettings.approvalSystem && !isApprovedWikiContributor(wikiSettings, userId)) {
       // Onaylı değilse, moderatörleri kontrol et
       return await checkIsModeratorOrAdmin(subredditId, userId);
     }
@@ -1291,6 +2118,14 @@ const checkWikiEditPermission = async (subredditId, userId, wikiPage = null) =>
       return await checkIsModeratorOrAdmin(subredditId, userId);
     }
 
+    // contributors ise, onaylı katkıcılar ve moderatörler düzenleyebilir
+    if (defaultEditPermission === 'contributors') {
+      if (isApprovedWikiContributor(wikiSettings, userId)) {
+        return true;
+      }
+      return await checkIsModeratorOrAdmin(subredditId, userId);
+    }
+
     // members ise, kullanıcının üye olup olmadığını kontrol et
     if (defaultEditPermission === 'members') {
       const membership = await SubredditMembership.findOne({
@@ -1327,10 +2162,7 @@ const checkWikiEditPermission = async (subredditId, userId, wikiPage = null) =>
     }
 
     // Onay sistemi aktifse, kullanıcı onaylı düzenleyicilerde mi kontrol et
-    if (
-      wikiSettings.approvalSystem &&
-      !wikiSettings.approvedEditors.some((id) => id.toString() === userId.toString())
-    ) {
+    if (wikiSettings.approvalSystem && !isApprovedWikiContributor(wikiSettings, userId)) {
       // Onaylı değilse, moderatörleri kontrol et
       return await checkIsModeratorOrAdmin(subredditId, userId);
     }
@@ -1364,6 +2196,15 @@ const checkWikiAccessPermission = async (subredditId, userId, permissionType) =>
     return !!membership;
   }
 
+  // contributors ise, onaylı katkıcılar ve moderatörler erişebilir
+  if (permissionType === 'contributors') {
+    const wikiSettings = await getOrCreateWikiSettings(subredditId);
+    if (isApprovedWikiContributor(wikiSettings, userId)) {
+      return true;
+    }
+    return await checkIsModeratorOrAdmin(subredditId, userId);
+  }
+
   // mods ise, kullanıcının moderatör olup olmadığını kontrol et
   if (permissionType === 'mods') {
     return await checkIsModeratorOrAdmin(subredditId, userId);
@@ -1453,9 +2294,11 @@ module.exports = {
   getWikiPage,
   deleteWikiPage,
   getAllWikiPages,
+  getWikiBrokenLinks,
   getWikiPageHistory,
   compareWikiRevisions,
   revertWikiPage,
+  renameWikiPage,
   lockWikiPage,
   createWikiDiscussion,
   getWikiSettings,
@@ -1463,4 +2306,6 @@ module.exports = {
   manageWikiContributors,
   manageWikiBannedUsers,
   updateWikiPageOrder,
+  exportWiki,
+  importWiki,
 };
@@ -5,6 +5,7 @@ const User = require('../models/User');
 const Role = require('../models/Role');
 const Permission = require('../models/Permission');
 const SubredditMembership = require('../models/SubredditMembership');
+const { getActiveSanction, getSanctionMessage } = require('../utils/sanctionHelpers');
 
 /**
  * JWT token oluştur
@@ -223,9 +224,26 @@ const isAuthenticated = (req, res, next) => {
       });
     }
 
-    // Kullanıcıyı req nesnesine ekle
-    req.user = user;
-    next();
+    // Site geneli yasak kontrolü (süresi dolan yasaklar otomatik kaldırılır)
+    getActiveSanction(user, 'ban')
+      .then((ban) => {
+        if (ban) {
+          return res.status(403).json({
+            success: false,
+            message: getSanctionMessage('ban', ban),
+            data: {
+              reason: ban.reason,
+              expiresAt: ban.expiresAt || null,
+              isPermanent: !ban.expiresAt,
+            },
+          });
+        }
+
+        // Kullanıcıyı req nesnesine ekle
+        req.user = user;
+        next();
+      })
+      .catch(next);
   })(req, res, next);
 };
 
@@ -591,11 +609,19 @@ const optionalAuth = (req, res, next) => {
       return next(err);
     }
 
-    if (user) {
-      req.user = user;
+    if (!user) {
+      return next();
     }
 
-    next();
+    // Site genelinde yasaklı kullanıcılar misafir olarak değerlendirilir
+    getActiveSanction(user, 'ban')
+      .then((ban) => {
+        if (!ban) {
+          req.user = user;
+        }
+        next();
+      })
+      .catch(next);
   })(req, res, next);
 };
 
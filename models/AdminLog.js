@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Site yöneticilerinin subreddit dışı işlemleri (subreddit moderasyonu ModLog'da tutulur)
+const AdminLogSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Details cannot exceed 1000 characters'],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    targetUser: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    targetType: {
+      type: String,
+      trim: true,
+    },
+    targetId: {
+      type: Schema.Types.ObjectId,
+    },
+    ip: String,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Indexes for faster queries
+AdminLogSchema.index({ user: 1, createdAt: -1 });
+AdminLogSchema.index({ action: 1, createdAt: -1 });
+AdminLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdminLog', AdminLogSchema);
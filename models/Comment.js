@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { applyRankings } = require('../utils/ranking');
+const { registerSearchSync } = require('../utils/searchBackend');
 
 const CommentSchema = new Schema({
   content: {
@@ -35,6 +37,19 @@ const CommentSchema = new Schema({
     type: Number,
     default: 0
   },
+  // Sıralama skorları (utils/ranking), oy sayıları değiştiğinde güncellenir
+  hotScore: {
+    type: Number,
+    default: 0
+  },
+  bestScore: {
+    type: Number,
+    default: 0
+  },
+  controversyScore: {
+    type: Number,
+    default: 0
+  },
   replyCount: {
     type: Number,
     default: 0
@@ -58,6 +73,20 @@ const CommentSchema = new Schema({
     type: Boolean,
     default: false
   },
+  // Moderatör onayı bekleyen (mod kuyruğunda tutulan) yorumlar
+  isFiltered: {
+    type: Boolean,
+    default: false
+  },
+  filteredAt: Date,
+  filterReason: {
+    type: String,
+    maxlength: [500, 'Filter reason cannot exceed 500 characters']
+  },
+  filterSource: {
+    type: String,
+    enum: ['automod', 'content_filter']
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -78,8 +107,9 @@ const CommentSchema = new Schema({
 
 // Middleware to update timestamps and vote score
 CommentSchema.pre('save', function(next) {
-  if (this.isModified('upvotes') || this.isModified('downvotes')) {
+  if (this.isNew || this.isModified('upvotes') || this.isModified('downvotes')) {
     this.voteScore = this.upvotes - this.downvotes;
+    applyRankings(this);
   }
 
   if (this.isModified() && !this.isNew && !this.isModified('editedAt')) {
@@ -98,6 +128,11 @@ CommentSchema.pre('find', function() {
     this.where({ isDeleted: false });
     delete this._conditions.filterDeleted;
   }
+
+  // Onay bekleyen yorumlar yorum listelerinde gösterilmez (mod kuyruğu açıkça sorgular)
+  if (this._conditions.isFiltered === undefined) {
+    this.where({ isFiltered: { $ne: true } });
+  }
 });
 
 // Virtual for replies
@@ -120,7 +155,13 @@ CommentSchema.virtual('votes', {
 CommentSchema.index({ post: 1, createdAt: 1 });
 CommentSchema.index({ author: 1 });
 CommentSchema.index({ parent: 1 });
+CommentSchema.index({ isFiltered: 1, post: 1 });
 CommentSchema.index({ voteScore: -1 });
+CommentSchema.index({ post: 1, bestScore: -1 });
+CommentSchema.index({ post: 1, controversyScore: -1 });
 CommentSchema.index({ content: 'text' });
 
+// Arama indeksini oluşturma, güncelleme ve silmelerle güncel tut
+registerSearchSync(CommentSchema, 'comment');
+
 module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const FollowSchema = new Schema(
+  {
+    follower: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    following: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    notifyOnPost: {
+      type: Boolean,
+      default: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Kullanıcı kendini takip edemez
+FollowSchema.pre('validate', function (next) {
+  if (this.follower && this.following && this.follower.equals(this.following)) {
+    return next(new Error('Users cannot follow themselves'));
+  }
+  next();
+});
+
+// Indexes for faster queries
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+FollowSchema.index({ following: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', FollowSchema);
@@ -5,7 +5,14 @@ const ModLogSchema = new Schema({
   subreddit: {
     type: Schema.Types.ObjectId,
     ref: 'Subreddit',
-    required: true
+    required: function() {
+      return !this.isSiteWide;
+    }
+  },
+  // Site geneli (subreddit'e bağlı olmayan) moderasyon işlemleri için
+  isSiteWide: {
+    type: Boolean,
+    default: false
   },
   moderator: {
     type: Schema.Types.ObjectId,
@@ -16,7 +23,9 @@ const ModLogSchema = new Schema({
     type: String,
     enum: [
       'post_remove', 'post_approve', 'post_lock', 'post_unlock', 'post_sticky', 'post_unsticky',
+      'post_filter', 'post_report',
       'comment_remove', 'comment_approve', 'comment_lock', 'comment_unlock',
+      'comment_filter', 'comment_report', 'comment_reply',
       'ban_user', 'unban_user', 'mute_user', 'unmute_user',
       'add_moderator', 'remove_moderator', 'edit_settings', 'edit_rules',
       'add_flair', 'edit_flair', 'remove_flair', 'assign_flair',
@@ -93,5 +102,6 @@ ModLogSchema.index({ targetPost: 1 });
 ModLogSchema.index({ targetComment: 1 });
 ModLogSchema.index({ targetUser: 1 });
 ModLogSchema.index({ isPublic: 1 });
+ModLogSchema.index({ isSiteWide: 1, createdAt: -1 });
 
 module.exports = mongoose.model('ModLog', ModLogSchema);
@@ -24,6 +24,8 @@ const NotificationSchema = new Schema({
       'subreddit_ban',
       'subreddit_invite',
       'message',
+      'followed_user_post',
+      'saved_search',
       'system'
     ],
     required: true
@@ -60,6 +62,24 @@ const NotificationSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'ChatMessage'
   },
+  // Gruplama: aynı hedefe ait tekrar eden bildirimler tek kayıtta toplanır
+  groupKey: String,
+  aggregateCount: {
+    type: Number,
+    default: 1
+  },
+  actors: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Olumlu oy bildirimlerinde ulaşılan son eşik
+  milestone: Number,
+  // E-posta kanalı durumu (utils/notificationEmail)
+  emailStatus: {
+    type: String,
+    enum: ['pending', 'sent', 'skipped']
+  },
+  emailedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -71,14 +91,53 @@ const NotificationSchema = new Schema({
 
 // Middleware to update readAt when read is set to true
 NotificationSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
   if (this.isModified('read') && this.read && !this.readAt) {
     this.readAt = Date.now();
   }
   next();
 });
 
+/**
+ * Kullanıcının okunmamış bildirim sayıları (toplam ve tip bazında)
+ * @param {String|ObjectId} userId - Kullanıcı ID
+ * @returns {Promise<Object>} { total, byType }
+ */
+NotificationSchema.statics.getUnreadCounts = async function(userId) {
+  const typeCounts = await this.aggregate([
+    { $match: { recipient: new mongoose.Types.ObjectId(userId.toString()), read: false } },
+    { $group: { _id: '$type', count: { $sum: 1 } } }
+  ]);
+
+  const byType = {};
+  let total = 0;
+  typeCounts.forEach((item) => {
+    byType[item._id] = item.count;
+    total += item.count;
+  });
+
+  return { total, byType };
+};
+
+// Yeni bildirimleri e-posta kanalına ve canlı akışa ilet (döngüsel bağımlılık olmaması için geç yüklenir)
+NotificationSchema.post('save', function(doc) {
+  if (doc.$locals.wasNew) {
+    require('../utils/notificationEmail').queueNotificationEmail(doc);
+    require('../utils/notificationStream').publishNotifications([doc]);
+  }
+});
+
+NotificationSchema.post('insertMany', function(docs) {
+  const { queueNotificationEmail } = require('../utils/notificationEmail');
+  docs.forEach((doc) => queueNotificationEmail(doc));
+  require('../utils/notificationStream').publishNotifications(docs);
+});
+
 // Indexes for faster queries
 NotificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
 NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ emailStatus: 1, recipient: 1 });
+NotificationSchema.index({ recipient: 1, groupKey: 1, read: 1 });
+NotificationSchema.index({ recipient: 1, type: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Notification', NotificationSchema);
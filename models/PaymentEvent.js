@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Ödeme sağlayıcısından gelen webhook olayları; aynı olay ID'si yalnızca bir kez işlenir
+const PaymentEventSchema = new Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    paymentId: String,
+    transaction: {
+      type: Schema.Types.ObjectId,
+      ref: 'Transaction',
+    },
+    // processing: işleniyor, processed: işlendi, ignored: ilgili işlem yok, failed: tekrar denenebilir
+    status: {
+      type: String,
+      enum: ['processing', 'processed', 'ignored', 'failed'],
+      default: 'processing',
+    },
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+    error: String,
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    processedAt: Date,
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Indexes for faster queries
+PaymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+PaymentEventSchema.index({ paymentId: 1, receivedAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', PaymentEventSchema);
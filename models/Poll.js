@@ -30,6 +30,55 @@ const PollSchema = new Schema({
     min: 1,
     max: 6
   },
+  // Oylama yöntemi: standard (tekli/çoklu seçim), ranked (sıralı tercih, instant-runoff),
+  // score (seçeneklere puan verme), approval (istenen seçenekleri onaylama)
+  votingMethod: {
+    type: String,
+    enum: ['standard', 'ranked', 'score', 'approval'],
+    default: 'standard'
+  },
+  // Puanlı oylamada verilebilecek puan aralığı
+  scoreRange: {
+    min: {
+      type: Number,
+      default: 0
+    },
+    max: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 10
+    }
+  },
+  // Sonuçlar anket bitene kadar gizlensin mi (anket sahibi belirler)
+  hideResultsUntilClosed: {
+    type: Boolean,
+    default: false
+  },
+  // Oy hakkı kuralları (anket sahibi veya moderatörler belirler)
+  eligibility: {
+    // Sadece subreddit üyeleri
+    membersOnly: {
+      type: Boolean,
+      default: false
+    },
+    // Oy anında gereken en az hesap yaşı (gün)
+    minAccountAgeDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Gereken en az toplam karma
+    minKarma: {
+      type: Number,
+      default: 0
+    },
+    // Bu kullanıcı flair'lerinden birine sahip olanlar (boşsa kısıt yok)
+    requiredFlairs: [{
+      type: Schema.Types.ObjectId,
+      ref: 'Flair'
+    }]
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -17,6 +17,15 @@ const PollVoteSchema = new Schema({
     ref: 'User',
     required: true
   },
+  // Sıralı tercih anketlerinde tercih sırası (1 = ilk tercih)
+  rank: {
+    type: Number,
+    min: 1
+  },
+  // Puanlı anketlerde seçeneğe verilen puan
+  score: {
+    type: Number
+  },
   createdAt: {
     type: Date,
     default: Date.now
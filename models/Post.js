@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 const slugify = require('slugify');
+const { applyRankings } = require('../utils/ranking');
+const { registerSearchSync } = require('../utils/searchBackend');
 
 const PostSchema = new Schema(
   {
@@ -61,6 +63,15 @@ const PostSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: 'Flair',
     },
+    // Crosspost ise orijinal gönderi (oylar ve yorumlar her crosspost için ayrı tutulur)
+    crosspostParent: {
+      type: Schema.Types.ObjectId,
+      ref: 'Post',
+    },
+    crosspostCount: {
+      type: Number,
+      default: 0,
+    },
     upvotes: {
       type: Number,
       default: 0,
@@ -73,6 +84,19 @@ const PostSchema = new Schema(
       type: Number,
       default: 0,
     },
+    // Sıralama skorları (utils/ranking), oy sayıları değiştiğinde güncellenir
+    hotScore: {
+      type: Number,
+      default: 0,
+    },
+    bestScore: {
+      type: Number,
+      default: 0,
+    },
+    controversyScore: {
+      type: Number,
+      default: 0,
+    },
     commentCount: {
       type: Number,
       default: 0,
@@ -106,6 +130,20 @@ const PostSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Moderatör onayı bekleyen (mod kuyruğunda tutulan) gönderiler
+    isFiltered: {
+      type: Boolean,
+      default: false,
+    },
+    filteredAt: Date,
+    filterReason: {
+      type: String,
+      maxlength: [500, 'Filter reason cannot exceed 500 characters'],
+    },
+    filterSource: {
+      type: String,
+      enum: ['automod', 'content_filter', 'manual_approval'],
+    },
     slug: String,
     createdAt: {
       type: Date,
@@ -142,8 +180,9 @@ PostSchema.pre('save', function (next) {
     this.slug += '-' + Math.random().toString(36).substring(2, 8);
   }
 
-  if (this.isModified('upvotes') || this.isModified('downvotes')) {
+  if (this.isNew || this.isModified('upvotes') || this.isModified('downvotes')) {
     this.voteScore = this.upvotes - this.downvotes;
+    applyRankings(this);
   }
 
   if (this.isModified() && !this.isNew && !this.isModified('editedAt')) {
@@ -159,6 +198,11 @@ PostSchema.pre('find', function () {
   if (!this._conditions.isDeleted) {
     this.where({ isDeleted: false });
   }
+
+  // Onay bekleyen gönderiler listelerde gösterilmez (mod kuyruğu açıkça sorgular)
+  if (this._conditions.isFiltered === undefined) {
+    this.where({ isFiltered: { $ne: true } });
+  }
 });
 
 PostSchema.pre('findOne', function () {
@@ -195,8 +239,17 @@ PostSchema.virtual('poll', {
 PostSchema.index({ author: 1, createdAt: -1 });
 PostSchema.index({ subreddit: 1, createdAt: -1 });
 PostSchema.index({ voteScore: -1 });
+PostSchema.index({ hotScore: -1 });
+PostSchema.index({ bestScore: -1 });
+PostSchema.index({ controversyScore: -1 });
+PostSchema.index({ subreddit: 1, hotScore: -1 });
 PostSchema.index({ createdAt: -1 });
 PostSchema.index({ slug: 1 });
+PostSchema.index({ subreddit: 1, isFiltered: 1 });
+PostSchema.index({ crosspostParent: 1, createdAt: -1 });
 PostSchema.index({ title: 'text', content: 'text' });
 
+// Arama indeksini oluşturma, güncelleme ve silmelerle güncel tut
+registerSearchSync(PostSchema, 'post');
+
 module.exports = mongoose.model('Post', PostSchema);
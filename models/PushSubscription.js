@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const PushSubscriptionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    endpoint: {
+      type: String,
+      required: [true, 'Push endpoint is required'],
+      trim: true,
+    },
+    keys: {
+      p256dh: {
+        type: String,
+        required: [true, 'p256dh key is required'],
+      },
+      auth: {
+        type: String,
+        required: [true, 'Auth secret is required'],
+      },
+    },
+    expirationTime: Date,
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Device name cannot exceed 100 characters'],
+    },
+    userAgent: String,
+    // Art arda başarısız gönderim sayısı (eşik aşılınca abonelik silinir)
+    failureCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSuccessAt: Date,
+    lastFailureAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Indexes for faster queries
+PushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+PushSubscriptionSchema.index({ user: 1, createdAt: -1 });
+PushSubscriptionSchema.index({ expirationTime: 1 });
+
+module.exports = mongoose.model('PushSubscription', PushSubscriptionSchema);
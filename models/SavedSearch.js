@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const SavedSearchSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Saved search name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    // Gelişmiş arama kriterleri (yazar ve subreddit kayıt sırasında ID'ye çevrilir)
+    criteria: {
+      query: {
+        type: String,
+        trim: true,
+        maxlength: [512, 'Query cannot exceed 512 characters'],
+      },
+      includeKeywords: [String],
+      excludeKeywords: [String],
+      author: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      subreddit: {
+        type: Schema.Types.ObjectId,
+        ref: 'Subreddit',
+        default: null,
+      },
+      flairs: [
+        {
+          type: Schema.Types.ObjectId,
+          ref: 'Flair',
+        },
+      ],
+      postTypes: [
+        {
+          type: String,
+          enum: ['text', 'link', 'image', 'video', 'poll'],
+        },
+      ],
+      // NSFW gönderiler yalnızca true olduğunda bildirilir
+      nsfw: Boolean,
+    },
+    // none: bildirim yok, instant: her eşleşmede, digest: eşleşmeler toplanıp periyodik
+    alertMode: {
+      type: String,
+      enum: ['none', 'instant', 'digest'],
+      default: 'instant',
+    },
+    digestFrequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      default: 'daily',
+    },
+    // Özet bildirimi bekleyen eşleşmeler
+    pendingMatches: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'Post',
+      },
+    ],
+    lastDigestAt: {
+      type: Date,
+      default: Date.now,
+    },
+    matchCount: {
+      type: Number,
+      default: 0,
+    },
+    lastMatchedAt: Date,
+    lastRunAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+SavedSearchSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for faster queries
+SavedSearchSchema.index({ user: 1, createdAt: -1 });
+SavedSearchSchema.index({ alertMode: 1, 'criteria.subreddit': 1 });
+SavedSearchSchema.index({ alertMode: 1, lastDigestAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
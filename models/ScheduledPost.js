@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ScheduledPostSchema = new Schema(
+  {
+    subreddit: {
+      type: Schema.Types.ObjectId,
+      ref: 'Subreddit',
+      required: true,
+    },
+    // Gönderiyi zamanlayan moderatör; gönderi bu kullanıcı adına yayınlanır
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // {date} yer tutucusu yayın tarihiyle (YYYY-MM-DD) değiştirilir
+    title: {
+      type: String,
+      required: [true, 'Please provide a title'],
+      trim: true,
+      maxlength: [300, 'Title cannot exceed 300 characters'],
+    },
+    content: {
+      type: String,
+      trim: true,
+      maxlength: [40000, 'Content cannot exceed 40000 characters'],
+    },
+    type: {
+      type: String,
+      enum: ['text', 'link', 'image', 'video'],
+      default: 'text',
+    },
+    url: {
+      type: String,
+      trim: true,
+    },
+    mediaUrl: {
+      type: String,
+      trim: true,
+    },
+    isNSFW: {
+      type: Boolean,
+      default: false,
+    },
+    isSpoiler: {
+      type: Boolean,
+      default: false,
+    },
+    flair: {
+      type: Schema.Types.ObjectId,
+      ref: 'Flair',
+    },
+    // Bir sonraki yayın zamanı (tekrarlayan gönderilerde her yayından sonra ilerletilir)
+    scheduledFor: {
+      type: Date,
+      required: [true, 'Scheduled time is required'],
+    },
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ['none', 'daily', 'weekly'],
+        default: 'none',
+      },
+      // Her kaç günde/haftada bir yayınlanacağı
+      interval: {
+        type: Number,
+        min: 1,
+        max: 52,
+        default: 1,
+      },
+      endsAt: Date,
+    },
+    autoPin: {
+      type: Boolean,
+      default: false,
+    },
+    // Yeni örnek yayınlandığında bir önceki örneğin sabitlemesini kaldır
+    unpinPrevious: {
+      type: Boolean,
+      default: true,
+    },
+    status: {
+      type: String,
+      enum: ['scheduled', 'published', 'cancelled', 'failed'],
+      default: 'scheduled',
+    },
+    lastPost: {
+      type: Schema.Types.ObjectId,
+      ref: 'Post',
+    },
+    lastPublishedAt: Date,
+    publishCount: {
+      type: Number,
+      default: 0,
+    },
+    // Art arda başarısız yayın denemeleri (eşik aşılınca durum failed olur)
+    failureCount: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    // Aynı kaydın birden fazla worker tarafından yayınlanmasını engeller
+    lockedUntil: Date,
+    cancelledBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+ScheduledPostSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for faster queries
+ScheduledPostSchema.index({ status: 1, scheduledFor: 1 });
+ScheduledPostSchema.index({ subreddit: 1, status: 1, scheduledFor: 1 });
+
+module.exports = mongoose.model('ScheduledPost', ScheduledPostSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Ham arama kayıtları bu süreden sonra silinir
+const SEARCH_QUERY_TTL_DAYS = 90;
+
+const SearchQuerySchema = new Schema(
+  {
+    // Giriş yapmamış aramalarda null (geçmişten silinen kayıtlar tamamen silinir)
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Günlük değişen anahtarla hashlenmiş IP ağ öneki (/24, /64); IP adresi saklanmaz
+    visitorHash: {
+      type: String,
+      required: true,
+    },
+    query: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [512, 'Query cannot exceed 512 characters'],
+    },
+    // Trend hesaplaması için küçük harfe çevrilmiş, boşlukları sadeleştirilmiş sorgu
+    normalizedQuery: {
+      type: String,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ['search', 'advanced', 'subreddit'],
+      default: 'search',
+    },
+    type: {
+      type: String,
+      default: 'all',
+    },
+    subreddit: {
+      type: Schema.Types.ObjectId,
+      ref: 'Subreddit',
+    },
+    resultCount: {
+      type: Number,
+      default: 0,
+    },
+    // NSFW içerik istenerek veya NSFW bir subreddit'te yapılan arama
+    isNSFW: {
+      type: Boolean,
+      default: false,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Indexes for faster queries
+SearchQuerySchema.index({ user: 1, createdAt: -1 });
+SearchQuerySchema.index({ createdAt: 1 }, { expireAfterSeconds: SEARCH_QUERY_TTL_DAYS * 86400 });
+SearchQuerySchema.index({ normalizedQuery: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SearchQuery', SearchQuerySchema);
@@ -22,6 +22,23 @@ const SubredditMembershipSchema = new Schema(
       type: Boolean,
       default: false,
     },
+    // Rol atamalarına ek olarak üyelik üzerinden verilen moderatörlük
+    isModerator: {
+      type: Boolean,
+      default: false,
+    },
+    // Kullanıcının bu subreddit'teki flair'i
+    userFlair: {
+      type: Schema.Types.ObjectId,
+      ref: 'Flair',
+      default: null,
+    },
+    userFlairText: {
+      type: String,
+      trim: true,
+      maxlength: [64, 'Flair text cannot exceed 64 characters'],
+      default: null,
+    },
     banReason: String,
     banExpiration: Date,
     bannedBy: {
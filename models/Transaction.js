@@ -43,6 +43,10 @@ const TransactionSchema = new Schema({
     // External payment ID or reference
     type: String
   },
+  // Ödemeyi işleyen sağlayıcı adaptörü (utils/paymentProviders)
+  paymentProvider: {
+    type: String
+  },
   relatedTransaction: {
     type: Schema.Types.ObjectId,
     ref: 'Transaction'
@@ -93,6 +93,46 @@ const UserSchema = new Schema(
     authProviderId: {
       type: String,
     },
+    // AutoModerator gibi sistem hesapları; kimlik kullanıcı adına değil bu bayrağa bağlanır
+    isSystemAccount: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    // Site geneli yasak (expiresAt boşsa kalıcı)
+    siteBan: {
+      isActive: {
+        type: Boolean,
+        default: false,
+      },
+      reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+      },
+      issuedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      issuedAt: Date,
+      expiresAt: Date,
+    },
+    // Site geneli susturma (giriş yapılabilir, içerik/mesaj gönderilemez)
+    siteMute: {
+      isActive: {
+        type: Boolean,
+        default: false,
+      },
+      reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+      },
+      issuedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      issuedAt: Date,
+      expiresAt: Date,
+    },
   },
   {
     toJSON: { virtuals: true },
@@ -161,5 +201,7 @@ UserSchema.pre('findOne', function () {
 
 // Index for faster queries
 UserSchema.index({ username: 1 }, { unique: true });
+UserSchema.index({ 'siteBan.isActive': 1, 'siteBan.expiresAt': 1 });
+UserSchema.index({ 'siteMute.isActive': 1, 'siteMute.expiresAt': 1 });
 
 module.exports = mongoose.model('User', UserSchema);
@@ -116,7 +116,14 @@ const UserSettingsSchema = new Schema({
     newsletterAndUpdates: {
       type: Boolean,
       default: false
-    }
+    },
+    // Anında gönderim veya günlük/haftalık özet
+    frequency: {
+      type: String,
+      enum: ['immediate', 'daily', 'weekly'],
+      default: 'immediate'
+    },
+    lastDigestAt: Date
   },
   // Push notification settings
   pushNotifications: {
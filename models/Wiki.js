@@ -48,19 +48,44 @@ const WikiPageSchema = new Schema(
     },
     // Erişim izni ayarları
     permissions: {
-      // Görüntüleme izni: "public" (herkese açık), "members" (subreddit üyeleri), "mods" (sadece moderatörler)
+      // Görüntüleme izni: "public" (herkese açık), "members" (subreddit üyeleri),
+      // "contributors" (onaylı wiki katkıcıları), "mods" (sadece moderatörler)
       view: {
         type: String,
-        enum: ['public', 'members', 'mods'],
+        enum: ['public', 'members', 'contributors', 'mods'],
         default: 'public',
       },
-      // Düzenleme izni: "public" (herkese açık), "members" (subreddit üyeleri), "mods" (sadece moderatörler), "admins" (sadece adminler)
+      // Düzenleme izni: "public" (herkese açık), "members" (subreddit üyeleri),
+      // "contributors" (onaylı wiki katkıcıları), "mods" (sadece moderatörler), "admins" (sadece adminler)
       edit: {
         type: String,
-        enum: ['public', 'members', 'mods', 'admins'],
+        enum: ['public', 'members', 'contributors', 'mods', 'admins'],
         default: 'mods',
       },
     },
+    // Yönlendirme sayfası ise hedef sayfa (sayfa yeniden adlandırıldığında eski ad için oluşturulur)
+    redirectTo: {
+      type: Schema.Types.ObjectId,
+      ref: 'WikiPage',
+      default: null,
+    },
+    // Başlıklardan otomatik üretilen içindekiler tablosu
+    tableOfContents: [
+      {
+        _id: false,
+        level: Number,
+        text: String,
+        anchor: String,
+      },
+    ],
+    // İçerikteki [[sayfa]] bağlantılarının hedef sayfa adları
+    linkedPages: [
+      {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+    ],
     // Düzenleme kilidi - sadece moderatörler düzenleyebilir
     locked: {
       type: Boolean,
@@ -102,17 +127,26 @@ const WikiPageSchema = new Schema(
       type: Date,
       default: Date.now,
     },
-    // Oluşturan kullanıcı
+    // Oluşturan kullanıcı (içe aktarılan ve yazarı bu sistemde bulunmayan sayfalarda null)
     createdBy: {
       type: Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required: function () {
+        return !this.importedAuthors || this.importedAuthors.createdBy === undefined;
+      },
     },
-    // Son düzenleyen kullanıcı
+    // Son düzenleyen kullanıcı (içe aktarılan ve yazarı bu sistemde bulunmayan sayfalarda null)
     updatedBy: {
       type: Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required: function () {
+        return !this.importedAuthors || this.importedAuthors.updatedBy === undefined;
+      },
+    },
+    // İçe aktarımda karşılığı bulunamayan yazarların arşivdeki kullanıcı adları
+    importedAuthors: {
+      createdBy: String,
+      updatedBy: String,
     },
     // Silinme bilgisi
     isDeleted: {
@@ -137,6 +171,8 @@ const WikiPageSchema = new Schema(
 WikiPageSchema.index({ subreddit: 1, name: 1 }, { unique: true });
 // Kategori araması için index
 WikiPageSchema.index({ subreddit: 1, category: 1 });
+// Geri bağlantı ve kırık bağlantı raporları için index
+WikiPageSchema.index({ subreddit: 1, linkedPages: 1 });
 // Silinenleri filtrelemek için index
 WikiPageSchema.index({ isDeleted: 1 });
 
@@ -223,11 +259,14 @@ const WikiRevisionSchema = new Schema(
       type: Date,
       default: Date.now,
     },
-    // Oluşturan kullanıcı
+    // Oluşturan kullanıcı (içe aktarılan ve yazarı bu sistemde bulunmayan revizyonlarda null;
+    // arşivdeki kullanıcı adı metadata.originalAuthor'da tutulur)
     createdBy: {
       type: Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required: function () {
+        return !this.metadata || !this.metadata.has('originalAuthor');
+      },
     },
     // Geri alınmış mı?
     isReverted: {
@@ -271,13 +310,13 @@ const WikiSettingsSchema = new Schema(
     // Varsayılan görüntüleme izni
     defaultViewPermission: {
       type: String,
-      enum: ['public', 'members', 'mods'],
+      enum: ['public', 'members', 'contributors', 'mods'],
       default: 'public',
     },
     // Varsayılan düzenleme izni
     defaultEditPermission: {
       type: String,
-      enum: ['public', 'members', 'mods', 'admins'],
+      enum: ['public', 'members', 'contributors', 'mods', 'admins'],
       default: 'mods',
     },
     // Düzenleme için gereken minimum hesap yaşı (gün)
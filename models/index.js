@@ -13,6 +13,7 @@ const Vote = require('./Vote');
 const Flair = require('./Flair');
 const Notification = require('./Notification');
 const ModLog = require('./ModLog');
+const AdminLog = require('./AdminLog');
 const Award = require('./Award');
 const AwardInstance = require('./AwardInstance');
 const ChatRoom = require('./ChatRoom');
@@ -35,6 +36,11 @@ const ArchivePolicy = require('./ArchivePolicy');
 const SEOMetadata = require('./SEOMetadata');
 const MediaAsset = require('./MediaAsset');
 const UserOnlineStatus = require('./UserOnlineStatus');
+const Follow = require('./Follow');
+const ScheduledPost = require('./ScheduledPost');
+const SearchQuery = require('./SearchQuery');
+const SavedSearch = require('./SavedSearch');
+const PaymentEvent = require('./PaymentEvent');
 
 // Dışa aktarma bölümünü düzelt
 module.exports = {
@@ -64,6 +70,7 @@ module.exports = {
   UserPremium,
   Transaction,
   ModLog,
+  AdminLog,
   TwoFactorAuth,
   Statistics,
   ContentFilter,
@@ -73,5 +80,10 @@ module.exports = {
   ArchivePolicy,
   SEOMetadata,
   MediaAsset,
-  UserOnlineStatus
+  UserOnlineStatus,
+  Follow,
+  ScheduledPost,
+  SearchQuery,
+  SavedSearch,
+  PaymentEvent
 };
@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const rateLimitController = require('../controllers/rateLimitController');
+const userPremiumController = require('../controllers/userPremiumController');
+const userSettingsController = require('../controllers/userSettingsController');
+const voteController = require('../controllers/voteController');
+const searchController = require('../controllers/searchController');
+const { isAuthenticated, isAdmin } = require('../middleware/auth');
+
+// Tüm admin rotaları kimlik doğrulama ve admin yetkisi gerektirir
+router.use(isAuthenticated, isAdmin);
+
+/**
+ * @route   GET /api/admin/rate-limits
+ * @desc    Tüm rate limit kayıtlarını listele (admin panel için)
+ * @access  Private (Admin)
+ */
+router.get('/rate-limits', rateLimitController.getRateLimits);
+
+/**
+ * @route   GET /api/admin/rate-limits/stats
+ * @desc    Sistem genelinde rate limit istatistiklerini getir
+ * @access  Private (Admin)
+ */
+router.get('/rate-limits/stats', rateLimitController.getRateLimitStats);
+
+/**
+ * @route   GET /api/admin/rate-limits/settings
+ * @desc    Tüm rate limit ayarlarını listele
+ * @access  Private (Admin)
+ */
+router.get('/rate-limits/settings', rateLimitController.getRateLimitSettings);
+
+/**
+ * @route   PUT /api/admin/rate-limits/settings
+ * @desc    Belirli bir endpoint için rate limit ayarlarını güncelle
+ * @access  Private (Admin)
+ */
+router.put('/rate-limits/settings', rateLimitController.updateRateLimitSettings);
+
+/**
+ * @route   DELETE /api/admin/rate-limits/settings/:id
+ * @desc    Bir rate limit ayarını sil
+ * @access  Private (Admin)
+ */
+router.delete('/rate-limits/settings/:id', rateLimitController.deleteRateLimitSetting);
+
+/**
+ * @route   GET /api/admin/rate-limits/users/:userId
+ * @desc    Belirli bir kullanıcının rate limit bilgilerini getir
+ * @access  Private (Admin)
+ */
+router.get('/rate-limits/users/:userId', rateLimitController.getUserRateLimits);
+
+/**
+ * @route   DELETE /api/admin/rate-limits/users/:userId
+ * @desc    Kullanıcının rate limit kayıtlarını sıfırla
+ * @access  Private (Admin)
+ */
+router.delete('/rate-limits/users/:userId', rateLimitController.resetUserRateLimits);
+
+/**
+ * @route   DELETE /api/admin/rate-limits/ip/:ipAddress
+ * @desc    Belirli bir IP adresi için tüm rate limitleri sıfırla
+ * @access  Private (Admin)
+ */
+router.delete('/rate-limits/ip/:ipAddress', rateLimitController.resetIPRateLimits);
+
+/**
+ * @route   PUT /api/admin/users/:userId/premium
+ * @desc    Admin: Premium durumunu güncelle
+ * @access  Private/Admin
+ */
+router.put('/users/:userId/premium', userPremiumController.adminUpdatePremiumStatus);
+
+/**
+ * @route   POST /api/admin/premium/refund
+ * @desc    İade işlemi
+ * @access  Private/Admin
+ */
+router.post('/premium/refund', userPremiumController.processPremiumRefund);
+
+/**
+ * @route   GET /api/admin/premium/users
+ * @desc    Premium kullanıcıları listele (admin)
+ * @access  Private/Admin
+ */
+router.get('/premium/users', userPremiumController.listPremiumUsers);
+
+/**
+ * @route   GET /api/admin/premium/statistics
+ * @desc    Premium istatistiklerini getir (admin)
+ * @access  Private/Admin
+ */
+router.get('/premium/statistics', userPremiumController.getPremiumStatistics);
+
+/**
+ * @route   GET /api/admin/users/:userId/settings
+ * @desc    Bir başka kullanıcının ayarlarını getir (Admin)
+ * @access  Private/Admin
+ */
+router.get('/users/:userId/settings', userSettingsController.getUserSettingsAdmin);
+
+/**
+ * @route   GET /api/admin/analytics/language-stats
+ * @desc    Belirli bir dil ve bölge ayarı için kullanıcı sayısını al (Admin)
+ * @access  Private/Admin
+ */
+router.get('/analytics/language-stats', userSettingsController.getLanguageStats);
+
+/**
+ * @route   GET /api/admin/analytics/theme-stats
+ * @desc    Tema istatistiklerini getir (Admin)
+ * @access  Private/Admin
+ */
+router.get('/analytics/theme-stats', userSettingsController.getThemeStats);
+
+/**
+ * @route   GET /api/admin/analytics/privacy-stats
+ * @desc    Gizlilik istatistiklerini getir (Admin)
+ * @access  Private/Admin
+ */
+router.get('/analytics/privacy-stats', userSettingsController.getPrivacyStats);
+
+/**
+ * @route   GET /api/admin/analytics/votes
+ * @desc    Oy verme trendi raporları (Admin)
+ * @access  Private/Admin
+ */
+router.get('/analytics/votes', voteController.getVoteAnalytics);
+
+/**
+ * @route   GET /api/admin/posts/:postId/votes
+ * @desc    Bir post'un tüm oylarını getir
+ * @access  Private/Admin
+ */
+router.get('/posts/:postId/votes', voteController.getPostVotes);
+
+/**
+ * @route   GET /api/admin/comments/:commentId/votes
+ * @desc    Bir yorumun tüm oylarını getir
+ * @access  Private/Admin
+ */
+router.get('/comments/:commentId/votes', voteController.getCommentVotes);
+
+/**
+ * @route   DELETE /api/admin/votes/:voteId
+ * @desc    Oyları admin olarak sil (moderasyon amaçlı)
+ * @access  Private/Admin
+ */
+router.delete('/votes/:voteId', voteController.deleteVote);
+
+/**
+ * @route   GET /api/admin/users/:userId/votes
+ * @desc    Bir kullanıcının oy geçmişini getir (Admin)
+ * @access  Private/Admin
+ */
+router.get('/users/:userId/votes', voteController.getUserVotesAdmin);
+
+/**
+ * @route   POST /api/admin/users/:userId/recalculate-karma
+ * @desc    Bir kullanıcının karma güncellemesini manuel olarak tetikle (Admin)
+ * @access  Private/Admin
+ */
+router.post('/users/:userId/recalculate-karma', voteController.recalculateUserKarma);
+
+/**
+ * @route   GET /api/admin/search/index
+ * @desc    Arama arka ucunu ve indeks durumunu getir
+ * @access  Private (Admin)
+ */
+router.get('/search/index', searchController.getSearchIndexStatus);
+
+/**
+ * @route   POST /api/admin/search/reindex
+ * @desc    Gönderi ve yorum arama indeksini mevcut verilerden yeniden oluştur
+ * @access  Private (Admin)
+ */
+router.post('/search/reindex', searchController.reindexSearchIndex);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const archivePolicyController = require('../controllers/archivePolicyController');
+const { isAuthenticated, isAdmin } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/archive-policies
+ * @desc    Arşiv politikalarını getir
+ * @access  Public
+ */
+router.get('/', archivePolicyController.getArchivePolicies);
+
+/**
+ * @route   POST /api/archive-policies
+ * @desc    Yeni arşiv politikası oluştur
+ * @access  Private (Admin)
+ */
+router.post('/', isAuthenticated, isAdmin, archivePolicyController.createArchivePolicy);
+
+/**
+ * @route   POST /api/archive-policies/apply
+ * @desc    Arşiv politikalarını uygula
+ * @access  Private (Admin)
+ */
+router.post('/apply', isAuthenticated, isAdmin, archivePolicyController.applyArchivePolicies);
+
+/**
+ * @route   GET /api/archive-policies/check/:contentType/:contentId
+ * @desc    İçeriğin arşive eklenip eklenmeyeceğini kontrol et
+ * @access  Public
+ */
+router.get('/check/:contentType/:contentId', archivePolicyController.checkArchiveStatus);
+
+/**
+ * @route   POST /api/archive-policies/archive/:contentType/:contentId
+ * @desc    Manuel olarak içeriği arşivle
+ * @access  Private (Subreddit Mod veya Admin)
+ */
+router.post(
+  '/archive/:contentType/:contentId',
+  isAuthenticated,
+  archivePolicyController.manuallyArchiveContent,
+);
+
+/**
+ * @route   POST /api/archive-policies/unarchive/:contentType/:contentId
+ * @desc    Arşivden içeriği çıkar
+ * @access  Private (Subreddit Mod veya Admin)
+ */
+router.post(
+  '/unarchive/:contentType/:contentId',
+  isAuthenticated,
+  archivePolicyController.unarchiveContent,
+);
+
+/**
+ * @route   GET /api/archive-policies/:id
+ * @desc    Belirli bir arşiv politikasını getir
+ * @access  Public
+ */
+router.get('/:id', archivePolicyController.getArchivePolicy);
+
+/**
+ * @route   PUT /api/archive-policies/:id
+ * @desc    Arşiv politikasını güncelle
+ * @access  Private (Subreddit mod veya Admin)
+ */
+router.put('/:id', isAuthenticated, archivePolicyController.updateArchivePolicy);
+
+/**
+ * @route   DELETE /api/archive-policies/:id
+ * @desc    Arşiv politikasını sil
+ * @access  Private (Subreddit mod veya Admin)
+ */
+router.delete('/:id', isAuthenticated, archivePolicyController.deleteArchivePolicy);
+
+module.exports = router;
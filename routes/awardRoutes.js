@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const awardController = require('../controllers/awardController');
+const { isAuthenticated, isAdmin, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const awardGiveLimit = rateLimit('/api/awards/give', 30, 60 * 60 * 1000); // Saatte 30 ödül
+const purchaseLimit = rateLimit('/api/awards/purchase', 10, 60 * 60 * 1000); // Saatte 10 satın alma
+
+/**
+ * @route   GET /api/awards
+ * @desc    Tüm ödülleri getir
+ * @access  Public
+ */
+router.get('/', awardController.getAwards);
+
+/**
+ * @route   POST /api/awards
+ * @desc    Yeni site geneli ödül oluştur
+ * @access  Private (Admin)
+ */
+router.post('/', isAuthenticated, isAdmin, awardController.createAward);
+
+/**
+ * @route   POST /api/awards/give
+ * @desc    Ödül ver (post, yorum veya kullanıcıya)
+ * @access  Private
+ */
+router.post('/give', isAuthenticated, awardGiveLimit, awardController.giveAward);
+
+/**
+ * @route   POST /api/awards/purchase
+ * @desc    Ödül satın al (kullanıcı coin bakiyesine ekle)
+ * @access  Private
+ */
+router.post('/purchase', isAuthenticated, purchaseLimit, awardController.purchaseCoins);
+
+/**
+ * @route   GET /api/awards/my-awards
+ * @desc    Kullanıcının sahip olduğu ödülleri getir
+ * @access  Private
+ */
+router.get('/my-awards', isAuthenticated, awardController.getMyAwards);
+
+/**
+ * @route   GET /api/awards/received
+ * @desc    Kullanıcının aldığı ödülleri getir
+ * @access  Private
+ */
+router.get('/received', isAuthenticated, awardController.getReceivedAwards);
+
+/**
+ * @route   GET /api/awards/:id
+ * @desc    Belirli bir ödülü getir
+ * @access  Public
+ */
+router.get('/:id', awardController.getAward);
+
+/**
+ * @route   PUT /api/awards/:id
+ * @desc    Ödül güncelle
+ * @access  Private (Admin veya Subreddit Moderator)
+ */
+router.put('/:id', isAuthenticated, awardController.updateAward);
+
+/**
+ * @route   DELETE /api/awards/:id
+ * @desc    Ödül sil (soft delete - isActive false yapar)
+ * @access  Private (Admin veya Subreddit Moderator)
+ */
+router.delete('/:id', isAuthenticated, awardController.deleteAward);
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const chatController = require('../controllers/chatController');
+const { isAuthenticated, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const chatLimit = rateLimit('/api/chats', 200, 60 * 60 * 1000); // Saatte 200 istek
+const messageLimit = rateLimit('/api/chats/messages', 60, 60 * 1000); // Dakikada 60 mesaj
+const typingLimit = rateLimit('/api/chats/typing', 120, 60 * 1000); // Dakikada 120 yazıyor bilgisi
+
+// Tüm sohbet rotaları giriş gerektirir
+router.use(isAuthenticated);
+
+/**
+ * @route   GET /api/chats
+ * @desc    Kullanıcının sohbet odalarını getir
+ * @access  Private
+ */
+router.get('/', chatLimit, chatController.getUserChatRooms);
+
+/**
+ * @route   POST /api/chats/direct
+ * @desc    Yeni direkt sohbet oluştur veya var olanı getir
+ * @access  Private
+ */
+router.post('/direct', chatLimit, chatController.createDirectChat);
+
+/**
+ * @route   POST /api/chats/group
+ * @desc    Grup sohbeti oluştur
+ * @access  Private
+ */
+router.post('/group', chatLimit, chatController.createGroupChat);
+
+/**
+ * @route   GET /api/chats/:chatId
+ * @desc    Belirli bir sohbet odasını getir
+ * @access  Private
+ */
+router.get('/:chatId', chatLimit, chatController.getChatRoom);
+
+/**
+ * @route   PUT /api/chats/:chatId
+ * @desc    Sohbet odasını güncelle (isim, ikon vb. için)
+ * @access  Private
+ */
+router.put('/:chatId', chatLimit, chatController.updateChatRoom);
+
+/**
+ * @route   DELETE /api/chats/:chatId
+ * @desc    Sohbet odasını sil
+ * @access  Private
+ */
+router.delete('/:chatId', chatLimit, chatController.deleteChatRoom);
+
+/**
+ * @route   GET /api/chats/:chatId/messages
+ * @desc    Sohbet odasındaki mesajları getir
+ * @access  Private
+ */
+router.get('/:chatId/messages', chatLimit, chatController.getChatMessages);
+
+/**
+ * @route   POST /api/chats/:chatId/messages
+ * @desc    Mesaj gönder
+ * @access  Private
+ */
+router.post('/:chatId/messages', messageLimit, chatController.sendMessage);
+
+/**
+ * @route   PUT /api/chats/:chatId/messages/:messageId
+ * @desc    Mesajı düzenle
+ * @access  Private
+ */
+router.put('/:chatId/messages/:messageId', messageLimit, chatController.editMessage);
+
+/**
+ * @route   DELETE /api/chats/:chatId/messages/:messageId
+ * @desc    Mesajı sil
+ * @access  Private
+ */
+router.delete('/:chatId/messages/:messageId', messageLimit, chatController.deleteMessage);
+
+/**
+ * @route   DELETE /api/chats/:chatId/leave
+ * @desc    Sohbet odasından çık
+ * @access  Private
+ */
+router.delete('/:chatId/leave', chatLimit, chatController.leaveChat);
+
+/**
+ * @route   POST /api/chats/:chatId/participants
+ * @desc    Sohbet odasına katılımcı ekle (Grup sohbetleri için)
+ * @access  Private
+ */
+router.post('/:chatId/participants', chatLimit, chatController.addChatParticipants);
+
+/**
+ * @route   DELETE /api/chats/:chatId/participants/:participantId
+ * @desc    Sohbet odasından katılımcı çıkar (Grup sohbetleri için)
+ * @access  Private
+ */
+router.delete(
+  '/:chatId/participants/:participantId',
+  chatLimit,
+  chatController.removeChatParticipant,
+);
+
+/**
+ * @route   PUT /api/chats/:chatId/admins/:participantId
+ * @desc    Katılımcıya admin rolü ver
+ * @access  Private
+ */
+router.put('/:chatId/admins/:participantId', chatLimit, chatController.addAdminRole);
+
+/**
+ * @route   DELETE /api/chats/:chatId/admins/:participantId
+ * @desc    Katılımcıdan admin rolünü kaldır
+ * @access  Private
+ */
+router.delete('/:chatId/admins/:participantId', chatLimit, chatController.removeAdminRole);
+
+/**
+ * @route   POST /api/chats/:chatId/typing
+ * @desc    Yazıyor bilgisi gönder
+ * @access  Private
+ */
+router.post('/:chatId/typing', typingLimit, chatController.markAsTyping);
+
+/**
+ * @route   DELETE /api/chats/:chatId/typing
+ * @desc    Yazıyor bilgisini durdur
+ * @access  Private
+ */
+router.delete('/:chatId/typing', typingLimit, chatController.stopTyping);
+
+/**
+ * @route   PUT /api/chats/:chatId/mute
+ * @desc    Sohbet odasında mesajları sessize al/aç
+ * @access  Private
+ */
+router.put('/:chatId/mute', chatLimit, chatController.toggleMute);
+
+module.exports = router;
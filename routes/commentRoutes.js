@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const commentController = require('../controllers/commentController');
+const voteController = require('../controllers/voteController');
+const awardController = require('../controllers/awardController');
+const { isAuthenticated, optionalAuth, rateLimit } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+
+// Rate limiting
+const commentCreateLimit = rateLimit('/api/comments', 30, 10 * 60 * 1000); // 10 dakikada 30 yorum
+const commentActionLimit = rateLimit('/api/comments/actions', 60, 60 * 1000); // Dakikada 60 aksiyon
+
+/**
+ * @route   POST /api/comments
+ * @desc    Yeni yorum oluştur
+ * @access  Private
+ */
+router.post('/', isAuthenticated, commentCreateLimit, commentController.createComment);
+
+/**
+ * @route   GET /api/comments/:commentId
+ * @desc    Yorumu ID'ye göre getir
+ * @access  Public
+ */
+router.get('/:commentId', optionalAuth, commentController.getCommentById);
+
+/**
+ * @route   PUT /api/comments/:commentId
+ * @desc    Yorumu güncelle
+ * @access  Private (yorum sahibi)
+ */
+router.put('/:commentId', isAuthenticated, commentActionLimit, commentController.updateComment);
+
+/**
+ * @route   DELETE /api/comments/:commentId
+ * @desc    Yorumu sil (soft delete)
+ * @access  Private (yorum sahibi)
+ */
+router.delete('/:commentId', isAuthenticated, commentActionLimit, commentController.deleteComment);
+
+/**
+ * @route   GET /api/comments/:commentId/replies
+ * @desc    Yorum yanıtlarını getir
+ * @access  Public
+ */
+router.get('/:commentId/replies', optionalAuth, commentController.getCommentReplies);
+
+/**
+ * @route   POST /api/comments/:commentId/replies
+ * @desc    Yoruma yanıt ver
+ * @access  Private
+ */
+router.post(
+  '/:commentId/replies',
+  isAuthenticated,
+  commentCreateLimit,
+  commentController.replyToComment,
+);
+
+/**
+ * @route   GET /api/comments/:commentId/vote
+ * @desc    Kullanıcının yorum için verdiği oyu getir
+ * @access  Private
+ */
+router.get('/:commentId/vote', isAuthenticated, voteController.getCommentVote);
+
+/**
+ * @route   POST /api/comments/:commentId/vote
+ * @desc    Yorumu oyla
+ * @access  Private
+ */
+router.post('/:commentId/vote', isAuthenticated, commentActionLimit, voteController.voteComment);
+
+/**
+ * @route   POST /api/comments/:commentId/save
+ * @desc    Yorumu kaydet
+ * @access  Private
+ */
+router.post('/:commentId/save', isAuthenticated, commentActionLimit, commentController.saveComment);
+
+/**
+ * @route   DELETE /api/comments/:commentId/save
+ * @desc    Yorum kaydını kaldır
+ * @access  Private
+ */
+router.delete(
+  '/:commentId/save',
+  isAuthenticated,
+  commentActionLimit,
+  commentController.unsaveComment,
+);
+
+/**
+ * @route   GET /api/comments/:commentId/awards
+ * @desc    Yoruma verilen ödülleri getir
+ * @access  Public
+ */
+router.get('/:commentId/awards', awardController.getContentAwards);
+
+/**
+ * @route   PUT /api/comments/:commentId/remove
+ * @desc    Moderatör: Yorumu kaldır
+ * @access  Private (Moderatör)
+ */
+router.put(
+  '/:commentId/remove',
+  isAuthenticated,
+  checkPermission('moderation:remove'),
+  commentController.removeComment,
+);
+
+/**
+ * @route   PUT /api/comments/:commentId/approve
+ * @desc    Moderatör: Yorumu onayla
+ * @access  Private (Moderatör)
+ */
+router.put(
+  '/:commentId/approve',
+  isAuthenticated,
+  checkPermission('moderation:approve'),
+  commentController.approveComment,
+);
+
+module.exports = router;
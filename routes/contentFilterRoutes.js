@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const contentFilterController = require('../controllers/contentFilterController');
+const { isAuthenticated } = require('../middleware/auth');
+
+// Subreddit kapsamlı filtre rotaları subredditRoutes içinde tanımlıdır
+router.use(isAuthenticated);
+
+/**
+ * @route   GET /api/content-filters
+ * @desc    İçerik filtrelerini listele
+ * @access  Private (Admin veya Moderatör)
+ */
+router.get('/', contentFilterController.getContentFilters);
+
+/**
+ * @route   POST /api/content-filters
+ * @desc    İçerik filtresi oluştur
+ * @access  Private (Admin veya Moderatör)
+ */
+router.post('/', contentFilterController.createContentFilter);
+
+/**
+ * @route   POST /api/content-filters/test
+ * @desc    İçerik filtresi test et
+ * @access  Private (Admin veya Moderatör)
+ */
+router.post('/test', contentFilterController.testContentFilter);
+
+/**
+ * @route   POST /api/content-filters/apply
+ * @desc    İçerik filtrelerini bir içeriğe uygula
+ * @access  Private
+ */
+router.post('/apply', contentFilterController.applyContentFilters);
+
+/**
+ * @route   GET /api/content-filters/:id
+ * @desc    İçerik filtresini ID'ye göre getir
+ * @access  Private (Admin veya Moderatör)
+ */
+router.get('/:id', contentFilterController.getContentFilterById);
+
+/**
+ * @route   PUT /api/content-filters/:id
+ * @desc    İçerik filtresini güncelle
+ * @access  Private (Admin veya Moderatör)
+ */
+router.put('/:id', contentFilterController.updateContentFilter);
+
+/**
+ * @route   DELETE /api/content-filters/:id
+ * @desc    İçerik filtresini sil
+ * @access  Private (Admin veya Moderatör)
+ */
+router.delete('/:id', contentFilterController.deleteContentFilter);
+
+module.exports = router;
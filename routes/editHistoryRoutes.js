@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const editHistoryController = require('../controllers/editHistoryController');
+const { isAuthenticated, isAdmin } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/edit-history/search
+ * @desc    Düzenleme geçmişi arama
+ * @access  Private (Admin only)
+ */
+router.get('/search', isAuthenticated, isAdmin, editHistoryController.searchEditHistory);
+
+/**
+ * @route   GET /api/edit-history/count/post/:postId
+ * @desc    Post düzenleme sayısını ve son düzenleme bilgisini getir
+ * @access  Public
+ */
+router.get('/count/post/:postId', editHistoryController.getContentEditCount);
+
+/**
+ * @route   GET /api/edit-history/count/comment/:commentId
+ * @desc    Yorum düzenleme sayısını ve son düzenleme bilgisini getir
+ * @access  Public
+ */
+router.get('/count/comment/:commentId', editHistoryController.getContentEditCount);
+
+/**
+ * @route   GET /api/edit-history/post/:postId
+ * @desc    Post düzenleme geçmişini getir
+ * @access  Public
+ */
+router.get('/post/:postId', editHistoryController.getContentEditHistory);
+
+/**
+ * @route   GET /api/edit-history/comment/:commentId
+ * @desc    Yorum düzenleme geçmişini getir
+ * @access  Public
+ */
+router.get('/comment/:commentId', editHistoryController.getContentEditHistory);
+
+/**
+ * @route   GET /api/edit-history/record/:id
+ * @desc    Moderatör/admin: Düzenleme geçmişi kaydını göster
+ * @access  Private (Moderator or Admin)
+ */
+router.get('/record/:id', isAuthenticated, editHistoryController.getEditHistoryRecord);
+
+/**
+ * @route   GET /api/edit-history/stats/user/:userId
+ * @desc    Kullanıcı düzenleme istatistiklerini getir
+ * @access  Private (Admin or Same User)
+ */
+router.get('/stats/user/:userId', isAuthenticated, editHistoryController.getUserEditStats);
+
+/**
+ * @route   GET /api/edit-history/stats/subreddit/:subredditId
+ * @desc    Subreddit düzenleme istatistiklerini getir
+ * @access  Private (Admin or Moderator)
+ */
+router.get(
+  '/stats/subreddit/:subredditId',
+  isAuthenticated,
+  editHistoryController.getSubredditEditStats,
+);
+
+/**
+ * @route   GET /api/edit-history/summary/:contentType/:contentId
+ * @desc    Moderatör: İçerik düzenleme geçmişi özetini getir
+ * @access  Private (Admin, Mod, or Content Owner)
+ */
+router.get(
+  '/summary/:contentType/:contentId',
+  isAuthenticated,
+  editHistoryController.getContentEditSummary,
+);
+
+/**
+ * @route   DELETE /api/edit-history/:id
+ * @desc    Moderatör: İçerik düzenleme geçmişinden bir kaydı sil
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', isAuthenticated, isAdmin, editHistoryController.deleteEditHistoryRecord);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/feedController');
+const { isAuthenticated, optionalAuth, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const feedLimit = rateLimit('/api/feed', 300, 60 * 60 * 1000); // Saatte 300 feed isteği
+
+/**
+ * @route   GET /api/feed
+ * @desc    Ana feed'i getir (All)
+ * @access  Public
+ */
+router.get('/', optionalAuth, feedLimit, feedController.getMainFeed);
+
+/**
+ * @route   GET /api/feed/home
+ * @desc    Kullanıcının kişisel feed'ini getir (aboneliklere göre)
+ * @access  Private
+ */
+router.get('/home', isAuthenticated, feedLimit, feedController.getHomeFeed);
+
+/**
+ * @route   GET /api/feed/popular
+ * @desc    Popüler feed'i getir
+ * @access  Public
+ */
+router.get('/popular', optionalAuth, feedLimit, feedController.getPopularFeed);
+
+/**
+ * @route   GET /api/feed/trending
+ * @desc    Trend olan içerikleri getir
+ * @access  Public
+ */
+router.get('/trending', optionalAuth, feedLimit, feedController.getTrendingFeed);
+
+/**
+ * @route   GET /api/feed/recommended
+ * @desc    Kullanıcı için önerilen içerikleri getir
+ * @access  Private
+ */
+router.get('/recommended', isAuthenticated, feedLimit, feedController.getRecommendedFeed);
+
+/**
+ * @route   GET /api/feed/search
+ * @desc    Arama sonuçları feed'i (q sorgu dilini destekler: title:, author:, site:, AND/OR/NOT...)
+ * @access  Public
+ */
+router.get('/search', optionalAuth, feedLimit, feedController.getSearchFeed);
+
+/**
+ * @route   GET /api/feed/mixed
+ * @desc    Farklı kategorilerdeki içeriklerin karışık olduğu bir feed
+ * @access  Public/Private
+ */
+router.get('/mixed', optionalAuth, feedLimit, feedController.getMixedFeed);
+
+/**
+ * @route   GET /api/feed/subreddit/:subredditName
+ * @desc    Subreddit feed'i getir
+ * @access  Public/Private (Subreddit tipine göre)
+ */
+router.get('/subreddit/:subredditName', optionalAuth, feedLimit, feedController.getSubredditFeed);
+
+/**
+ * @route   GET /api/feed/user/:username
+ * @desc    Kullanıcının profil feed'ini getir
+ * @access  Public
+ */
+router.get('/user/:username', optionalAuth, feedLimit, feedController.getUserFeed);
+
+/**
+ * @route   GET /api/feed/tag/:tagName
+ * @desc    Belirli bir tag/etiket için feed
+ * @access  Public
+ */
+router.get('/tag/:tagName', optionalAuth, feedLimit, feedController.getTagFeed);
+
+module.exports = router;
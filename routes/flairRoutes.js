@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const flairController = require('../controllers/flairController');
+const { isAuthenticated } = require('../middleware/auth');
+
+// Subreddit kapsamlı flair rotaları subredditRoutes içinde tanımlıdır
+
+/**
+ * @route   GET /api/flairs/:id
+ * @desc    Belirli bir flairi getir
+ * @access  Public
+ */
+router.get('/:id', flairController.getFlair);
+
+/**
+ * @route   PUT /api/flairs/:id
+ * @desc    Flair güncelle
+ * @access  Private (Moderatör)
+ */
+router.put('/:id', isAuthenticated, flairController.updateFlair);
+
+/**
+ * @route   DELETE /api/flairs/:id
+ * @desc    Flair sil
+ * @access  Private (Moderatör)
+ */
+router.delete('/:id', isAuthenticated, flairController.deleteFlair);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const mediaAssetController = require('../controllers/mediaAssetController');
+const { isAuthenticated, isAdmin, optionalAuth, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const uploadLimit = rateLimit('/api/media/upload', 30, 60 * 60 * 1000); // Saatte 30 yükleme
+
+/**
+ * @route   POST /api/media/upload
+ * @desc    Medya dosyası yükle
+ * @access  Private
+ */
+router.post('/upload', isAuthenticated, uploadLimit, mediaAssetController.uploadMedia);
+
+/**
+ * @route   GET /api/media/analytics
+ * @desc    Medya tipi ve kullanım analizi
+ * @access  Private (Admin)
+ */
+router.get('/analytics', isAuthenticated, isAdmin, mediaAssetController.getMediaAnalytics);
+
+/**
+ * @route   GET /api/media/user/:username
+ * @desc    Kullanıcının medyalarını listele
+ * @access  Public/Private (yalnızca kendi medyaları ve public olanlar)
+ */
+router.get('/user/:username', optionalAuth, mediaAssetController.getUserMedia);
+
+/**
+ * @route   GET /api/media/:id
+ * @desc    Medya asetini getir
+ * @access  Public/Private (isPublic durumuna göre)
+ */
+router.get('/:id', optionalAuth, mediaAssetController.getMediaAsset);
+
+/**
+ * @route   PUT /api/media/:id
+ * @desc    Medya asetini güncelle
+ * @access  Private (Sahip veya Admin)
+ */
+router.put('/:id', isAuthenticated, mediaAssetController.updateMediaAsset);
+
+/**
+ * @route   DELETE /api/media/:id
+ * @desc    Medya asetini sil
+ * @access  Private (Sahip veya Admin)
+ */
+router.delete('/:id', isAuthenticated, mediaAssetController.deleteMediaAsset);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const subredditMembershipController = require('../controllers/subredditMembershipController');
+const { isAuthenticated } = require('../middleware/auth');
+
+// Tüm üyelik rotaları kimlik doğrulama gerektirir
+router.use(isAuthenticated);
+
+/**
+ * @route   GET /api/memberships
+ * @desc    Kullanıcının topluluk üyeliklerini getir
+ * @access  Private
+ */
+router.get('/', subredditMembershipController.getUserMemberships);
+
+/**
+ * @route   GET /api/memberships/:membershipId
+ * @desc    Üyelik detaylarını getir
+ * @access  Private
+ */
+router.get('/:membershipId', subredditMembershipController.getMembership);
+
+/**
+ * @route   PUT /api/memberships/:membershipId/favorite
+ * @desc    Bir topluluğu favorilere ekle/çıkar
+ * @access  Private
+ */
+router.put('/:membershipId/favorite', subredditMembershipController.toggleFavorite);
+
+/**
+ * @route   PUT /api/memberships/:membershipId/respond
+ * @desc    Bekleyen üyelik isteğini kabul et veya reddet
+ * @access  Private (Moderatör)
+ */
+router.put('/:membershipId/respond', subredditMembershipController.respondToPendingRequest);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const modLogController = require('../controllers/modLogController');
+const modQueueController = require('../controllers/modQueueController');
+const { isAuthenticated, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const modLogLimit = rateLimit('/api/moderation/logs', 200, 60 * 60 * 1000); // Saatte 200 işlem
+
+// Subreddit kapsamlı loglar ve mod kuyruğu subredditRoutes içinde tanımlıdır:
+// /api/subreddits/:subredditId/moderation/logs|stats|active
+// /api/subreddits/:subredditId/modqueue
+
+/**
+ * @route   GET /api/moderation/queue
+ * @desc    Moderatörü olunan subredditlerin birleşik mod kuyruğu (?subreddits=id1,id2)
+ * @access  Private (Moderatörler ve Admin)
+ */
+router.get('/queue', isAuthenticated, modQueueController.getMultiModQueue);
+
+/**
+ * @route   POST /api/moderation/queue/actions
+ * @desc    Mod kuyruğu öğelerini toplu onayla/kaldır/yoksay
+ * @access  Private (Moderatörler ve Admin)
+ */
+router.post('/queue/actions', isAuthenticated, modLogLimit, modQueueController.bulkModQueueAction);
+
+/**
+ * @route   POST /api/moderation/logs
+ * @desc    Moderasyon logu oluştur
+ * @access  Private (Moderatörler ve Admin)
+ */
+router.post('/logs', isAuthenticated, modLogLimit, modLogController.createModLog);
+
+/**
+ * @route   GET /api/moderation/logs/target/:targetType/:targetId
+ * @desc    Belirli bir hedefin moderasyon loglarını listele
+ * @access  Private (Moderatörler ve Admin)
+ */
+router.get(
+  '/logs/target/:targetType/:targetId',
+  isAuthenticated,
+  modLogController.getTargetModLogs,
+);
+
+/**
+ * @route   GET /api/moderation/logs/:id
+ * @desc    Belirli bir moderasyon logu getir
+ * @access  Private (Moderatörler ve Admin)
+ */
+router.get('/logs/:id', isAuthenticated, modLogController.getModLog);
+
+/**
+ * @route   PUT /api/moderation/logs/:id
+ * @desc    Moderasyon logunu güncelle (not ekle/değiştir, görünürlük değiştir)
+ * @access  Private (Sadece log sahibi veya üst düzey moderatörler)
+ */
+router.put('/logs/:id', isAuthenticated, modLogLimit, modLogController.updateModLog);
+
+module.exports = router;
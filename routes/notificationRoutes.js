@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { isAuthenticated, isAdmin, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const notificationLimit = rateLimit('/api/notifications', 300, 60 * 60 * 1000); // Saatte 300 istek
+
+/**
+ * @route   GET /api/notifications/email/unsubscribe
+ * @desc    Abonelikten çıkma onay sayfası (bağlantı tarayıcıları aboneliği iptal edemez)
+ * @access  Public
+ */
+router.get('/email/unsubscribe', notificationController.confirmUnsubscribeEmail);
+
+/**
+ * @route   POST /api/notifications/email/unsubscribe
+ * @desc    Tek tıkla abonelikten çıkma (List-Unsubscribe-Post)
+ * @access  Public
+ */
+router.post('/email/unsubscribe', notificationController.unsubscribeEmail);
+
+// Diğer tüm bildirim rotaları giriş gerektirir
+router.use(isAuthenticated);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Kullanıcı bildirimlerini getir
+ * @access  Private
+ */
+router.get('/', notificationLimit, notificationController.getUserNotifications);
+
+/**
+ * @route   POST /api/notifications
+ * @desc    Yeni bildirim oluştur (sistem için)
+ * @access  Private (Admin)
+ */
+router.post('/', isAdmin, notificationController.createNotification);
+
+/**
+ * @route   DELETE /api/notifications
+ * @desc    Tüm bildirimleri sil
+ * @access  Private
+ */
+router.delete('/', notificationLimit, notificationController.deleteAllNotifications);
+
+/**
+ * @route   GET /api/notifications/counts
+ * @desc    Bildirim sayılarını getir
+ * @access  Private
+ */
+router.get('/counts', notificationLimit, notificationController.getNotificationCounts);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Tüm bildirimleri okundu olarak işaretle
+ * @access  Private
+ */
+router.put('/read-all', notificationLimit, notificationController.markAllAsRead);
+
+/**
+ * @route   GET /api/notifications/:id
+ * @desc    Tek bir bildirimi getir
+ * @access  Private
+ */
+router.get('/:id', notificationLimit, notificationController.getNotification);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Bildirimi okundu olarak işaretle
+ * @access  Private
+ */
+router.put('/:id/read', notificationLimit, notificationController.markAsRead);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Bildirimi sil
+ * @access  Private
+ */
+router.delete('/:id', notificationLimit, notificationController.deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const permissionController = require('../controllers/permissionController');
+const { isAuthenticated, isAdmin } = require('../middleware/auth');
+
+// Tüm izin rotaları kimlik doğrulama gerektirir
+router.use(isAuthenticated);
+
+/**
+ * @route   GET /api/permissions
+ * @desc    Tüm izinleri listele
+ * @access  Private (Admin)
+ */
+router.get('/', isAdmin, permissionController.getPermissions);
+
+/**
+ * @route   POST /api/permissions
+ * @desc    Yeni bir izin oluştur
+ * @access  Private (Admin)
+ */
+router.post('/', isAdmin, permissionController.createPermission);
+
+/**
+ * @route   GET /api/permissions/schema
+ * @desc    Roller için izin şemasını getir
+ * @access  Private (Admin)
+ */
+router.get('/schema', isAdmin, permissionController.getPermissionSchema);
+
+/**
+ * @route   GET /api/permissions/check
+ * @desc    Kullanıcı izinlerini kontrol et
+ * @access  Private
+ */
+router.get('/check', permissionController.checkUserPermissions);
+
+/**
+ * @route   POST /api/permissions/setup
+ * @desc    Varsayılan izinleri kurulum
+ * @access  Private (Admin)
+ */
+router.post('/setup', isAdmin, permissionController.setupDefaultPermissions);
+
+/**
+ * @route   GET /api/permissions/categories/:category
+ * @desc    Kategoriye göre izinleri getir
+ * @access  Private (Admin)
+ */
+router.get('/categories/:category', isAdmin, permissionController.getPermissionsByCategory);
+
+/**
+ * @route   GET /api/permissions/user/:userId
+ * @desc    Kullanıcı izinlerini getir
+ * @access  Private
+ */
+router.get('/user/:userId', permissionController.getUserPermissions);
+
+/**
+ * @route   GET /api/permissions/subreddit/:subredditId
+ * @desc    Subreddit izinlerini getir
+ * @access  Private
+ */
+router.get('/subreddit/:subredditId', permissionController.getSubredditPermissions);
+
+/**
+ * @route   PUT /api/permissions/subreddit/:subredditId
+ * @desc    Subreddit izinlerini ayarla
+ * @access  Private (Subreddit Sahibi veya Admin)
+ */
+router.put('/subreddit/:subredditId', permissionController.setSubredditPermissions);
+
+/**
+ * @route   GET /api/permissions/:id
+ * @desc    Tek bir izni getir
+ * @access  Private (Admin)
+ */
+router.get('/:id', isAdmin, permissionController.getPermission);
+
+/**
+ * @route   PUT /api/permissions/:id
+ * @desc    İzni güncelle
+ * @access  Private (Admin)
+ */
+router.put('/:id', isAdmin, permissionController.updatePermission);
+
+/**
+ * @route   DELETE /api/permissions/:id
+ * @desc    İzni sil
+ * @access  Private (Admin)
+ */
+router.delete('/:id', isAdmin, permissionController.deletePermission);
+
+/**
+ * @route   POST /api/permissions/:id/roles
+ * @desc    İzni bir role ata
+ * @access  Private (Admin)
+ */
+router.post('/:id/roles', isAdmin, permissionController.assignPermissionToRole);
+
+/**
+ * @route   DELETE /api/permissions/:id/roles/:roleId
+ * @desc    İzni bir rolden kaldır
+ * @access  Private (Admin)
+ */
+router.delete('/:id/roles/:roleId', isAdmin, permissionController.removePermissionFromRole);
+
+module.exports = router;
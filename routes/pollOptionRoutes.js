@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const pollOptionController = require('../controllers/pollOptionController');
+const { isAuthenticated, isAdmin, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const optionVoteLimit = rateLimit('/api/poll-options/vote', 60, 60 * 1000); // Dakikada 60 oy
+const optionManageLimit = rateLimit('/api/poll-options', 50, 60 * 60 * 1000); // Saatte 50 işlem
+
+/**
+ * @route   GET /api/poll-options/:optionId
+ * @desc    Anket seçeneği detaylarını getir
+ * @access  Public
+ */
+router.get('/:optionId', pollOptionController.getPollOption);
+
+/**
+ * @route   PUT /api/poll-options/:optionId
+ * @desc    Anket seçeneğini güncelle
+ * @access  Private (Anket sahibi veya moderatör/admin)
+ */
+router.put('/:optionId', isAuthenticated, optionManageLimit, pollOptionController.updatePollOption);
+
+/**
+ * @route   DELETE /api/poll-options/:optionId
+ * @desc    Anket seçeneğini sil
+ * @access  Private (Anket sahibi veya moderatör/admin)
+ */
+router.delete(
+  '/:optionId',
+  isAuthenticated,
+  optionManageLimit,
+  pollOptionController.deletePollOption,
+);
+
+/**
+ * @route   POST /api/poll-options/:optionId/vote
+ * @desc    Anket seçeneğine oy ver
+ * @access  Private
+ */
+router.post(
+  '/:optionId/vote',
+  isAuthenticated,
+  optionVoteLimit,
+  pollOptionController.voteForOption,
+);
+
+/**
+ * @route   DELETE /api/poll-options/:optionId/vote
+ * @desc    Anket seçeneğinden oy kaldır
+ * @access  Private
+ */
+router.delete(
+  '/:optionId/vote',
+  isAuthenticated,
+  optionVoteLimit,
+  pollOptionController.removeVoteFromOption,
+);
+
+/**
+ * @route   GET /api/poll-options/:optionId/stats
+ * @desc    Anket seçeneği detaylı istatistikleri getir
+ * @access  Private (Anket sahibi, moderatör veya admin)
+ */
+router.get('/:optionId/stats', isAuthenticated, pollOptionController.getOptionStats);
+
+/**
+ * @route   GET /api/poll-options/:optionId/voters
+ * @desc    Seçeneğe oy veren kullanıcıları getir (admin)
+ * @access  Private (Admin)
+ */
+router.get('/:optionId/voters', isAuthenticated, isAdmin, pollOptionController.getOptionVoters);
+
+module.exports = router;
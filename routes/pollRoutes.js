@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const pollController = require('../controllers/pollController');
+const pollOptionController = require('../controllers/pollOptionController');
+const { isAuthenticated, isAdmin, optionalAuth, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const pollVoteLimit = rateLimit('/api/polls/vote', 60, 60 * 1000); // Dakikada 60 oy
+const pollManageLimit = rateLimit('/api/polls', 50, 60 * 60 * 1000); // Saatte 50 anket işlemi
+
+/**
+ * @route   GET /api/polls/popular
+ * @desc    Popüler anketleri getir
+ * @access  Public
+ */
+router.get('/popular', optionalAuth, pollController.getPopularPolls);
+
+/**
+ * @route   GET /api/polls/voted
+ * @desc    Kullanıcının oy verdiği anketleri getir
+ * @access  Private
+ */
+router.get('/voted', isAuthenticated, pollController.getUserVotedPolls);
+
+/**
+ * @route   GET /api/polls/:id
+ * @desc    Bir anketi getir
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, pollController.getPoll);
+
+/**
+ * @route   DELETE /api/polls/:id
+ * @desc    Anket sil
+ * @access  Private (Post sahibi, Moderatör veya Admin)
+ */
+router.delete('/:id', isAuthenticated, pollManageLimit, pollController.deletePoll);
+
+/**
+ * @route   POST /api/polls/:id/vote
+ * @desc    Ankete oy ver
+ * @access  Private
+ */
+router.post('/:id/vote', isAuthenticated, pollVoteLimit, pollController.votePoll);
+
+/**
+ * @route   POST /api/polls/:id/options
+ * @desc    Anket seçeneği ekle
+ * @access  Private
+ */
+router.post('/:id/options', isAuthenticated, pollManageLimit, pollController.addPollOption);
+
+/**
+ * @route   PUT /api/polls/:pollId/options/reorder
+ * @desc    Anket seçeneklerini yeniden sırala
+ * @access  Private (Anket sahibi veya moderatör/admin)
+ */
+router.put(
+  '/:pollId/options/reorder',
+  isAuthenticated,
+  pollManageLimit,
+  pollOptionController.reorderPollOptions,
+);
+
+/**
+ * @route   POST /api/polls/:pollId/options/bulk
+ * @desc    Toplu seçenek ekleme (admin özelliği)
+ * @access  Private (Admin)
+ */
+router.post('/:pollId/options/bulk', isAuthenticated, isAdmin, pollOptionController.bulkAddOptions);
+
+/**
+ * @route   DELETE /api/polls/:id/options/:optionId
+ * @desc    Anket seçeneği sil (oy yoksa)
+ * @access  Private
+ */
+router.delete(
+  '/:id/options/:optionId',
+  isAuthenticated,
+  pollManageLimit,
+  pollController.removePollOption,
+);
+
+/**
+ * @route   PUT /api/polls/:id/duration
+ * @desc    Anket süresini değiştir
+ * @access  Private
+ */
+router.put('/:id/duration', isAuthenticated, pollManageLimit, pollController.updatePollDuration);
+
+/**
+ * @route   PUT /api/polls/:id/close
+ * @desc    Anketi erken sonlandır
+ * @access  Private
+ */
+router.put('/:id/close', isAuthenticated, pollManageLimit, pollController.closePoll);
+
+/**
+ * @route   PUT /api/polls/:id/settings
+ * @desc    Anket ayarlarını güncelle
+ * @access  Private
+ */
+router.put('/:id/settings', isAuthenticated, pollManageLimit, pollController.updatePollSettings);
+
+/**
+ * @route   GET /api/polls/:id/stats
+ * @desc    Anket istatistiklerini getir
+ * @access  Private (moderatör, admin veya anket sahibi)
+ */
+router.get('/:id/stats', isAuthenticated, pollController.getPollStats);
+
+/**
+ * @route   GET /api/polls/:id/admin
+ * @desc    Anket detaylarını getir (admin arayüzü için)
+ * @access  Private (Admin)
+ */
+router.get('/:id/admin', isAuthenticated, isAdmin, pollController.getAdminPollDetails);
+
+/**
+ * @route   DELETE /api/polls/:id/votes
+ * @desc    Anket oylama geçmişini temizle
+ * @access  Private (Admin)
+ */
+router.delete('/:id/votes', isAuthenticated, isAdmin, pollController.clearPollVotes);
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const postController = require('../controllers/postController');
-const { isAuthenticated } = require('../middleware/auth');
+const voteController = require('../controllers/voteController');
+const awardController = require('../controllers/awardController');
+const mediaAssetController = require('../controllers/mediaAssetController');
+const pollController = require('../controllers/pollController');
+const flairController = require('../controllers/flairController');
+const commentController = require('../controllers/commentController');
+const { isAuthenticated, optionalAuth } = require('../middleware/auth');
 const { checkPermission } = require('../middleware/permissionMiddleware');
 
 // Rate limiting
@@ -36,6 +42,13 @@ router.post(
  */
 router.get('/search', postController.searchPosts);
 
+/**
+ * @route   GET /api/posts/top
+ * @desc    Popüler postları oy skoruna göre getir
+ * @access  Public
+ */
+router.get('/top', voteController.getTopPosts);
+
 /**
  * @route   GET /api/posts/saved
  * @desc    Kullanıcının kaydettiği gönderileri listele
@@ -48,7 +61,34 @@ router.get('/saved', isAuthenticated, postController.getSavedPosts);
  * @desc    Bir gönderiyi ID'ye göre getir
  * @access  Public
  */
-router.get('/:id', postController.getPostById);
+router.get('/:id', optionalAuth, postController.getPostById);
+
+/**
+ * @route   GET /api/posts/:id/comments
+ * @desc    Gönderinin yorumlarını iç içe ağaç olarak getir (sort, depth, limit, replyLimit, continue)
+ * @access  Public
+ */
+router.get('/:id/comments', optionalAuth, commentController.getPostComments);
+
+/**
+ * @route   GET /api/posts/:id/crossposts
+ * @desc    Gönderinin crosspost'larını listele
+ * @access  Public
+ */
+router.get('/:id/crossposts', postController.getCrossposts);
+
+/**
+ * @route   POST /api/posts/:id/crosspost
+ * @desc    Gönderiyi başka bir subreddit'e crosspost et
+ * @access  Private
+ */
+router.post(
+  '/:id/crosspost',
+  isAuthenticated,
+  checkPermission('post:create'),
+  postCreateLimit,
+  postController.createCrosspost,
+);
 
 /**
  * @route   PUT /api/posts/:id
@@ -166,6 +206,48 @@ router.get(
   postController.getPostAnalytics,
 );
 
+/**
+ * @route   GET /api/posts/:postId/vote
+ * @desc    Kullanıcının post için verdiği oyu al
+ * @access  Private
+ */
+router.get('/:postId/vote', isAuthenticated, voteController.getPostVote);
+
+/**
+ * @route   GET /api/posts/:postId/awards
+ * @desc    Gönderiye verilen ödülleri getir
+ * @access  Public
+ */
+router.get('/:postId/awards', awardController.getContentAwards);
+
+/**
+ * @route   GET /api/posts/:postId/media
+ * @desc    Post'a ait medya asetlerini getir
+ * @access  Public
+ */
+router.get('/:postId/media', mediaAssetController.getPostMedia);
+
+/**
+ * @route   POST /api/posts/:postId/polls
+ * @desc    Anket oluştur
+ * @access  Private
+ */
+router.post('/:postId/polls', isAuthenticated, postActionLimit, pollController.createPoll);
+
+/**
+ * @route   GET /api/posts/:postId/poll
+ * @desc    Post'a ait anketi getir
+ * @access  Public
+ */
+router.get('/:postId/poll', optionalAuth, pollController.getPostPoll);
+
+/**
+ * @route   PUT /api/posts/:postId/flair
+ * @desc    Gönderiye flair atama
+ * @access  Private (Gönderi sahibi veya Moderatör)
+ */
+router.put('/:postId/flair', isAuthenticated, postActionLimit, flairController.assignFlairToPost);
+
 // Subreddit veya kullanıcı spesifik post rotaları, ilgili dosyalarda tanımlanmalı
 // Örneğin: /api/subreddits/:subredditId/posts bu dosyanın kapsamında değil
 
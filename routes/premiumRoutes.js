@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const userPremiumController = require('../controllers/userPremiumController');
+const { isAuthenticated, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const premiumPurchaseLimit = rateLimit('/api/users/premium', 10, 60 * 60 * 1000); // Saatte 10 işlem
+
+/**
+ * @route   GET /api/users/premium/benefits
+ * @desc    Premium avantajlarını listele
+ * @access  Public
+ */
+router.get('/benefits', userPremiumController.getPremiumBenefits);
+
+/**
+ * @route   GET /api/users/premium/status
+ * @desc    Kullanıcının premium durumunu getir
+ * @access  Private
+ */
+router.get('/status', isAuthenticated, userPremiumController.getPremiumStatus);
+
+/**
+ * @route   GET /api/users/premium/history
+ * @desc    Premium abonelik geçmişini getir
+ * @access  Private
+ */
+router.get('/history', isAuthenticated, userPremiumController.getPremiumHistory);
+
+/**
+ * @route   POST /api/users/premium/purchase
+ * @desc    Premium satın al
+ * @access  Private
+ */
+router.post(
+  '/purchase',
+  isAuthenticated,
+  premiumPurchaseLimit,
+  userPremiumController.purchasePremium,
+);
+
+/**
+ * @route   POST /api/users/premium/cancel
+ * @desc    Premium aboneliği iptal et
+ * @access  Private
+ */
+router.post('/cancel', isAuthenticated, userPremiumController.cancelPremium);
+
+/**
+ * @route   POST /api/users/premium/gift
+ * @desc    Premium abonelik hediye et
+ * @access  Private
+ */
+router.post('/gift', isAuthenticated, premiumPurchaseLimit, userPremiumController.giftPremium);
+
+module.exports = router;
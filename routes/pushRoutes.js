@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const pushController = require('../controllers/pushController');
+const { isAuthenticated, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const pushLimit = rateLimit('/api/push', 60, 60 * 60 * 1000); // Saatte 60 istek
+const pushTestLimit = rateLimit('/api/push/test', 5, 60 * 1000); // Dakikada 5 test bildirimi
+
+/**
+ * @route   GET /api/push/vapid-public-key
+ * @desc    Abonelik için VAPID public key'i getir
+ * @access  Public
+ */
+router.get('/vapid-public-key', pushController.getVapidPublicKey);
+
+// Yerel test push endpoint'i (yalnızca geliştirme ve test ortamında)
+if (pushController.isStubEnabled()) {
+  /**
+   * @route   POST /api/push/stub
+   * @desc    Sahte push endpoint'i ve abonelik anahtarları oluştur
+   * @access  Public (yalnızca geliştirme)
+   */
+  router.post('/stub', pushController.createStubEndpoint);
+
+  /**
+   * @route   POST /api/push/stub/:stubId
+   * @desc    Şifreli push mesajını al (push servisi taklidi)
+   * @access  Public (yalnızca geliştirme)
+   */
+  router.post('/stub/:stubId', pushController.receiveStubPush);
+
+  /**
+   * @route   GET /api/push/stub/:stubId
+   * @desc    Sahte endpoint'e ulaşan push mesajlarını listele
+   * @access  Public (yalnızca geliştirme)
+   */
+  router.get('/stub/:stubId', pushController.getStubMessages);
+
+  /**
+   * @route   DELETE /api/push/stub/:stubId
+   * @desc    Sahte endpoint'i sil (sonraki gönderimler 410 alır)
+   * @access  Public (yalnızca geliştirme)
+   */
+  router.delete('/stub/:stubId', pushController.deleteStubEndpoint);
+}
+
+// Diğer tüm push rotaları giriş gerektirir
+router.use(isAuthenticated);
+
+/**
+ * @route   GET /api/push/subscriptions
+ * @desc    Kullanıcının push aboneliği olan cihazlarını listele
+ * @access  Private
+ */
+router.get('/subscriptions', pushLimit, pushController.getSubscriptions);
+
+/**
+ * @route   POST /api/push/subscriptions
+ * @desc    Cihaz için push aboneliği kaydet
+ * @access  Private
+ */
+router.post('/subscriptions', pushLimit, pushController.subscribe);
+
+/**
+ * @route   DELETE /api/push/subscriptions/:id
+ * @desc    Cihaz push aboneliğini sil
+ * @access  Private
+ */
+router.delete('/subscriptions/:id', pushLimit, pushController.deleteSubscription);
+
+/**
+ * @route   POST /api/push/test
+ * @desc    Kayıtlı cihazlara test bildirimi gönder
+ * @access  Private
+ */
+router.post('/test', pushTestLimit, pushController.sendTestPush);
+
+module.exports = router;
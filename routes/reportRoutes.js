@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { isAuthenticated, isAdmin, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const reportCreateLimit = rateLimit('/api/reports', 20, 60 * 60 * 1000); // Saatte 20 rapor
+const reportManageLimit = rateLimit('/api/reports/manage', 300, 60 * 60 * 1000); // Saatte 300 işlem
+
+/**
+ * @route   POST /api/reports
+ * @desc    Rapor oluştur
+ * @access  Private
+ */
+router.post('/', isAuthenticated, reportCreateLimit, reportController.createReport);
+
+/**
+ * @route   GET /api/reports
+ * @desc    Raporları listele (filtreleme ve sayfalama ile)
+ * @access  Private (Admin/Moderatör)
+ */
+router.get('/', isAuthenticated, reportController.getReports);
+
+/**
+ * @route   GET /api/reports/stats
+ * @desc    Genel rapor istatistiklerini getir (admin için)
+ * @access  Private (Admin)
+ */
+router.get('/stats', isAuthenticated, isAdmin, reportController.getReportStats);
+
+/**
+ * @route   PUT /api/reports/bulk
+ * @desc    Toplu rapor işlemi (çoklu rapor durumunu güncelle)
+ * @access  Private (Admin/Moderatör)
+ */
+router.put('/bulk', isAuthenticated, reportManageLimit, reportController.bulkUpdateReports);
+
+/**
+ * @route   GET /api/reports/:id
+ * @desc    Rapor detayını getir
+ * @access  Private (Admin/Moderatör)
+ */
+router.get('/:id', isAuthenticated, reportController.getReportById);
+
+/**
+ * @route   PUT /api/reports/:id
+ * @desc    Rapor durumunu güncelle
+ * @access  Private (Admin/Moderatör)
+ */
+router.put('/:id', isAuthenticated, reportManageLimit, reportController.updateReportStatus);
+
+/**
+ * @route   DELETE /api/reports/:id
+ * @desc    Raporu sil (sadece admin)
+ * @access  Private (Admin)
+ */
+router.delete('/:id', isAuthenticated, isAdmin, reportController.deleteReport);
+
+module.exports = router;
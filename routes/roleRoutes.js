@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { isAuthenticated, isAdmin } = require('../middleware/auth');
+
+// Tüm rol rotaları kimlik doğrulama gerektirir
+router.use(isAuthenticated);
+
+/**
+ * @route   GET /api/roles
+ * @desc    Tüm rolleri getir
+ * @access  Private (Admin)
+ */
+router.get('/', isAdmin, roleController.getAllRoles);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Yeni rol oluştur
+ * @access  Private (Admin)
+ */
+router.post('/', isAdmin, roleController.createRole);
+
+/**
+ * @route   PUT /api/roles/assignments/:assignmentId
+ * @desc    Rol atamasını güncelle (süre uzatma/kısaltma)
+ * @access  Private (Admin/Moderator)
+ */
+router.put('/assignments/:assignmentId', roleController.updateRoleAssignment);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    ID'ye göre rol getir
+ * @access  Private (Admin)
+ */
+router.get('/:id', isAdmin, roleController.getRoleById);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Rolü güncelle
+ * @access  Private (Admin)
+ */
+router.put('/:id', isAdmin, roleController.updateRole);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Rolü sil
+ * @access  Private (Admin)
+ */
+router.delete('/:id', isAdmin, roleController.deleteRole);
+
+/**
+ * @route   POST /api/roles/:roleId/assign
+ * @desc    Kullanıcıya rol ata
+ * @access  Private (Admin/Moderator)
+ */
+router.post('/:roleId/assign', roleController.assignRoleToUser);
+
+/**
+ * @route   DELETE /api/roles/:roleId/assignments/:assignmentId
+ * @desc    Kullanıcıdan rol atamasını kaldır
+ * @access  Private (Admin/Moderator)
+ */
+router.delete('/:roleId/assignments/:assignmentId', roleController.removeRoleFromUser);
+
+/**
+ * @route   GET /api/roles/:roleId/users
+ * @desc    Rol atanmış kullanıcıları getir
+ * @access  Private (Admin/Moderator)
+ */
+router.get('/:roleId/users', roleController.getRoleUsers);
+
+module.exports = router;
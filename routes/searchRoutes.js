@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const savedSearchController = require('../controllers/savedSearchController');
+const { isAuthenticated, optionalAuth, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const searchLimit = rateLimit('/api/search', 120, 60 * 1000); // Dakikada 120 arama
+
+/**
+ * @route   GET /api/search
+ * @desc    Genel arama fonksiyonu (tüm içerik tipleri)
+ * @access  Public
+ */
+router.get('/', optionalAuth, searchLimit, searchController.searchAll);
+
+/**
+ * @route   GET /api/search/posts
+ * @desc    Post araması (sorgu dili: title:, author:, subreddit:, flair:, nsfw:, self:, site:, -hariç, AND/OR/NOT, parantez)
+ * @access  Public
+ */
+router.get('/posts', optionalAuth, searchLimit, searchController.searchPosts);
+
+/**
+ * @route   GET /api/search/comments
+ * @desc    Yorum araması (sorgu dili desteklenir; gönderi alanları yorumun gönderisine uygulanır)
+ * @access  Public
+ */
+router.get('/comments', optionalAuth, searchLimit, searchController.searchComments);
+
+/**
+ * @route   GET /api/search/subreddits
+ * @desc    Subreddit araması
+ * @access  Public
+ */
+router.get('/subreddits', optionalAuth, searchLimit, searchController.searchSubreddits);
+
+/**
+ * @route   GET /api/search/users
+ * @desc    Kullanıcı araması
+ * @access  Public
+ */
+router.get('/users', optionalAuth, searchLimit, searchController.searchUsers);
+
+/**
+ * @route   GET /api/search/tags
+ * @desc    Etiket araması
+ * @access  Public
+ */
+router.get('/tags', optionalAuth, searchLimit, searchController.searchTags);
+
+/**
+ * @route   GET /api/search/autocomplete
+ * @desc    Otomatik tamamlama önerileri
+ * @access  Public
+ */
+router.get('/autocomplete', optionalAuth, searchLimit, searchController.autocomplete);
+
+/**
+ * @route   POST /api/search/advanced
+ * @desc    Gelişmiş arama
+ * @access  Public
+ */
+router.post('/advanced', optionalAuth, searchLimit, searchController.advancedSearch);
+
+/**
+ * @route   GET /api/search/trending
+ * @desc    Popüler ve ani yükselen arama terimlerini getir (window=hour|day|week)
+ * @access  Public
+ */
+router.get('/trending', searchLimit, searchController.getTrendingSearches);
+
+/**
+ * @route   GET /api/search/filters
+ * @desc    Gelişmiş arama için kullanılabilecek filtreleri getir
+ * @access  Public
+ */
+router.get('/filters', searchController.getSearchFilters);
+
+/**
+ * @route   GET /api/search/history
+ * @desc    Kullanıcının geçmiş aramalarını getir
+ * @access  Private
+ */
+router.get('/history', isAuthenticated, searchController.getSearchHistory);
+
+/**
+ * @route   DELETE /api/search/history
+ * @desc    Arama geçmişini temizle
+ * @access  Private
+ */
+router.delete('/history', isAuthenticated, searchController.clearSearchHistory);
+
+/**
+ * @route   DELETE /api/search/history/:id
+ * @desc    Arama geçmişinden tek bir aramayı sil
+ * @access  Private
+ */
+router.delete('/history/:id', isAuthenticated, searchController.deleteSearchHistoryItem);
+
+/**
+ * @route   GET /api/search/saved
+ * @desc    Kayıtlı aramaları listele
+ * @access  Private
+ */
+router.get('/saved', isAuthenticated, savedSearchController.getSavedSearches);
+
+/**
+ * @route   POST /api/search/saved
+ * @desc    Aramayı kaydet (name, query, includeKeywords, excludeKeywords, author, subreddit, flairs, postTypes, nsfw, alertMode=none|instant|digest, digestFrequency=daily|weekly)
+ * @access  Private
+ */
+router.post('/saved', isAuthenticated, savedSearchController.createSavedSearch);
+
+/**
+ * @route   GET /api/search/saved/:id
+ * @desc    Kayıtlı arama detayını getir
+ * @access  Private
+ */
+router.get('/saved/:id', isAuthenticated, savedSearchController.getSavedSearch);
+
+/**
+ * @route   PUT /api/search/saved/:id
+ * @desc    Kayıtlı aramayı ve uyarı tercihini güncelle
+ * @access  Private
+ */
+router.put('/saved/:id', isAuthenticated, savedSearchController.updateSavedSearch);
+
+/**
+ * @route   DELETE /api/search/saved/:id
+ * @desc    Kayıtlı aramayı sil
+ * @access  Private
+ */
+router.delete('/saved/:id', isAuthenticated, savedSearchController.deleteSavedSearch);
+
+/**
+ * @route   GET /api/search/saved/:id/results
+ * @desc    Kayıtlı aramayı çalıştır (sort=new|top|comments)
+ * @access  Private
+ */
+router.get(
+  '/saved/:id/results',
+  isAuthenticated,
+  searchLimit,
+  savedSearchController.runSavedSearch,
+);
+
+module.exports = router;
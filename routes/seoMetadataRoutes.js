@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const seoMetadataController = require('../controllers/seoMetadataController');
+const { isAuthenticated, isAdmin } = require('../middleware/auth');
+
+// Tüm SEO rotaları kimlik doğrulama gerektirir
+router.use(isAuthenticated);
+
+/**
+ * @route   GET /api/seo-metadata
+ * @desc    Tüm SEO metadataları listele
+ * @access  Private (Admin)
+ */
+router.get('/', isAdmin, seoMetadataController.getAllSEOMetadata);
+
+/**
+ * @route   POST /api/seo-metadata
+ * @desc    Yeni SEO metadata oluştur
+ * @access  Private (Admin/Mod)
+ */
+router.post('/', seoMetadataController.createSEOMetadata);
+
+/**
+ * @route   POST /api/seo-metadata/bulk-update
+ * @desc    Toplu SEO metadata kontrolü ve güncellemesi
+ * @access  Private (Admin)
+ */
+router.post('/bulk-update', isAdmin, seoMetadataController.bulkUpdateSEOMetadata);
+
+/**
+ * @route   POST /api/seo-metadata/generate/:targetType/:targetId
+ * @desc    Otomatik SEO metadata oluştur veya güncelle
+ * @access  Private (Admin/Mod)
+ */
+router.post('/generate/:targetType/:targetId', seoMetadataController.generateSEOMetadata);
+
+/**
+ * @route   GET /api/seo-metadata/analysis/:targetType/:targetId
+ * @desc    SEO durumunu analiz et
+ * @access  Private (Admin/Mod)
+ */
+router.get('/analysis/:targetType/:targetId', seoMetadataController.analyzeSEOStatus);
+
+/**
+ * @route   GET /api/seo-metadata/:id
+ * @desc    SEO metadatasını getir
+ * @access  Private (Admin/Mod)
+ */
+router.get('/:id', seoMetadataController.getSEOMetadataById);
+
+/**
+ * @route   PUT /api/seo-metadata/:id
+ * @desc    SEO metadatasını güncelle
+ * @access  Private (Admin/Mod)
+ */
+router.put('/:id', seoMetadataController.updateSEOMetadata);
+
+/**
+ * @route   DELETE /api/seo-metadata/:id
+ * @desc    SEO metadatasını sil
+ * @access  Private (Admin/Mod)
+ */
+router.delete('/:id', seoMetadataController.deleteSEOMetadata);
+
+/**
+ * @route   GET /api/seo-metadata/:targetType/:targetId
+ * @desc    İçerik tipine ve ID'ye göre SEO metadatasını getir
+ * @access  Private (Admin/Mod)
+ */
+router.get('/:targetType/:targetId', seoMetadataController.getSEOMetadataByTarget);
+
+/**
+ * @route   PUT /api/seo-metadata/:targetType/:targetId
+ * @desc    İçerik tipine ve ID'ye göre SEO metadatasını güncelle
+ * @access  Private (Admin/Mod)
+ */
+router.put('/:targetType/:targetId', seoMetadataController.updateSEOMetadataByTarget);
+
+module.exports = router;
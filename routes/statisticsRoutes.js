@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const statisticsController = require('../controllers/statisticsController');
+const { isAuthenticated, isAdmin, optionalAuth } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/statistics/site
+ * @desc    Tüm site istatistiklerini getir
+ * @access  Public (Detailed stats for Admin)
+ */
+router.get('/site', optionalAuth, statisticsController.getSiteStatistics);
+
+/**
+ * @route   GET /api/statistics/trends
+ * @desc    Trend istatistiklerini getir
+ * @access  Public
+ */
+router.get('/trends', statisticsController.getTrendStatistics);
+
+/**
+ * @route   GET /api/statistics/comments
+ * @desc    Genel yorum istatistiklerini getir
+ * @access  Private (Admin)
+ */
+router.get('/comments', isAuthenticated, isAdmin, statisticsController.getCommentStatistics);
+
+/**
+ * @route   GET /api/statistics/subreddits/:subredditId
+ * @desc    Subreddit istatistiklerini getir
+ * @access  Public (Detailed stats for Moderators)
+ */
+router.get('/subreddits/:subredditId', optionalAuth, statisticsController.getSubredditStatistics);
+
+/**
+ * @route   GET /api/statistics/users/:userId
+ * @desc    Kullanıcı istatistiklerini getir
+ * @access  Public (Detailed private stats only for user themselves or Admin)
+ */
+router.get('/users/:userId', optionalAuth, statisticsController.getUserStatistics);
+
+/**
+ * @route   GET /api/statistics/posts/:postId
+ * @desc    Post istatistiklerini getir
+ * @access  Public (Detailed stats for Author/Moderator/Admin)
+ */
+router.get('/posts/:postId', optionalAuth, statisticsController.getPostStatistics);
+
+module.exports = router;
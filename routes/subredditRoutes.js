@@ -0,0 +1,866 @@
+const express = require('express');
+const router = express.Router();
+const subredditController = require('../controllers/subredditController');
+const membershipController = require('../controllers/subredditMembershipController');
+const ruleController = require('../controllers/subredditRuleController');
+const settingsController = require('../controllers/subredditSettingsController');
+const flairController = require('../controllers/flairController');
+const modLogController = require('../controllers/modLogController');
+const reportController = require('../controllers/reportController');
+const modQueueController = require('../controllers/modQueueController');
+const contentFilterController = require('../controllers/contentFilterController');
+const archivePolicyController = require('../controllers/archivePolicyController');
+const rateLimitController = require('../controllers/rateLimitController');
+const tagController = require('../controllers/tagController');
+const awardController = require('../controllers/awardController');
+const mediaAssetController = require('../controllers/mediaAssetController');
+const searchController = require('../controllers/searchController');
+const postController = require('../controllers/postController');
+const scheduledPostController = require('../controllers/scheduledPostController');
+const wikiRoutes = require('./wikiRoutes');
+const { isAuthenticated, isAdmin, optionalAuth, rateLimit } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+
+// Rate limiting
+const subredditCreateLimit = rateLimit('/api/subreddits', 5, 24 * 60 * 60 * 1000); // Günde 5 subreddit
+const membershipLimit = rateLimit('/api/subreddits/membership', 60, 60 * 60 * 1000); // Saatte 60 katıl/ayrıl
+const moderationLimit = rateLimit('/api/subreddits/moderation', 200, 60 * 60 * 1000); // Saatte 200 mod işlemi
+
+// Wiki rotaları
+router.use('/:subredditId/wiki', wikiRoutes);
+
+// ============= SUBREDDIT ENDPOINT'LERİ =============
+
+/**
+ * @route   GET /api/subreddits
+ * @desc    Tüm subredditleri getir
+ * @access  Public
+ */
+router.get('/', optionalAuth, subredditController.getSubreddits);
+
+/**
+ * @route   POST /api/subreddits
+ * @desc    Yeni bir subreddit oluştur
+ * @access  Private
+ */
+router.post(
+  '/',
+  isAuthenticated,
+  checkPermission('subreddit:create'),
+  subredditCreateLimit,
+  subredditController.createSubreddit,
+);
+
+/**
+ * @route   GET /api/subreddits/trending
+ * @desc    Popüler/trend subredditleri getir
+ * @access  Public
+ */
+router.get('/trending', optionalAuth, subredditController.getTrendingSubreddits);
+
+/**
+ * @route   GET /api/subreddits/my
+ * @desc    Kullanıcının üye olduğu subredditleri getir
+ * @access  Private
+ */
+router.get('/my', isAuthenticated, subredditController.getUserSubreddits);
+
+/**
+ * @route   GET /api/subreddits/:id
+ * @desc    Tek bir subreddit getir
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, subredditController.getSubreddit);
+
+/**
+ * @route   PUT /api/subreddits/:id
+ * @desc    Bir subreddit güncelle
+ * @access  Private (Admin veya Moderatör)
+ */
+router.put(
+  '/:id',
+  isAuthenticated,
+  checkPermission('moderation:config', 'id'),
+  subredditController.updateSubreddit,
+);
+
+/**
+ * @route   DELETE /api/subreddits/:id
+ * @desc    Bir subredditi sil
+ * @access  Private (Admin veya Subreddit kurucusu)
+ */
+router.delete('/:id', isAuthenticated, subredditController.deleteSubreddit);
+
+/**
+ * @route   GET /api/subreddits/:id/stats
+ * @desc    Topluluk istatistiklerini getir
+ * @access  Public (Detaylı istatistikler moderatörler için)
+ */
+router.get('/:id/stats', optionalAuth, subredditController.getSubredditStats);
+
+/**
+ * @route   GET/PUT /api/subreddits/:id/pending-requests
+ * @desc    Bekleyen üyelik isteklerini getir veya yönet
+ * @access  Private (Moderatör/Admin)
+ */
+router
+  .route('/:id/pending-requests')
+  .get(
+    isAuthenticated,
+    checkPermission('moderation:approve', 'id'),
+    subredditController.managePendingRequests,
+  )
+  .put(
+    isAuthenticated,
+    checkPermission('moderation:approve', 'id'),
+    moderationLimit,
+    subredditController.managePendingRequests,
+  );
+
+/**
+ * @route   PUT /api/subreddits/:id/moderator/:userId
+ * @desc    Moderatör ekle veya çıkar
+ * @access  Private (Admin)
+ */
+router.put('/:id/moderator/:userId', isAuthenticated, isAdmin, subredditController.manageModerator);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/posts
+ * @desc    Bir subreddit'in gönderilerini listele
+ * @access  Public
+ */
+router.get('/:subredditId/posts', optionalAuth, postController.getSubredditPosts);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/search
+ * @desc    Bir subreddit içinde arama
+ * @access  Public
+ */
+router.get('/:subredditId/search', optionalAuth, searchController.searchInSubreddit);
+
+// ============= ÜYELİK ENDPOINT'LERİ =============
+
+/**
+ * @route   POST /api/subreddits/:subredditId/join
+ * @desc    Bir topluluğa katıl
+ * @access  Private
+ */
+router.post(
+  '/:subredditId/join',
+  isAuthenticated,
+  membershipLimit,
+  membershipController.joinSubreddit,
+);
+
+/**
+ * @route   DELETE /api/subreddits/:subredditId/leave
+ * @desc    Bir topluluktan ayrıl
+ * @access  Private
+ */
+router.delete(
+  '/:subredditId/leave',
+  isAuthenticated,
+  membershipLimit,
+  membershipController.leaveSubreddit,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/membership-status
+ * @desc    Kullanıcının bir toplulukta üyelik durumunu kontrol et
+ * @access  Private
+ */
+router.get(
+  '/:subredditId/membership-status',
+  isAuthenticated,
+  membershipController.checkMembershipStatus,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/members
+ * @desc    Bir topluluğun üyelerini listele
+ * @access  Public (Sayfalama ile)
+ */
+router.get('/:subredditId/members', optionalAuth, membershipController.getMembers);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/pending
+ * @desc    Bekleyen üyelik isteklerini listele
+ * @access  Private (Moderatör/Admin)
+ */
+router.get(
+  '/:subredditId/pending',
+  isAuthenticated,
+  checkPermission('moderation:approve', 'subredditId'),
+  membershipController.getPendingRequests,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/banned-users
+ * @desc    Bir topluluğun yasaklanmış kullanıcılarını listele
+ * @access  Private (Moderatör/Admin)
+ */
+router.get(
+  '/:subredditId/banned-users',
+  isAuthenticated,
+  checkPermission('moderation:ban', 'subredditId'),
+  membershipController.getBannedUsers,
+);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/ban/:userId
+ * @desc    Bir kullanıcıyı topluluktan yasakla
+ * @access  Private (Moderatör/Admin)
+ */
+router.post(
+  '/:subredditId/ban/:userId',
+  isAuthenticated,
+  checkPermission('moderation:ban', 'subredditId'),
+  moderationLimit,
+  membershipController.banUser,
+);
+
+/**
+ * @route   DELETE /api/subreddits/:subredditId/ban/:userId
+ * @desc    Bir kullanıcının yasağını kaldır
+ * @access  Private (Moderatör/Admin)
+ */
+router.delete(
+  '/:subredditId/ban/:userId',
+  isAuthenticated,
+  checkPermission('moderation:unban', 'subredditId'),
+  moderationLimit,
+  membershipController.unbanUser,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/moderators
+ * @desc    Bir topluluğun moderatörlerini listele
+ * @access  Public
+ */
+router.get('/:subredditId/moderators', membershipController.getModerators);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/moderators
+ * @desc    Moderatör ekle
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:subredditId/moderators',
+  isAuthenticated,
+  checkPermission('moderation:manage_moderators', 'subredditId'),
+  membershipController.addModerator,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/moderators/:userId
+ * @desc    Moderatör izinlerini güncelle
+ * @access  Private (Admin)
+ */
+router.put(
+  '/:subredditId/moderators/:userId',
+  isAuthenticated,
+  checkPermission('moderation:manage_moderators', 'subredditId'),
+  membershipController.updateModeratorPermissions,
+);
+
+/**
+ * @route   DELETE /api/subreddits/:subredditId/moderators/:userId
+ * @desc    Moderatörü kaldır
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/:subredditId/moderators/:userId',
+  isAuthenticated,
+  checkPermission('moderation:manage_moderators', 'subredditId'),
+  membershipController.removeModerator,
+);
+
+// ============= KURAL ENDPOINT'LERİ =============
+
+/**
+ * @route   GET /api/subreddits/:subredditId/rules
+ * @desc    Subreddit kurallarını getir
+ * @access  Public
+ */
+router.get('/:subredditId/rules', ruleController.getSubredditRules);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/rules
+ * @desc    Yeni subreddit kuralı oluştur
+ * @access  Private (Moderator/Admin)
+ */
+router.post(
+  '/:subredditId/rules',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  ruleController.createSubredditRule,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/rules/report-reasons
+ * @desc    Subreddit'teki tüm kuralları getirme (rapor nedeni olarak işaretlenmiş)
+ * @access  Public
+ */
+router.get('/:subredditId/rules/report-reasons', ruleController.getReportReasons);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/rules/reorder
+ * @desc    Kuralları yeniden düzenle (pozisyonlarını sıfırla)
+ * @access  Private (Moderator/Admin)
+ */
+router.post(
+  '/:subredditId/rules/reorder',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  ruleController.reorderAllRules,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/rules/reorder-batch
+ * @desc    Kuralları sıralama sırasını değiştir (sürükle & bırak için)
+ * @access  Private (Moderator/Admin)
+ */
+router.put(
+  '/:subredditId/rules/reorder-batch',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  ruleController.reorderRulesBatch,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/rules/:id
+ * @desc    Bir subreddit kuralını ID'ye göre getir
+ * @access  Public
+ */
+router.get('/:subredditId/rules/:id', ruleController.getSubredditRule);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/rules/:id
+ * @desc    Subreddit kuralını güncelle
+ * @access  Private (Moderator/Admin)
+ */
+router.put(
+  '/:subredditId/rules/:id',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  ruleController.updateSubredditRule,
+);
+
+/**
+ * @route   DELETE /api/subreddits/:subredditId/rules/:id
+ * @desc    Subreddit kuralını sil
+ * @access  Private (Moderator/Admin)
+ */
+router.delete(
+  '/:subredditId/rules/:id',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  ruleController.deleteSubredditRule,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/rules/:id/position
+ * @desc    Subreddit kuralının pozisyonunu değiştir
+ * @access  Private (Moderator/Admin)
+ */
+router.put(
+  '/:subredditId/rules/:id/position',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  ruleController.changeRulePosition,
+);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/rules/:id/copy
+ * @desc    Bir kural birden çok subreddit'e kopyala
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:subredditId/rules/:id/copy',
+  isAuthenticated,
+  isAdmin,
+  ruleController.copyRuleToSubreddits,
+);
+
+// ============= AYAR ENDPOINT'LERİ =============
+
+/**
+ * @route   GET /api/subreddits/:subredditId/settings
+ * @desc    Subreddit ayarlarını getir
+ * @access  Public (Bazı alanlar sadece moderatörler tarafından görülebilir)
+ */
+router.get('/:subredditId/settings', optionalAuth, settingsController.getSubredditSettings);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/settings
+ * @desc    Subreddit ayarlarını güncelle
+ * @access  Private (Moderator/Admin)
+ */
+router.put(
+  '/:subredditId/settings',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  settingsController.updateSubredditSettings,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/settings/summary
+ * @desc    Subreddit ayarlarının özetini getir (public özellikler)
+ * @access  Public
+ */
+router.get('/:subredditId/settings/summary', settingsController.getSettingsSummary);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/settings/archive
+ * @desc    Arşiv politikalarını subreddit ayarlarından getir
+ * @access  Private (Subreddit mod veya Admin)
+ */
+router.get(
+  '/:subredditId/settings/archive',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  archivePolicyController.getSubredditArchiveSettings,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/settings/appearance
+ * @desc    Görünüm ayarlarını güncelle
+ * @access  Private (Moderator/Admin)
+ */
+router.put(
+  '/:subredditId/settings/appearance',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  settingsController.updateAppearanceSettings,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/settings/content-options
+ * @desc    İçerik izinleri ayarlarını güncelle
+ * @access  Private (Moderator/Admin)
+ */
+router.put(
+  '/:subredditId/settings/content-options',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  settingsController.updateContentOptions,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/settings/post-types
+ * @desc    İzin verilen post tiplerini güncelle
+ * @access  Private (Moderator/Admin)
+ */
+router.put(
+  '/:subredditId/settings/post-types',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  settingsController.updateAllowedPostTypes,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/settings/community
+ * @desc    Topluluk ayarlarını güncelle
+ * @access  Private (Moderator/Admin)
+ */
+router.put(
+  '/:subredditId/settings/community',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  settingsController.updateCommunityOptions,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/settings/spam-filter
+ * @desc    Spam filtresi ayarlarını güncelle
+ * @access  Private (Moderator/Admin)
+ */
+router.put(
+  '/:subredditId/settings/spam-filter',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  settingsController.updateSpamFilter,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/settings/automod
+ * @desc    Automod ayarlarını güncelle
+ * @access  Private (Moderator/Admin)
+ */
+router.put(
+  '/:subredditId/settings/automod',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  settingsController.updateAutomod,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/settings/flair
+ * @desc    Flair ayarlarını güncelle
+ * @access  Private (Moderator/Admin)
+ */
+router.put(
+  '/:subredditId/settings/flair',
+  isAuthenticated,
+  checkPermission('moderation:flair', 'subredditId'),
+  settingsController.updateFlairSettings,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/settings/rate-limits
+ * @desc    Subreddit özel rate limit ayarlarını güncelle
+ * @access  Private (Subreddit mod veya Admin)
+ */
+router.put(
+  '/:subredditId/settings/rate-limits',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  rateLimitController.setSubredditRateLimits,
+);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/settings/reset
+ * @desc    Ayarları varsayılanlara sıfırla
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:subredditId/settings/reset',
+  isAuthenticated,
+  isAdmin,
+  settingsController.resetSettings,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/settings/:section
+ * @desc    Ayar bölümlerini getir
+ * @access  Mixed (Bazı bölümler public, bazıları moderatör)
+ */
+router.get('/:subredditId/settings/:section', optionalAuth, settingsController.getSettingsSection);
+
+// ============= FLAIR ENDPOINT'LERİ =============
+
+/**
+ * @route   GET /api/subreddits/:subredditId/flairs
+ * @desc    Bir subreddit için tüm flairleri getir
+ * @access  Public
+ */
+router.get('/:subredditId/flairs', flairController.getFlairs);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/flairs
+ * @desc    Yeni flair oluştur
+ * @access  Private (Moderatör)
+ */
+router.post(
+  '/:subredditId/flairs',
+  isAuthenticated,
+  checkPermission('moderation:flair', 'subredditId'),
+  flairController.createFlair,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/flairs/reorder
+ * @desc    Flairleri sırala (pozisyonları güncelle)
+ * @access  Private (Moderatör)
+ */
+router.put(
+  '/:subredditId/flairs/reorder',
+  isAuthenticated,
+  checkPermission('moderation:flair', 'subredditId'),
+  flairController.reorderFlairs,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/flairs/stats
+ * @desc    Flair istatistiklerini getir
+ * @access  Private (Moderatör)
+ */
+router.get(
+  '/:subredditId/flairs/stats',
+  isAuthenticated,
+  checkPermission('moderation:flair', 'subredditId'),
+  flairController.getFlairStats,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/users/:userId/flair
+ * @desc    Kullanıcıya flair atama (subreddit özel)
+ * @access  Private (Moderatör)
+ */
+router.put(
+  '/:subredditId/users/:userId/flair',
+  isAuthenticated,
+  checkPermission('moderation:flair', 'subredditId'),
+  flairController.assignFlairToUser,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/my-flair
+ * @desc    Bir kullanıcının kendi flairini ayarlaması
+ * @access  Private
+ */
+router.put('/:subredditId/my-flair', isAuthenticated, flairController.setMyFlair);
+
+// ============= ZAMANLANMIŞ GÖNDERİ ENDPOINT'LERİ =============
+
+/**
+ * @route   GET /api/subreddits/:subredditId/scheduled-posts
+ * @desc    Zamanlanmış gönderileri listele (status=scheduled|published|cancelled|failed|all, recurring)
+ * @access  Private (Moderatör/Admin)
+ */
+router.get(
+  '/:subredditId/scheduled-posts',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  scheduledPostController.getScheduledPosts,
+);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/scheduled-posts
+ * @desc    Tek seferlik veya tekrarlayan (günlük/haftalık) gönderi zamanla
+ * @access  Private (Moderatör/Admin)
+ */
+router.post(
+  '/:subredditId/scheduled-posts',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  moderationLimit,
+  scheduledPostController.createScheduledPost,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/scheduled-posts/:id
+ * @desc    Zamanlanmış gönderiyi getir
+ * @access  Private (Moderatör/Admin)
+ */
+router.get(
+  '/:subredditId/scheduled-posts/:id',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  scheduledPostController.getScheduledPost,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/scheduled-posts/:id
+ * @desc    Zamanlanmış gönderiyi düzenle
+ * @access  Private (Moderatör/Admin)
+ */
+router.put(
+  '/:subredditId/scheduled-posts/:id',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  moderationLimit,
+  scheduledPostController.updateScheduledPost,
+);
+
+/**
+ * @route   DELETE /api/subreddits/:subredditId/scheduled-posts/:id
+ * @desc    Zamanlanmış gönderiyi iptal et
+ * @access  Private (Moderatör/Admin)
+ */
+router.delete(
+  '/:subredditId/scheduled-posts/:id',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  moderationLimit,
+  scheduledPostController.cancelScheduledPost,
+);
+
+// ============= MODERASYON ENDPOINT'LERİ =============
+
+/**
+ * @route   GET /api/subreddits/:subredditId/moderation/logs
+ * @desc    Subreddit moderasyon loglarını listele
+ * @access  Private/Public (isPublic değerine göre)
+ */
+router.get('/:subredditId/moderation/logs', optionalAuth, modLogController.getSubredditModLogs);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/moderation/stats
+ * @desc    Moderasyon eylem tipleri ve istatistikleri
+ * @access  Private (Moderatörler ve Admin)
+ */
+router.get(
+  '/:subredditId/moderation/stats',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  modLogController.getModeratorStats,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/moderation/active
+ * @desc    Subreddit'teki etkili moderatörleri listele
+ * @access  Public (sadece istatistikler)
+ */
+router.get('/:subredditId/moderation/active', modLogController.getActiveModeratorsList);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/modqueue
+ * @desc    Mod kuyruğu: raporlanan, filtrelenen ve onay bekleyen içerikler
+ * @access  Private (Moderatör/Admin)
+ */
+router.get(
+  '/:subredditId/modqueue',
+  isAuthenticated,
+  checkPermission('moderation:approve', 'subredditId'),
+  modQueueController.getSubredditModQueue,
+);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/modqueue/actions
+ * @desc    Mod kuyruğu öğelerini toplu onayla/kaldır/yoksay
+ * @access  Private (Moderatör/Admin)
+ */
+router.post(
+  '/:subredditId/modqueue/actions',
+  isAuthenticated,
+  checkPermission('moderation:approve', 'subredditId'),
+  moderationLimit,
+  modQueueController.bulkModQueueAction,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/reports
+ * @desc    Belirli bir subreddit için raporları getir
+ * @access  Private (Subreddit Moderatörü/Admin)
+ */
+router.get(
+  '/:subredditId/reports',
+  isAuthenticated,
+  checkPermission('moderation:remove', 'subredditId'),
+  reportController.getSubredditReports,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/reports/stats
+ * @desc    Subreddit rapor istatistiklerini getir
+ * @access  Private (Moderatör/Admin)
+ */
+router.get(
+  '/:subredditId/reports/stats',
+  isAuthenticated,
+  checkPermission('moderation:remove', 'subredditId'),
+  reportController.getSubredditReportStats,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/content-filters
+ * @desc    İçerik filtrelerini listele
+ * @access  Private (Admin veya Moderatör)
+ */
+router.get(
+  '/:subredditId/content-filters',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  contentFilterController.getContentFilters,
+);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/content-filters
+ * @desc    İçerik filtresi oluştur
+ * @access  Private (Admin veya Moderatör)
+ */
+router.post(
+  '/:subredditId/content-filters',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  contentFilterController.createContentFilter,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/archive-policies
+ * @desc    Arşiv politikalarını getir
+ * @access  Public (Görüntüleme için) / Private (Subreddit mod veya Admin)
+ */
+router.get(
+  '/:subredditId/archive-policies',
+  optionalAuth,
+  archivePolicyController.getArchivePolicies,
+);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/archive-policies
+ * @desc    Yeni arşiv politikası oluştur
+ * @access  Private (Subreddit mod veya Admin)
+ */
+router.post(
+  '/:subredditId/archive-policies',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  archivePolicyController.createArchivePolicy,
+);
+
+// ============= ETİKET, ÖDÜL VE MEDYA ENDPOINT'LERİ =============
+
+/**
+ * @route   GET /api/subreddits/:subredditId/tags
+ * @desc    Subreddit etiketlerini getir
+ * @access  Public
+ */
+router.get('/:subredditId/tags', tagController.getTags);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/tags
+ * @desc    Yeni subreddit etiketi oluştur
+ * @access  Private (Moderator)
+ */
+router.post(
+  '/:subredditId/tags',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  tagController.createTag,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/tags/popular
+ * @desc    Subreddit'in popüler etiketlerini getir
+ * @access  Public
+ */
+router.get('/:subredditId/tags/popular', tagController.getPopularTags);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/tags/stats
+ * @desc    Subreddit etiket istatistiklerini getir
+ * @access  Public
+ */
+router.get('/:subredditId/tags/stats', tagController.getTagStats);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/tags/bulk
+ * @desc    Toplu etiket işlemi (yeni etiketler oluştur)
+ * @access  Private (Moderator)
+ */
+router.post(
+  '/:subredditId/tags/bulk',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  tagController.createTagsBulk,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/awards
+ * @desc    Subreddit ödüllerini getir
+ * @access  Public
+ */
+router.get('/:subredditId/awards', awardController.getAwards);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/awards
+ * @desc    Yeni subreddit ödülü oluştur
+ * @access  Private (Admin veya Subreddit Moderator)
+ */
+router.post(
+  '/:subredditId/awards',
+  isAuthenticated,
+  checkPermission('moderation:config', 'subredditId'),
+  awardController.createAward,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/media
+ * @desc    Subreddit'e ait medya asetlerini getir
+ * @access  Public/Private (Moderatör)
+ */
+router.get('/:subredditId/media', optionalAuth, mediaAssetController.getSubredditMedia);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+const { isAuthenticated, isAdmin, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const tagLimit = rateLimit('/api/tags', 100, 60 * 60 * 1000); // Saatte 100 etiket işlemi
+
+// Subreddit kapsamlı etiket rotaları subredditRoutes içinde tanımlıdır
+
+/**
+ * @route   GET /api/tags
+ * @desc    Tüm etiketleri getir
+ * @access  Public
+ */
+router.get('/', tagController.getTags);
+
+/**
+ * @route   POST /api/tags
+ * @desc    Yeni site geneli etiket oluştur
+ * @access  Private (Admin)
+ */
+router.post('/', isAuthenticated, isAdmin, tagController.createTag);
+
+/**
+ * @route   GET /api/tags/popular
+ * @desc    Popüler etiketleri getir
+ * @access  Public
+ */
+router.get('/popular', tagController.getPopularTags);
+
+/**
+ * @route   GET /api/tags/stats
+ * @desc    Etiket istatistiklerini getir
+ * @access  Public
+ */
+router.get('/stats', tagController.getTagStats);
+
+/**
+ * @route   POST /api/tags/bulk
+ * @desc    Toplu etiket işlemi (yeni etiketler oluştur)
+ * @access  Private (Admin)
+ */
+router.post('/bulk', isAuthenticated, isAdmin, tagController.createTagsBulk);
+
+/**
+ * @route   DELETE /api/tags/bulk
+ * @desc    Toplu etiket silme işlemi
+ * @access  Private (Admin only)
+ */
+router.delete('/bulk', isAuthenticated, isAdmin, tagController.deleteTagsBulk);
+
+/**
+ * @route   GET /api/tags/:id
+ * @desc    Tek bir etiketi getir
+ * @access  Public
+ */
+router.get('/:id', tagController.getTag);
+
+/**
+ * @route   PUT /api/tags/:id
+ * @desc    Etiketi güncelle
+ * @access  Private (Admin for site, Moderator for subreddit)
+ */
+router.put('/:id', isAuthenticated, tagLimit, tagController.updateTag);
+
+/**
+ * @route   DELETE /api/tags/:id
+ * @desc    Etiketi sil
+ * @access  Private (Admin for site, Moderator for subreddit)
+ */
+router.delete('/:id', isAuthenticated, tagLimit, tagController.deleteTag);
+
+/**
+ * @route   PATCH /api/tags/:id/color
+ * @desc    Etiket rengini güncelle
+ * @access  Private (Admin for site, Moderator for subreddit)
+ */
+router.patch('/:id/color', isAuthenticated, tagLimit, tagController.updateTagColor);
+
+/**
+ * @route   GET /api/tags/:id/items
+ * @desc    Etikete ait etiketlenmiş öğeleri getir
+ * @access  Public
+ */
+router.get('/:id/items', tagController.getTaggedItems);
+
+/**
+ * @route   POST /api/tags/:id/items
+ * @desc    Bir öğeyi etiketle
+ * @access  Private
+ */
+router.post('/:id/items', isAuthenticated, tagLimit, tagController.tagItem);
+
+/**
+ * @route   DELETE /api/tags/:id/items/:itemId
+ * @desc    Bir öğeden etiketi kaldır
+ * @access  Private
+ */
+router.delete('/:id/items/:itemId', isAuthenticated, tagLimit, tagController.removeTag);
+
+module.exports = router;
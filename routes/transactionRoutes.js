@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const transactionController = require('../controllers/transactionController');
+const { isAuthenticated, isAdmin, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const purchaseLimit = rateLimit('/api/transactions/purchase', 10, 60 * 60 * 1000); // Saatte 10 satın alma
+
+/**
+ * @route   POST /api/transactions/webhook/:provider?
+ * @desc    Ödeme webhook işleyici (x-payment-signature: t=<unix>,v1=<HMAC-SHA256("t.gövde")>; olaylar id'ye göre bir kez işlenir)
+ * @access  Public (with signature validation)
+ */
+router.post('/webhook/:provider?', transactionController.handlePaymentWebhook);
+
+// Bu noktadan sonraki tüm rotalar kimlik doğrulama gerektirir
+router.use(isAuthenticated);
+
+/**
+ * @route   GET /api/transactions
+ * @desc    Kullanıcının işlemlerini getir
+ * @access  Private
+ */
+router.get('/', transactionController.getUserTransactions);
+
+/**
+ * @route   GET /api/transactions/coin-summary
+ * @desc    Kullanıcının coin işlemlerinin özeti
+ * @access  Private
+ */
+router.get('/coin-summary', transactionController.getCoinSummary);
+
+/**
+ * @route   GET /api/transactions/admin/stats
+ * @desc    Admin için işlem istatistikleri
+ * @access  Private (Admin only)
+ */
+router.get('/admin/stats', isAdmin, transactionController.getAdminTransactionStats);
+
+/**
+ * @route   POST /api/transactions/purchase/coins
+ * @desc    Coin satın alma işlemi başlat
+ * @access  Private
+ */
+router.post('/purchase/coins', purchaseLimit, transactionController.purchaseCoins);
+
+/**
+ * @route   POST /api/transactions/purchase/premium
+ * @desc    Premium üyelik satın alma işlemi başlat
+ * @access  Private
+ */
+router.post('/purchase/premium', purchaseLimit, transactionController.purchasePremium);
+
+/**
+ * @route   POST /api/transactions/award
+ * @desc    Ödül verme işlemi
+ * @access  Private
+ */
+router.post('/award', purchaseLimit, transactionController.giveAward);
+
+/**
+ * @route   POST /api/transactions/gift/premium
+ * @desc    Premium hediye etme
+ * @access  Private
+ */
+router.post('/gift/premium', purchaseLimit, transactionController.giftPremium);
+
+/**
+ * @route   GET /api/transactions/:id
+ * @desc    Belirli bir işlemi getir
+ * @access  Private
+ */
+router.get('/:id', transactionController.getTransaction);
+
+/**
+ * @route   POST /api/transactions/:id/refund
+ * @desc    İade işlemi başlat
+ * @access  Private (Admin only)
+ */
+router.post('/:id/refund', isAdmin, transactionController.initiateRefund);
+
+/**
+ * @route   GET /api/transactions/:id/invoice
+ * @desc    Fatura oluştur
+ * @access  Private
+ */
+router.get('/:id/invoice', transactionController.generateInvoice);
+
+module.exports = router;
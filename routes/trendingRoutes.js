@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const trendingController = require('../controllers/trendingController');
+const { optionalAuth } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/trending/posts
+ * @desc    Trend olan gönderileri getir
+ * @access  Public
+ */
+router.get('/posts', optionalAuth, trendingController.getTrendingPosts);
+
+/**
+ * @route   GET /api/trending/subreddits
+ * @desc    Trend olan subredditleri getir
+ * @access  Public
+ */
+router.get('/subreddits', optionalAuth, trendingController.getTrendingSubreddits);
+
+/**
+ * @route   GET /api/trending/tags
+ * @desc    Trend olan etiketleri getir
+ * @access  Public
+ */
+router.get('/tags', trendingController.getTrendingTags);
+
+/**
+ * @route   GET /api/trending/comments
+ * @desc    Trend olan yorumları getir
+ * @access  Public
+ */
+router.get('/comments', optionalAuth, trendingController.getTrendingComments);
+
+/**
+ * @route   GET /api/trending/rising
+ * @desc    Yükselen toplulukları getir
+ * @access  Public
+ */
+router.get('/rising', trendingController.getRisingCommunities);
+
+/**
+ * @route   GET /api/trending/distribution
+ * @desc    Trend olan içerik dağılımını getir
+ * @access  Public
+ */
+router.get('/distribution', trendingController.getTrendingDistribution);
+
+/**
+ * @route   GET /api/trending/daily
+ * @desc    Günlük trend değişimini getir
+ * @access  Public
+ */
+router.get('/daily', trendingController.getDailyTrends);
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const twoFactorAuthController = require('../controllers/twoFactorAuthController');
+const { isAuthenticated, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const twoFactorLimit = rateLimit('/api/auth/2fa', 10, 15 * 60 * 1000); // 15 dakikada 10 deneme
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Giriş sırasında 2FA doğrulaması
+ * @access  Public
+ */
+router.post('/verify', twoFactorAuthController.verifyTwoFactorAuth);
+
+/**
+ * @route   POST /api/auth/2fa/check
+ * @desc    2FA durumunu kontrol et (Giriş akışı için)
+ * @access  Public
+ */
+router.post('/check', twoFactorAuthController.checkTwoFactorAuth);
+
+// Bu noktadan sonraki tüm rotalar kimlik doğrulama gerektirir
+router.use(isAuthenticated);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    İki faktörlü kimlik doğrulama için başlangıç ayarlarını oluştur
+ * @access  Private
+ */
+router.post('/setup', twoFactorLimit, twoFactorAuthController.setupTwoFactorAuth);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    İki faktörlü kimlik doğrulamayı etkinleştir
+ * @access  Private
+ */
+router.post('/enable', twoFactorLimit, twoFactorAuthController.enableTwoFactorAuth);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    İki faktörlü kimlik doğrulamayı devre dışı bırak
+ * @access  Private
+ */
+router.post('/disable', twoFactorLimit, twoFactorAuthController.disableTwoFactorAuth);
+
+/**
+ * @route   GET /api/auth/2fa/status
+ * @desc    2FA durumunu kontrol et
+ * @access  Private
+ */
+router.get('/status', twoFactorAuthController.getTwoFactorAuthStatus);
+
+/**
+ * @route   GET /api/auth/2fa/backup-codes
+ * @desc    Mevcut 2FA yedek kodlarını getir
+ * @access  Private
+ */
+router.get('/backup-codes', twoFactorAuthController.getBackupCodes);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Yeni yedek kodları oluştur
+ * @access  Private
+ */
+router.post('/backup-codes', twoFactorLimit, twoFactorAuthController.regenerateBackupCodes);
+
+/**
+ * @route   POST /api/auth/2fa/reset
+ * @desc    2FA secret anahtarını sıfırla (güvenlik ihlali durumunda)
+ * @access  Private
+ */
+router.post('/reset', twoFactorLimit, twoFactorAuthController.resetTwoFactorAuth);
+
+/**
+ * @route   GET /api/auth/2fa/activity
+ * @desc    Kullanıcının 2FA aktivite günlüğünü getir
+ * @access  Private
+ */
+router.get('/activity', twoFactorAuthController.getTwoFactorAuthActivity);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const userSettingsController = require('../controllers/userSettingsController');
+const { isAuthenticated } = require('../middleware/auth');
+
+// Tüm ayar rotaları kimlik doğrulama gerektirir
+router.use(isAuthenticated);
+
+/**
+ * @route   GET /api/users/settings
+ * @desc    Kullanıcı ayarlarını getir
+ * @access  Private
+ */
+router.get('/', userSettingsController.getUserSettings);
+
+/**
+ * @route   PUT /api/users/settings/content-preferences
+ * @desc    İçerik tercihlerini güncelle
+ * @access  Private
+ */
+router.put('/content-preferences', userSettingsController.updateContentPreferences);
+
+/**
+ * @route   PUT /api/users/settings/feed
+ * @desc    Feed ayarlarını güncelle
+ * @access  Private
+ */
+router.put('/feed', userSettingsController.updateFeedSettings);
+
+/**
+ * @route   PUT /api/users/settings/privacy
+ * @desc    Gizlilik ayarlarını güncelle
+ * @access  Private
+ */
+router.put('/privacy', userSettingsController.updatePrivacySettings);
+
+/**
+ * @route   PUT /api/users/settings/email-notifications
+ * @desc    Email bildirim ayarlarını güncelle
+ * @access  Private
+ */
+router.put('/email-notifications', userSettingsController.updateEmailNotifications);
+
+/**
+ * @route   PUT /api/users/settings/push-notifications
+ * @desc    Push bildirim ayarlarını güncelle
+ * @access  Private
+ */
+router.put('/push-notifications', userSettingsController.updatePushNotifications);
+
+/**
+ * @route   PUT /api/users/settings/chat
+ * @desc    Sohbet ayarlarını güncelle
+ * @access  Private
+ */
+router.put('/chat', userSettingsController.updateChatSettings);
+
+/**
+ * @route   PUT /api/users/settings/display
+ * @desc    Görüntüleme ayarlarını güncelle
+ * @access  Private
+ */
+router.put('/display', userSettingsController.updateDisplaySettings);
+
+/**
+ * @route   PUT /api/users/settings/nsfw
+ * @desc    Yetişkin içerik (NSFW) ayarlarını güncelle
+ * @access  Private
+ */
+router.put('/nsfw', userSettingsController.updateNSFWSettings);
+
+/**
+ * @route   PUT /api/users/settings/content-filters
+ * @desc    Kullanıcı feed filtreleme ayarlarını güncelle
+ * @access  Private
+ */
+router.put('/content-filters', userSettingsController.updateContentFilters);
+
+/**
+ * @route   POST /api/users/settings/reset
+ * @desc    Tüm ayarları varsayılana sıfırla
+ * @access  Private
+ */
+router.post('/reset', userSettingsController.resetSettings);
+
+module.exports = router;
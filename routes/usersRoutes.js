@@ -5,6 +5,7 @@ const {
   isAdmin,
   hasPermission,
   rateLimit,
+  optionalAuth,
 } = require('../middleware/auth');
 const { checkPermission } = require('../middleware/permissionMiddleware');
 const {
@@ -33,7 +34,21 @@ const {
   assignRoleToUser,
   removeRoleFromUser,
   getUserPermissions,
+  banUser,
+  unbanUser,
+  muteUser,
+  unmuteUser,
 } = require('../controllers/userController');
+const { getUserVotes } = require('../controllers/voteController');
+const { getUserReports } = require('../controllers/reportController');
+const { getModeratorLogs } = require('../controllers/modLogController');
+const { searchUserContent } = require('../controllers/searchController');
+const {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+} = require('../controllers/followController');
 
 const router = express.Router();
 
@@ -42,10 +57,12 @@ const router = express.Router();
  * - Standard limit: 50 requests per hour for general endpoints
  * - Profile update limit: 10 requests per hour
  * - Role management limit: 20 requests per hour
+ * - Follow limit: 60 requests per hour
  */
 const standardLimit = rateLimit('/api/users', 50, 60 * 60 * 1000);
 const updateLimit = rateLimit('/api/users/profile', 10, 60 * 60 * 1000);
 const roleManagementLimit = rateLimit('/api/users/roles', 20, 60 * 60 * 1000);
+const followLimit = rateLimit('/api/users/follow', 60, 60 * 60 * 1000);
 
 // Admin routes
 router
@@ -53,9 +70,12 @@ router
   .get(isAuthenticated, isAdmin, standardLimit, getUsers) // Get all users (admin only)
   .post(isAuthenticated, isAdmin, standardLimit, createUser); // Create user (admin only)
 
+// Oturum açmış kullanıcının oyları (/:id rotasından önce tanımlanmalı)
+router.get('/votes', isAuthenticated, standardLimit, getUserVotes);
+
 router
   .route('/:id')
-  .get(standardLimit, getUser) // Get user by ID (public)
+  .get(optionalAuth, standardLimit, getUser) // Get user by ID (public)
   .put(isAuthenticated, isAdmin, standardLimit, updateUser) // Update user (admin only)
   .delete(isAuthenticated, isAdmin, standardLimit, deleteUser); // Delete user (admin only)
 
@@ -82,6 +102,9 @@ router.get('/:id/subreddits', standardLimit, getUserSubreddits); // Get subscrib
 router.get('/:id/moderating', standardLimit, getUserModeratedSubreddits); // Get moderated subreddits
 router.get('/:id/statistics', standardLimit, getUserStatistics); // Get user statistics
 router.get('/:id/awards', standardLimit, getUserAwards); // Get user awards
+router.get('/:username/search', standardLimit, searchUserContent); // Search user's posts and comments
+router.get('/:userId/reports', isAuthenticated, standardLimit, getUserReports); // Reports about user (admin/mod)
+router.get('/:userId/moderation/logs', isAuthenticated, standardLimit, getModeratorLogs); // Moderator action logs
 
 // Storage statistics (only visible to self or admin)
 router.get(
@@ -103,38 +126,21 @@ router.get(
 );
 
 // Follow/unfollow users
-router.post('/:id/follow', isAuthenticated, standardLimit, (req, res) => {
-  // This is a placeholder for user following functionality
-  res.status(501).json({
-    success: false,
-    message: 'Follow functionality not implemented yet',
-  });
-});
-
-router.delete('/:id/follow', isAuthenticated, standardLimit, (req, res) => {
-  // This is a placeholder for user unfollowing functionality
-  res.status(501).json({
-    success: false,
-    message: 'Unfollow functionality not implemented yet',
-  });
-});
+router.post('/:id/follow', isAuthenticated, followLimit, followUser); // Follow user
+router.delete('/:id/follow', isAuthenticated, followLimit, unfollowUser); // Unfollow user
+router.get('/:id/followers', optionalAuth, standardLimit, getFollowers); // Get user's followers
+router.get('/:id/following', optionalAuth, standardLimit, getFollowing); // Get users followed by user
 
-// Moderation endpoints for user handling
-router.put('/:id/ban', isAuthenticated, hasPermission('banUser'), standardLimit, (req, res) => {
-  // This is a placeholder for banning users from subreddits
-  res.status(501).json({
-    success: false,
-    message: 'Ban functionality not implemented yet',
-  });
-});
+// Site-wide moderation endpoints for user handling
+router
+  .route('/:id/ban')
+  .put(isAuthenticated, hasPermission('banUser'), standardLimit, banUser) // Ban user site-wide
+  .delete(isAuthenticated, hasPermission('banUser'), standardLimit, unbanUser); // Lift site ban
 
-router.put('/:id/mute', isAuthenticated, hasPermission('muteUser'), standardLimit, (req, res) => {
-  // This is a placeholder for muting users in subreddits
-  res.status(501).json({
-    success: false,
-    message: 'Mute functionality not implemented yet',
-  });
-});
+router
+  .route('/:id/mute')
+  .put(isAuthenticated, hasPermission('muteUser'), standardLimit, muteUser) // Mute user site-wide
+  .delete(isAuthenticated, hasPermission('muteUser'), standardLimit, unmuteUser); // Lift site mute
 
 // ============= ROL VE İZİN YÖNETİMİ ENDPOINT'LERİ =============
 
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const voteController = require('../controllers/voteController');
+const { isAuthenticated, rateLimit } = require('../middleware/auth');
+
+// Rate limiting
+const batchLimit = rateLimit('/api/votes/batch', 120, 60 * 1000); // Dakikada 120 toplu sorgu
+
+/**
+ * @route   POST /api/votes/batch
+ * @desc    Kullanıcının oylarını toplu olarak getir (belirli içerik için)
+ * @access  Private
+ */
+router.post('/batch', isAuthenticated, batchLimit, voteController.getBatchVotes);
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+// subredditId parametresi üst router'dan (/api/subreddits/:subredditId/wiki) gelir
+const router = express.Router({ mergeParams: true });
+const wikiController = require('../controllers/wikiController');
+const { isAuthenticated, optionalAuth, rateLimit } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissionMiddleware');
+
+// Rate limiting
+const wikiEditLimit = rateLimit('/api/wiki', 30, 60 * 60 * 1000); // Saatte 30 düzenleme
+const wikiImportLimit = rateLimit('/api/wiki/import', 5, 60 * 60 * 1000); // Saatte 5 içe aktarım
+
+/**
+ * @route   GET /api/subreddits/:subredditId/wiki
+ * @desc    Subreddit'in tüm wiki sayfalarını getir
+ * @access  Public/Private (izinlere bağlı)
+ */
+router.get('/', optionalAuth, wikiController.getAllWikiPages);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/wiki
+ * @desc    Wiki sayfası oluştur
+ * @access  Private
+ */
+router.post('/', isAuthenticated, wikiEditLimit, wikiController.createWikiPage);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/wiki/settings
+ * @desc    Wiki ayarlarını getir
+ * @access  Private/Moderator
+ */
+router.get(
+  '/settings',
+  isAuthenticated,
+  checkPermission('moderation:wiki', 'subredditId'),
+  wikiController.getWikiSettings,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/wiki/settings
+ * @desc    Wiki ayarlarını güncelle
+ * @access  Private/Moderator
+ */
+router.put(
+  '/settings',
+  isAuthenticated,
+  checkPermission('moderation:wiki', 'subredditId'),
+  wikiController.updateWikiSettings,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/wiki/contributors
+ * @desc    Onaylı wiki düzenleyiciler listesini yönet
+ * @access  Private/Moderator
+ */
+router.put(
+  '/contributors',
+  isAuthenticated,
+  checkPermission('moderation:wiki', 'subredditId'),
+  wikiController.manageWikiContributors,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/wiki/banned
+ * @desc    Yasaklı wiki düzenleyiciler listesini yönet
+ * @access  Private/Moderator
+ */
+router.put(
+  '/banned',
+  isAuthenticated,
+  checkPermission('moderation:wiki', 'subredditId'),
+  wikiController.manageWikiBannedUsers,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/wiki/order
+ * @desc    Wiki sayfalarını kategorilere göre sırala
+ * @access  Private/Moderator
+ */
+router.put(
+  '/order',
+  isAuthenticated,
+  checkPermission('moderation:wiki', 'subredditId'),
+  wikiController.updateWikiPageOrder,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/wiki/export
+ * @desc    Wikiyi revizyonlar ve ayarlarla birlikte .tar.gz Markdown arşivi olarak indir
+ * @access  Private/Moderator
+ */
+router.get(
+  '/export',
+  isAuthenticated,
+  checkPermission('moderation:wiki', 'subredditId'),
+  wikiController.exportWiki,
+);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/wiki/import
+ * @desc    Dışa aktarılmış wiki arşivini içe aktar (gövde: application/gzip)
+ * @access  Private/Moderator
+ */
+router.post(
+  '/import',
+  isAuthenticated,
+  checkPermission('moderation:wiki', 'subredditId'),
+  wikiImportLimit,
+  express.raw({
+    type: [
+      'application/gzip',
+      'application/x-gzip',
+      'application/x-tar',
+      'application/octet-stream',
+    ],
+    limit: '20mb',
+  }),
+  wikiController.importWiki,
+);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/wiki/broken-links
+ * @desc    Var olmayan sayfalara giden [[bağlantı]] raporunu getir
+ * @access  Public/Private (izinlere bağlı)
+ */
+router.get('/broken-links', optionalAuth, wikiController.getWikiBrokenLinks);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/wiki/:pageName
+ * @desc    Wiki sayfasını getir
+ * @access  Public/Private (izinlere bağlı)
+ */
+router.get('/:pageName', optionalAuth, wikiController.getWikiPage);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/wiki/:pageId
+ * @desc    Wiki sayfasını güncelle
+ * @access  Private
+ */
+router.put('/:pageId', isAuthenticated, wikiEditLimit, wikiController.updateWikiPage);
+
+/**
+ * @route   DELETE /api/subreddits/:subredditId/wiki/:pageId
+ * @desc    Wiki sayfasını sil (soft delete)
+ * @access  Private
+ */
+router.delete('/:pageId', isAuthenticated, wikiController.deleteWikiPage);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/wiki/:pageId/history
+ * @desc    Wiki revizyon geçmişini getir
+ * @access  Public/Private (izinlere bağlı)
+ */
+router.get('/:pageId/history', optionalAuth, wikiController.getWikiPageHistory);
+
+/**
+ * @route   GET /api/subreddits/:subredditId/wiki/:pageId/compare
+ * @desc    Wiki revizyonları karşılaştır
+ * @access  Public/Private (izinlere bağlı)
+ */
+router.get('/:pageId/compare', optionalAuth, wikiController.compareWikiRevisions);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/wiki/:pageId/revert/:revisionNumber
+ * @desc    Wiki sayfasını önceki revizyona geri al
+ * @access  Private
+ */
+router.post(
+  '/:pageId/revert/:revisionNumber',
+  isAuthenticated,
+  wikiEditLimit,
+  wikiController.revertWikiPage,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/wiki/:pageId/rename
+ * @desc    Wiki sayfasını yeniden adlandır ve eski ad için yönlendirme bırak
+ * @access  Private/Moderator
+ */
+router.put(
+  '/:pageId/rename',
+  isAuthenticated,
+  checkPermission('moderation:wiki', 'subredditId'),
+  wikiController.renameWikiPage,
+);
+
+/**
+ * @route   PUT /api/subreddits/:subredditId/wiki/:pageId/lock
+ * @desc    Wiki sayfasını kilitle/kilidini aç (sadece moderatörler)
+ * @access  Private/Moderator
+ */
+router.put(
+  '/:pageId/lock',
+  isAuthenticated,
+  checkPermission('moderation:wiki', 'subredditId'),
+  wikiController.lockWikiPage,
+);
+
+/**
+ * @route   POST /api/subreddits/:subredditId/wiki/:pageId/discussion
+ * @desc    Wiki tartışma sayfası oluştur/güncelle
+ * @access  Private/Moderator
+ */
+router.post(
+  '/:pageId/discussion',
+  isAuthenticated,
+  checkPermission('moderation:wiki', 'subredditId'),
+  wikiController.createWikiDiscussion,
+);
+
+module.exports = router;
@@ -0,0 +1,819 @@
+const crypto = require('crypto');
+const vm = require('vm');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Flair = require('../models/Flair');
+const Report = require('../models/Report');
+const ModLog = require('../models/ModLog');
+const SubredditSettings = require('../models/SubredditSettings');
+const { isModeratorOf } = require('./roleHelpers');
+
+/**
+ * Automod kural dili (YAML benzeri)
+ *
+ * Kurallar "---" satırları ile ayrılır. Her kural eşleşme koşulları ve eylemlerden oluşur:
+ *
+ *   type: submission              # submission | comment | any (varsayılan: any)
+ *   title (includes): [spam, "hemen al"]
+ *   ~body (regex): "ücretsiz\s+para"
+ *   domain: [bit.ly, tinyurl.com]
+ *   flair: Tartışma
+ *   author:
+ *     karma: < 10
+ *     account_age: < 3 days
+ *   action: filter                # remove | filter | report | lock
+ *   action_reason: Yeni hesap, bağlantı paylaşımı
+ *   set_flair: İnceleniyor
+ *   reply: Gönderiniz moderatör onayına alındı.
+ *
+ * Anahtarın başındaki "~" koşulu tersine çevirir. Metin alanları "+" ile birleştirilebilir
+ * (örn. title+body). Tüm koşullar sağlandığında eylemler uygulanır.
+ */
+
+const AUTOMOD_USERNAME = 'AutoModerator';
+// Sistem hesaplarının adları kayıt ve kullanıcı adı değişikliğinde alınamaz
+const RESERVED_USERNAMES = [AUTOMOD_USERNAME];
+const MAX_CONFIG_SIZE = 50 * 1024;
+
+// Moderatör regex'leri her gönderi ve yorumda çalışır; felaket geri izlemeye (ReDoS) karşı
+// kayıtta uzunluk ve iç içe niceleyici kontrolü, çalışırken süre sınırı uygulanır
+const MAX_REGEX_LENGTH = 250;
+const REGEX_TIMEOUT_MS = 50;
+const NESTED_QUANTIFIER_PATTERN = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)[+*{]/;
+const BACKREFERENCE_PATTERN = /\\[1-9]|\\k</;
+const regexScript = new vm.Script('pattern.test(text)');
+const regexContext = vm.createContext({});
+
+const RULE_TYPES = ['submission', 'comment', 'any'];
+const TEXT_FIELDS = ['title', 'body', 'flair'];
+const MATCH_MODIFIERS = [
+  'includes',
+  'includes-word',
+  'starts-with',
+  'ends-with',
+  'full-exact',
+  'regex',
+];
+const ACTIONS = ['remove', 'filter', 'report', 'lock'];
+const AUTHOR_FIELDS = ['karma', 'post_karma', 'comment_karma', 'account_age'];
+const RULE_OPTIONS = ['type', 'action', 'action_reason', 'set_flair', 'reply', 'moderators_exempt'];
+
+const TIME_UNITS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+};
+
+// Ayrıştırılmış kuralların subreddit bazında önbelleği
+const ruleCache = new Map();
+let automodUserId = null;
+
+/**
+ * Satırdaki yorum kısmını (# ...) tırnak içinde değilse kaldır
+ * @param {String} line - Satır
+ * @returns {String} Yorumsuz satır
+ */
+const stripComment = (line) => {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+
+  return line;
+};
+
+/**
+ * Tek bir skaler değeri ayrıştır (tırnaklı veya düz metin)
+ * @param {String} raw - Ham değer
+ * @returns {String} Değer
+ * @throws {Error} Tırnak kapatılmamışsa
+ */
+const parseScalar = (raw) => {
+  const value = raw.trim();
+  const quote = value[0];
+
+  if (quote === '"' || quote === "'") {
+    if (value.length < 2 || value[value.length - 1] !== quote) {
+      throw new Error('Kapatılmamış tırnak işareti');
+    }
+    const inner = value.slice(1, -1);
+    return quote === '"' ? inner.replace(/\\(["\\])/g, '$1') : inner;
+  }
+
+  return value;
+};
+
+/**
+ * Değeri liste veya tek değer olarak ayrıştır ([a, "b, c"] veya a)
+ * @param {String} raw - Ham değer
+ * @returns {Array<String>} Değer listesi
+ * @throws {Error} Liste biçimi hatalıysa
+ */
+const parseValueList = (raw) => {
+  const value = raw.trim();
+
+  if (!value.startsWith('[')) {
+    return [parseScalar(value)];
+  }
+
+  if (!value.endsWith(']')) {
+    throw new Error('Liste "]" ile kapatılmalı');
+  }
+
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of value.slice(1, -1)) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (quote) {
+    throw new Error('Kapatılmamış tırnak işareti');
+  }
+
+  if (current.trim()) items.push(current);
+
+  const parsed = items.map(parseScalar).filter((item) => item !== '');
+  if (parsed.length === 0) {
+    throw new Error('Liste boş olamaz');
+  }
+
+  return parsed;
+};
+
+/**
+ * Yazar eşik değerini ayrıştır (örn. "< 10", ">= 3 days")
+ * @param {String} field - Yazar alanı
+ * @param {String} raw - Ham değer
+ * @returns {Object} { operator, value }
+ * @throws {Error} Biçim hatalıysa
+ */
+const parseThreshold = (field, raw) => {
+  const match = parseScalar(raw).match(/^(<=|>=|<|>|=)?\s*(-?\d+)\s*([a-z]*)$/i);
+
+  if (!match) {
+    throw new Error(`"${field}" için geçersiz eşik değeri, örnek: "< 10"`);
+  }
+
+  const [, operator = '>', amount, unitRaw] = match;
+  let value = parseInt(amount, 10);
+
+  if (field === 'account_age') {
+    const unit = (unitRaw || 'day').toLowerCase().replace(/s$/, '');
+    if (!TIME_UNITS[unit]) {
+      throw new Error(
+        `Geçersiz zaman birimi: "${unitRaw}" (minutes, hours, days, weeks, months, years)`,
+      );
+    }
+    value *= TIME_UNITS[unit];
+  } else if (unitRaw) {
+    throw new Error(`"${field}" birimsiz bir sayı olmalı`);
+  }
+
+  return { operator, value };
+};
+
+/**
+ * Metin eşleşme koşulunu oluştur ve doğrula
+ * @param {String} key - Anahtar (örn. "~title+body")
+ * @param {String} modifier - Eşleşme tipi
+ * @param {String} raw - Ham değer
+ * @returns {Object} Koşul
+ * @throws {Error} Geçersiz alan, tip veya regex
+ */
+const buildCheck = (key, modifier, raw) => {
+  const negate = key.startsWith('~');
+  const fields = key.replace(/^~/, '').split('+');
+  const isDomain = fields.includes('domain');
+
+  if (isDomain && fields.length > 1) {
+    throw new Error('"domain" başka alanlarla birleştirilemez');
+  }
+
+  fields.forEach((field) => {
+    if (field !== 'domain' && !TEXT_FIELDS.includes(field)) {
+      throw new Error(`Bilinmeyen anahtar: "${field}"`);
+    }
+  });
+
+  const matchType = modifier ? modifier.trim().toLowerCase() : 'includes';
+
+  if (isDomain && modifier) {
+    throw new Error('"domain" eşleşme tipi almaz');
+  }
+
+  if (!MATCH_MODIFIERS.includes(matchType)) {
+    throw new Error(`Geçersiz eşleşme tipi: "${matchType}" (${MATCH_MODIFIERS.join(', ')})`);
+  }
+
+  const values = parseValueList(raw);
+
+  if (matchType === 'regex') {
+    values.forEach(validateRegexPattern);
+  }
+
+  return {
+    fields,
+    matchType: isDomain ? 'domain' : matchType,
+    values: isDomain ? values.map((domain) => domain.toLowerCase()) : values,
+    negate,
+  };
+};
+
+/**
+ * Tamamlanan kuralın tutarlılığını kontrol et
+ * @param {Object} rule - Kural
+ * @param {Array} errors - Hata listesi
+ */
+const finalizeRule = (rule, errors) => {
+  const errorCount = errors.length;
+  const hasCondition = rule.checks.length > 0 || rule.author.length > 0;
+  const hasAction = rule.action || rule.setFlair || rule.reply;
+
+  if (!hasCondition) {
+    errors.push({ line: rule.line, message: 'Kural en az bir eşleşme koşulu içermeli' });
+  }
+
+  if (!hasAction) {
+    errors.push({
+      line: rule.line,
+      message: 'Kural en az bir eylem içermeli (action, set_flair veya reply)',
+    });
+  }
+
+  if (rule.type === 'comment') {
+    if (rule.checks.some((check) => check.fields.includes('title'))) {
+      errors.push({ line: rule.line, message: 'Yorum kurallarında "title" kullanılamaz' });
+    }
+    if (rule.setFlair) {
+      errors.push({ line: rule.line, message: 'Yorum kurallarında "set_flair" kullanılamaz' });
+    }
+  }
+
+  if (errors.length > errorCount) {
+    rule.hasErrors = true;
+  }
+};
+
+/**
+ * Automod konfigürasyonunu ayrıştır ve doğrula
+ * @param {String} config - Automod konfigürasyonu
+ * @returns {Object} { rules, errors } - errors: [{ line, message }]
+ */
+const parseAutomodConfig = (config) => {
+  const rules = [];
+  const errors = [];
+
+  if (!config || !config.trim()) {
+    return { rules, errors };
+  }
+
+  if (config.length > MAX_CONFIG_SIZE) {
+    errors.push({ line: 0, message: 'Automod konfigürasyonu 50KB sınırını aşıyor' });
+    return { rules, errors };
+  }
+
+  let rule = null;
+  let inAuthorBlock = false;
+
+  const closeRule = () => {
+    if (rule) {
+      finalizeRule(rule, errors);
+      rules.push(rule);
+    }
+    rule = null;
+    inAuthorBlock = false;
+  };
+
+  config.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = stripComment(rawLine).replace(/\s+$/, '');
+
+    if (!line.trim()) return;
+
+    if (line.trim() === '---') {
+      closeRule();
+      return;
+    }
+
+    if (!rule) {
+      rule = { line: lineNumber, type: 'any', checks: [], author: [], moderatorsExempt: true };
+    }
+
+    const indented = /^\s/.test(line);
+    const match = line.trim().match(/^(~?[a-z_]+(?:\+[a-z_]+)*)\s*(?:\(([^)]*)\))?\s*:\s*(.*)$/i);
+
+    if (!match) {
+      errors.push({ line: lineNumber, message: 'Satır "anahtar: değer" biçiminde olmalı' });
+      rule.hasErrors = true;
+      return;
+    }
+
+    const [, rawKey, modifier, value] = match;
+    const key = rawKey.toLowerCase();
+
+    try {
+      if (indented) {
+        if (!inAuthorBlock) {
+          throw new Error('Beklenmeyen girinti');
+        }
+        if (!AUTHOR_FIELDS.includes(key)) {
+          throw new Error(`Bilinmeyen yazar alanı: "${key}" (${AUTHOR_FIELDS.join(', ')})`);
+        }
+        rule.author.push({ field: key, ...parseThreshold(key, value) });
+        return;
+      }
+
+      inAuthorBlock = false;
+
+      if (!value.trim()) {
+        if (key !== 'author') {
+          throw new Error(`"${key}" için değer gerekli`);
+        }
+        inAuthorBlock = true;
+        return;
+      }
+
+      if (!RULE_OPTIONS.includes(key)) {
+        rule.checks.push(buildCheck(key, modifier, value));
+        return;
+      }
+
+      if (modifier) {
+        throw new Error(`"${key}" eşleşme tipi almaz`);
+      }
+
+      const scalar = parseScalar(value);
+
+      switch (key) {
+        case 'type':
+          if (!RULE_TYPES.includes(scalar)) {
+            throw new Error(`Geçersiz kural tipi: "${scalar}" (${RULE_TYPES.join(', ')})`);
+          }
+          rule.type = scalar;
+          break;
+        case 'action':
+          if (!ACTIONS.includes(scalar)) {
+            throw new Error(`Geçersiz eylem: "${scalar}" (${ACTIONS.join(', ')})`);
+          }
+          rule.action = scalar;
+          break;
+        case 'action_reason':
+          rule.actionReason = scalar.slice(0, 500);
+          break;
+        case 'set_flair':
+          rule.setFlair = scalar;
+          break;
+        case 'reply':
+          rule.reply = scalar;
+          break;
+        case 'moderators_exempt':
+          if (!['true', 'false'].includes(scalar)) {
+            throw new Error('"moderators_exempt" true veya false olmalı');
+          }
+          rule.moderatorsExempt = scalar === 'true';
+          break;
+      }
+    } catch (error) {
+      errors.push({ line: lineNumber, message: error.message });
+      rule.hasErrors = true;
+    }
+  });
+
+  closeRule();
+  errors.sort((a, b) => a.line - b.line);
+
+  return { rules, errors };
+};
+
+/**
+ * Regex kalıbının derlenebildiğini ve felaket geri izlemeye açık olmadığını doğrula
+ * @param {String} pattern - Regex kalıbı
+ */
+const validateRegexPattern = (pattern) => {
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    throw new Error(
+      `Regex en fazla ${MAX_REGEX_LENGTH} karakter olabilir: ${pattern.slice(0, 40)}...`,
+    );
+  }
+
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Geçersiz regex: ${pattern}`);
+  }
+
+  if (NESTED_QUANTIFIER_PATTERN.test(pattern)) {
+    throw new Error(`İç içe niceleyici içeren regex kullanılamaz (ör. (a+)+): ${pattern}`);
+  }
+
+  if (BACKREFERENCE_PATTERN.test(pattern)) {
+    throw new Error(`Geri başvuru içeren regex kullanılamaz: ${pattern}`);
+  }
+};
+
+/**
+ * Regex'i süre sınırıyla çalıştır; süre aşılırsa eşleşmemiş sayılır
+ * @param {String} pattern - Regex kalıbı
+ * @param {String} text - İçerik
+ * @returns {Boolean} Eşleşiyor mu
+ */
+const testRegexSafely = (pattern, text) => {
+  try {
+    regexContext.pattern = new RegExp(pattern, 'i');
+    regexContext.text = text;
+    return regexScript.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS }) === true;
+  } catch (error) {
+    console.error(`Automod regex değerlendirilemedi (${pattern}):`, error.message);
+    return false;
+  } finally {
+    regexContext.pattern = null;
+    regexContext.text = null;
+  }
+};
+
+/**
+ * Metin değerini eşleşme tipine göre karşılaştır
+ * @param {String} text - İçerik
+ * @param {Object} check - Koşul
+ * @returns {Boolean} Eşleşiyor mu
+ */
+const matchesText = (text, check) => {
+  const haystack = (text || '').toLowerCase();
+
+  return check.values.some((value) => {
+    const needle = value.toLowerCase();
+
+    switch (check.matchType) {
+      case 'includes-word':
+        return new RegExp(
+          `(^|[^\\p{L}\\p{N}_])${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\p{L}\\p{N}_])`,
+          'u',
+        ).test(haystack);
+      case 'starts-with':
+        return haystack.startsWith(needle);
+      case 'ends-with':
+        return haystack.endsWith(needle);
+      case 'full-exact':
+        return haystack === needle;
+      case 'regex':
+        return testRegexSafely(value, text || '');
+      case 'includes':
+      default:
+        return haystack.includes(needle);
+    }
+  });
+};
+
+/**
+ * İçerikteki bağlantıların alan adlarını çıkar
+ * @param {Object} context - Değerlendirme bağlamı
+ * @returns {Array<String>} Alan adları
+ */
+const extractDomains = (context) => {
+  const sources = [context.url, context.body].filter(Boolean).join(' ');
+  const urls = sources.match(/https?:\/\/[^\s)\]]+/gi) || [];
+
+  return urls
+    .map((url) => {
+      try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Yazar eşiğini karşılaştır
+ * @param {Number} actual - Gerçek değer
+ * @param {Object} threshold - { operator, value }
+ * @returns {Boolean} Sağlanıyor mu
+ */
+const compareThreshold = (actual, { operator, value }) => {
+  switch (operator) {
+    case '<':
+      return actual < value;
+    case '<=':
+      return actual <= value;
+    case '>=':
+      return actual >= value;
+    case '=':
+      return actual === value;
+    case '>':
+    default:
+      return actual > value;
+  }
+};
+
+/**
+ * Kuralın içerikle eşleşip eşleşmediğini kontrol et
+ * @param {Object} rule - Kural
+ * @param {Object} context - Değerlendirme bağlamı
+ * @returns {Boolean} Eşleşiyor mu
+ */
+const ruleMatches = (rule, context) => {
+  if (rule.type !== 'any' && rule.type !== context.kind) {
+    return false;
+  }
+
+  const checksPass = rule.checks.every((check) => {
+    let matched;
+
+    if (check.matchType === 'domain') {
+      const domains = extractDomains(context);
+      matched = domains.some((domain) =>
+        check.values.some((value) => domain === value || domain.endsWith(`.${value}`)),
+      );
+    } else {
+      matched = check.fields.some(
+        (field) => context[field] !== undefined && matchesText(context[field], check),
+      );
+    }
+
+    return check.negate ? !matched : matched;
+  });
+
+  if (!checksPass) return false;
+
+  const { author } = context;
+  const karma = author.karma || {};
+  const authorValues = {
+    karma: (karma.post || 0) + (karma.comment || 0),
+    post_karma: karma.post || 0,
+    comment_karma: karma.comment || 0,
+    account_age: Date.now() - new Date(author.createdAt).getTime(),
+  };
+
+  return rule.author.every((threshold) =>
+    compareThreshold(authorValues[threshold.field], threshold),
+  );
+};
+
+/**
+ * Subreddit'in etkin automod kurallarını getir (konfigürasyon değişmedikçe önbellekten)
+ * @param {String|ObjectId} subredditId - Subreddit ID
+ * @returns {Promise<Array>} Kurallar
+ */
+const getSubredditRules = async (subredditId) => {
+  const settings = await SubredditSettings.findOne({ subreddit: subredditId }).select('automod');
+
+  if (!settings || !settings.automod || !settings.automod.enabled || !settings.automod.config) {
+    return [];
+  }
+
+  const key = subredditId.toString();
+  const cached = ruleCache.get(key);
+
+  if (cached && cached.config === settings.automod.config) {
+    return cached.rules;
+  }
+
+  // Kaydedilirken doğrulanır; yine de hatalı kurallar varsa yalnızca geçerli olanlar çalışır
+  const { rules } = parseAutomodConfig(settings.automod.config);
+  const validRules = rules.filter((rule) => !rule.hasErrors);
+
+  ruleCache.set(key, { config: settings.automod.config, rules: validRules });
+  return validRules;
+};
+
+/**
+ * Kullanıcı adı bir sistem hesabına ayrılmış mı (büyük/küçük harf duyarsız)
+ * @param {string} username - Kullanıcı adı
+ * @returns {boolean}
+ */
+const isReservedUsername = (username) => {
+  if (typeof username !== 'string') return false;
+  const normalized = username.trim().toLowerCase();
+  return RESERVED_USERNAMES.some((name) => name.toLowerCase() === normalized);
+};
+
+/**
+ * Automod sistem kullanıcısını getir, yoksa oluştur
+ * Hesap isSystemAccount bayrağıyla bulunur; aynı adla kaydolmuş bir kullanıcı automod
+ * kimliğini devralamaz
+ * @returns {Promise<ObjectId>} Automod kullanıcı ID
+ */
+const getAutomodUserId = async () => {
+  if (automodUserId) return automodUserId;
+
+  let user = await User.findOne({ isSystemAccount: true, username: AUTOMOD_USERNAME });
+
+  if (!user) {
+    user = await User.create({
+      username: AUTOMOD_USERNAME,
+      email: process.env.AUTOMOD_EMAIL || 'automoderator@reddit-clone.local',
+      password: crypto.randomBytes(32).toString('hex'), // Giriş yapılamayan sistem hesabı
+      accountStatus: 'active',
+      emailVerified: true,
+      isSystemAccount: true,
+    });
+  }
+
+  automodUserId = user._id;
+  return automodUserId;
+};
+
+/**
+ * Eşleşen kuralın eylemlerini uygula ve ModLog'a kaydet
+ * @param {Object} rule - Kural
+ * @param {Object} item - Gönderi veya yorum dokümanı
+ * @param {Object} context - Değerlendirme bağlamı
+ * @param {Object} result - Toplu sonuç (güncellenir)
+ */
+const applyRule = async (rule, item, context, result) => {
+  const moderator = await getAutomodUserId();
+  const isPost = context.kind === 'submission';
+  const prefix = isPost ? 'post' : 'comment';
+  const reason = rule.actionReason || `Automod kuralı (satır ${rule.line})`;
+  const target = isPost
+    ? { targetType: 'post', targetPost: item._id }
+    : { targetType: 'comment', targetComment: item._id };
+
+  // save() düzenleme zamanını (editedAt) güncelleyeceği için doğrudan güncellenir
+  const update = async (fields) => {
+    await (isPost ? Post : Comment).updateOne({ _id: item._id }, { $set: fields });
+    Object.assign(item, fields);
+  };
+
+  const log = (action, details, extraTarget = target) =>
+    ModLog.create({
+      subreddit: context.subredditId,
+      moderator,
+      action,
+      ...extraTarget,
+      details,
+      reason,
+    });
+
+  switch (rule.action) {
+    case 'remove':
+      await update({ isDeleted: true, deletedAt: Date.now(), deletedBy: moderator });
+      await log(`${prefix}_remove`, 'Automod tarafından kaldırıldı');
+      result.removed = true;
+      break;
+    case 'filter':
+      await update({
+        isFiltered: true,
+        filteredAt: Date.now(),
+        filterReason: reason,
+        filterSource: 'automod',
+      });
+      await log(`${prefix}_filter`, 'Automod tarafından moderatör onayına alındı');
+      result.filtered = true;
+      break;
+    case 'report':
+      await Report.create({
+        reporter: moderator,
+        contentType: isPost ? 'post' : 'comment',
+        [isPost ? 'post' : 'comment']: item._id,
+        subreddit: context.subredditId,
+        reason,
+      });
+      await log(`${prefix}_report`, 'Automod tarafından raporlandı');
+      result.reported = true;
+      break;
+    case 'lock':
+      await update({ isLocked: true });
+      await log(`${prefix}_lock`, 'Automod tarafından kilitlendi');
+      break;
+  }
+
+  if (rule.setFlair && isPost) {
+    const flair = await Flair.findOne({
+      subreddit: context.subredditId,
+      type: 'post',
+      text: rule.setFlair,
+    });
+
+    if (flair) {
+      await update({ flair: flair._id });
+      await log('assign_flair', `Automod flair atadı: ${flair.text}`);
+    } else {
+      console.warn(`Automod: "${rule.setFlair}" flair'ı subreddit'te bulunamadı`);
+    }
+  }
+
+  if (rule.reply) {
+    const reply = await Comment.create({
+      content: rule.reply,
+      author: moderator,
+      post: isPost ? item._id : item.post,
+      parent: isPost ? null : item._id,
+      depth: isPost ? 0 : Math.min(item.depth + 1, 10),
+    });
+
+    if (!isPost) {
+      await Comment.findByIdAndUpdate(item._id, { $inc: { replyCount: 1 } });
+    }
+    await Post.findByIdAndUpdate(reply.post, { $inc: { commentCount: 1 } });
+
+    await log('comment_reply', 'Automod yanıt bıraktı', {
+      targetType: 'comment',
+      targetComment: reply._id,
+    });
+  }
+};
+
+/**
+ * Yeni gönderi veya yorum için automod kurallarını çalıştır.
+ * Hatalar içerik oluşturmayı engellememesi için loglanır ve yutulur.
+ * @param {Object} item - Gönderi veya yorum dokümanı
+ * @param {Object} options - { kind: 'submission'|'comment', post: yorumun gönderisi }
+ * @returns {Promise<Object>} { matchedRules, removed, filtered, reported }
+ */
+const runAutomod = async (item, { kind, post = null }) => {
+  const result = {
+    matchedRules: [],
+    removed: !!item.isDeleted,
+    filtered: !!item.isFiltered,
+    reported: false,
+  };
+
+  // İçerik filtreleri tarafından zaten kaldırılan içerik değerlendirilmez
+  if (result.removed) return result;
+
+  try {
+    const parentPost = kind === 'submission' ? item : post;
+    const subredditId = parentPost.subreddit._id || parentPost.subreddit;
+    const rules = await getSubredditRules(subredditId);
+
+    if (rules.length === 0) return result;
+
+    const [author, flair] = await Promise.all([
+      User.findById(item.author).select('karma createdAt'),
+      parentPost.flair ? Flair.findById(parentPost.flair).select('text') : null,
+    ]);
+
+    if (!author) return result;
+
+    const automodId = await getAutomodUserId();
+    if (author._id.equals(automodId)) return result;
+
+    const context = {
+      kind,
+      subredditId,
+      author,
+      title: kind === 'submission' ? item.title : undefined,
+      body: item.content || '',
+      url: kind === 'submission' ? item.url || item.mediaUrl : undefined,
+      flair: flair ? flair.text : '',
+    };
+
+    let isModerator = null;
+
+    for (const rule of rules) {
+      if (result.removed) break;
+      if (!ruleMatches(rule, context)) continue;
+
+      if (rule.moderatorsExempt) {
+        if (isModerator === null) {
+          isModerator = await isModeratorOf(author._id, subredditId);
+        }
+        if (isModerator) continue;
+      }
+
+      await applyRule(rule, item, context, result);
+      result.matchedRules.push(rule.line);
+    }
+  } catch (error) {
+    console.error('Automod çalıştırılamadı:', error.message);
+  }
+
+  return result;
+};
+
+module.exports = {
+  AUTOMOD_USERNAME,
+  isReservedUsername,
+  parseAutomodConfig,
+  runAutomod,
+  getAutomodUserId,
+};
@@ -0,0 +1,60 @@
+const cloudinary = require('cloudinary').v2;
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+  secure: true,
+});
+
+/**
+ * Dosyayı Cloudinary'ye yükle
+ * @param {String} filePath - Yerel dosya yolu
+ * @param {Object} options - { folder, width, height, crop }
+ * @returns {Promise<Object>} Cloudinary yanıtı (secure_url, public_id vb.)
+ */
+const uploadToCloudinary = async (filePath, { folder, width, height, crop } = {}) => {
+  const transformation = width || height ? [{ width, height, crop: crop || 'fill' }] : undefined;
+
+  return cloudinary.uploader.upload(filePath, {
+    folder,
+    transformation,
+    resource_type: 'image',
+  });
+};
+
+/**
+ * Cloudinary URL'sinden public_id çıkar
+ * (.../upload/v123/subreddit_icons/abc.png -> subreddit_icons/abc)
+ * @param {String} url - Dosya URL'si
+ * @returns {String|null} public_id
+ */
+const getPublicIdFromUrl = (url) => {
+  const match =
+    /\/upload\/(?:.*\/)?v\d+\/(.+)\.[a-z0-9]+$/i.exec(url || '') ||
+    /\/upload\/(.+)\.[a-z0-9]+$/i.exec(url || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Cloudinary'deki dosyayı sil; silinemeyen eski dosyalar işlemi engellemez
+ * @param {String} url - Dosya URL'si
+ * @returns {Promise<Boolean>} Silindi mi
+ */
+const removeFromCloudinary = async (url) => {
+  const publicId = getPublicIdFromUrl(url);
+  if (!publicId) return false;
+
+  try {
+    const result = await cloudinary.uploader.destroy(publicId);
+    return result.result === 'ok';
+  } catch (error) {
+    console.error('Cloudinary dosyası silinemedi:', error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  uploadToCloudinary,
+  removeFromCloudinary,
+};
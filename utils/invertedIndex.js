@@ -0,0 +1,424 @@
+/**
+ * Bellek içi ters indeks (inverted index).
+ *
+ * Metin alanları küçük harfe çevrilir, aksanlardan arındırılır, durak kelimeler atılır ve
+ * hafif bir kök bulma (İngilizce ve Türkçe çoğul/hal ekleri) uygulanır. Sonuçlar alan
+ * ağırlıklı BM25 ile puanlanır. Sorgunun son terimi önek olarak da eşleşir; indekste hiç
+ * geçmeyen terimler için düzenleme mesafesi 1-2 olan terimler (yazım hatası toleransı) denenir.
+ */
+
+const STOPWORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'for',
+  'from',
+  'in',
+  'is',
+  'it',
+  'of',
+  'on',
+  'or',
+  'that',
+  'the',
+  'to',
+  'was',
+  'with',
+  've',
+  'ile',
+  'bir',
+  'bu',
+  'da',
+  'de',
+  'ki',
+  'mi',
+  'mu',
+  'için',
+  'icin',
+  'gibi',
+  'ya',
+]);
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const MAX_TOKEN_LENGTH = 40;
+// Önek eşleşmesinde bir terim için denenecek en fazla indeks terimi
+const MAX_PREFIX_EXPANSIONS = 50;
+const PREFIX_WEIGHT = 0.8;
+const FUZZY_WEIGHTS = [1, 0.7, 0.5];
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Metni karşılaştırma için sadeleştir (küçük harf, aksansız)
+ * @param {String} text - Metin
+ * @returns {String}
+ */
+const foldText = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/ı/g, 'i');
+
+// running -> runn -> run
+const undouble = (token) => (/([^aeiouslz])\1$/.test(token) ? token.slice(0, -1) : token);
+
+/**
+ * Hafif kök bulma
+ * @param {String} token - Sadeleştirilmiş kelime
+ * @returns {String} Kök
+ */
+const stem = (token) => {
+  if (token.length <= 3 || /^\d+$/.test(token)) return token;
+
+  // Türkçe çoğul ve yaygın hal ekleri
+  const turkish = token.match(/^(.{3,}?)(lari|leri|lar|ler|nin|dan|den|tan|ten)$/);
+  if (turkish) return turkish[1];
+
+  // İngilizce çekim ekleri
+  if (token.endsWith('ies') && token.length > 4) return `${token.slice(0, -3)}y`;
+  if (token.endsWith('sses')) return token.slice(0, -2);
+  if (token.endsWith('ing') && token.length > 5) return undouble(token.slice(0, -3));
+  if (token.endsWith('edly') && token.length > 6) return undouble(token.slice(0, -4));
+  if (token.endsWith('ed') && token.length > 4) return undouble(token.slice(0, -2));
+  if (token.endsWith('ly') && token.length > 5) return token.slice(0, -2);
+  if (token.endsWith('s') && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+
+  return token;
+};
+
+/**
+ * Metni indeks terimlerine ayır
+ * @param {String} text - Metin
+ * @returns {Array<String>} Terimler (sıralı, tekrarlı)
+ */
+const analyze = (text) =>
+  (foldText(text).match(TOKEN_PATTERN) || [])
+    .filter((token) => token.length <= MAX_TOKEN_LENGTH && !STOPWORDS.has(token))
+    .map(stem);
+
+/**
+ * İki terim arasındaki düzenleme mesafesi (yer değiştirme tek düzenleme sayılır),
+ * sınırı aşarsa Infinity
+ * @param {String} a - Terim
+ * @param {String} b - Terim
+ * @param {Number} max - En fazla mesafe
+ * @returns {Number}
+ */
+const boundedLevenshtein = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return Infinity;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+};
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Alan ağırlıklı BM25 ile puanlanan bellek içi ters indeks
+ */
+class InvertedIndex {
+  /**
+   * @param {Object} options - { fields: { alan: { weight, store } }, k1, b }
+   *   store: snippet üretimi için saklanacak en fazla karakter (0 = saklama)
+   */
+  constructor({ fields, k1 = 1.2, b = 0.75 }) {
+    this.fields = fields;
+    this.k1 = k1;
+    this.b = b;
+    this.clear();
+  }
+
+  /**
+   * İndeksi boşalt
+   */
+  clear() {
+    // term -> Map(docId -> { alan: terim frekansı })
+    this.postings = new Map();
+    // docId -> { lengths, terms, stored }
+    this.documents = new Map();
+    this.fieldTotals = Object.fromEntries(Object.keys(this.fields).map((field) => [field, 0]));
+    // Önek ve bulanık arama için terim kovaları
+    this.prefixBuckets = new Map();
+    this.lengthBuckets = new Map();
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  get termCount() {
+    return this.postings.size;
+  }
+
+  /**
+   * Dokümanı ekle veya güncelle
+   * @param {String} id - Doküman ID
+   * @param {Object} values - { alan: metin }
+   */
+  add(id, values) {
+    this.remove(id);
+
+    const lengths = {};
+    const stored = {};
+    const terms = new Set();
+
+    Object.entries(this.fields).forEach(([field, { store = 0 }]) => {
+      const text = String(values[field] || '');
+      const tokens = analyze(text);
+      lengths[field] = tokens.length;
+      this.fieldTotals[field] += tokens.length;
+      if (store > 0) stored[field] = text.slice(0, store);
+
+      tokens.forEach((term) => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+          this.addToBuckets(term);
+        }
+        const docs = this.postings.get(term);
+        if (!docs.has(id)) docs.set(id, {});
+        const frequencies = docs.get(id);
+        frequencies[field] = (frequencies[field] || 0) + 1;
+        terms.add(term);
+      });
+    });
+
+    this.documents.set(id, { lengths, terms, stored });
+  }
+
+  /**
+   * Dokümanı indeksten çıkar
+   * @param {String} id - Doküman ID
+   */
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    document.terms.forEach((term) => {
+      const docs = this.postings.get(term);
+      docs.delete(id);
+      if (docs.size === 0) {
+        this.postings.delete(term);
+        this.removeFromBuckets(term);
+      }
+    });
+
+    Object.entries(document.lengths).forEach(([field, length]) => {
+      this.fieldTotals[field] -= length;
+    });
+
+    this.documents.delete(id);
+  }
+
+  addToBuckets(term) {
+    const prefix = term.slice(0, 2);
+    if (!this.prefixBuckets.has(prefix)) this.prefixBuckets.set(prefix, new Set());
+    this.prefixBuckets.get(prefix).add(term);
+
+    if (!this.lengthBuckets.has(term.length)) this.lengthBuckets.set(term.length, new Set());
+    this.lengthBuckets.get(term.length).add(term);
+  }
+
+  removeFromBuckets(term) {
+    this.prefixBuckets.get(term.slice(0, 2))?.delete(term);
+    this.lengthBuckets.get(term.length)?.delete(term);
+  }
+
+  /**
+   * Sorgu terimini indeks terimlerine genişlet (tam, önek ve bulanık eşleşmeler)
+   * @param {String} term - Sorgu terimi (kök)
+   * @param {String} raw - Kök bulunmamış hali (önek eşleşmesi için)
+   * @param {Boolean} isPrefix - Önek olarak da eşleşsin mi
+   * @returns {Array<Object>} [{ term, weight }]
+   */
+  expandTerm(term, raw, isPrefix) {
+    const expansions = new Map();
+    if (this.postings.has(term)) expansions.set(term, 1);
+
+    if (isPrefix && raw.length >= 2) {
+      let added = 0;
+      for (const candidate of this.prefixBuckets.get(raw.slice(0, 2)) || []) {
+        if (added >= MAX_PREFIX_EXPANSIONS) break;
+        if (candidate !== term && candidate.startsWith(raw) && !expansions.has(candidate)) {
+          expansions.set(candidate, PREFIX_WEIGHT);
+          added++;
+        }
+      }
+    }
+
+    // Yazım hatası toleransı: terim indekste yoksa yakın terimleri dene
+    if (expansions.size === 0 && term.length >= 4) {
+      const maxEdits = term.length >= 8 ? 2 : 1;
+      for (let length = term.length - maxEdits; length <= term.length + maxEdits; length++) {
+        for (const candidate of this.lengthBuckets.get(length) || []) {
+          const distance = boundedLevenshtein(term, candidate, maxEdits);
+          if (distance !== Infinity) {
+            expansions.set(
+              candidate,
+              Math.max(expansions.get(candidate) || 0, FUZZY_WEIGHTS[distance]),
+            );
+          }
+        }
+      }
+    }
+
+    return [...expansions].map(([candidate, weight]) => ({ term: candidate, weight }));
+  }
+
+  /**
+   * İndekste ara
+   * @param {String} query - Sorgu metni
+   * @param {Object} options - { limit }
+   * @returns {Array<Object>} [{ id, score, matchedTerms }] puana göre azalan
+   */
+  search(query, { limit = 100 } = {}) {
+    const rawTokens = (foldText(query).match(TOKEN_PATTERN) || []).filter(
+      (token) => token.length <= MAX_TOKEN_LENGTH && !STOPWORDS.has(token),
+    );
+    if (rawTokens.length === 0 || this.documents.size === 0) return [];
+
+    // Sorgu boşlukla bitmiyorsa son terim yazılmaya devam ediyor sayılır
+    const endsWithTerm = !/\s$/.test(query);
+    const queryTerms = [...new Set(rawTokens)].map((raw, index, all) => ({
+      raw,
+      term: stem(raw),
+      isPrefix: endsWithTerm && index === all.length - 1,
+    }));
+
+    const documentCount = this.documents.size;
+    const averageLengths = Object.fromEntries(
+      Object.keys(this.fields).map((field) => [
+        field,
+        this.fieldTotals[field] / documentCount || 1,
+      ]),
+    );
+
+    // docId -> { perTerm: en iyi puan (sorgu terimi başına), matchedTerms }
+    const results = new Map();
+
+    queryTerms.forEach(({ raw, term, isPrefix }, queryIndex) => {
+      this.expandTerm(term, raw, isPrefix).forEach(({ term: indexTerm, weight }) => {
+        const docs = this.postings.get(indexTerm);
+        const idf = Math.log(1 + (documentCount - docs.size + 0.5) / (docs.size + 0.5));
+
+        docs.forEach((frequencies, id) => {
+          const { lengths } = this.documents.get(id);
+          let score = 0;
+
+          Object.entries(frequencies).forEach(([field, tf]) => {
+            const norm = 1 - this.b + (this.b * lengths[field]) / averageLengths[field];
+            score +=
+              this.fields[field].weight * idf * ((tf * (this.k1 + 1)) / (tf + this.k1 * norm));
+          });
+          score *= weight;
+
+          if (!results.has(id)) {
+            results.set(id, {
+              perTerm: new Array(queryTerms.length).fill(0),
+              matchedTerms: new Set(),
+            });
+          }
+          const result = results.get(id);
+          if (score > result.perTerm[queryIndex]) result.perTerm[queryIndex] = score;
+          result.matchedTerms.add(indexTerm);
+        });
+      });
+    });
+
+    return [...results]
+      .map(([id, { perTerm, matchedTerms }]) => {
+        const matchedCount = perTerm.filter((score) => score > 0).length;
+        const total = perTerm.reduce((sum, score) => sum + score, 0);
+        // Daha fazla sorgu terimiyle eşleşen dokümanlar öne çıkar
+        return {
+          id,
+          score: Math.round(total * (matchedCount / queryTerms.length) * 1000) / 1000,
+          matchedTerms: [...matchedTerms],
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Saklanan alanlarda eşleşen kelimeleri <mark> ile işaretleyen kısa parçalar üret
+   * @param {String} id - Doküman ID
+   * @param {Array<String>} matchedTerms - search() sonucundaki indeks terimleri
+   * @returns {Object} { alan: HTML parça } (yalnızca eşleşme olan alanlar)
+   */
+  highlight(id, matchedTerms) {
+    const document = this.documents.get(id);
+    if (!document) return {};
+
+    const terms = new Set(matchedTerms);
+    const highlights = {};
+
+    Object.entries(document.stored).forEach(([field, text]) => {
+      const matches = [];
+      for (const match of text.matchAll(TOKEN_PATTERN)) {
+        if (terms.has(stem(foldText(match[0])))) {
+          matches.push({ start: match.index, end: match.index + match[0].length });
+        }
+      }
+      if (matches.length === 0) return;
+
+      // İlk eşleşmenin çevresinden bir pencere al
+      const windowStart = Math.max(0, matches[0].start - SNIPPET_LENGTH / 4);
+      const from = windowStart > 0 ? text.indexOf(' ', windowStart) + 1 || windowStart : 0;
+      const to = Math.min(text.length, from + SNIPPET_LENGTH);
+
+      let snippet = from > 0 ? '…' : '';
+      let cursor = from;
+      matches
+        .filter((match) => match.start >= from && match.end <= to)
+        .forEach((match) => {
+          snippet += `${escapeHtml(text.slice(cursor, match.start))}<mark>${escapeHtml(
+            text.slice(match.start, match.end),
+          )}</mark>`;
+          cursor = match.end;
+        });
+      snippet += escapeHtml(text.slice(cursor, to));
+      if (to < text.length) snippet += '…';
+
+      highlights[field] = snippet.replace(/\s+/g, ' ').trim();
+    });
+
+    return highlights;
+  }
+}
+
+module.exports = {
+  InvertedIndex,
+  analyze,
+  stem,
+};
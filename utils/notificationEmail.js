@@ -0,0 +1,458 @@
+const crypto = require('crypto');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const UserSettings = require('../models/UserSettings');
+const sendEmail = require('./sendEmail');
+
+/**
+ * Bildirim e-posta kanalı: UserSettings.emailNotifications tercihlerine göre
+ * bildirimleri anında veya günlük/haftalık özet olarak e-postayla iletir.
+ */
+
+// Bildirim tipi -> UserSettings.emailNotifications kategorisi
+const EMAIL_CATEGORIES = {
+  message: 'newMessages',
+  comment_reply: 'newCommentReplies',
+  post_reply: 'newPostReplies',
+  mention: 'mentions',
+  post_upvote: 'upvotesOnPosts',
+  comment_upvote: 'upvotesOnComments',
+  system: 'newsletterAndUpdates',
+};
+
+const EMAIL_FREQUENCIES = ['immediate', 'daily', 'weekly'];
+
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Özet e-postasında ayrı ayrı listelenecek en fazla bildirim sayısı (kalanlar "+N daha" olarak özetlenir)
+const DIGEST_MAX_ITEMS = 50;
+
+// Özet e-postasının List-Unsubscribe başlığındaki token tüm kategorilerden çıkarır
+const ALL_CATEGORIES = 'all';
+
+// Tip bazlı e-posta şablonları
+const TEMPLATES = {
+  message: {
+    subject: (n) => n.title,
+    heading: 'Yeni bir özel mesajınız var',
+    action: 'Mesajı görüntüle',
+  },
+  comment_reply: {
+    subject: () => 'Yorumunuza yanıt geldi',
+    heading: 'Yorumunuza yeni bir yanıt verildi',
+    action: 'Yanıtı görüntüle',
+  },
+  post_reply: {
+    subject: () => 'Gönderinize yeni bir yorum yapıldı',
+    heading: 'Gönderinize yeni bir yorum yapıldı',
+    action: 'Yorumu görüntüle',
+  },
+  mention: {
+    subject: () => 'Bir gönderide etiketlendiniz',
+    heading: 'Sizden bahsedildi',
+    action: 'Görüntüle',
+  },
+  post_upvote: {
+    subject: () => 'Gönderiniz beğenildi',
+    heading: 'Gönderiniz olumlu oy aldı',
+    action: 'Gönderiyi görüntüle',
+  },
+  comment_upvote: {
+    subject: () => 'Yorumunuz beğenildi',
+    heading: 'Yorumunuz olumlu oy aldı',
+    action: 'Yorumu görüntüle',
+  },
+  system: {
+    subject: (n) => n.title,
+    heading: 'Duyuru',
+    action: 'Siteye git',
+  },
+};
+
+const CATEGORY_LABELS = {
+  newMessages: 'Özel mesajlar',
+  newCommentReplies: 'Yorum yanıtları',
+  newPostReplies: 'Gönderi yorumları',
+  mentions: 'Bahsetmeler',
+  upvotesOnPosts: 'Gönderi oyları',
+  upvotesOnComments: 'Yorum oyları',
+  newsletterAndUpdates: 'Duyurular ve güncellemeler',
+};
+
+const getUnsubscribeSecret = () =>
+  process.env.EMAIL_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || 'unsubscribe-secret';
+
+const signUnsubscribePayload = (payload) =>
+  crypto.createHmac('sha256', getUnsubscribeSecret()).update(payload).digest('base64url');
+
+/**
+ * Kategori bazlı abonelikten çıkma token'ı oluştur
+ * @param {String|ObjectId} userId - Kullanıcı ID
+ * @param {String} category - emailNotifications kategorisi
+ * @returns {String} İmzalı token
+ */
+const createUnsubscribeToken = (userId, category) => {
+  const payload = `${userId}.${category}`;
+  return `${payload}.${signUnsubscribePayload(payload)}`;
+};
+
+/**
+ * Abonelikten çıkma token'ını doğrula
+ * @param {String} token - İmzalı token
+ * @returns {Object|null} { userId, category } veya geçersizse null
+ */
+const verifyUnsubscribeToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [userId, category, signature] = token.split('.');
+  if (!userId || !category || !signature) return null;
+  if (category !== ALL_CATEGORIES && !CATEGORY_LABELS[category]) return null;
+
+  const expected = Buffer.from(signUnsubscribePayload(`${userId}.${category}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return { userId, category };
+};
+
+/**
+ * Abonelikten çıkma token'ının UserSettings güncellemesi
+ * @param {String} category - emailNotifications kategorisi veya 'all'
+ * @returns {Object} $set alanları
+ */
+const getUnsubscribeUpdate = (category) => {
+  const categories = category === ALL_CATEGORIES ? Object.keys(CATEGORY_LABELS) : [category];
+  return Object.fromEntries(categories.map((key) => [`emailNotifications.${key}`, false]));
+};
+
+const getApiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5002}`;
+
+const getUnsubscribeUrl = (userId, category) =>
+  `${getApiUrl()}/api/notifications/email/unsubscribe?token=${encodeURIComponent(
+    createUnsubscribeToken(userId, category),
+  )}`;
+
+const escapeHtml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Bildirimin sitedeki bağlantısını oluştur
+ * @param {Object} notification - Bildirim
+ * @returns {String} URL
+ */
+const getNotificationUrl = (notification) => {
+  const siteUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  if (notification.relatedPost) {
+    const commentPart = notification.relatedComment ? `#${notification.relatedComment}` : '';
+    return `${siteUrl}/post/${notification.relatedPost}${commentPart}`;
+  }
+
+  if (notification.relatedMessage) {
+    return `${siteUrl}/chat`;
+  }
+
+  return `${siteUrl}/notifications`;
+};
+
+const renderLayout = (title, body, unsubscribeLinks) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1c1c1c;">
+    <h2 style="color: #ff4500;">${escapeHtml(title)}</h2>
+    ${body}
+    <hr style="border: none; border-top: 1px solid #edeff1; margin: 24px 0;" />
+    <p style="font-size: 12px; color: #7c7c7c;">
+      Bu e-postayı bildirim ayarlarınız nedeniyle aldınız.
+      ${unsubscribeLinks
+        .map(
+          ({ category, url }) =>
+            `<br /><a href="${url}" style="color: #7c7c7c;">${escapeHtml(
+              CATEGORY_LABELS[category],
+            )} e-postalarından çık</a>`,
+        )
+        .join('')}
+    </p>
+  </div>
+`;
+
+/**
+ * Abonelikten çıkma onay sayfası; bağlantı tarayıcıları ve ön yüklemeler GET isteği attığından
+ * çıkma işlemi yalnızca formun POST isteğiyle yapılır
+ * @param {String} token - İmzalı token
+ * @param {String} category - emailNotifications kategorisi veya 'all'
+ * @returns {String} HTML
+ */
+const renderUnsubscribePage = (token, category) => {
+  const label =
+    category === ALL_CATEGORIES ? 'Tüm bildirim' : escapeHtml(CATEGORY_LABELS[category]);
+
+  return `<!DOCTYPE html>
+<html lang="tr">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="robots" content="noindex" />
+    <title>E-posta aboneliğinden çık</title>
+  </head>
+  <body>
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; color: #1c1c1c;">
+      <h2 style="color: #ff4500;">E-posta aboneliğinden çık</h2>
+      <p>${label} e-postalarını artık almak istemiyor musunuz?</p>
+      <form method="POST" action="?token=${encodeURIComponent(token)}">
+        <button type="submit">Abonelikten çık</button>
+      </form>
+    </div>
+  </body>
+</html>`;
+};
+
+/**
+ * Tek bir bildirim için e-posta içeriğini oluştur
+ * @param {Object} notification - Bildirim
+ * @param {Object} user - Alıcı ({ _id, username })
+ * @returns {Object} { subject, html, unsubscribeUrl }
+ */
+const renderNotificationEmail = (notification, user) => {
+  const template = TEMPLATES[notification.type];
+  const category = EMAIL_CATEGORIES[notification.type];
+  const unsubscribeUrl = getUnsubscribeUrl(user._id, category);
+
+  const body = `
+    <p>Merhaba u/${escapeHtml(user.username)},</p>
+    <p><strong>${escapeHtml(notification.title)}</strong></p>
+    ${
+      notification.content
+        ? `<blockquote style="border-left: 3px solid #edeff1; margin: 0; padding-left: 12px;">${escapeHtml(
+            notification.content,
+          )}</blockquote>`
+        : ''
+    }
+    <p><a href="${getNotificationUrl(notification)}" target="_blank">${template.action}</a></p>
+  `;
+
+  return {
+    subject: template.subject(notification).substring(0, 100),
+    html: renderLayout(template.heading, body, [{ category, url: unsubscribeUrl }]),
+    unsubscribeUrl,
+  };
+};
+
+/**
+ * Birden fazla bildirim için özet e-postası oluştur
+ * @param {Array} notifications - Bildirimler (yeniden eskiye)
+ * @param {Object} user - Alıcı ({ _id, username })
+ * @param {String} frequency - 'daily' | 'weekly' | 'immediate'
+ * @param {Number} [moreCount=0] - Listelenmeyen diğer bildirim sayısı
+ * @returns {Object} { subject, html, unsubscribeUrl }
+ */
+const renderDigestEmail = (notifications, user, frequency, moreCount = 0) => {
+  const groups = {};
+  notifications.forEach((notification) => {
+    const category = EMAIL_CATEGORIES[notification.type];
+    (groups[category] = groups[category] || []).push(notification);
+  });
+
+  const sections = Object.entries(groups)
+    .map(
+      ([category, items]) => `
+        <h3>${escapeHtml(CATEGORY_LABELS[category])} (${items.length})</h3>
+        <ul>
+          ${items
+            .map(
+              (n) =>
+                `<li><a href="${getNotificationUrl(n)}" target="_blank">${escapeHtml(
+                  n.title,
+                )}</a>${n.content ? ` - ${escapeHtml(n.content.substring(0, 140))}` : ''}</li>`,
+            )
+            .join('')}
+        </ul>
+      `,
+    )
+    .join('');
+
+  const siteUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const totalCount = notifications.length + moreCount;
+  const periodLabel = frequency === 'weekly' ? 'Haftalık' : 'Günlük';
+  const body = `
+    <p>Merhaba u/${escapeHtml(user.username)},</p>
+    <p>Son özetinizden bu yana ${totalCount} yeni bildiriminiz var.</p>
+    ${sections}
+    ${
+      moreCount > 0
+        ? `<p><a href="${siteUrl}/notifications" target="_blank">+${moreCount} bildirim daha</a></p>`
+        : ''
+    }
+  `;
+
+  return {
+    subject: `${periodLabel} bildirim özetiniz (${totalCount})`,
+    html: renderLayout(
+      `${periodLabel} özet`,
+      body,
+      Object.keys(groups).map((category) => ({
+        category,
+        url: getUnsubscribeUrl(user._id, category),
+      })),
+    ),
+    unsubscribeUrl: getUnsubscribeUrl(user._id, ALL_CATEGORIES),
+  };
+};
+
+/**
+ * Kullanıcının e-posta tercihlerini getir (ayar yoksa varsayılanlar)
+ * @param {String|ObjectId} userId - Kullanıcı ID
+ * @returns {Promise<Object>} emailNotifications
+ */
+const getEmailPreferences = async (userId) => {
+  const settings = await UserSettings.findOne({ user: userId }).select('emailNotifications');
+  return (settings || new UserSettings({ user: userId })).emailNotifications;
+};
+
+/**
+ * Yeni oluşturulan bildirimi e-posta kanalına ilet: tercih kapalıysa atla,
+ * özet modundaysa beklemeye al, aksi halde hemen gönder
+ * @param {Object} notification - Notification dokümanı
+ * @returns {Promise<void>}
+ */
+const queueNotificationEmail = async (notification) => {
+  try {
+    const category = EMAIL_CATEGORIES[notification.type];
+    if (!category) return;
+
+    const prefs = await getEmailPreferences(notification.recipient);
+    if (!prefs[category]) return;
+
+    if (prefs.frequency && prefs.frequency !== 'immediate') {
+      await Notification.updateOne({ _id: notification._id }, { $set: { emailStatus: 'pending' } });
+      return;
+    }
+
+    const user = await User.findById(notification.recipient).select('username email emailVerified');
+    if (!user || !user.email || !user.emailVerified) return;
+
+    const { subject, html, unsubscribeUrl } = renderNotificationEmail(notification, user);
+
+    await sendEmail({
+      email: user.email,
+      subject,
+      html,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    });
+
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { emailStatus: 'sent', emailedAt: Date.now() } },
+    );
+  } catch (error) {
+    console.error('Bildirim e-postası gönderme hatası:', error.message);
+  }
+};
+
+/**
+ * Bekleyen bildirimler için zamanı gelen kullanıcılara özet e-postası gönder
+ * @returns {Promise<Number>} Gönderilen özet sayısı
+ */
+const sendEmailDigests = async () => {
+  const recipients = await Notification.distinct('recipient', { emailStatus: 'pending' });
+  let sent = 0;
+
+  for (const recipientId of recipients) {
+    try {
+      const settings = await UserSettings.findOne({ user: recipientId });
+      const prefs = (settings || new UserSettings({ user: recipientId })).emailNotifications;
+      const frequency = prefs.frequency || 'immediate';
+
+      // Özet periyodu dolmadıysa bekle (anında moda geçildiyse hemen gönder)
+      const period = DIGEST_PERIODS[frequency];
+      if (period && prefs.lastDigestAt && Date.now() - prefs.lastDigestAt.getTime() < period) {
+        continue;
+      }
+
+      const pending = await Notification.find({ recipient: recipientId, emailStatus: 'pending' })
+        .sort({ createdAt: -1 })
+        .lean();
+
+      // Okunmuş veya kategorisi kapatılmış bildirimler özete alınmaz; sınırı aşanlar
+      // listelenmeden "+N daha" olarak özetlenir
+      const eligible = pending.filter((n) => !n.read && prefs[EMAIL_CATEGORIES[n.type]]);
+      const included = eligible.slice(0, DIGEST_MAX_ITEMS);
+      const includedIds = new Set(eligible.map((n) => n._id.toString()));
+      const skippedIds = pending
+        .filter((n) => !includedIds.has(n._id.toString()))
+        .map((n) => n._id);
+
+      if (skippedIds.length > 0) {
+        await Notification.updateMany(
+          { _id: { $in: skippedIds } },
+          { $set: { emailStatus: 'skipped' } },
+        );
+      }
+
+      if (included.length === 0) continue;
+
+      const user = await User.findById(recipientId).select('username email emailVerified');
+      if (!user || !user.email || !user.emailVerified) {
+        await Notification.updateMany(
+          { _id: { $in: [...includedIds] } },
+          { $set: { emailStatus: 'skipped' } },
+        );
+        continue;
+      }
+
+      const { subject, html, unsubscribeUrl } = renderDigestEmail(
+        included,
+        user,
+        frequency,
+        eligible.length - included.length,
+      );
+      await sendEmail({
+        email: user.email,
+        subject,
+        html,
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        },
+      });
+
+      await Notification.updateMany(
+        { _id: { $in: [...includedIds] } },
+        { $set: { emailStatus: 'sent', emailedAt: Date.now() } },
+      );
+      await UserSettings.updateOne(
+        { user: recipientId },
+        { $set: { 'emailNotifications.lastDigestAt': Date.now() } },
+      );
+      sent++;
+    } catch (error) {
+      console.error('Bildirim özeti gönderme hatası:', error.message);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  EMAIL_CATEGORIES,
+  EMAIL_FREQUENCIES,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeUpdate,
+  renderUnsubscribePage,
+  renderNotificationEmail,
+  renderDigestEmail,
+  queueNotificationEmail,
+  sendEmailDigests,
+};
@@ -0,0 +1,81 @@
+const Notification = require('../models/Notification');
+const { getIO, userRoom, emitToUser } = require('../config/socket');
+
+/**
+ * Bildirimlerin canlı akışı: yeni bildirimler ve okunma değişiklikleri alıcının
+ * socket odasına okunmamış sayaçlarıyla birlikte gönderilir.
+ *
+ * Olaylar:
+ *   newNotification      { notification, counts }
+ *   notificationRead     { notificationId, counts }
+ *   notificationsReadAll { type, count, counts }
+ *   notificationCounts   { counts }
+ */
+
+/**
+ * Kullanıcının açık bir socket bağlantısı var mı
+ * @param {String|ObjectId} userId - Kullanıcı ID
+ * @returns {Promise<Boolean>}
+ */
+const isUserConnected = async (userId) => {
+  const io = getIO();
+  if (!io) return false;
+
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  return sockets.length > 0;
+};
+
+/**
+ * Yeni bildirimleri bağlı alıcılara gönder
+ * @param {Array} notifications - Notification dokümanları
+ * @returns {Promise<void>}
+ */
+const publishNotifications = async (notifications) => {
+  try {
+    const byRecipient = new Map();
+    notifications.forEach((notification) => {
+      const recipientId = notification.recipient.toString();
+      if (!byRecipient.has(recipientId)) byRecipient.set(recipientId, []);
+      byRecipient.get(recipientId).push(notification._id);
+    });
+
+    for (const [recipientId, ids] of byRecipient) {
+      if (!(await isUserConnected(recipientId))) continue;
+
+      const populated = await Notification.find({ _id: { $in: ids } })
+        .populate('sender', 'username profilePicture')
+        .populate('relatedSubreddit', 'name icon')
+        .sort({ createdAt: 1 });
+      const counts = await Notification.getUnreadCounts(recipientId);
+
+      populated.forEach((notification) => {
+        emitToUser(recipientId, 'newNotification', { notification, counts });
+      });
+    }
+  } catch (error) {
+    console.error('Canlı bildirim yayını hatası:', error.message);
+  }
+};
+
+/**
+ * Okunmamış sayaçlarını kullanıcıya gönder
+ * @param {String|ObjectId} userId - Kullanıcı ID
+ * @param {String} event - Olay adı
+ * @param {Object} payload - Sayaçlarla birlikte gönderilecek ek veri
+ * @returns {Promise<void>}
+ */
+const publishUnreadCounts = async (userId, event = 'notificationCounts', payload = {}) => {
+  try {
+    if (!(await isUserConnected(userId))) return;
+
+    const counts = await Notification.getUnreadCounts(userId);
+    emitToUser(userId, event, { ...payload, counts });
+  } catch (error) {
+    console.error('Bildirim sayacı yayını hatası:', error.message);
+  }
+};
+
+module.exports = {
+  publishNotifications,
+  publishUnreadCounts,
+};
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Ödeme sağlayıcı adaptörleri.
+ *
+ * Her sağlayıcı aynı arayüzü uygular:
+ *   name
+ *   createCheckout({ amount, currency, paymentMethod, description, metadata })
+ *     -> { paymentId, status, details, clientResponse }
+ *   capturePayment(paymentId, { amount }) -> { paymentId, status, details }
+ *   refundPayment(paymentId, { amount, reason }) -> { refundId, status, details }
+ *   constructWebhookEvent(rawBody, headers) -> { id, type, paymentId, data, createdAt }
+ *
+ * Webhook olay tipleri: payment.authorized, payment.succeeded, payment.failed, payment.refunded.
+ * Sağlayıcı PAYMENT_PROVIDER ortam değişkeniyle seçilir. Yerel "mock" sağlayıcı herkesin
+ * bildiği ödeme ID'leriyle çalıştığından yalnızca NODE_ENV=test ortamında veya
+ * PAYMENT_ALLOW_MOCK=true ile açıkça etkinleştirildiğinde kullanılabilir; üretimde hiçbir zaman.
+ * Webhook'lar PAYMENT_WEBHOOK_SECRET tanımlı değilse işlenmez.
+ */
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+// İmza zaman damgası ile sunucu saati arasında kabul edilen en fazla fark
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Ödeme sağlayıcısı hatası (varsayılan 502)
+ */
+class PaymentProviderError extends ErrorResponse {
+  constructor(message, statusCode = 502) {
+    super(message, statusCode);
+  }
+}
+
+const getWebhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || null;
+
+const isMockProviderAllowed = () =>
+  process.env.NODE_ENV !== 'production' &&
+  (process.env.NODE_ENV === 'test' || process.env.PAYMENT_ALLOW_MOCK === 'true');
+
+const getToleranceSeconds = () =>
+  parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 10) || DEFAULT_TOLERANCE_SECONDS;
+
+/**
+ * Webhook gövdesini imzala
+ * @param {String|Buffer} payload - Ham gövde
+ * @param {String} secret - Webhook anahtarı
+ * @param {Number} timestamp - Unix zamanı (saniye)
+ * @returns {String} İmza başlığı değeri (t=...,v1=...)
+ */
+const signWebhookPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Webhook imzasını ve zaman damgasını doğrula. Anahtar değişimi sırasında birden fazla
+ * v1 imzası gönderilebilir; biri eşleşmesi yeterlidir.
+ * @param {String|Buffer} payload - Ham gövde
+ * @param {String} header - İmza başlığı
+ * @param {String} secret - Webhook anahtarı
+ * @param {Number} toleranceSeconds - Kabul edilen en fazla zaman farkı
+ * @returns {Object} { valid, reason }
+ */
+const verifyWebhookSignature = (
+  payload,
+  header,
+  secret,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+) => {
+  if (!secret) return { valid: false, reason: 'Webhook anahtarı yapılandırılmamış' };
+  if (!header) return { valid: false, reason: 'İmza başlığı eksik' };
+
+  const parts = String(header)
+    .split(',')
+    .map((part) => part.trim().split('='));
+  const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1], 10);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) {
+    return { valid: false, reason: 'İmza başlığı hatalı' };
+  }
+
+  // Eski olayların tekrar gönderilmesine (replay) karşı
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'İmza zaman aşımına uğramış' };
+  }
+
+  const expected = Buffer.from(
+    signWebhookPayload(payload, secret, timestamp).split('v1=')[1],
+    'hex',
+  );
+  const matches = signatures.some((signature) => {
+    const received = Buffer.from(signature, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+
+  return matches ? { valid: true } : { valid: false, reason: 'İmza eşleşmiyor' };
+};
+
+/**
+ * Yerel mock sağlayıcı (geliştirme ve testler için). Ödemeler bellekte tutulur;
+ * sunucu yeniden başladıktan sonra bilinmeyen ödemeler tahsil edilmiş sayılır.
+ * simulateWebhook ile /api/transactions/webhook'a gönderilebilecek imzalı olaylar üretir.
+ * @param {Object} options - { secret } (varsayılan: PAYMENT_WEBHOOK_SECRET)
+ * @returns {Object} Sağlayıcı
+ */
+const createMockProvider = ({ secret } = {}) => {
+  const payments = new Map();
+  const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+  const requireSecret = () => {
+    const webhookSecret = secret || getWebhookSecret();
+    if (!webhookSecret) {
+      throw new PaymentProviderError(
+        'Webhook anahtarı (PAYMENT_WEBHOOK_SECRET) yapılandırılmamış',
+        503,
+      );
+    }
+    return webhookSecret;
+  };
+
+  const getPayment = (paymentId) => {
+    if (!payments.has(paymentId)) {
+      payments.set(paymentId, { status: 'succeeded', amount: null, refunded: 0 });
+    }
+    return payments.get(paymentId);
+  };
+
+  return {
+    name: 'mock',
+
+    createCheckout: async ({ amount, currency, paymentMethod, description, metadata }) => {
+      const paymentId = newId('mock_pay');
+      payments.set(paymentId, { status: 'pending', amount, currency, refunded: 0 });
+
+      return {
+        paymentId,
+        status: 'pending',
+        details: {
+          provider: 'mock',
+          processingTime: new Date(),
+          paymentMethod,
+          amount,
+          currency,
+          description,
+          metadata,
+        },
+        clientResponse: {
+          // Müşteri tarafında gösterilecek bilgiler
+          redirectUrl: `/payment/mock/${paymentId}`,
+          paymentId,
+          expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+        },
+      };
+    },
+
+    capturePayment: async (paymentId, { amount } = {}) => {
+      const payment = getPayment(paymentId);
+      if (payment.status === 'failed') {
+        throw new PaymentProviderError('Başarısız ödeme tahsil edilemez', 409);
+      }
+      if (payment.amount !== null && amount !== undefined && amount > payment.amount) {
+        throw new PaymentProviderError('Tahsil tutarı ödeme tutarını aşamaz', 400);
+      }
+
+      payment.status = 'succeeded';
+      return { paymentId, status: 'succeeded', details: { capturedAt: new Date(), amount } };
+    },
+
+    refundPayment: async (paymentId, { amount, reason } = {}) => {
+      const payment = getPayment(paymentId);
+      if (payment.status !== 'succeeded') {
+        throw new PaymentProviderError('Yalnızca tahsil edilmiş ödemeler iade edilebilir', 409);
+      }
+      if (payment.amount !== null && payment.refunded + amount > payment.amount) {
+        throw new PaymentProviderError('İade tutarı ödenen tutarı aşamaz', 400);
+      }
+
+      payment.refunded += amount;
+      return {
+        refundId: newId('mock_ref'),
+        status: 'succeeded',
+        details: {
+          processingTime: new Date(),
+          originalPayment: paymentId,
+          refundedAmount: amount,
+          reason,
+        },
+      };
+    },
+
+    constructWebhookEvent: (rawBody, headers) => {
+      const { valid, reason } = verifyWebhookSignature(
+        rawBody,
+        headers[SIGNATURE_HEADER],
+        requireSecret(),
+        getToleranceSeconds(),
+      );
+      if (!valid) throw new PaymentProviderError(`Geçersiz webhook imzası: ${reason}`, 403);
+
+      let event;
+      try {
+        event = JSON.parse(rawBody.toString());
+      } catch (error) {
+        throw new PaymentProviderError('Webhook gövdesi geçerli JSON değil', 400);
+      }
+
+      if (!event.id || !event.type || !event.data || !event.data.payment_id) {
+        throw new PaymentProviderError('Webhook olayı eksik alan içeriyor', 400);
+      }
+
+      return {
+        id: event.id,
+        type: event.type,
+        paymentId: event.data.payment_id,
+        data: event.data,
+        createdAt: event.created ? new Date(event.created * 1000) : new Date(),
+      };
+    },
+
+    /**
+     * Ödemenin durumunu değiştirip karşılık gelen imzalı webhook isteğini üret
+     * @param {String} type - Olay tipi (payment.succeeded vb.)
+     * @param {String} paymentId - Ödeme ID
+     * @param {Object} data - Ek olay verisi
+     * @returns {Object} { rawBody, headers }
+     */
+    simulateWebhook: (type, paymentId, data = {}) => {
+      const payment = getPayment(paymentId);
+      if (type === 'payment.succeeded') payment.status = 'succeeded';
+      if (type === 'payment.authorized') payment.status = 'authorized';
+      if (type === 'payment.failed') payment.status = 'failed';
+
+      const rawBody = JSON.stringify({
+        id: newId('mock_evt'),
+        type,
+        created: Math.floor(Date.now() / 1000),
+        data: { ...data, payment_id: paymentId },
+      });
+
+      return {
+        rawBody,
+        headers: {
+          'content-type': 'application/json',
+          [SIGNATURE_HEADER]: signWebhookPayload(rawBody, requireSecret()),
+        },
+      };
+    },
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  mock: createMockProvider,
+};
+
+const providers = new Map();
+
+/**
+ * Yeni bir sağlayıcı adaptörü kaydet
+ * @param {String} name - Sağlayıcı adı (Transaction.paymentProvider)
+ * @param {Function} factory - Sağlayıcıyı oluşturan fonksiyon
+ */
+const registerPaymentProvider = (name, factory) => {
+  PROVIDER_FACTORIES[name] = factory;
+  providers.delete(name);
+};
+
+/**
+ * Sağlayıcı bu ortamda kullanılabilir mi (kayıtlı ve mock ise izinli)
+ * @param {String} name - Sağlayıcı adı
+ * @returns {Boolean}
+ */
+const isPaymentProviderAvailable = (name) =>
+  Object.prototype.hasOwnProperty.call(PROVIDER_FACTORIES, name) &&
+  (name !== 'mock' || isMockProviderAllowed());
+
+/**
+ * Sağlayıcı adaptörünü getir
+ * @param {String} name - Sağlayıcı adı (varsayılan: PAYMENT_PROVIDER veya mock)
+ * @returns {Object} Sağlayıcı
+ */
+const getPaymentProvider = (name) => {
+  const providerName = name || process.env.PAYMENT_PROVIDER || 'mock';
+
+  if (!Object.prototype.hasOwnProperty.call(PROVIDER_FACTORIES, providerName)) {
+    throw new PaymentProviderError(`Bilinmeyen ödeme sağlayıcısı: ${providerName}`, 500);
+  }
+
+  // Mock sağlayıcı ile ödeme alınmadan bakiye/premium verilebileceğinden izin yoksa reddedilir
+  if (providerName === 'mock' && !isMockProviderAllowed()) {
+    throw new PaymentProviderError('Ödeme sağlayıcısı yapılandırılmamış', 503);
+  }
+
+  if (!providers.has(providerName)) {
+    providers.set(providerName, PROVIDER_FACTORIES[providerName]());
+  }
+
+  return providers.get(providerName);
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  PaymentProviderError,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  createMockProvider,
+  registerPaymentProvider,
+  isPaymentProviderAvailable,
+  getPaymentProvider,
+};
@@ -0,0 +1,233 @@
+const User = require('../models/User');
+const SubredditMembership = require('../models/SubredditMembership');
+
+/**
+ * Anket oy hakkı kuralları ve oy kalitesi analizi (brigading tespiti).
+ */
+
+// Oy anında bu yaştan genç hesaplar "yeni hesap" sayılır
+const NEW_ACCOUNT_DAYS = 7;
+// Ani oy artışı tespiti için zaman penceresi
+const BURST_WINDOW_MS = 10 * 60 * 1000;
+// Bir pencerenin şüpheli sayılması için gereken en az yeni hesap oyu
+const BURST_MIN_NEW_ACCOUNTS = 5;
+// Penceredeki yeni hesap oranı eşiği
+const BURST_NEW_ACCOUNT_SHARE = 0.5;
+// Penceredeki oy sayısının ortalama pencereye oranı eşiği
+const BURST_RATE_MULTIPLIER = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACCOUNT_AGE_BUCKETS = [
+  { label: '<1d', maxDays: 1 },
+  { label: '1-7d', maxDays: 7 },
+  { label: '7-30d', maxDays: 30 },
+  { label: '30-365d', maxDays: 365 },
+  { label: '>365d', maxDays: Infinity },
+];
+
+const KARMA_BUCKETS = [
+  { label: '<0', max: 0 },
+  { label: '0-9', max: 10 },
+  { label: '10-99', max: 100 },
+  { label: '100-999', max: 1000 },
+  { label: '1000+', max: Infinity },
+];
+
+/**
+ * Kullanıcının toplam karması
+ * @param {Object} user - Kullanıcı dokümanı
+ * @returns {Number}
+ */
+const getTotalKarma = (user) => {
+  const karma = user.karma || {};
+  return (karma.post || 0) + (karma.comment || 0) + (karma.awardee || 0) + (karma.awarder || 0);
+};
+
+/**
+ * Anketin oy hakkı kuralı var mı
+ * @param {Object} poll - Poll dokümanı
+ * @returns {Boolean}
+ */
+const hasEligibilityRules = (poll) => {
+  const rules = poll.eligibility || {};
+  return (
+    rules.membersOnly === true ||
+    rules.minAccountAgeDays > 0 ||
+    rules.minKarma > 0 ||
+    (rules.requiredFlairs || []).length > 0
+  );
+};
+
+/**
+ * Kullanıcının ankete oy verme hakkını kontrol et
+ * @param {Object} poll - Poll dokümanı (eligibility alanıyla)
+ * @param {Object} user - Kullanıcı dokümanı
+ * @param {String|ObjectId} subredditId - Anketin bulunduğu subreddit
+ * @returns {Promise<Object>} { eligible, reason }
+ */
+const checkPollEligibility = async (poll, user, subredditId) => {
+  if (!hasEligibilityRules(poll)) return { eligible: true, reason: null };
+
+  const rules = poll.eligibility;
+
+  if (rules.minAccountAgeDays > 0) {
+    const accountAgeDays = (Date.now() - new Date(user.createdAt).getTime()) / DAY_MS;
+    if (accountAgeDays < rules.minAccountAgeDays) {
+      return {
+        eligible: false,
+        reason: `Bu ankete oy vermek için hesabınız en az ${rules.minAccountAgeDays} günlük olmalıdır`,
+      };
+    }
+  }
+
+  if (rules.minKarma > 0 && getTotalKarma(user) < rules.minKarma) {
+    return {
+      eligible: false,
+      reason: `Bu ankete oy vermek için en az ${rules.minKarma} karmanız olmalıdır`,
+    };
+  }
+
+  const requiredFlairs = (rules.requiredFlairs || []).map((flair) => flair.toString());
+
+  if (rules.membersOnly || requiredFlairs.length > 0) {
+    const membership = await SubredditMembership.findOne({
+      user: user._id,
+      subreddit: subredditId,
+      status: 'member',
+    });
+
+    if (!membership) {
+      return { eligible: false, reason: 'Bu ankete sadece subreddit üyeleri oy verebilir' };
+    }
+
+    if (
+      requiredFlairs.length > 0 &&
+      (!membership.userFlair || !requiredFlairs.includes(membership.userFlair.toString()))
+    ) {
+      return {
+        eligible: false,
+        reason: "Bu ankete sadece belirli flair'lere sahip kullanıcılar oy verebilir",
+      };
+    }
+  }
+
+  return { eligible: true, reason: null };
+};
+
+/**
+ * Değeri kova etiketine çevir
+ */
+const bucketOf = (buckets, value, field) => buckets.find((bucket) => value < bucket[field]).label;
+
+/**
+ * Oy verenlerin kalite dağılımını çıkar ve yeni hesaplardan gelen ani oy artışlarını işaretle
+ * @param {Array} votes - Anketin PollVote dokümanları (user, createdAt)
+ * @param {String|ObjectId} subredditId - Anketin bulunduğu subreddit
+ * @returns {Promise<Object>} { totalVoters, accountAge, karma, membership, newAccounts, bursts, suspicious }
+ */
+const analyzeVoterQuality = async (votes, subredditId) => {
+  // Her kullanıcının ilk oy zamanı (oy pusulası birden fazla kayıt olabilir)
+  const firstVotes = new Map();
+  votes.forEach((vote) => {
+    const userId = vote.user.toString();
+    const votedAt = new Date(vote.createdAt);
+    if (!firstVotes.has(userId) || votedAt < firstVotes.get(userId)) {
+      firstVotes.set(userId, votedAt);
+    }
+  });
+
+  const userIds = [...firstVotes.keys()];
+  const [users, memberships] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('createdAt karma'),
+    SubredditMembership.find({
+      user: { $in: userIds },
+      subreddit: subredditId,
+      status: 'member',
+    }).select('user userFlair'),
+  ]);
+
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+  const membersById = new Map(memberships.map((m) => [m.user.toString(), m]));
+
+  const accountAge = Object.fromEntries(ACCOUNT_AGE_BUCKETS.map((bucket) => [bucket.label, 0]));
+  const karma = Object.fromEntries(KARMA_BUCKETS.map((bucket) => [bucket.label, 0]));
+  const membership = { members: 0, nonMembers: 0, flaired: 0 };
+  const voters = [];
+
+  for (const [userId, votedAt] of firstVotes) {
+    const user = usersById.get(userId);
+    const member = membersById.get(userId);
+
+    if (member) {
+      membership.members++;
+      if (member.userFlair) membership.flaired++;
+    } else {
+      membership.nonMembers++;
+    }
+
+    // Silinmiş hesaplar yaş/karma dağılımına katılmaz
+    if (!user) continue;
+
+    const ageDays = (votedAt - new Date(user.createdAt)) / DAY_MS;
+    accountAge[bucketOf(ACCOUNT_AGE_BUCKETS, ageDays, 'maxDays')]++;
+    karma[bucketOf(KARMA_BUCKETS, getTotalKarma(user), 'max')]++;
+    voters.push({ votedAt, isNewAccount: ageDays < NEW_ACCOUNT_DAYS });
+  }
+
+  // Zaman pencerelerine göre oy ve yeni hesap sayıları
+  const windows = new Map();
+  voters.forEach(({ votedAt, isNewAccount }) => {
+    const windowStart = Math.floor(votedAt.getTime() / BURST_WINDOW_MS) * BURST_WINDOW_MS;
+    if (!windows.has(windowStart)) windows.set(windowStart, { voters: 0, newAccountVoters: 0 });
+    const window = windows.get(windowStart);
+    window.voters++;
+    if (isNewAccount) window.newAccountVoters++;
+  });
+
+  // Ortalama, ilk ve son oy arasındaki tüm pencereler üzerinden (boş pencereler dahil)
+  const windowStarts = [...windows.keys()].sort((a, b) => a - b);
+  const windowCount =
+    windowStarts.length > 0
+      ? (windowStarts[windowStarts.length - 1] - windowStarts[0]) / BURST_WINDOW_MS + 1
+      : 0;
+  const averagePerWindow = windowCount > 0 ? voters.length / windowCount : 0;
+
+  const bursts = windowStarts
+    .map((windowStart) => ({ windowStart, ...windows.get(windowStart) }))
+    .filter(
+      (window) =>
+        window.newAccountVoters >= BURST_MIN_NEW_ACCOUNTS &&
+        window.newAccountVoters / window.voters >= BURST_NEW_ACCOUNT_SHARE &&
+        (windowCount === 1 || window.voters >= averagePerWindow * BURST_RATE_MULTIPLIER),
+    )
+    .map((window) => ({
+      windowStart: new Date(window.windowStart),
+      windowEnd: new Date(window.windowStart + BURST_WINDOW_MS),
+      voters: window.voters,
+      newAccountVoters: window.newAccountVoters,
+      newAccountShare: Math.round((window.newAccountVoters / window.voters) * 100),
+    }));
+
+  const newAccountVoters = voters.filter((voter) => voter.isNewAccount).length;
+
+  return {
+    totalVoters: firstVotes.size,
+    accountAge,
+    karma,
+    membership,
+    newAccounts: {
+      thresholdDays: NEW_ACCOUNT_DAYS,
+      count: newAccountVoters,
+      percentage: voters.length > 0 ? Math.round((newAccountVoters / voters.length) * 100) : 0,
+    },
+    bursts,
+    suspicious: bursts.length > 0,
+  };
+};
+
+module.exports = {
+  hasEligibilityRules,
+  checkPollEligibility,
+  analyzeVoterQuality,
+};
@@ -0,0 +1,204 @@
+/**
+ * Anket sonuç hesaplamaları.
+ *
+ * Oy pusulası kullanan türlerde her seçenek için ayrı bir PollVote kaydı tutulur:
+ *   ranked   - rank alanı tercih sırasıdır (1 = ilk tercih), sonuç instant-runoff ile bulunur
+ *   score    - score alanı seçeneğe verilen puandır, en yüksek toplam puan kazanır
+ *   approval - onaylanan her seçenek için bir kayıt, en çok onay alan kazanır
+ */
+
+const BALLOT_METHODS = ['ranked', 'score', 'approval'];
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Oyları kullanıcıya göre oy pusulalarına grupla
+ * @param {Array} votes - PollVote dokümanları
+ * @returns {Map} userId -> PollVote listesi
+ */
+const groupBallots = (votes) => {
+  const ballots = new Map();
+  votes.forEach((vote) => {
+    const userId = idOf(vote.user);
+    if (!ballots.has(userId)) ballots.set(userId, []);
+    ballots.get(userId).push(vote);
+  });
+  return ballots;
+};
+
+/**
+ * En yüksek değere sahip seçenekleri bul
+ * @param {Array} tallies - [{ option, ...}]
+ * @param {String} field - Karşılaştırılacak alan
+ * @returns {Array<String>} Kazanan seçenek ID'leri (eşitlikte birden fazla)
+ */
+const findLeaders = (tallies, field) => {
+  const max = Math.max(...tallies.map((tally) => tally[field]));
+  if (!Number.isFinite(max) || max <= 0) return [];
+  return tallies.filter((tally) => tally[field] === max).map((tally) => tally.option);
+};
+
+/**
+ * Instant-runoff (sıralı tercih) sayımı
+ * @param {Array<String>} optionIds - Seçenek ID'leri (sıralı)
+ * @param {Map} ballots - userId -> PollVote listesi
+ * @returns {Object} { rounds, winners }
+ */
+const tallyRankedChoice = (optionIds, ballots) => {
+  const preferences = [...ballots.values()].map((votes) =>
+    votes
+      .filter((vote) => vote.rank)
+      .sort((a, b) => a.rank - b.rank)
+      .map((vote) => idOf(vote.option)),
+  );
+
+  const remaining = new Set(optionIds);
+  const rounds = [];
+  let winners = [];
+
+  while (remaining.size > 0) {
+    const counts = new Map([...remaining].map((option) => [option, 0]));
+    let exhausted = 0;
+
+    preferences.forEach((ballot) => {
+      const top = ballot.find((option) => remaining.has(option));
+      if (top) counts.set(top, counts.get(top) + 1);
+      else exhausted++;
+    });
+
+    const activeBallots = preferences.length - exhausted;
+    const round = {
+      round: rounds.length + 1,
+      tallies: optionIds
+        .filter((option) => remaining.has(option))
+        .map((option) => ({
+          option,
+          votes: counts.get(option),
+          percentage:
+            activeBallots > 0 ? Math.round((counts.get(option) / activeBallots) * 100) : 0,
+        })),
+      activeBallots,
+      exhaustedBallots: exhausted,
+      eliminated: [],
+      winners: [],
+    };
+    rounds.push(round);
+
+    if (activeBallots === 0) break;
+
+    const leaders = findLeaders(round.tallies, 'votes');
+
+    // Salt çoğunluk veya kalan tüm seçenekler eşit
+    if (counts.get(leaders[0]) * 2 > activeBallots || leaders.length === remaining.size) {
+      winners = leaders;
+      round.winners = leaders;
+      break;
+    }
+
+    // En az oyu alan elenir; eşitlikte önceki turlarda daha az oy alan, sonra daha sondaki seçenek
+    const minVotes = Math.min(...round.tallies.map((tally) => tally.votes));
+    let candidates = round.tallies
+      .filter((tally) => tally.votes === minVotes)
+      .map((tally) => tally.option);
+
+    for (let i = rounds.length - 2; i >= 0 && candidates.length > 1; i--) {
+      const previous = new Map(rounds[i].tallies.map((tally) => [tally.option, tally.votes]));
+      const fewest = Math.min(...candidates.map((option) => previous.get(option)));
+      candidates = candidates.filter((option) => previous.get(option) === fewest);
+    }
+
+    const eliminated = candidates.sort((a, b) => optionIds.indexOf(b) - optionIds.indexOf(a))[0];
+    remaining.delete(eliminated);
+    round.eliminated = [eliminated];
+  }
+
+  return { rounds, winners };
+};
+
+/**
+ * Anket sonuçlarını oy türüne göre hesapla
+ * @param {Object} poll - Poll dokümanı (options sıralı ID veya doküman listesi)
+ * @param {Array} votes - Anketin PollVote dokümanları
+ * @returns {Object} { votingMethod, totalBallots, tallies, winners, rounds? }
+ */
+const tallyPoll = (poll, votes) => {
+  const votingMethod = poll.votingMethod || 'standard';
+  const optionIds = poll.options.map(idOf);
+  const ballots = groupBallots(votes);
+  const totalBallots = ballots.size;
+
+  if (votingMethod === 'ranked') {
+    const { rounds, winners } = tallyRankedChoice(optionIds, ballots);
+    const firstRound = rounds[0] ? rounds[0].tallies : [];
+
+    return {
+      votingMethod,
+      totalBallots,
+      tallies: firstRound,
+      rounds,
+      winners,
+    };
+  }
+
+  if (votingMethod === 'score') {
+    const tallies = optionIds.map((option) => {
+      const scores = votes
+        .filter((vote) => idOf(vote.option) === option && typeof vote.score === 'number')
+        .map((vote) => vote.score);
+      const totalScore = scores.reduce((sum, score) => sum + score, 0);
+
+      return {
+        option,
+        totalScore,
+        ballots: scores.length,
+        averageScore: scores.length > 0 ? Math.round((totalScore / scores.length) * 100) / 100 : 0,
+      };
+    });
+
+    return {
+      votingMethod,
+      totalBallots,
+      scoreRange: poll.scoreRange,
+      tallies,
+      winners: findLeaders(tallies, 'totalScore'),
+    };
+  }
+
+  // standard ve approval: seçenek başına oy/onay sayısı
+  const tallies = optionIds.map((option) => {
+    const count = votes.filter((vote) => idOf(vote.option) === option).length;
+    return {
+      option,
+      votes: count,
+      percentage: totalBallots > 0 ? Math.round((count / totalBallots) * 100) : 0,
+    };
+  });
+
+  return {
+    votingMethod,
+    totalBallots,
+    tallies,
+    winners: findLeaders(tallies, 'votes'),
+  };
+};
+
+/**
+ * Anket sonuçları kullanıcıdan gizlenmeli mi
+ * Oy pusulalı anketlerde sonuçlar bitişe kadar herkesten, diğerlerinde oy vermeyenlerden gizlenir.
+ * @param {Object} poll - Poll dokümanı
+ * @param {Object} user - İstek kullanıcısı (yoksa null)
+ * @param {Boolean} hasVoted - Kullanıcı oy verdi mi
+ * @returns {Boolean}
+ */
+const isPollResultsHidden = (poll, user, hasVoted = false) => {
+  if (!poll.hideResultsUntilClosed || new Date() >= poll.endDate) return false;
+  if (user && user.role === 'admin') return false;
+  if (BALLOT_METHODS.includes(poll.votingMethod)) return true;
+  return !hasVoted;
+};
+
+module.exports = {
+  BALLOT_METHODS,
+  tallyPoll,
+  isPollResultsHidden,
+};
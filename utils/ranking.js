@@ -0,0 +1,158 @@
+/**
+ * Reddit tarzı sıralama algoritmaları (hot, best, controversial).
+ * Skorlar Post ve Comment üzerinde indeksli alanlarda saklanır ve oy sayıları
+ * değiştiğinde model kancaları veya refreshRankings ile güncellenir.
+ */
+
+// Reddit'in hot algoritmasında kullanılan başlangıç zamanı (saniye)
+const HOT_EPOCH_SECONDS = 1134028003;
+// Skorun 10 katına çıkması ile eşdeğer zaman farkı (12.5 saat)
+const HOT_TIME_DIVISOR = 45000;
+// Wilson alt sınırı için z değeri (%80 güven aralığı)
+const WILSON_Z = 1.281551565545;
+
+/**
+ * Hot skoru: oy farkının logaritması + yayın zamanı
+ * @param {Number} upvotes - Olumlu oy sayısı
+ * @param {Number} downvotes - Olumsuz oy sayısı
+ * @param {Date} createdAt - Oluşturulma zamanı
+ * @returns {Number} Skor
+ */
+const hotScore = (upvotes, downvotes, createdAt) => {
+  const score = upvotes - downvotes;
+  const order = Math.log10(Math.max(Math.abs(score), 1));
+  const sign = score > 0 ? 1 : score < 0 ? -1 : 0;
+  const seconds = new Date(createdAt || Date.now()).getTime() / 1000 - HOT_EPOCH_SECONDS;
+
+  return Math.round((sign * order + seconds / HOT_TIME_DIVISOR) * 1e7) / 1e7;
+};
+
+/**
+ * Best skoru: olumlu oy oranının Wilson alt güven sınırı
+ * @param {Number} upvotes - Olumlu oy sayısı
+ * @param {Number} downvotes - Olumsuz oy sayısı
+ * @returns {Number} Skor (0-1)
+ */
+const bestScore = (upvotes, downvotes) => {
+  const n = upvotes + downvotes;
+  if (n <= 0) return 0;
+
+  const z2 = WILSON_Z * WILSON_Z;
+  const p = upvotes / n;
+
+  return (p + z2 / (2 * n) - WILSON_Z * Math.sqrt((p * (1 - p) + z2 / (4 * n)) / n)) / (1 + z2 / n);
+};
+
+/**
+ * Tartışmalılık skoru: toplam oy büyüklüğü, oyların dengesine göre üs alınır
+ * @param {Number} upvotes - Olumlu oy sayısı
+ * @param {Number} downvotes - Olumsuz oy sayısı
+ * @returns {Number} Skor
+ */
+const controversyScore = (upvotes, downvotes) => {
+  if (upvotes <= 0 || downvotes <= 0) return 0;
+
+  const magnitude = upvotes + downvotes;
+  const balance = upvotes > downvotes ? downvotes / upvotes : upvotes / downvotes;
+
+  return magnitude ** balance;
+};
+
+/**
+ * Bir gönderi veya yorum için tüm sıralama skorlarını hesapla
+ * @param {Object} item - { upvotes, downvotes, createdAt }
+ * @returns {Object} { hotScore, bestScore, controversyScore }
+ */
+const computeRankings = ({ upvotes = 0, downvotes = 0, createdAt }) => ({
+  hotScore: hotScore(upvotes, downvotes, createdAt),
+  bestScore: bestScore(upvotes, downvotes),
+  controversyScore: controversyScore(upvotes, downvotes),
+});
+
+/**
+ * Doküman üzerindeki sıralama alanlarını güncelle (kaydetmeden)
+ * @param {Object} doc - Mongoose dokümanı
+ */
+const applyRankings = (doc) => {
+  Object.assign(doc, computeRankings(doc));
+};
+
+/**
+ * $inc ile oy sayıları güncellenen doküman için skorları yeniden hesapla ve kaydet
+ * @param {Model} Model - Post veya Comment modeli
+ * @param {String|ObjectId} id - Doküman ID
+ * @param {ClientSession} session - Opsiyonel transaction oturumu
+ * @returns {Promise<Object|null>} Hesaplanan skorlar
+ */
+const refreshRankings = async (Model, id, session = null) => {
+  const doc = await Model.findById(id)
+    .select('upvotes downvotes createdAt')
+    .session(session)
+    .lean();
+
+  if (!doc) return null;
+
+  const rankings = computeRankings(doc);
+  await Model.updateOne({ _id: id }, { $set: rankings }, { session });
+
+  return rankings;
+};
+
+/**
+ * Sıralama tipine göre gönderi sıralama seçeneğini döndür
+ * @param {String} sort - 'hot' | 'best' | 'top' | 'new' | 'controversial'
+ * @returns {Object} Mongoose sıralama nesnesi
+ */
+const getPostSortOption = (sort) => {
+  switch (sort) {
+    case 'new':
+      return { createdAt: -1 };
+    case 'top':
+      return { voteScore: -1, createdAt: -1 };
+    case 'best':
+      return { bestScore: -1, createdAt: -1 };
+    case 'controversial':
+      return { controversyScore: -1, createdAt: -1 };
+    case 'hot':
+    default:
+      return { hotScore: -1, createdAt: -1 };
+  }
+};
+
+/**
+ * Sıralama skoru olmayan eski dokümanları doldur (başlangıçta çalıştırılır)
+ * @param {Array<Model>} models - Post ve Comment modelleri
+ * @returns {Promise<Number>} Güncellenen doküman sayısı
+ */
+const backfillRankings = async (models) => {
+  let updated = 0;
+
+  for (const Model of models) {
+    const cursor = Model.find({
+      hotScore: { $exists: false },
+      isDeleted: { $in: [true, false] },
+      isFiltered: { $in: [true, false, null] },
+    })
+      .select('upvotes downvotes createdAt')
+      .lean()
+      .cursor();
+
+    for await (const doc of cursor) {
+      await Model.updateOne({ _id: doc._id }, { $set: computeRankings(doc) });
+      updated++;
+    }
+  }
+
+  return updated;
+};
+
+module.exports = {
+  hotScore,
+  bestScore,
+  controversyScore,
+  computeRankings,
+  applyRankings,
+  refreshRankings,
+  getPostSortOption,
+  backfillRankings,
+};
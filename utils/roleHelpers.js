@@ -20,6 +20,16 @@ const isModeratorOf = async (userId, subredditId) => {
 
   if (roleAssignment) return true;
 
+  // Üyelik kaydında moderatör olarak işaretlenenler
+  const moderatorMembership = await mongoose.model('SubredditMembership').exists({
+    user: userId,
+    subreddit: subredditId,
+    isModerator: true,
+    status: 'member',
+  });
+
+  if (moderatorMembership) return true;
+
   // Site admin kontrolü
   const user = await User.findById(userId);
   return user && user.role === 'admin';
@@ -81,9 +91,60 @@ const isSiteAdmin = async (userId) => {
   return user && user.role === 'admin';
 };
 
+/**
+ * Kullanıcının moderatör olduğu subreddit ID'lerini döndürür
+ * @param {String} userId - Kullanıcı ID
+ * @returns {Promise<Array>} - Subreddit ID'leri
+ */
+const getModeratedSubredditIds = async (userId) => {
+  if (!userId) return [];
+
+  // isModeratorOf ile aynı atama yapısı; şemadaki subreddit alanı da desteklenir
+  const [assignments, memberships] = await Promise.all([
+    mongoose
+      .model('UserRoleAssignment')
+      .find({
+        user: userId,
+        role: { $in: await getModeratorRoleIds() },
+        $or: [{ entityType: 'subreddit' }, { subreddit: { $ne: null } }],
+      })
+      .lean(),
+    mongoose
+      .model('SubredditMembership')
+      .distinct('subreddit', { user: userId, isModerator: true, status: 'member' }),
+  ]);
+
+  const ids = [
+    ...assignments.map((assignment) => assignment.entity || assignment.subreddit),
+    ...memberships,
+  ].filter(Boolean);
+
+  // Aynı subreddit iki kaynakta da kayıtlı olabilir
+  return [...new Map(ids.map((id) => [id.toString(), id])).values()];
+};
+
+/**
+ * Kullanıcının subreddit'ten banlı olup olmadığını kontrol eder (süresi dolan banlar sayılmaz)
+ * @param {String} userId - Kullanıcı ID
+ * @param {String} subredditId - Subreddit ID
+ * @returns {Promise<Object|null>} - Aktif ban üyeliği veya null
+ */
+const getSubredditBan = async (userId, subredditId) => {
+  if (!userId || !subredditId) return null;
+
+  return mongoose.model('SubredditMembership').findOne({
+    user: userId,
+    subreddit: subredditId,
+    status: 'banned',
+    $or: [{ banExpiration: null }, { banExpiration: { $gt: new Date() } }],
+  });
+};
+
 module.exports = {
   isModeratorOf,
   hasRoleInSubreddit,
   isSiteAdmin,
   getModeratorRoleIds,
+  getSubredditBan,
+  getModeratedSubredditIds,
 };
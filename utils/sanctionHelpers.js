@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const ModLog = require('../models/ModLog');
+
+/**
+ * Yaptırım tiplerine göre kullanıcı alanı ve ModLog eylemleri
+ */
+const SANCTION_TYPES = {
+  ban: { field: 'siteBan', liftAction: 'unban_user' },
+  mute: { field: 'siteMute', liftAction: 'unmute_user' },
+};
+
+/**
+ * Yaptırımı kaldır ve ModLog'a kaydet. Güncelleme koşulludur: yaptırım başka bir istekte
+ * kaldırıldıysa (veya otomatik kaldırmada yerine süresi dolmamış yeni bir yaptırım verildiyse)
+ * hiçbir şey yapılmaz ve ModLog kaydı tekrarlanmaz.
+ * @param {Object} user - Kullanıcı dokümanı
+ * @param {String} type - 'ban' veya 'mute'
+ * @param {String} moderatorId - Kaldıran moderatör (boşsa süre dolumu ile otomatik)
+ * @param {String} reason - Kaldırma sebebi (opsiyonel)
+ * @returns {Promise<Boolean>} Yaptırım bu çağrıda kaldırıldı mı
+ */
+const liftSanction = async (user, type, moderatorId = null, reason = null) => {
+  const { field, liftAction } = SANCTION_TYPES[type];
+
+  const filter = { _id: user._id, [`${field}.isActive`]: true };
+  if (!moderatorId) {
+    filter[`${field}.expiresAt`] = { $lte: new Date() };
+  }
+
+  // Kaldırılmadan önceki hali döner (ModLog'daki veren moderatör için)
+  const previous = await User.findOneAndUpdate(
+    filter,
+    {
+      $set: { [`${field}.isActive`]: false },
+      $unset: {
+        [`${field}.reason`]: '',
+        [`${field}.issuedBy`]: '',
+        [`${field}.issuedAt`]: '',
+        [`${field}.expiresAt`]: '',
+      },
+    },
+    { projection: { [field]: 1 } },
+  );
+
+  if (!previous) return false;
+
+  await ModLog.create({
+    isSiteWide: true,
+    moderator: moderatorId || previous[field].issuedBy || user._id,
+    action: liftAction,
+    targetType: 'user',
+    targetUser: user._id,
+    reason: reason || undefined,
+    details: moderatorId
+      ? 'Site geneli yaptırım moderatör tarafından kaldırıldı'
+      : 'Site geneli yaptırımın süresi doldu, otomatik olarak kaldırıldı',
+    isPublic: false,
+  });
+
+  user[field] = { isActive: false };
+  return true;
+};
+
+/**
+ * Kullanıcının aktif yaptırımını getir; süresi dolmuşsa otomatik kaldırır
+ * @param {Object} user - Kullanıcı dokümanı
+ * @param {String} type - 'ban' veya 'mute'
+ * @returns {Promise<Object|null>} Aktif yaptırım veya null
+ */
+const getActiveSanction = async (user, type) => {
+  const sanction = user && user[SANCTION_TYPES[type].field];
+
+  if (!sanction || !sanction.isActive) {
+    return null;
+  }
+
+  if (sanction.expiresAt && sanction.expiresAt <= new Date()) {
+    if (await liftSanction(user, type)) return null;
+
+    // Başka bir istek kaldırdı ya da bu arada yeni bir yaptırım verildi; güncel hali kullan
+    const { field } = SANCTION_TYPES[type];
+    const current = await User.findById(user._id).select(field);
+    const currentSanction = current && current[field];
+    return currentSanction &&
+      currentSanction.isActive &&
+      !(currentSanction.expiresAt && currentSanction.expiresAt <= new Date())
+      ? currentSanction
+      : null;
+  }
+
+  return sanction;
+};
+
+/**
+ * Yaptırım için kullanıcıya gösterilecek mesajı oluştur
+ * @param {String} type - 'ban' veya 'mute'
+ * @param {Object} sanction - Aktif yaptırım
+ * @returns {String} Mesaj
+ */
+const getSanctionMessage = (type, sanction) => {
+  const base =
+    type === 'ban'
+      ? 'Hesabınız site genelinde yasaklandı'
+      : 'Hesabınız site genelinde susturuldu, içerik veya mesaj gönderemezsiniz';
+
+  const until = sanction.expiresAt
+    ? ` (${sanction.expiresAt.toISOString()} tarihine kadar)`
+    : ' (kalıcı)';
+
+  return `${base}${until}${sanction.reason ? `. Sebep: ${sanction.reason}` : ''}`;
+};
+
+/**
+ * Süresi dolmuş tüm site geneli yaptırımları kaldır (periyodik görev)
+ * @returns {Promise<Number>} Kaldırılan yaptırım sayısı
+ */
+const liftExpiredSanctions = async () => {
+  let lifted = 0;
+
+  for (const type of Object.keys(SANCTION_TYPES)) {
+    const { field } = SANCTION_TYPES[type];
+    const users = await User.find({
+      [`${field}.isActive`]: true,
+      [`${field}.expiresAt`]: { $lte: new Date() },
+    });
+
+    for (const user of users) {
+      if (await liftSanction(user, type)) lifted++;
+    }
+  }
+
+  return lifted;
+};
+
+module.exports = {
+  getActiveSanction,
+  getSanctionMessage,
+  liftSanction,
+  liftExpiredSanctions,
+};
@@ -0,0 +1,39 @@
+const sanitize = require('sanitize-html');
+
+// Markdown çıktısında izin verilen etiket ve öznitelikler; script, style, iframe ve olay
+// öznitelikleri (onclick vb.) her zaman atılır
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitize.defaults.allowedTags.concat(['img', 'del', 'ins', 'sup', 'sub']),
+  allowedAttributes: {
+    a: ['href', 'title', 'name', 'rel', 'target'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    ol: ['start'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Dış bağlantılar yeni sekmede ve referrer bilgisi olmadan açılır
+    a: (tagName, attribs) =>
+      /^https?:\/\//i.test(attribs.href || '')
+        ? {
+            tagName,
+            attribs: { ...attribs, rel: 'nofollow noopener noreferrer', target: '_blank' },
+          }
+        : { tagName, attribs },
+  },
+};
+
+/**
+ * Kullanıcı içeriğinden üretilmiş HTML'i güvenli hale getir
+ * @param {String} html - Ham HTML
+ * @returns {String} Temizlenmiş HTML
+ */
+const sanitizeHtml = (html) => sanitize(html || '', SANITIZE_OPTIONS);
+
+module.exports = {
+  sanitizeHtml,
+};
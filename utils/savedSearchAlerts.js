@@ -0,0 +1,309 @@
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const Post = require('../models/Post');
+const Subreddit = require('../models/Subreddit');
+const SubredditMembership = require('../models/SubredditMembership');
+const { buildSearchFilter, parseSearchQuery, compileSearchQuery } = require('./searchQuery');
+
+/**
+ * Kayıtlı arama uyarıları.
+ *
+ * Yeni bir gönderi görünür olduğunda (yayınlandığında veya mod kuyruğundan onaylandığında)
+ * uyarısı açık kayıtlı aramalarla karşılaştırılır. "instant" aramalar için hemen bildirim
+ * oluşturulur; "digest" aramaların eşleşmeleri biriktirilip periyodik tek bildirimde gönderilir.
+ */
+
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+// Özet için biriktirilecek en fazla eşleşme (eskiler düşer)
+const MAX_PENDING_MATCHES = 50;
+// Özet bildiriminde başlığı listelenecek gönderi sayısı
+const DIGEST_PREVIEW_ITEMS = 5;
+// Aday kayıtlı aramalar bu boyutta sayfalar halinde (_id sırasıyla) değerlendirilir
+const CANDIDATE_PAGE_SIZE = 5000;
+// Tek aggregate sorgusunda ($facet) değerlendirilen kayıtlı arama sayısı
+const MATCH_BATCH_SIZE = 100;
+
+const escapeRegex = (text) => text.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+
+/**
+ * Kayıtlı arama kriterlerinden gönderi filtresi oluştur (advancedSearch ile aynı anlamda)
+ * @param {Object} criteria - SavedSearch.criteria
+ * @param {Object} options - { textIndex: false ise düz terimler $text yerine regex ile aranır;
+ *   $text kullanılamayan aggregate aşamaları için }
+ * @returns {Promise<Object>} MongoDB filtresi
+ */
+const buildSavedSearchFilter = async (criteria, { textIndex = true } = {}) => {
+  const conditions = [];
+
+  if (criteria.query) {
+    conditions.push(
+      textIndex
+        ? (await buildSearchFilter(criteria.query, 'post')).filter
+        : await compileSearchQuery(parseSearchQuery(criteria.query), 'post'),
+    );
+  }
+
+  if (criteria.includeKeywords && criteria.includeKeywords.length > 0) {
+    const keywordRegex = criteria.includeKeywords.map((k) => new RegExp(escapeRegex(k), 'i'));
+    conditions.push({
+      $or: [{ title: { $in: keywordRegex } }, { content: { $in: keywordRegex } }],
+    });
+  }
+
+  if (criteria.excludeKeywords && criteria.excludeKeywords.length > 0) {
+    const keywordRegex = criteria.excludeKeywords.map((k) => new RegExp(escapeRegex(k), 'i'));
+    conditions.push({
+      $nor: [{ title: { $in: keywordRegex } }, { content: { $in: keywordRegex } }],
+    });
+  }
+
+  if (criteria.author) conditions.push({ author: criteria.author });
+  if (criteria.subreddit) conditions.push({ subreddit: criteria.subreddit });
+  if (criteria.flairs && criteria.flairs.length > 0) {
+    conditions.push({ flair: { $in: criteria.flairs } });
+  }
+  if (criteria.postTypes && criteria.postTypes.length > 0) {
+    conditions.push({ type: { $in: criteria.postTypes } });
+  }
+  if (criteria.nsfw !== true) conditions.push({ isNSFW: false });
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * Kullanıcının üyesi olmadığı özel subreddit'leri dışlayan gönderi filtresi
+ * @param {String|ObjectId} userId - Kullanıcı ID
+ * @returns {Promise<Object>} MongoDB filtresi
+ */
+const buildVisibleSubredditFilter = async (userId) => {
+  const privateIds = await Subreddit.find({ type: 'private' }).distinct('_id');
+  if (privateIds.length === 0) return {};
+
+  const memberOf = await SubredditMembership.find({
+    user: userId,
+    subreddit: { $in: privateIds },
+    status: 'member',
+  }).distinct('subreddit');
+  const memberIds = new Set(memberOf.map((id) => id.toString()));
+  const hiddenIds = privateIds.filter((id) => !memberIds.has(id.toString()));
+
+  return hiddenIds.length > 0 ? { subreddit: { $nin: hiddenIds } } : {};
+};
+
+/**
+ * Kayıtlı aramalardan hangilerinin gönderiyle eşleştiğini bul; aramalar gruplar halinde tek
+ * aggregate sorgusunun $facet dallarında değerlendirilir
+ * @param {Object} post - Gönderi dokümanı
+ * @param {Array} searches - SavedSearch dokümanları
+ * @returns {Promise<Array>} Eşleşen aramalar
+ */
+const findMatchingSearches = async (post, searches) => {
+  const matched = [];
+
+  for (let start = 0; start < searches.length; start += MATCH_BATCH_SIZE) {
+    const facets = {};
+    const facetSearches = {};
+
+    for (const search of searches.slice(start, start + MATCH_BATCH_SIZE)) {
+      try {
+        const filter = await buildSavedSearchFilter(search.criteria, { textIndex: false });
+        facets[`s${search._id}`] = [{ $match: filter }, { $project: { _id: 1 } }];
+        facetSearches[`s${search._id}`] = search;
+      } catch (error) {
+        // Geçersiz hale gelmiş sorgular (ör. silinen alan değerleri) diğerlerini etkilemez
+        console.error(`Kayıtlı arama değerlendirilemedi (${search._id}):`, error.message);
+      }
+    }
+    if (Object.keys(facets).length === 0) continue;
+
+    try {
+      const [result] = await Post.aggregate([
+        { $match: { _id: post._id, isDeleted: false, isFiltered: { $ne: true } } },
+        { $facet: facets },
+      ]);
+      Object.entries(result || {}).forEach(([key, docs]) => {
+        if (docs.length > 0) matched.push(facetSearches[key]);
+      });
+    } catch (error) {
+      console.error('Kayıtlı arama grubu değerlendirilemedi:', error.message);
+    }
+  }
+
+  return matched;
+};
+
+/**
+ * Bir sayfa aday kayıtlı aramayı gönderiyle eşleştir, sayaçları güncelle ve bildirimleri oluştur
+ * @param {Object} post - Gönderi dokümanı
+ * @param {Object|null} subreddit - Gönderinin subreddit'i (name, type)
+ * @param {Array<Object>} candidates - Aday kayıtlı aramalar
+ * @returns {Promise<Number>} Eşleşen kayıtlı arama sayısı
+ */
+const notifyCandidatePage = async (post, subreddit, candidates) => {
+  // Özel subreddit gönderileri yalnızca üyelerin aramalarıyla eşleşir
+  let eligible = candidates;
+  if (subreddit && subreddit.type === 'private') {
+    const members = await SubredditMembership.find({
+      subreddit: subreddit._id,
+      user: { $in: candidates.map((search) => search.user) },
+      status: 'member',
+    }).distinct('user');
+    const memberIds = new Set(members.map((id) => id.toString()));
+    eligible = candidates.filter((search) => memberIds.has(search.user.toString()));
+  }
+
+  const matched = await findMatchingSearches(post, eligible);
+
+  if (matched.length === 0) return 0;
+
+  const now = new Date();
+  const instant = matched.filter((search) => search.alertMode === 'instant');
+  const digest = matched.filter((search) => search.alertMode === 'digest');
+
+  await SavedSearch.updateMany(
+    { _id: { $in: matched.map((search) => search._id) } },
+    { $inc: { matchCount: 1 }, $set: { lastMatchedAt: now } },
+  );
+
+  if (digest.length > 0) {
+    await SavedSearch.updateMany(
+      { _id: { $in: digest.map((search) => search._id) } },
+      { $push: { pendingMatches: { $each: [post._id], $slice: -MAX_PENDING_MATCHES } } },
+    );
+  }
+
+  if (instant.length > 0) {
+    await Notification.insertMany(
+      instant.map((search) => ({
+        recipient: search.user,
+        type: 'saved_search',
+        title: `"${search.name}" aramanız için yeni gönderi`.substring(0, 100),
+        content: post.title.substring(0, 100) + (post.title.length > 100 ? '...' : ''),
+        relatedPost: post._id,
+        relatedSubreddit: post.subreddit,
+        groupKey: `saved_search:${search._id}`,
+      })),
+    );
+  }
+
+  return matched.length;
+};
+
+/**
+ * Yeni gönderiyi uyarısı açık kayıtlı aramalarla eşleştir ve bildir
+ * Adaylar _id sırasıyla sayfalanır; hiçbir kayıtlı arama sessizce dışarıda kalmaz
+ * @param {Object} post - Gönderi dokümanı
+ * @returns {Promise<Number>} Eşleşen kayıtlı arama sayısı
+ */
+const notifySavedSearchMatches = async (post) => {
+  try {
+    const baseFilter = {
+      alertMode: { $ne: 'none' },
+      user: { $ne: post.author },
+      'criteria.subreddit': { $in: [null, post.subreddit] },
+      'criteria.author': { $in: [null, post.author] },
+    };
+
+    let subreddit;
+    let lastId = null;
+    let matchedCount = 0;
+
+    for (;;) {
+      const candidates = await SavedSearch.find(
+        lastId ? { ...baseFilter, _id: { $gt: lastId } } : baseFilter,
+      )
+        .select('user name criteria alertMode')
+        .sort({ _id: 1 })
+        .limit(CANDIDATE_PAGE_SIZE);
+
+      if (candidates.length === 0) break;
+
+      if (subreddit === undefined) {
+        subreddit = await Subreddit.findById(post.subreddit).select('name type');
+      }
+
+      matchedCount += await notifyCandidatePage(post, subreddit, candidates);
+
+      if (candidates.length < CANDIDATE_PAGE_SIZE) break;
+      lastId = candidates[candidates.length - 1]._id;
+    }
+
+    return matchedCount;
+  } catch (error) {
+    console.error('Kayıtlı arama uyarısı hatası:', error);
+    return 0;
+  }
+};
+
+/**
+ * Periyodu dolan özet modundaki kayıtlı aramalar için biriken eşleşmeleri tek bildirimde gönder
+ * @returns {Promise<Number>} Gönderilen özet bildirimi sayısı
+ */
+const sendSavedSearchDigests = async () => {
+  const now = Date.now();
+  const searches = await SavedSearch.find({
+    alertMode: 'digest',
+    'pendingMatches.0': { $exists: true },
+    lastDigestAt: { $lte: new Date(now - DIGEST_PERIODS.daily) },
+  }).select('user name digestFrequency pendingMatches lastDigestAt');
+
+  let sent = 0;
+
+  for (const search of searches) {
+    try {
+      const period = DIGEST_PERIODS[search.digestFrequency] || DIGEST_PERIODS.daily;
+      if (now - search.lastDigestAt.getTime() < period) continue;
+
+      // Bekleme sırasında silinen veya kaldırılan gönderiler özete alınmaz
+      const posts = await Post.find({ _id: { $in: search.pendingMatches } })
+        .select('title subreddit createdAt')
+        .sort({ createdAt: -1 });
+
+      // Sadece gönderilenler çıkarılır; bu arada eklenen eşleşmeler bir sonraki özete kalır
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        {
+          $pullAll: { pendingMatches: search.pendingMatches },
+          $set: { lastDigestAt: new Date(now) },
+        },
+      );
+
+      if (posts.length === 0) continue;
+
+      const preview = posts
+        .slice(0, DIGEST_PREVIEW_ITEMS)
+        .map((post) => `• ${post.title.substring(0, 80)}`)
+        .join('\n');
+      const remaining = posts.length - DIGEST_PREVIEW_ITEMS;
+
+      await Notification.create({
+        recipient: search.user,
+        type: 'saved_search',
+        title: `"${search.name}" aramanız için ${posts.length} yeni gönderi`.substring(0, 100),
+        content: (remaining > 0 ? `${preview}\n+${remaining} gönderi daha` : preview).substring(
+          0,
+          500,
+        ),
+        relatedPost: posts[0]._id,
+        relatedSubreddit: posts[0].subreddit,
+        groupKey: `saved_search:${search._id}`,
+        aggregateCount: posts.length,
+      });
+      sent++;
+    } catch (error) {
+      console.error(`Kayıtlı arama özeti gönderilemedi (${search._id}):`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  buildSavedSearchFilter,
+  buildVisibleSubredditFilter,
+  notifySavedSearchMatches,
+  sendSavedSearchDigests,
+};
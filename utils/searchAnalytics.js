@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const net = require('net');
+const SearchQuery = require('../models/SearchQuery');
+const Subreddit = require('../models/Subreddit');
+const ContentFilter = require('../models/ContentFilter');
+
+/**
+ * Arama kayıtları ve trend aramaların hesaplanması.
+ *
+ * Her arama SearchQuery olarak kaydedilir. Trendler, seçilen penceredeki (saat/gün/hafta)
+ * farklı arama yapan kişi sayısına göre sıralanır; önceki pencerelerin ortalamasına göre
+ * ani artış gösteren sorgular işaretlenir. NSFW ve engellenmiş terimler listelenmez.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Trend pencereleri: güncel pencere ve karşılaştırma için önceki pencere sayısı
+const TRENDING_WINDOWS = {
+  hour: { durationMs: HOUR_MS, baselineWindows: 24 },
+  day: { durationMs: 24 * HOUR_MS, baselineWindows: 7 },
+  week: { durationMs: 7 * 24 * HOUR_MS, baselineWindows: 4 },
+};
+// Tek kişinin tekrar tekrar aramasıyla trend oluşmaması için gereken en az farklı kişi
+const MIN_TRENDING_SEARCHERS = 3;
+// Ani artış: en az bu kadar kişi ve önceki pencere ortalamasının bu katı
+const SPIKE_MIN_SEARCHERS = 5;
+const SPIKE_RATIO = 3;
+// Aramalarının bu oranı NSFW olan sorgular gizlenir
+const NSFW_SHARE_THRESHOLD = 0.5;
+const NSFW_TERMS = ['nsfw', 'porn', 'porno', 'nude', 'nudes', 'sex', 'seks', 'xxx', 'onlyfans'];
+const TRENDING_CACHE_MS = 5 * 60 * 1000;
+const MAX_TRENDING_RESULTS = 50;
+
+const trendingCache = new Map();
+
+const getVisitorSecret = () =>
+  process.env.SEARCH_ANALYTICS_SECRET || process.env.SESSION_SECRET || 'search-analytics-secret';
+
+/**
+ * Sorguyu trend hesaplaması için normalleştir
+ * @param {String} query - Ham sorgu
+ * @returns {String} Küçük harfli, tek boşluklu sorgu
+ */
+const normalizeSearchQuery = (query) =>
+  String(query || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 200);
+
+/**
+ * IP adresinin ağ önekini getir (IPv4 için /24, IPv6 için /64)
+ * @param {String} ip - IP adresi
+ * @returns {String} Ağ öneki
+ */
+const getNetworkPrefix = (ip = '') => {
+  const address = ip.replace(/^::ffff:/i, '');
+
+  if (net.isIPv4(address)) return address.split('.').slice(0, 3).join('.');
+  if (!net.isIPv6(address)) return address;
+
+  // Kısaltılmış (::) adresi 8 gruba aç ve ilk 4 grubu al
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups =
+    tail === undefined
+      ? headGroups
+      : [
+          ...headGroups,
+          ...Array(8 - headGroups.length - tailGroups.length).fill('0'),
+          ...tailGroups,
+        ];
+  return groups
+    .slice(0, 4)
+    .map((group) => group.toLowerCase().replace(/^0+(?=.)/, ''))
+    .join(':');
+};
+
+/**
+ * İstek sahibini günlük değişen, geri çevrilemez bir anahtarla tanımla. Anonim aramalar yalnızca
+ * ağ önekiyle ayırt edilir; User-Agent değiştirerek trend sayısı şişirilemez.
+ * @param {Object} req - Express isteği
+ * @returns {String} Hash
+ */
+const getVisitorHash = (req) => {
+  const day = new Date().toISOString().slice(0, 10);
+  return crypto
+    .createHmac('sha256', getVisitorSecret())
+    .update(`${day}:${getNetworkPrefix(req.ip)}`)
+    .digest('hex');
+};
+
+/**
+ * Aramayı kaydet. Hatalar aramayı etkilememesi için loglanır ve yutulur.
+ * @param {Object} req - Express isteği (req.user varsa geçmişe eklenir)
+ * @param {Object} details - { query, source, type, subreddit, resultCount, isNSFW }
+ * @returns {Promise<void>}
+ */
+const recordSearch = async (req, { query, source, type, subreddit, resultCount, isNSFW }) => {
+  const normalizedQuery = normalizeSearchQuery(query);
+  if (!normalizedQuery) return;
+
+  try {
+    await SearchQuery.create({
+      user: req.user ? req.user._id : null,
+      visitorHash: getVisitorHash(req),
+      query: String(query).trim().slice(0, 512),
+      normalizedQuery,
+      source,
+      type,
+      subreddit: subreddit || undefined,
+      resultCount: resultCount || 0,
+      isNSFW: isNSFW === true,
+    });
+  } catch (err) {
+    console.error('Arama kaydedilemedi:', err.message);
+  }
+};
+
+/**
+ * Trend listesinde gösterilmeyecek sorguları bul
+ * @param {Array<Object>} candidates - [{ term, nsfwShare }]
+ * @returns {Promise<Set<String>>} Gizlenecek terimler
+ */
+const getSuppressedTerms = async (candidates) => {
+  const suppressed = new Set();
+  const terms = candidates.map((candidate) => candidate.term);
+
+  // Site geneli içerik filtreleri (anahtar kelime ve regex) engellenmiş terim sayılır
+  const [siteFilters, nsfwSubreddits] = await Promise.all([
+    ContentFilter.find({
+      scope: 'site',
+      isActive: true,
+      type: { $in: ['keyword', 'regex'] },
+    }).select('type pattern'),
+    Subreddit.find({ name: { $in: terms }, nsfw: true }).select('name'),
+  ]);
+
+  const blockedPatterns = siteFilters
+    .map((filter) => {
+      if (filter.type === 'keyword') return (term) => term.includes(filter.pattern.toLowerCase());
+      try {
+        const regex = new RegExp(filter.pattern, 'i');
+        return (term) => regex.test(term);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  const nsfwNames = new Set(nsfwSubreddits.map((subreddit) => subreddit.name.toLowerCase()));
+
+  candidates.forEach(({ term, nsfwShare }) => {
+    const words = term.split(/[^\p{L}\p{N}]+/u);
+    if (
+      nsfwShare >= NSFW_SHARE_THRESHOLD ||
+      nsfwNames.has(term) ||
+      words.some((word) => NSFW_TERMS.includes(word)) ||
+      blockedPatterns.some((matches) => matches(term))
+    ) {
+      suppressed.add(term);
+    }
+  });
+
+  return suppressed;
+};
+
+/**
+ * Trend aramaları hesapla
+ * @param {Object} options - { window: 'hour'|'day'|'week', limit }
+ * @returns {Promise<Array>} [{ term, searchers, searches, baselineAverage, growth, isSpike, score }]
+ */
+const getTrendingSearchTerms = async ({ window = 'day', limit = 10 } = {}) => {
+  const config = TRENDING_WINDOWS[window] || TRENDING_WINDOWS.day;
+  const cacheKey = window in TRENDING_WINDOWS ? window : 'day';
+  const cached = trendingCache.get(cacheKey);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.trending.slice(0, limit);
+  }
+
+  const now = Date.now();
+  const currentStart = new Date(now - config.durationMs);
+  const baselineStart = new Date(now - config.durationMs * (config.baselineWindows + 1));
+
+  const rows = await SearchQuery.aggregate([
+    { $match: { createdAt: { $gte: baselineStart } } },
+    {
+      $group: {
+        _id: {
+          term: '$normalizedQuery',
+          searcher: { $ifNull: ['$user', '$visitorHash'] },
+          current: { $gte: ['$createdAt', currentStart] },
+        },
+        searches: { $sum: 1 },
+        nsfwSearches: { $sum: { $cond: ['$isNSFW', 1, 0] } },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id.term',
+        searchers: { $sum: { $cond: ['$_id.current', 1, 0] } },
+        searches: { $sum: { $cond: ['$_id.current', '$searches', 0] } },
+        baselineSearchers: { $sum: { $cond: ['$_id.current', 0, 1] } },
+        totalSearches: { $sum: '$searches' },
+        nsfwSearches: { $sum: '$nsfwSearches' },
+      },
+    },
+    { $match: { searchers: { $gte: MIN_TRENDING_SEARCHERS } } },
+    { $sort: { searchers: -1 } },
+    { $limit: MAX_TRENDING_RESULTS * 4 },
+  ]);
+
+  const candidates = rows.map((row) => {
+    const baselineAverage = row.baselineSearchers / config.baselineWindows;
+    const ratio = row.searchers / Math.max(baselineAverage, 1);
+
+    return {
+      term: row._id,
+      searchers: row.searchers,
+      searches: row.searches,
+      baselineAverage: Math.round(baselineAverage * 100) / 100,
+      growth:
+        baselineAverage > 0
+          ? Math.round(((row.searchers - baselineAverage) / baselineAverage) * 100)
+          : null,
+      isSpike: row.searchers >= SPIKE_MIN_SEARCHERS && ratio >= SPIKE_RATIO,
+      score: Math.round(row.searchers * (1 + Math.log2(Math.max(ratio, 1))) * 100) / 100,
+      nsfwShare: row.totalSearches > 0 ? row.nsfwSearches / row.totalSearches : 0,
+    };
+  });
+
+  const suppressed = await getSuppressedTerms(candidates);
+
+  const trending = candidates
+    .filter((candidate) => !suppressed.has(candidate.term))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_TRENDING_RESULTS)
+    .map(({ nsfwShare, ...candidate }) => candidate);
+
+  trendingCache.set(cacheKey, { trending, expiresAt: Date.now() + TRENDING_CACHE_MS });
+
+  return trending.slice(0, limit);
+};
+
+module.exports = {
+  TRENDING_WINDOWS,
+  MAX_TRENDING_RESULTS,
+  normalizeSearchQuery,
+  recordSearch,
+  getTrendingSearchTerms,
+};
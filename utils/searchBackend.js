@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const { InvertedIndex } = require('./invertedIndex');
+
+/**
+ * Gönderi ve yorum araması için değiştirilebilir arama arka ucu.
+ *
+ * Her arka uç aynı arayüzü uygular:
+ *   name, isReady(kind), search(kind, query, { limit }), highlight(kind, hit),
+ *   indexDocument(kind, doc), removeDocument(kind, id), rebuild(kind, documents), getStats()
+ *
+ * search() yalnızca alaka sırasına göre doküman ID'leri döndürür; silinmişlik, NSFW, subreddit
+ * gibi filtreler ve sayfalama MongoDB üzerinde uygulanır. nativeTextSearch işaretli arka uçlarda
+ * (mongo) filtreler doğrudan $text sorgusuna eklenir.
+ *
+ * Arka uç SEARCH_BACKEND ortam değişkeniyle seçilir (varsayılan mongo) veya setSearchBackend ile
+ * değiştirilebilir. memory arka ucu süreç başına ayrı indeks tutar; birden fazla sunucu
+ * örneğinde indeksler birbirinden kopacağından yalnızca tek örnekli kurulumlarda açılmalıdır.
+ */
+
+// Bir aramada arka uçtan istenecek en fazla sonuç; filtreler bu kümenin içinde uygulanır
+const MAX_SEARCH_HITS = 20000;
+// Yeniden indekslemede belleğe alınan doküman grubu
+const REBUILD_BATCH_SIZE = 500;
+
+// kind -> model ve indekslenen alanlar (weight: BM25 alan ağırlığı, store: snippet için saklanan karakter)
+const SEARCH_SOURCES = {
+  post: {
+    model: 'Post',
+    fields: {
+      title: { weight: 2.5, store: 300 },
+      content: { weight: 1, store: 2000 },
+    },
+  },
+  comment: {
+    model: 'Comment',
+    fields: {
+      content: { weight: 1, store: 2000 },
+    },
+  },
+};
+const SEARCH_KINDS = Object.keys(SEARCH_SOURCES);
+
+// Bu alanlardan biri değişirse doküman yeniden indekslenir
+const SYNC_FIELDS = ['isDeleted', 'isFiltered'];
+
+/**
+ * Doküman aramada görünebilir mi (silinmiş ve onay bekleyenler indekslenmez)
+ * @param {Object} doc - Ham doküman
+ * @returns {Boolean}
+ */
+const isSearchable = (doc) => !doc.isDeleted && !doc.isFiltered;
+
+/**
+ * Bellek içi ters indeks arka ucu
+ * @returns {Object} Arka uç
+ */
+const createMemoryBackend = () => {
+  const indexes = Object.fromEntries(
+    SEARCH_KINDS.map((kind) => [kind, new InvertedIndex({ fields: SEARCH_SOURCES[kind].fields })]),
+  );
+  // İlk yeniden indeksleme bitene kadar sonuçlar eksik olur
+  const ready = new Set();
+  // Yeniden indeksleme sırasında gelen değişiklikler (id -> doküman, silme için null)
+  const pending = new Map();
+
+  return {
+    name: 'memory',
+
+    isReady: (kind) => ready.has(kind),
+
+    search: async (kind, query, { limit = MAX_SEARCH_HITS } = {}) =>
+      indexes[kind].search(query, { limit }),
+
+    highlight: (kind, hit) => indexes[kind].highlight(hit.id, hit.matchedTerms),
+
+    indexDocument: async (kind, doc) => {
+      const id = doc._id.toString();
+      const value = isSearchable(doc) ? doc : null;
+      if (value) indexes[kind].add(id, value);
+      else indexes[kind].remove(id);
+      pending.get(kind)?.set(id, value);
+    },
+
+    removeDocument: async (kind, id) => {
+      indexes[kind].remove(id.toString());
+      pending.get(kind)?.set(id.toString(), null);
+    },
+
+    rebuild: async (kind, documents) => {
+      if (pending.has(kind)) throw new Error(`${kind} indeksi zaten yeniden oluşturuluyor`);
+      pending.set(kind, new Map());
+
+      try {
+        // Yeni indeks ayrı kurulur, bitene kadar aramalar eskisiyle devam eder
+        const index = new InvertedIndex({ fields: SEARCH_SOURCES[kind].fields });
+        for await (const doc of documents) {
+          if (isSearchable(doc)) index.add(doc._id.toString(), doc);
+        }
+
+        // Okuma sırasında kaçırılmış olabilecek değişiklikleri uygula
+        pending.get(kind).forEach((doc, id) => {
+          if (doc) index.add(id, doc);
+          else index.remove(id);
+        });
+
+        indexes[kind] = index;
+        ready.add(kind);
+        return index.size;
+      } finally {
+        pending.delete(kind);
+      }
+    },
+
+    getStats: () =>
+      Object.fromEntries(
+        SEARCH_KINDS.map((kind) => [
+          kind,
+          {
+            documents: indexes[kind].size,
+            terms: indexes[kind].termCount,
+            ready: ready.has(kind),
+            rebuilding: pending.has(kind),
+          },
+        ]),
+      ),
+  };
+};
+
+/**
+ * MongoDB $text indeksini kullanan arka uç (indeksi MongoDB güncel tutar)
+ * @returns {Object} Arka uç
+ */
+const createMongoBackend = () => ({
+  name: 'mongo',
+
+  // Aramalar filtrelerle birlikte doğrudan MongoDB'de çalıştırılır
+  nativeTextSearch: true,
+
+  isReady: () => true,
+
+  search: async (kind, query, { limit = MAX_SEARCH_HITS } = {}) => {
+    const docs = await mongoose
+      .model(SEARCH_SOURCES[kind].model)
+      .find({ $text: { $search: query } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .select('_id')
+      .lean();
+
+    return docs.map((doc) => ({ id: doc._id.toString(), score: doc.score }));
+  },
+
+  highlight: () => ({}),
+
+  indexDocument: async () => {},
+
+  removeDocument: async () => {},
+
+  rebuild: async (kind) => mongoose.model(SEARCH_SOURCES[kind].model).estimatedDocumentCount(),
+
+  getStats: () =>
+    Object.fromEntries(SEARCH_KINDS.map((kind) => [kind, { ready: true, rebuilding: false }])),
+});
+
+const BACKEND_FACTORIES = {
+  memory: createMemoryBackend,
+  mongo: createMongoBackend,
+};
+
+let activeBackend = null;
+
+/**
+ * Kullanılan arama arka ucunu getir
+ * @returns {Object} Arka uç
+ */
+const getSearchBackend = () => {
+  if (!activeBackend) {
+    const factory = BACKEND_FACTORIES[process.env.SEARCH_BACKEND] || BACKEND_FACTORIES.mongo;
+    activeBackend = factory();
+  }
+  return activeBackend;
+};
+
+/**
+ * Arama arka ucunu değiştir (harici arama servisleri için)
+ * @param {Object} backend - Arayüzü uygulayan arka uç
+ */
+const setSearchBackend = (backend) => {
+  activeBackend = backend;
+};
+
+/**
+ * İndekslenecek alanlar ve görünürlük alanları için projeksiyon
+ * @param {String} kind - post | comment
+ * @returns {Object}
+ */
+const getProjection = (kind) =>
+  Object.fromEntries(
+    [...Object.keys(SEARCH_SOURCES[kind].fields), ...SYNC_FIELDS].map((field) => [field, 1]),
+  );
+
+/**
+ * Dokümanları veritabanındaki güncel halleriyle yeniden indeksle; bulunamayanları çıkar.
+ * Model find hook'ları (silinmiş/onay bekleyen filtresi) atlanmak için koleksiyon doğrudan okunur.
+ * @param {String} kind - post | comment
+ * @param {Array} ids - Doküman ID'leri
+ * @returns {Promise<void>}
+ */
+const refreshDocuments = async (kind, ids) => {
+  const backend = getSearchBackend();
+  const docs = await mongoose
+    .model(SEARCH_SOURCES[kind].model)
+    .collection.find({ _id: { $in: ids } })
+    .project(getProjection(kind))
+    .toArray();
+
+  const found = new Set(docs.map((doc) => doc._id.toString()));
+  await Promise.all([
+    ...docs.map((doc) => backend.indexDocument(kind, doc)),
+    ...ids.filter((id) => !found.has(id.toString())).map((id) => backend.removeDocument(kind, id)),
+  ]);
+};
+
+/**
+ * Güncelleme ifadesi indekslenen alanlardan birine dokunuyor mu
+ * @param {Object} update - Query.getUpdate() sonucu
+ * @param {Array<String>} fields - Alan adları
+ * @returns {Boolean}
+ */
+const touchesFields = (update, fields) => {
+  if (!update) return false;
+  const stages = Array.isArray(update) ? update : [update];
+
+  return stages.some((stage) =>
+    Object.entries(stage).some(([key, value]) =>
+      key.startsWith('$')
+        ? value &&
+          typeof value === 'object' &&
+          Object.keys(value).some((path) => fields.includes(path.split('.')[0]))
+        : fields.includes(key.split('.')[0]),
+    ),
+  );
+};
+
+const logSyncError = (err) => {
+  console.error('Arama indeksi güncellenemedi:', err.message);
+};
+
+/**
+ * Şemaya arama indeksini güncel tutan hook'ları ekle (oluşturma, güncelleme, silme)
+ * @param {Object} schema - Mongoose şeması
+ * @param {String} kind - post | comment
+ */
+const registerSearchSync = (schema, kind) => {
+  const watchedFields = [...Object.keys(SEARCH_SOURCES[kind].fields), ...SYNC_FIELDS];
+
+  schema.pre('save', function () {
+    this.$locals.searchSyncNeeded =
+      this.isNew || watchedFields.some((field) => this.isModified(field));
+  });
+
+  schema.post('save', function (doc) {
+    if (!doc.$locals.searchSyncNeeded) return;
+    getSearchBackend().indexDocument(kind, doc.toObject()).catch(logSyncError);
+  });
+
+  schema.post('insertMany', function (docs) {
+    const backend = getSearchBackend();
+    docs.forEach((doc) => backend.indexDocument(kind, doc.toObject()).catch(logSyncError));
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, function (doc) {
+    getSearchBackend().removeDocument(kind, doc._id).catch(logSyncError);
+  });
+
+  // Sorgu ile yapılan güncelleme/silmelerde etkilenecek ID'ler önceden toplanır
+  const queryHooks = [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ];
+
+  // Mongo backend'i koleksiyonun kendi text index'ini kullanır; ek sorgu yapmaya gerek yok
+  schema.pre(queryHooks, { document: false, query: true }, async function () {
+    if (getSearchBackend().nativeTextSearch) return;
+
+    const isDelete = ['deleteOne', 'deleteMany', 'findOneAndDelete'].includes(this.op);
+    if (!isDelete && this.op !== 'replaceOne' && !touchesFields(this.getUpdate(), watchedFields)) {
+      return;
+    }
+
+    try {
+      this._searchSyncIds = await this.model.distinct('_id', this.getFilter());
+    } catch (err) {
+      logSyncError(err);
+    }
+  });
+
+  schema.post(queryHooks, { document: false, query: true }, function () {
+    if (getSearchBackend().nativeTextSearch) return;
+    if (!this._searchSyncIds || this._searchSyncIds.length === 0) return;
+    refreshDocuments(kind, this._searchSyncIds).catch(logSyncError);
+  });
+};
+
+/**
+ * Mevcut verilerden arama indeksini yeniden oluştur
+ * @param {Array<String>} kinds - Yeniden indekslenecek türler (varsayılan: hepsi)
+ * @returns {Promise<Object>} { tür: indekslenen doküman sayısı }
+ */
+const reindexSearch = async (kinds = SEARCH_KINDS) => {
+  const backend = getSearchBackend();
+  const counts = {};
+
+  for (const kind of kinds) {
+    const documents = mongoose
+      .model(SEARCH_SOURCES[kind].model)
+      .collection.find({ isDeleted: { $ne: true }, isFiltered: { $ne: true } })
+      .project(getProjection(kind))
+      .batchSize(REBUILD_BATCH_SIZE);
+
+    counts[kind] = await backend.rebuild(kind, documents);
+  }
+
+  return counts;
+};
+
+module.exports = {
+  MAX_SEARCH_HITS,
+  SEARCH_KINDS,
+  getSearchBackend,
+  setSearchBackend,
+  registerSearchSync,
+  reindexSearch,
+};
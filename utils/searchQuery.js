@@ -0,0 +1,445 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Reddit tarzı arama sorgu dili.
+ *
+ *   title:"foo bar" author:alice subreddit:js flair:Help nsfw:no self:yes site:github.com -spam
+ *   (react OR vue) AND NOT title:jquery
+ *
+ * Yan yana yazılan ifadeler AND ile birleşir. AND, OR ve NOT büyük harfle yazılmalıdır;
+ * küçük harfli hali normal terim sayılır. "-ifade" NOT ile aynıdır. Öncelik: NOT > AND > OR.
+ * Sorgu önce bir sözdizimi ağacına (AST) çevrilir, ardından Post veya Comment sorgusuna derlenir.
+ */
+
+const MAX_QUERY_LENGTH = 512;
+const MAX_TERMS = 30;
+const MAX_DEPTH = 10;
+// Yorum aramasında gönderiye ait alanlar (title, subreddit...) için çözümlenecek en fazla gönderi;
+// aşılırsa sonuçları kesmek yerine hata verilir (kesilmiş liste NOT ile ters sonuç üretir)
+const MAX_RESOLVED_POSTS = 5000;
+
+const SEARCH_FIELDS = [
+  'title',
+  'selftext',
+  'author',
+  'subreddit',
+  'flair',
+  'nsfw',
+  'self',
+  'site',
+  'url',
+];
+const BOOLEAN_FIELDS = ['nsfw', 'self'];
+// Yorumlarda yorumun kendisine uygulanan alanlar; diğerleri yorumun gönderisine uygulanır
+const COMMENT_FIELDS = ['author', 'selftext'];
+const BOOLEAN_VALUES = {
+  yes: true,
+  true: true,
+  1: true,
+  evet: true,
+  no: false,
+  false: false,
+  0: false,
+  hayir: false,
+  hayır: false,
+};
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Sorgu sözdizimi hatası (400); position sorgudaki 1 tabanlı karakter konumudur
+ */
+class SearchSyntaxError extends ErrorResponse {
+  constructor(message, position) {
+    super(
+      position
+        ? `Arama sorgusu hatası (konum ${position}): ${message}`
+        : `Arama sorgusu hatası: ${message}`,
+      400,
+    );
+    this.position = position;
+  }
+}
+
+const escapeRegExp = (value) => value.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+
+/**
+ * Sorguyu sözcüklere ayır
+ * @param {String} input - Ham sorgu
+ * @returns {Array<Object>} [{ kind, value, field, phrase, position }]
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  const readPhrase = (start) => {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new SearchSyntaxError('Kapanmamış tırnak işareti', start + 1);
+    }
+    return { value: input.slice(start + 1, end), end: end + 1 };
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ kind: char === '(' ? 'lparen' : 'rparen', position: i + 1 });
+      i++;
+    } else if (char === '"') {
+      const { value, end } = readPhrase(i);
+      tokens.push({ kind: 'term', value, phrase: true, position: i + 1 });
+      i = end;
+    } else if (char === '-') {
+      if (i + 1 >= input.length || /[\s)]/.test(input[i + 1])) {
+        throw new SearchSyntaxError(
+          "'-' işaretinden sonra hariç tutulacak bir ifade gelmelidir",
+          i + 1,
+        );
+      }
+      tokens.push({ kind: 'not', position: i + 1 });
+      i++;
+    } else {
+      const start = i;
+      while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+      const word = input.slice(start, i);
+      const fieldMatch = word.match(/^([a-zA-Z]+):(.*)$/);
+      const field = fieldMatch && fieldMatch[1].toLowerCase();
+
+      if (OPERATORS.includes(word)) {
+        tokens.push({ kind: word.toLowerCase(), position: start + 1 });
+      } else if (field && SEARCH_FIELDS.includes(field)) {
+        let value = fieldMatch[2];
+        let phrase = false;
+
+        if (!value && input[i] === '"') {
+          const result = readPhrase(i);
+          value = result.value;
+          phrase = true;
+          i = result.end;
+        }
+
+        if (!value.trim()) {
+          throw new SearchSyntaxError(`'${field}:' için bir değer gerekli`, start + 1);
+        }
+
+        tokens.push({ kind: 'field', field, value, phrase, position: start + 1 });
+      } else {
+        // Bilinmeyen önekler (ör. http://) normal terim sayılır
+        tokens.push({ kind: 'term', value: word, phrase: false, position: start + 1 });
+      }
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Alan değerini doğrula ve normalleştir
+ * @param {Object} token - field sözcüğü
+ * @returns {String|Boolean} Değer
+ */
+const parseFieldValue = ({ field, value, position }) => {
+  const trimmed = value.trim();
+
+  if (BOOLEAN_FIELDS.includes(field)) {
+    const parsed = BOOLEAN_VALUES[trimmed.toLowerCase()];
+    if (parsed === undefined) {
+      throw new SearchSyntaxError(`'${field}:' değeri yes veya no olmalıdır`, position);
+    }
+    return parsed;
+  }
+
+  if (field === 'site') {
+    const domain = trimmed
+      .toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/[/?#].*$/, '');
+    if (!/^[a-z0-9.-]+\.[a-z0-9-]+$/.test(domain)) {
+      throw new SearchSyntaxError(`Geçersiz alan adı: ${trimmed}`, position);
+    }
+    return domain;
+  }
+
+  if (field === 'author') return trimmed.replace(/^\/?u\//i, '');
+  if (field === 'subreddit') return trimmed.replace(/^\/?r\//i, '');
+
+  return trimmed;
+};
+
+/**
+ * Arama sorgusunu sözdizimi ağacına çevir
+ * @param {String} input - Ham sorgu
+ * @returns {Object} AST düğümü:
+ *   { type: 'and'|'or', children } | { type: 'not', child } |
+ *   { type: 'term', value, phrase } | { type: 'field', field, value, phrase }
+ */
+const parseSearchQuery = (input) => {
+  const query = String(input || '').trim();
+
+  if (!query) {
+    throw new SearchSyntaxError('Sorgu boş olamaz');
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new SearchSyntaxError(`Sorgu en fazla ${MAX_QUERY_LENGTH} karakter olabilir`);
+  }
+
+  const tokens = tokenize(query);
+  let index = 0;
+  let termCount = 0;
+
+  const peek = () => tokens[index];
+  const endPosition = query.length + 1;
+
+  const startsOperand = (token) => token && ['not', 'lparen', 'term', 'field'].includes(token.kind);
+
+  const expectOperand = (operator, position) => {
+    if (!startsOperand(peek())) {
+      throw new SearchSyntaxError(
+        `${operator} operatöründen sonra bir ifade bekleniyor`,
+        peek() ? peek().position : position,
+      );
+    }
+  };
+
+  const parseOr = (depth) => {
+    const children = [parseAnd(depth)];
+
+    while (peek() && peek().kind === 'or') {
+      const { position } = tokens[index++];
+      expectOperand('OR', position);
+      children.push(parseAnd(depth));
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = (depth) => {
+    const children = [parseUnary(depth)];
+
+    while (peek()) {
+      if (peek().kind === 'and') {
+        const { position } = tokens[index++];
+        expectOperand('AND', position);
+      } else if (!startsOperand(peek())) {
+        break;
+      }
+      children.push(parseUnary(depth));
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = (depth) => {
+    const token = peek();
+
+    if (token && token.kind === 'not') {
+      index++;
+      expectOperand('NOT', token.position);
+      return { type: 'not', child: parseUnary(depth) };
+    }
+
+    return parsePrimary(depth);
+  };
+
+  const parsePrimary = (depth) => {
+    const token = peek();
+
+    if (!token) {
+      throw new SearchSyntaxError('Sorgu beklenmedik şekilde bitti', endPosition);
+    }
+
+    if (token.kind === 'lparen') {
+      if (depth >= MAX_DEPTH) {
+        throw new SearchSyntaxError(
+          `En fazla ${MAX_DEPTH} iç içe parantez kullanılabilir`,
+          token.position,
+        );
+      }
+      index++;
+      if (peek() && peek().kind === 'rparen') {
+        throw new SearchSyntaxError('Boş parantez', token.position);
+      }
+      const node = parseOr(depth + 1);
+      if (!peek() || peek().kind !== 'rparen') {
+        throw new SearchSyntaxError('Kapanmamış parantez', token.position);
+      }
+      index++;
+      return node;
+    }
+
+    if (token.kind === 'term' || token.kind === 'field') {
+      index++;
+      termCount++;
+      if (termCount > MAX_TERMS) {
+        throw new SearchSyntaxError(`Sorgu en fazla ${MAX_TERMS} terim içerebilir`, token.position);
+      }
+      if (token.kind === 'term') {
+        if (!token.value.trim()) {
+          throw new SearchSyntaxError('Boş tırnak ifadesi', token.position);
+        }
+        return { type: 'term', value: token.value.trim(), phrase: token.phrase };
+      }
+      return {
+        type: 'field',
+        field: token.field,
+        value: parseFieldValue(token),
+        phrase: token.phrase,
+      };
+    }
+
+    if (token.kind === 'rparen') {
+      throw new SearchSyntaxError("Beklenmeyen ')'", token.position);
+    }
+
+    throw new SearchSyntaxError(
+      `${token.kind.toUpperCase()} operatöründen önce bir ifade bekleniyor`,
+      token.position,
+    );
+  };
+
+  const ast = parseOr(0);
+
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw new SearchSyntaxError(
+      token.kind === 'rparen' ? "Eşleşmeyen ')'" : 'Beklenmeyen ifade',
+      token.position,
+    );
+  }
+
+  return ast;
+};
+
+/**
+ * Sorgu yalnızca AND ile birleşen düz terimlerden mi oluşuyor ($text ile aranabilir)
+ * @param {Object} ast - AST düğümü
+ * @returns {Boolean}
+ */
+const isPlainTextQuery = (ast) =>
+  ast.type === 'term' ||
+  (ast.type === 'and' && ast.children.every((child) => child.type === 'term'));
+
+/**
+ * AST'yi MongoDB sorgusuna derle
+ * @param {Object} ast - AST düğümü
+ * @param {String} target - 'post' veya 'comment'
+ * @returns {Promise<Object>} MongoDB filtresi
+ */
+const compileSearchQuery = async (ast, target = 'post') => {
+  const lookups = new Map();
+
+  // Aynı sorguda tekrarlanan kullanıcı/subreddit/flair aramaları bir kez yapılır
+  const lookupIds = async (modelName, filter) => {
+    // RegExp değerleri JSON'da {} olur; anahtarda kaynak metinleriyle yer alır
+    const key = `${modelName}:${JSON.stringify(filter, (name, value) =>
+      value instanceof RegExp ? value.toString() : value,
+    )}`;
+    if (!lookups.has(key)) {
+      lookups.set(
+        key,
+        mongoose
+          .model(modelName)
+          .find(filter)
+          .select('_id')
+          .limit(MAX_RESOLVED_POSTS + 1)
+          .lean()
+          .then((docs) => {
+            if (docs.length > MAX_RESOLVED_POSTS) {
+              throw new SearchSyntaxError(
+                `Alan filtresi ${MAX_RESOLVED_POSTS} kayıttan fazlasıyla eşleşiyor, sorguyu daraltın`,
+              );
+            }
+            return docs.map((doc) => doc._id);
+          }),
+      );
+    }
+    return lookups.get(key);
+  };
+
+  const exact = (value) => new RegExp(`^${escapeRegExp(value)}$`, 'i');
+  const contains = (value) => new RegExp(escapeRegExp(value), 'i');
+
+  const compilePostField = async ({ field, value }) => {
+    switch (field) {
+      case 'title':
+        return { title: contains(value) };
+      case 'selftext':
+        return { content: contains(value) };
+      case 'author':
+        return { author: { $in: await lookupIds('User', { username: exact(value) }) } };
+      case 'subreddit':
+        return { subreddit: { $in: await lookupIds('Subreddit', { name: exact(value) }) } };
+      case 'flair':
+        return { flair: { $in: await lookupIds('Flair', { type: 'post', text: exact(value) }) } };
+      case 'nsfw':
+        return { isNSFW: value };
+      case 'self':
+        return value ? { type: 'text' } : { type: { $ne: 'text' } };
+      case 'site':
+        return { url: new RegExp(`^https?://([^/?#]*\\.)?${escapeRegExp(value)}([/:?#]|$)`, 'i') };
+      case 'url':
+        return { url: contains(value) };
+      default:
+        return {};
+    }
+  };
+
+  const compileNode = async (node) => {
+    switch (node.type) {
+      case 'and':
+        return { $and: await Promise.all(node.children.map(compileNode)) };
+      case 'or':
+        return { $or: await Promise.all(node.children.map(compileNode)) };
+      case 'not':
+        return { $nor: [await compileNode(node.child)] };
+      case 'term':
+        return target === 'comment'
+          ? { content: contains(node.value) }
+          : { $or: [{ title: contains(node.value) }, { content: contains(node.value) }] };
+      case 'field':
+        if (target !== 'comment') return compilePostField(node);
+        if (COMMENT_FIELDS.includes(node.field)) {
+          // Yorumlarda metin alanı content, yazar alanı author
+          return node.field === 'author'
+            ? compilePostField(node)
+            : { content: contains(node.value) };
+        }
+        // Gönderiye ait alanlar: eşleşen gönderilerin yorumları
+        return { post: { $in: await lookupIds('Post', await compilePostField(node)) } };
+      default:
+        return {};
+    }
+  };
+
+  return compileNode(ast);
+};
+
+/**
+ * Arama metnini Post/Comment filtresine çevir. Düz terimlerden oluşan sorgular $text ile
+ * (alaka sıralamasıyla), operatör veya alan içerenler derlenmiş filtreyle aranır.
+ * @param {String} input - Ham sorgu
+ * @param {String} target - 'post' veya 'comment'
+ * @returns {Promise<Object>} { filter, isTextSearch, ast }
+ */
+const buildSearchFilter = async (input, target = 'post') => {
+  const ast = parseSearchQuery(input);
+
+  if (isPlainTextQuery(ast)) {
+    return { filter: { $text: { $search: String(input).trim() } }, isTextSearch: true, ast };
+  }
+
+  // Diğer filtrelerle (subreddit, isDeleted...) yan yana yayılabilmesi için $and içinde döner
+  return { filter: { $and: [await compileSearchQuery(ast, target)] }, isTextSearch: false, ast };
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  SearchSyntaxError,
+  parseSearchQuery,
+  compileSearchQuery,
+  buildSearchFilter,
+};
@@ -6,6 +6,7 @@ const nodemailer = require('nodemailer');
  * @param {string} options.email Alıcı email adresi
  * @param {string} options.subject Email konu başlığı
  * @param {string} options.html Email içeriği (HTML formatında)
+ * @param {Object} [options.headers] Ek başlıklar (örn. List-Unsubscribe)
  * @returns {Promise} Gönderim sonucu
  */
 const sendEmail = async (options) => {
@@ -36,6 +37,7 @@ const sendEmail = async (options) => {
       to: options.email,
       subject: options.subject,
       html: options.html,
+      headers: options.headers,
     };
 
     // Email'i gönder
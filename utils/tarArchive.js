@@ -0,0 +1,196 @@
+const zlib = require('zlib');
+
+/**
+ * Ek bağımlılık olmadan .tar.gz arşivi oluşturma ve okuma (POSIX ustar, yalnızca düz dosyalar).
+ * ustar alanlarına sığmayan yollar için pax ('x') genişletilmiş başlığı yazılır.
+ * Wiki dışa/içe aktarımı için kullanılır; dosyalar diske yazılmaz, bellekte işlenir.
+ */
+
+const BLOCK_SIZE = 512;
+// Açılmış arşiv için üst sınır (sıkıştırma bombalarına karşı)
+const MAX_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Sayıyı başlık alanı için sıfır dolgulu sekizlik metne çevir
+ * @param {Number} value - Değer
+ * @param {Number} length - Alan uzunluğu (sonlandırıcı dahil)
+ * @returns {String}
+ */
+const toOctal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+
+/**
+ * Dosya yolunu ustar name/prefix alanlarına böl
+ * @param {String} path - Dosya yolu
+ * @returns {Object|null} { name, prefix }; sığmıyorsa null
+ */
+const splitPath = (path) => {
+  if (Buffer.byteLength(path) <= 100) return { name: path, prefix: '' };
+
+  const index = path.lastIndexOf('/', path.length - 2);
+  const prefix = path.slice(0, index);
+  const name = path.slice(index + 1);
+  if (index <= 0 || Buffer.byteLength(prefix) > 155 || Buffer.byteLength(name) > 100) {
+    return null;
+  }
+
+  return { name, prefix };
+};
+
+/**
+ * pax kaydı oluştur ("<uzunluk> <anahtar>=<değer>\n"; uzunluk kendi basamaklarını da içerir)
+ * @param {String} key - Anahtar
+ * @param {String} value - Değer
+ * @returns {Buffer} Kayıt
+ */
+const createPaxRecord = (key, value) => {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  let digits = String(bodyLength).length;
+  if (String(bodyLength + digits).length > digits) digits++;
+
+  return Buffer.from(`${bodyLength + digits}${body}`, 'utf8');
+};
+
+/**
+ * Tek dosya için ustar başlığı oluştur
+ * @param {Object} fields - { name, prefix } (ustar alanları)
+ * @param {Number} size - İçerik boyutu
+ * @param {Date} mtime - Değiştirilme zamanı
+ * @param {String} type - Kayıt tipi ('0' dosya, 'x' pax başlığı)
+ * @returns {Buffer} 512 baytlık başlık
+ */
+const createHeader = ({ name, prefix }, size, mtime, type = '0') => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  // Buffer.write yarım kalacak çok baytlı karakterleri yazmaz; alan sınırı aşılmaz
+  header.write(name, 0, 100, 'utf8');
+  header.write(toOctal(0o644, 8), 100, 8, 'ascii');
+  header.write(toOctal(0, 8), 108, 8, 'ascii');
+  header.write(toOctal(0, 8), 116, 8, 'ascii');
+  header.write(toOctal(size, 12), 124, 12, 'ascii');
+  header.write(toOctal(Math.floor(mtime.getTime() / 1000), 12), 136, 12, 'ascii');
+  header.write('        ', 148, 8, 'ascii');
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+
+  let checksum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) checksum += header[i];
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+
+  return header;
+};
+
+/**
+ * Dosyalardan .tar.gz arşivi oluştur
+ * @param {Array} entries - [{ path, content (String|Buffer), mtime }]
+ * @returns {Buffer} gzip ile sıkıştırılmış tar arşivi
+ */
+const createTarGz = (entries) => {
+  const blocks = [];
+
+  const pushData = (data) => {
+    blocks.push(data);
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding) blocks.push(Buffer.alloc(padding));
+  };
+
+  for (const entry of entries) {
+    const content = Buffer.isBuffer(entry.content)
+      ? entry.content
+      : Buffer.from(String(entry.content ?? ''), 'utf8');
+    const mtime = entry.mtime || new Date();
+    let fields = splitPath(entry.path);
+
+    // Uzun yol: tam yol pax kaydında, ustar alanında ise kısaltılmış hali bulunur
+    if (!fields) {
+      const record = createPaxRecord('path', entry.path);
+      blocks.push(createHeader({ name: 'PaxHeader', prefix: '' }, record.length, mtime, 'x'));
+      pushData(record);
+      fields = { name: entry.path.slice(entry.path.lastIndexOf('/') + 1), prefix: '' };
+    }
+
+    blocks.push(createHeader(fields, content.length, mtime));
+    pushData(content);
+  }
+
+  // Arşiv sonu: iki boş blok
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+  return zlib.gzipSync(Buffer.concat(blocks));
+};
+
+/**
+ * Başlık alanından NUL ile sonlanan metni oku
+ */
+const readString = (buffer, start, length) => {
+  const field = buffer.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+};
+
+/**
+ * .tar.gz (veya sıkıştırılmamış .tar) arşivindeki düz dosyaları oku
+ * @param {Buffer} archive - Arşiv içeriği
+ * @returns {Array} [{ path, content (Buffer) }]
+ */
+const extractTarGz = (archive) => {
+  const isGzip = archive.length > 2 && archive[0] === 0x1f && archive[1] === 0x8b;
+  const tar = isGzip
+    ? zlib.gunzipSync(archive, { maxOutputLength: MAX_UNCOMPRESSED_BYTES })
+    : archive;
+
+  const entries = [];
+  let offset = 0;
+  // GNU uzun ad ('L') veya pax ('x') başlığından gelen, sonraki dosyanın yolu
+  let pendingPath = null;
+
+  while (offset + BLOCK_SIZE <= tar.length) {
+    const header = tar.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) break;
+
+    let checksum = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) checksum += i >= 148 && i < 156 ? 32 : header[i];
+    if (checksum !== parseInt(readString(header, 148, 8).trim(), 8)) {
+      throw new Error('Geçersiz tar arşivi (başlık sağlaması tutmuyor)');
+    }
+
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156]);
+    const prefix = readString(header, 345, 155);
+    const name = readString(header, 0, 100);
+    const dataStart = offset + BLOCK_SIZE;
+
+    if (dataStart + size > tar.length) {
+      throw new Error('Geçersiz tar arşivi (eksik dosya içeriği)');
+    }
+
+    const data = tar.subarray(dataStart, dataStart + size);
+
+    if (type === 'L') {
+      pendingPath = readString(data, 0, data.length);
+    } else if (type === 'x') {
+      const match = data.toString('utf8').match(/^\d+ path=(.*)$/m);
+      if (match) pendingPath = match[1];
+    } else if (type === '0' || type === '\0') {
+      entries.push({
+        path: pendingPath || (prefix ? `${prefix}/${name}` : name),
+        content: data,
+      });
+      pendingPath = null;
+    } else {
+      // Dizinler ve bağlantılar atlanır
+      pendingPath = null;
+    }
+
+    offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return entries;
+};
+
+module.exports = {
+  createTarGz,
+  extractTarGz,
+};
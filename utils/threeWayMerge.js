@@ -0,0 +1,155 @@
+/**
+ * Satır tabanlı üç yönlü birleştirme (diff3).
+ *
+ * Aynı temel revizyondan başlayan iki düzenleme (mevcut içerik ve gelen içerik) temel
+ * metne göre karşılaştırılır. Yalnızca bir tarafın değiştirdiği bölümler otomatik
+ * alınır; iki tarafın farklı şekilde değiştirdiği bölümler çakışma olarak raporlanır.
+ */
+
+// Bu boyutun üzerindeki değişen bölgelerde LCS hesaplanmaz, bölge tek blok sayılır
+const MAX_LCS_CELLS = 4 * 1000 * 1000;
+
+const splitLines = (text) => String(text || '').split(/\r?\n/);
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+/**
+ * Temel satırların diğer metindeki karşılıklarını bul (en uzun ortak alt dizi)
+ * @param {Array<String>} base - Temel satırlar
+ * @param {Array<String>} other - Karşılaştırılan satırlar
+ * @returns {Int32Array} base[i] -> other indeksi, eşleşmeyen satırlar için -1
+ */
+const matchLines = (base, other) => {
+  const matches = new Int32Array(base.length).fill(-1);
+
+  // Ortak baş ve son kısımları doğrudan eşle
+  let start = 0;
+  while (start < base.length && start < other.length && base[start] === other[start]) {
+    matches[start] = start;
+    start++;
+  }
+
+  let endBase = base.length;
+  let endOther = other.length;
+  while (endBase > start && endOther > start && base[endBase - 1] === other[endOther - 1]) {
+    endBase--;
+    endOther--;
+    matches[endBase] = endOther;
+  }
+
+  const n = endBase - start;
+  const m = endOther - start;
+  if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    return matches;
+  }
+
+  // lengths[i][j]: base[start+i..] ile other[start+j..] arasındaki LCS uzunluğu
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        base[start + i] === other[start + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (base[start + i] === other[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Üç yönlü birleştirme yap
+ * @param {String} base - Ortak temel içerik
+ * @param {String} current - Temelden sonra kaydedilmiş içerik
+ * @param {String} incoming - Temel üzerinde yapılmış yeni düzenleme
+ * @returns {Object} { clean, content, hunks } - clean değilse content çakışma işaretleri içerir;
+ *   hunks: [{ baseStart, currentStart, incomingStart, base, current, incoming }] (satırlar 1'den başlar)
+ */
+const mergeThreeWay = (base, current, incoming) => {
+  const o = splitLines(base);
+  const a = splitLines(current);
+  const b = splitLines(incoming);
+  const matchA = matchLines(o, a);
+  const matchB = matchLines(o, b);
+
+  const output = [];
+  const hunks = [];
+  let iO = 0;
+  let iA = 0;
+  let iB = 0;
+
+  while (iO < o.length || iA < a.length || iB < b.length) {
+    // İki tarafta da değişmemiş satırlar
+    let stable = 0;
+    while (
+      iO + stable < o.length &&
+      matchA[iO + stable] === iA + stable &&
+      matchB[iO + stable] === iB + stable
+    ) {
+      stable++;
+    }
+
+    if (stable > 0) {
+      output.push(...o.slice(iO, iO + stable));
+      iO += stable;
+      iA += stable;
+      iB += stable;
+      continue;
+    }
+
+    // Bir sonraki her iki tarafta da bulunan temel satırına kadar olan bölüm değişmiştir
+    let next = iO;
+    while (next < o.length && (matchA[next] === -1 || matchB[next] === -1)) next++;
+
+    const endA = next < o.length ? matchA[next] : a.length;
+    const endB = next < o.length ? matchB[next] : b.length;
+    const chunkO = o.slice(iO, next);
+    const chunkA = a.slice(iA, endA);
+    const chunkB = b.slice(iB, endB);
+
+    if (sameLines(chunkA, chunkO) || sameLines(chunkA, chunkB)) {
+      output.push(...chunkB);
+    } else if (sameLines(chunkB, chunkO)) {
+      output.push(...chunkA);
+    } else {
+      hunks.push({
+        baseStart: iO + 1,
+        currentStart: iA + 1,
+        incomingStart: iB + 1,
+        base: chunkO,
+        current: chunkA,
+        incoming: chunkB,
+      });
+      output.push('<<<<<<< mevcut', ...chunkA, '=======', ...chunkB, '>>>>>>> sizin');
+    }
+
+    iO = next;
+    iA = endA;
+    iB = endB;
+  }
+
+  return {
+    clean: hunks.length === 0,
+    content: output.join('\n'),
+    hunks,
+  };
+};
+
+module.exports = {
+  mergeThreeWay,
+};
@@ -0,0 +1,15 @@
+const net = require('net');
+
+/**
+ * IPv4 veya IPv6 adresini doğrula (IPv4-mapped IPv6 adresleri de kabul edilir)
+ * @param {String} ipAddress - IP adresi
+ * @returns {Boolean} Geçerli mi
+ */
+const isValidIPAddress = (ipAddress) => {
+  if (!ipAddress || typeof ipAddress !== 'string') return false;
+  return net.isIP(ipAddress.trim()) !== 0;
+};
+
+module.exports = {
+  isValidIPAddress,
+};
@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const PushSubscription = require('../models/PushSubscription');
+const UserSettings = require('../models/UserSettings');
+
+/**
+ * VAPID tabanlı Web Push gönderimi (RFC 8291 aes128gcm şifreleme, RFC 8292 VAPID).
+ * Ek bağımlılık gerektirmemesi için Node crypto ile uygulanmıştır.
+ */
+
+// Bildirim tipi -> UserSettings.pushNotifications kategorisi
+const PUSH_CATEGORIES = {
+  message: 'newMessages',
+  comment_reply: 'newCommentReplies',
+  post_reply: 'newPostReplies',
+  mention: 'mentions',
+  post_upvote: 'upvotesOnPosts',
+  comment_upvote: 'upvotesOnComments',
+};
+
+// Bu sayıda art arda başarısız gönderimden sonra abonelik silinir
+const MAX_PUSH_FAILURES = 5;
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+const PUSH_TIMEOUT_MS = 10 * 1000;
+const RECORD_SIZE = 4096;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => Buffer.from(value, 'base64url');
+
+const hkdf = (salt, ikm, info, length) =>
+  Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+let vapidKeys = null;
+
+/**
+ * VAPID anahtarlarını getir (ortam değişkenlerinde yoksa geçici anahtar üretilir)
+ * @returns {Object} { publicKey, privateKey, subject } (base64url)
+ */
+const getVapidKeys = () => {
+  if (vapidKeys) return vapidKeys;
+
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    vapidKeys = {
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY,
+    };
+  } else {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    vapidKeys = {
+      publicKey: toBase64Url(ecdh.getPublicKey()),
+      privateKey: toBase64Url(ecdh.getPrivateKey()),
+    };
+    console.warn(
+      'VAPID anahtarları tanımlı değil, geçici anahtar üretildi (yeniden başlatmada abonelikler geçersiz olur)',
+    );
+  }
+
+  vapidKeys.subject = process.env.VAPID_SUBJECT || 'mailto:admin@localhost';
+  return vapidKeys;
+};
+
+/**
+ * Push servisi için VAPID Authorization başlığını oluştur
+ * @param {String} endpoint - Abonelik endpoint'i
+ * @returns {String} Authorization başlığı
+ */
+const createVapidAuthorization = (endpoint) => {
+  const { publicKey, privateKey, subject } = getVapidKeys();
+  const rawPublicKey = fromBase64Url(publicKey);
+
+  const key = crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: privateKey,
+      x: toBase64Url(rawPublicKey.subarray(1, 33)),
+      y: toBase64Url(rawPublicKey.subarray(33, 65)),
+    },
+    format: 'jwk',
+  });
+
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(
+    JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+      sub: subject,
+    }),
+  );
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key,
+    dsaEncoding: 'ieee-p1363',
+  });
+
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${publicKey}`;
+};
+
+/**
+ * Push içeriğini alıcının anahtarlarıyla şifrele (aes128gcm)
+ * @param {String|Buffer} payload - İçerik
+ * @param {Object} keys - { p256dh, auth } (base64url)
+ * @returns {Buffer} Şifreli gövde
+ */
+const encryptPayload = (payload, keys) => {
+  const receiverPublicKey = fromBase64Url(keys.p256dh);
+  const authSecret = fromBase64Url(keys.auth);
+
+  const sender = crypto.createECDH('prime256v1');
+  sender.generateKeys();
+  const senderPublicKey = sender.getPublicKey();
+  const sharedSecret = sender.computeSecret(receiverPublicKey);
+
+  const keyInfo = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    receiverPublicKey,
+    senderPublicKey,
+  ]);
+  const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+
+  const salt = crypto.randomBytes(16);
+  const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  // Tek kayıt: içerik + son kayıt ayracı (0x02)
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(senderPublicKey.length, 20);
+
+  return Buffer.concat([header, senderPublicKey, ciphertext]);
+};
+
+/**
+ * aes128gcm ile şifrelenmiş push gövdesini çöz (yerel test endpoint'i için)
+ * @param {Buffer} body - Şifreli gövde
+ * @param {Object} receiver - { ecdh, auth } alıcı ECDH nesnesi ve auth secret (Buffer)
+ * @returns {String} Çözülmüş içerik
+ */
+const decryptPayload = (body, receiver) => {
+  const salt = body.subarray(0, 16);
+  const keyIdLength = body.readUInt8(20);
+  const senderPublicKey = body.subarray(21, 21 + keyIdLength);
+  const ciphertext = body.subarray(21 + keyIdLength);
+
+  const sharedSecret = receiver.ecdh.computeSecret(senderPublicKey);
+  const keyInfo = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    receiver.ecdh.getPublicKey(),
+    senderPublicKey,
+  ]);
+  const ikm = hkdf(receiver.auth, sharedSecret, keyInfo, 32);
+  const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const padded = Buffer.concat([
+    decipher.update(ciphertext.subarray(0, ciphertext.length - 16)),
+    decipher.final(),
+  ]);
+
+  // Dolgu sıfırlarını ve kayıt ayracını at
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end--;
+
+  return padded.subarray(0, end).toString('utf8');
+};
+
+/**
+ * Tek bir aboneliğe push gönder
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {Object|String} payload - Gönderilecek içerik
+ * @param {Object} options - { ttl, urgency }
+ * @returns {Promise<Object>} { statusCode }
+ */
+const sendWebPush = async (subscription, payload, options = {}) => {
+  const body = encryptPayload(
+    typeof payload === 'string' ? payload : JSON.stringify(payload),
+    subscription.keys,
+  );
+
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Encoding': 'aes128gcm',
+      TTL: String(options.ttl || PUSH_TTL_SECONDS),
+      Urgency: options.urgency || 'normal',
+      Authorization: createVapidAuthorization(subscription.endpoint),
+    },
+    body,
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+  });
+
+  return { statusCode: response.status };
+};
+
+/**
+ * Aboneliğe gönder ve sonuca göre aboneliği güncelle veya sil
+ * @param {Object} subscription - PushSubscription dokümanı
+ * @param {Object} payload - İçerik
+ * @returns {Promise<Boolean>} Gönderim başarılı mı
+ */
+const deliverToSubscription = async (subscription, payload) => {
+  let statusCode = 0;
+
+  try {
+    ({ statusCode } = await sendWebPush(subscription, payload));
+  } catch (error) {
+    console.error('Push gönderme hatası:', error.message);
+  }
+
+  if (statusCode >= 200 && statusCode < 300) {
+    await PushSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { failureCount: 0, lastSuccessAt: Date.now() } },
+    );
+    return true;
+  }
+
+  // 404/410: push servisi aboneliğin süresinin dolduğunu bildirir
+  if (statusCode === 404 || statusCode === 410) {
+    await PushSubscription.deleteOne({ _id: subscription._id });
+    return false;
+  }
+
+  const updated = await PushSubscription.findOneAndUpdate(
+    { _id: subscription._id },
+    { $inc: { failureCount: 1 }, $set: { lastFailureAt: Date.now() } },
+    { new: true },
+  );
+  if (updated && updated.failureCount >= MAX_PUSH_FAILURES) {
+    await PushSubscription.deleteOne({ _id: subscription._id });
+  }
+
+  return false;
+};
+
+/**
+ * Bildirimi push içeriğine dönüştür
+ * @param {Object} notification - Notification dokümanı
+ * @returns {Object} Push içeriği
+ */
+const buildPushPayload = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  body: notification.content,
+  relatedPost: notification.relatedPost,
+  relatedComment: notification.relatedComment,
+  relatedMessage: notification.relatedMessage,
+  createdAt: notification.createdAt,
+});
+
+/**
+ * Bildirimleri alıcıların push tercihlerine göre kayıtlı cihazlarına gönder
+ * @param {Array|Object} notifications - Notification dokümanı veya dizisi
+ * @returns {Promise<Number>} Başarılı gönderim sayısı
+ */
+const sendPushNotifications = async (notifications) => {
+  const list = (Array.isArray(notifications) ? notifications : [notifications]).filter(Boolean);
+  const preferences = new Map();
+  let delivered = 0;
+
+  for (const notification of list) {
+    try {
+      const category = PUSH_CATEGORIES[notification.type];
+      if (!category) continue;
+
+      const recipientId = notification.recipient.toString();
+      if (!preferences.has(recipientId)) {
+        const settings = await UserSettings.findOne({ user: recipientId }).select(
+          'pushNotifications',
+        );
+        preferences.set(
+          recipientId,
+          (settings || new UserSettings({ user: recipientId })).pushNotifications,
+        );
+      }
+
+      const prefs = preferences.get(recipientId);
+      if (!prefs.enabled || !prefs[category]) continue;
+
+      const subscriptions = await PushSubscription.find({ user: recipientId });
+      const payload = buildPushPayload(notification);
+
+      for (const subscription of subscriptions) {
+        if (await deliverToSubscription(subscription, payload)) delivered++;
+      }
+    } catch (error) {
+      console.error('Push bildirimi hatası:', error.message);
+    }
+  }
+
+  return delivered;
+};
+
+/**
+ * Süresi dolmuş veya sürekli başarısız olan abonelikleri temizle
+ * @returns {Promise<Number>} Silinen abonelik sayısı
+ */
+const pruneExpiredSubscriptions = async () => {
+  const result = await PushSubscription.deleteMany({
+    $or: [{ expirationTime: { $lte: new Date() } }, { failureCount: { $gte: MAX_PUSH_FAILURES } }],
+  });
+
+  return result.deletedCount;
+};
+
+module.exports = {
+  PUSH_CATEGORIES,
+  getVapidKeys,
+  encryptPayload,
+  decryptPayload,
+  sendWebPush,
+  deliverToSubscription,
+  sendPushNotifications,
+  pruneExpiredSubscriptions,
+};
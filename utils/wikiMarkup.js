@@ -0,0 +1,121 @@
+const slugify = require('slugify');
+
+/**
+ * Wiki içerik yardımcıları: sayfalar arası [[bağlantı]] sözdizimi ve başlıklardan
+ * içindekiler tablosu üretimi.
+ *
+ * Bağlantı biçimleri:
+ *   [[sayfa]]               -> /r/<subreddit>/wiki/sayfa
+ *   [[sayfa|etiket]]        -> etiket metniyle
+ *   [[sayfa#bolum|etiket]]  -> sayfadaki başlığa
+ */
+
+const WIKI_LINK_PATTERN = /\[\[([^\]|#\n]+)(?:#([^\]|\n]+))?(?:\|([^\]\n]+))?\]\]/g;
+// Kod blokları ve satır içi kod içindeki [[...]] bağlantı sayılmaz
+const CODE_PATTERN = /(```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]*`)/g;
+const HEADING_PATTERN = /<h([1-6])([^>]*)>([\s\S]*?)<\/h\1>/gi;
+// Sayfa adlarında Türkçe harfler atılmak yerine ASCII karşılıklarına çevrilir
+const TURKISH_CHARS = { ş: 's', ğ: 'g', ı: 'i', ö: 'o', ü: 'u', ç: 'c' };
+
+/**
+ * Sayfa adını WikiPage.name biçimine getir
+ * @param {String} name - Ham sayfa adı
+ * @returns {String} Normalleştirilmiş ad
+ */
+const normalizeWikiPageName = (name) =>
+  String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[şğıöüç]/g, (char) => TURKISH_CHARS[char])
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9_-]/g, '');
+
+/**
+ * Kod dışındaki metin parçalarına dönüşüm uygula
+ * @param {String} markdown - Markdown içerik
+ * @param {Function} transform - Kod dışı parça için dönüşüm
+ * @returns {String} Dönüştürülmüş içerik
+ */
+const mapOutsideCode = (markdown, transform) =>
+  String(markdown || '')
+    .split(CODE_PATTERN)
+    .map((part, index) => (index % 2 === 0 ? transform(part) : part))
+    .join('');
+
+/**
+ * İçerikteki [[bağlantı]] hedeflerini çıkar
+ * @param {String} markdown - Markdown içerik
+ * @returns {Array<String>} Tekil, normalleştirilmiş sayfa adları
+ */
+const extractWikiLinks = (markdown) => {
+  const names = new Set();
+
+  mapOutsideCode(markdown, (part) => {
+    for (const match of part.matchAll(WIKI_LINK_PATTERN)) {
+      const name = normalizeWikiPageName(match[1]);
+      if (name) names.add(name);
+    }
+    return part;
+  });
+
+  return [...names];
+};
+
+/**
+ * [[bağlantı]] sözdizimini subreddit wikisine giden Markdown bağlantılarına çevir
+ * @param {String} markdown - Markdown içerik
+ * @param {String} subredditName - Subreddit adı
+ * @returns {String} Bağlantıları çözülmüş Markdown
+ */
+const replaceWikiLinks = (markdown, subredditName) =>
+  mapOutsideCode(markdown, (part) =>
+    part.replace(WIKI_LINK_PATTERN, (raw, target, section, label) => {
+      const name = normalizeWikiPageName(target);
+      if (!name) return raw;
+
+      const anchor = section ? `#${slugify(section, { lower: true, strict: true })}` : '';
+      const text = (label || target).trim().replace(/([[\]])/g, '\\$1');
+
+      return `[${text}](/r/${subredditName}/wiki/${name}${anchor})`;
+    }),
+  );
+
+/**
+ * HTML içindeki başlıklara benzersiz id ekle ve içindekiler tablosunu çıkar
+ * @param {String} html - İşlenmiş (sanitize edilmiş) HTML
+ * @returns {Object} { html, tableOfContents: [{ level, text, anchor }] }
+ */
+const applyTableOfContents = (html) => {
+  const tableOfContents = [];
+  const usedAnchors = new Map();
+
+  const result = String(html || '').replace(HEADING_PATTERN, (raw, level, attrs, inner) => {
+    const text = inner
+      .replace(/<[^>]+>/g, '')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#0?39;/g, "'")
+      .trim();
+
+    const base = slugify(text, { lower: true, strict: true }) || 'bolum';
+    const seen = usedAnchors.get(base) || 0;
+    usedAnchors.set(base, seen + 1);
+    const anchor = seen === 0 ? base : `${base}-${seen}`;
+
+    tableOfContents.push({ level: Number(level), text, anchor });
+
+    const cleanAttrs = attrs.replace(/\s+id\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i, '');
+    return `<h${level}${cleanAttrs} id="${anchor}">${inner}</h${level}>`;
+  });
+
+  return { html: result, tableOfContents };
+};
+
+module.exports = {
+  normalizeWikiPageName,
+  extractWikiLinks,
+  replaceWikiLinks,
+  applyTableOfContents,
+};